@@ -1,4 +1,5 @@
 const Store = require('../../models/Store');
+const DeploymentHistory = require('../../utils/DeploymentHistory');
 const db = require('../../database/db');
 const fs = require('fs');
 const path = require('path');
@@ -448,6 +449,20 @@ describe('Store Model', () => {
         expect(json.shopify_access_token).toBe(store.shopify_access_token); // This is included in toJSON
       });
     });
+
+    describe('runDeployment', () => {
+      test('should fail the run when the deploy result is not successful, so the queue retries it', async () => {
+        jest.spyOn(DeploymentHistory, 'record').mockImplementation((record, info, run) => run(jest.fn(), 5));
+        store.deploy = jest.fn().mockResolvedValue({ success: false, error: 'Vercel CLI failed' });
+        store.snapshotDeployment = jest.fn();
+
+        await expect(store.runDeployment({ force: true, jobId: 3 })).rejects.toThrow('Vercel CLI failed');
+
+        expect(store.deploy).toHaveBeenCalledWith(expect.any(Function), true);
+        expect(store.deployment_status).toBe('failed');
+        expect(store.snapshotDeployment).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('Database Operations', () => {
@@ -3,6 +3,8 @@ const express = require('express');
 const apiRouter = require('../../routes/api');
 const Store = require('../../models/Store');
 const { PageTemplate } = require('../../models/PageTemplate');
+const db = require('../../database/db');
+const { sanitizeInput } = require('../../middleware/validation');
 
 // Mock dependencies
 jest.mock('../../models/Store');
@@ -28,7 +30,7 @@ describe('API Routes', () => {
     Store.findByUuid = jest.fn();
     Store.findByDomain = jest.fn();
     Store.findBySubdomain = jest.fn();
-    Store.findAll = jes1t.fn();
+    Store.findAll = jest.fn();
     Store.create = jest.fn();
     Store.generateUniqueSubdomain = jest.fn();
     Store.cleanupDuplicateSubdomains = jest.fn();
@@ -527,12 +529,17 @@ describe('API Routes', () => {
   });
 
   describe('POST /api/stores/:uuid/deploy', () => {
-    test('should deploy store successfully', async () => {
-      const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
-      mockStore.deploy = jest.fn().mockResolvedValue({
-        message: 'Deployment successful',
-        url: 'https://test.vercel.app',
-        isLive: true
+    test('should queue the deployment and answer with its job', async () => {
+      const mockStore = new Store(createMockStore({ uuid: 'test-uuid', domain: 'test.example.com' }));
+      mockStore.domain = 'test.example.com';
+      mockStore.deployUnified = jest.fn().mockResolvedValue({
+        success: true,
+        queued: true,
+        jobId: 4,
+        deploymentId: 'job-4',
+        statusUrl: '/api/stores/test-uuid/deployment',
+        progressUrl: '/api/stores/test-uuid/jobs/4/events',
+        message: 'Deployment queued (job #4)'
       });
       mockStore.toJSON = jest.fn().mockReturnValue(createMockStore());
       
@@ -542,16 +549,17 @@ describe('API Routes', () => {
         .post('/api/stores/test-uuid/deploy')
         .send({ force: false });
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Deployment successful');
-      expect(response.body.deployment.url).toBe('https://test.vercel.app');
-      expect(mockStore.deploy).toHaveBeenCalledWith(null, false);
+      expect(response.body.jobId).toBe(4);
+      expect(response.body.progressUrl).toBe('/api/stores/test-uuid/jobs/4/events');
+      expect(response.body.deployment).toMatchObject({ status: 'queued', job_id: 4, url: 'https://test.example.com' });
+      expect(mockStore.deployUnified).toHaveBeenCalledWith({ force: false, trigger: 'manual' });
     });
 
     test('should handle deployment failures', async () => {
       const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
-      mockStore.deploy = jest.fn().mockRejectedValue(new Error('Deployment failed'));
+      mockStore.deployUnified = jest.fn().mockResolvedValue({ success: false, error: 'Database is locked' });
       mockStore.update = jest.fn().mockResolvedValue();
       
       Store.findByUuid.mockResolvedValue(mockStore);
@@ -574,6 +582,76 @@ describe('API Routes', () => {
     });
   });
 
+  describe('PUT /api/stores/:storeId/pages/:pageType/content', () => {
+    test('should save content blocks sent as JSON', async () => {
+      // As in server.js, where the index router sanitizes the body before the API router does
+      const serverApp = express();
+      serverApp.use(express.json());
+      serverApp.use(sanitizeInput);
+      serverApp.use('/api', apiRouter);
+
+      const mockStore = createMockStore();
+      mockStore.regenerateStoreFiles = jest.fn().mockResolvedValue();
+      Store.findByUuid.mockResolvedValue(mockStore);
+      db.get = jest.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 7, page_type: 'about', title: 'About us' });
+      db.run = jest.fn().mockResolvedValue({ id: 7, changes: 1 });
+
+      const response = await request(serverApp)
+        .put('/api/stores/test-uuid-123/pages/about/content')
+        .send({ title: 'About us', content: '[{"type":"spacer"}]' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      const savedContent = db.run.mock.calls[0][1][6];
+      expect(JSON.parse(savedContent)).toEqual([expect.objectContaining({ type: 'spacer' })]);
+    });
+  });
+
+  describe('POST /api/stores/bulk/redeploy', () => {
+    test('should queue a deployment of each store and leave its status to the job', async () => {
+      const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
+      mockStore.update = jest.fn().mockResolvedValue();
+      mockStore.deployUnified = jest.fn().mockResolvedValue({ success: true, queued: true, jobId: 6, deploymentId: 'job-6', progressUrl: '/api/stores/test-uuid/jobs/6/events' });
+      Store.findAll.mockResolvedValue([mockStore]);
+
+      const response = await request(app).post('/api/stores/bulk/redeploy');
+
+      expect(response.status).toBe(202);
+      expect(response.body.count).toBe(1);
+      expect(mockStore.deployUnified).toHaveBeenCalledWith({ trigger: 'bulk' });
+      expect(mockStore.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/stores/:uuid/regenerate', () => {
+    test('should refuse to build while a deployment of the store is running', async () => {
+      const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
+      mockStore.regenerateStoreFiles = jest.fn();
+      Store.findByUuid.mockResolvedValue(mockStore);
+      db.get = jest.fn().mockResolvedValue({ id: 8, store_id: 1, status: 'running' });
+
+      const response = await request(app).post('/api/stores/test-uuid/regenerate');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('job #8');
+      expect(mockStore.regenerateStoreFiles).not.toHaveBeenCalled();
+    });
+
+    test('should build when no deployment of the store is pending', async () => {
+      const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
+      mockStore.regenerateStoreFiles = jest.fn().mockResolvedValue({ written: 3, skipped: 0 });
+      Store.findByUuid.mockResolvedValue(mockStore);
+      db.get = jest.fn().mockResolvedValue(null);
+
+      const response = await request(app).post('/api/stores/test-uuid/regenerate').send({ force: true });
+
+      expect(response.status).toBe(200);
+      expect(mockStore.regenerateStoreFiles).toHaveBeenCalledWith({ force: true });
+    });
+  });
+
   describe('DELETE /api/stores/:uuid', () => {
     test('should delete store successfully', async () => {
       const mockStore = new Store(createMockStore({ uuid: 'test-uuid' }));
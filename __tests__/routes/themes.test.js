@@ -0,0 +1,67 @@
+const request = require('supertest');
+const express = require('express');
+const themesRouter = require('../../routes/themes');
+const db = require('../../database/db');
+const { sanitizeInput } = require('../../middleware/validation');
+
+// Mock dependencies
+jest.mock('../../models/Store');
+jest.mock('../../database/db');
+
+describe('Theme Routes', () => {
+  let app;
+
+  const exportedPackage = {
+    format: 'multistore-theme',
+    version: 1,
+    exported_at: '2026-01-01T00:00:00.000Z',
+    theme: {
+      name: 'Sunset',
+      description: 'Warm & bright',
+      css_variables: { primary: '#c2410c', font_body: "-apple-system, 'Segoe UI', sans-serif" },
+      custom_css: '.hero > h1 { letter-spacing: 0.02em; }'
+    }
+  };
+
+  beforeEach(() => {
+    // As in server.js, where the index and API routers both sanitize the body before the theme routes
+    app = express();
+    app.use(express.json());
+    app.use(sanitizeInput);
+    app.use(sanitizeInput);
+    app.use('/', themesRouter);
+
+    jest.clearAllMocks();
+
+    db.get = jest.fn().mockImplementation(sql => Promise.resolve(
+      sql.includes('WHERE id = ?') ? { id: 9, name: 'Sunset' } : null
+    ));
+    db.run = jest.fn().mockResolvedValue({ id: 9, changes: 1 });
+  });
+
+  describe('POST /api/themes/import', () => {
+    test('should preview an exported package sent as JSON', async () => {
+      const response = await request(app)
+        .post('/api/themes/import')
+        .send({ package: exportedPackage, dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.preview.action).toBe('create');
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should save the package values as exported', async () => {
+      const response = await request(app)
+        .post('/api/themes/import')
+        .send({ package: exportedPackage });
+
+      expect(response.status).toBe(200);
+      expect(response.body.action).toBe('create');
+
+      const values = db.run.mock.calls[0][1];
+      expect(values).toContain(JSON.stringify(exportedPackage.theme.css_variables));
+      expect(values).toContain(exportedPackage.theme.custom_css);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BuildManifest = require('../../utils/BuildManifest');
+
+describe('BuildManifest', () => {
+  let storesPath;
+  let storePath;
+  let manifestPath;
+
+  const writeOutput = (fileName, content = 'html') => {
+    const filePath = path.join(storePath, fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const previousBuild = (files) => {
+    const manifest = new BuildManifest(storePath, manifestPath);
+    for (const [fileName, hash] of Object.entries(files)) {
+      writeOutput(fileName);
+      manifest.record(fileName, hash);
+    }
+    manifest.save();
+  };
+
+  beforeEach(() => {
+    storesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'build-manifest-'));
+    storePath = path.join(storesPath, 'clipia.se');
+    manifestPath = path.join(storesPath, '.manifests', 'clipia.se.json');
+    fs.mkdirSync(storePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storesPath, { recursive: true, force: true });
+  });
+
+  describe('hashInputs', () => {
+    test('should not depend on object key order', () => {
+      expect(BuildManifest.hashInputs({ a: 1, b: { c: 2, d: 3 } }))
+        .toBe(BuildManifest.hashInputs({ b: { d: 3, c: 2 }, a: 1 }));
+    });
+
+    test('should change when any input changes', () => {
+      const page = createMockPage();
+      const hash = BuildManifest.hashInputs(page, 'default');
+
+      expect(BuildManifest.hashInputs({ ...page, content: 'Changed' }, 'default')).not.toBe(hash);
+      expect(BuildManifest.hashInputs(page, 'minimal')).not.toBe(hash);
+    });
+  });
+
+  describe('isUpToDate', () => {
+    test('should match outputs built from the same inputs', () => {
+      previousBuild({ 'index.html': 'abc' });
+      const manifest = BuildManifest.load(storePath, manifestPath);
+
+      expect(manifest.isUpToDate('index.html', 'abc')).toBe(true);
+      expect(manifest.isUpToDate('index.html', 'def')).toBe(false);
+      expect(manifest.isUpToDate('about.html', 'abc')).toBe(false);
+    });
+
+    test('should rebuild outputs that were deleted from disk', () => {
+      previousBuild({ 'index.html': 'abc' });
+      fs.unlinkSync(path.join(storePath, 'index.html'));
+
+      expect(BuildManifest.load(storePath, manifestPath).isUpToDate('index.html', 'abc')).toBe(false);
+    });
+
+    test('should rebuild everything when forced', () => {
+      previousBuild({ 'index.html': 'abc' });
+      expect(BuildManifest.load(storePath, manifestPath, { force: true }).isUpToDate('index.html', 'abc')).toBe(false);
+    });
+
+    test('should ignore an unreadable manifest', () => {
+      writeOutput('index.html');
+      fs.mkdirSync(path.dirname(manifestPath));
+      fs.writeFileSync(manifestPath, '{not json');
+
+      expect(BuildManifest.load(storePath, manifestPath).isUpToDate('index.html', 'abc')).toBe(false);
+    });
+  });
+
+  describe('removeStaleOutputs', () => {
+    test('should only remove outputs that this build did not produce', () => {
+      previousBuild({ 'index.html': 'a', 'about.html': 'b', 'products/old.html': 'c' });
+      const manifest = BuildManifest.load(storePath, manifestPath);
+
+      manifest.keep('index.html');
+      manifest.record('contact.html', 'd');
+      const removed = manifest.removeStaleOutputs();
+
+      expect(removed.sort()).toEqual(['about.html', 'products/old.html']);
+      expect(fs.existsSync(path.join(storePath, 'index.html'))).toBe(true);
+      expect(fs.existsSync(path.join(storePath, 'about.html'))).toBe(false);
+    });
+
+    test('should keep invalidated and prefixed outputs', () => {
+      previousBuild({ 'index.html': 'a', 'products/clip.html': 'b' });
+      const manifest = BuildManifest.load(storePath, manifestPath);
+
+      manifest.invalidate('index.html');
+      manifest.keepPrefix('products/');
+
+      expect(manifest.removeStaleOutputs()).toEqual([]);
+      expect(manifest.files['index.html'].hash).toBeNull();
+      expect(manifest.files['products/clip.html'].hash).toBe('b');
+    });
+
+    test('should never delete files outside the store directory', () => {
+      const outsidePath = path.join(path.dirname(storePath), `${path.basename(storePath)}-outside.txt`);
+      fs.writeFileSync(outsidePath, 'keep me');
+      fs.mkdirSync(path.dirname(manifestPath));
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        version: 1,
+        files: { [`../${path.basename(outsidePath)}`]: { hash: 'x' } }
+      }));
+
+      try {
+        expect(BuildManifest.load(storePath, manifestPath).removeStaleOutputs()).toEqual([]);
+        expect(fs.existsSync(outsidePath)).toBe(true);
+      } finally {
+        fs.unlinkSync(outsidePath);
+      }
+    });
+  });
+
+  test('should round-trip recorded outputs through save and load', () => {
+    writeOutput('index.html');
+    const manifest = new BuildManifest(storePath, manifestPath);
+    manifest.record('index.html', 'abc');
+    manifest.save();
+
+    const loaded = BuildManifest.load(storePath, manifestPath);
+    expect(loaded.previous['index.html'].hash).toBe('abc');
+    expect(loaded.files).toEqual({});
+  });
+
+  test('should keep the manifest out of the published store files', () => {
+    previousBuild({ 'index.html': 'abc' });
+
+    expect(fs.existsSync(manifestPath)).toBe(true);
+    expect(fs.readdirSync(storePath)).toEqual(['index.html']);
+  });
+
+  test('should take over and remove a manifest left in the store directory', () => {
+    writeOutput('index.html');
+    fs.writeFileSync(path.join(storePath, BuildManifest.LEGACY_MANIFEST_FILE), JSON.stringify({
+      version: 1,
+      files: { 'index.html': { hash: 'abc' } }
+    }));
+
+    expect(BuildManifest.load(storePath, manifestPath).isUpToDate('index.html', 'abc')).toBe(true);
+    expect(fs.existsSync(path.join(storePath, BuildManifest.LEGACY_MANIFEST_FILE))).toBe(false);
+  });
+});
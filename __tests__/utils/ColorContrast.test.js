@@ -0,0 +1,68 @@
+const ColorContrast = require('../../utils/ColorContrast');
+const ThemeTokens = require('../../utils/ThemeTokens');
+
+describe('ColorContrast', () => {
+  describe('getContrastRatio', () => {
+    test('should follow the WCAG 2.1 formula', () => {
+      expect(ColorContrast.getContrastRatio('#000', '#fff')).toBe(21);
+      expect(ColorContrast.getContrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+      expect(ColorContrast.getContrastRatio('#ffffff', '#ffffff')).toBe(1);
+    });
+
+    test('should return null for colours that are not hex', () => {
+      expect(ColorContrast.getContrastRatio('red', '#ffffff')).toBeNull();
+    });
+  });
+
+  describe('checkTheme', () => {
+    test('should pass the default theme colours', () => {
+      const result = ColorContrast.checkTheme(ThemeTokens.getDefaults());
+
+      expect(result.passesAA).toBe(true);
+      expect(result.failures).toEqual([]);
+      expect(result.pairs.find(pair => pair.id === 'body_text')).toMatchObject({ aa: true, aaa: true });
+      expect(result.pairs.find(pair => pair.id === 'primary_button')).toMatchObject({ ratio: 4.57, aa: true, aaa: false });
+    });
+
+    test('should report failing pairs with readable suggestions', () => {
+      const colors = ThemeTokens.resolve({ primary: '#ffcc00', text: '#bbbbbb' });
+      const result = ColorContrast.checkTheme(colors);
+
+      expect(result.passesAA).toBe(false);
+      expect(result.failures).toContain('Body text on background (1.92:1, needs 4.5:1)');
+      expect(Object.keys(result.suggestions).sort()).toEqual(['primary', 'text']);
+      expect(ColorContrast.checkTheme({ ...colors, ...result.suggestions }).passesAA).toBe(true);
+    });
+
+    test('should not block on advisory pairs', () => {
+      const result = ColorContrast.checkTheme(ThemeTokens.resolve({ secondary: '#ffffff' }));
+
+      expect(result.pairs.find(pair => pair.id === 'hero_gradient').aa).toBe(false);
+      expect(result.passesAA).toBe(true);
+    });
+  });
+
+  describe('checkValues', () => {
+    test('should check the dark palette when the theme defines one', () => {
+      const result = ColorContrast.checkValues({ dark_background: '#000000', dark_text: '#333333' });
+
+      expect(result.pairs.find(pair => pair.id === 'dark_body_text')).toMatchObject({ label: 'Body text on background (dark)', aa: false });
+      expect(result.pairs.find(pair => pair.id === 'dark_product_price')).toMatchObject({ backgroundColor: '#1e1e1e' });
+      expect(result.passesAA).toBe(false);
+      expect(Object.keys(result.suggestions)).toEqual(['dark_text']);
+    });
+
+    test('should only check the light palette otherwise', () => {
+      expect(ColorContrast.checkValues({}).pairs.some(pair => pair.id.startsWith('dark_'))).toBe(false);
+    });
+  });
+
+  describe('suggestColor', () => {
+    test('should keep the hue and only change lightness as much as needed', () => {
+      const suggestion = ColorContrast.suggestColor('#f093fb', '#ffffff', 4.5);
+
+      expect(ColorContrast.getContrastRatio(suggestion, '#ffffff')).toBeGreaterThanOrEqual(4.5);
+      expect(ColorContrast.getContrastRatio(suggestion, '#ffffff')).toBeLessThan(5);
+    });
+  });
+});
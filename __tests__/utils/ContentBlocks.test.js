@@ -0,0 +1,145 @@
+const ContentBlocks = require('../../utils/ContentBlocks');
+
+describe('ContentBlocks', () => {
+  describe('parse', () => {
+    test('should parse JSON arrays and single blocks', () => {
+      expect(ContentBlocks.parse('[{"type":"divider"}]')).toEqual([{ type: 'divider' }]);
+      expect(ContentBlocks.parse(' {"type":"spacer"}')).toEqual([{ type: 'spacer' }]);
+      expect(ContentBlocks.parse([{ type: 'divider' }])).toEqual([{ type: 'divider' }]);
+    });
+
+    test('should return null for HTML content', () => {
+      expect(ContentBlocks.parse('<p>Hello</p>')).toBeNull();
+      expect(ContentBlocks.parse('')).toBeNull();
+    });
+
+    test('should treat content that is not an array or a typed block as HTML', () => {
+      expect(ContentBlocks.parse('[{"type":')).toBeNull();
+      expect(ContentBlocks.parse('[Sale] Everything -20%')).toBeNull();
+      expect(ContentBlocks.parse('{{ store_name }} welcomes you')).toBeNull();
+      expect(ContentBlocks.parse('{"title":"Not a block"}')).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    test('should accept every documented block type', () => {
+      const blocks = [
+        { type: 'text', content: '<p>Hi</p>' },
+        { type: 'hero', title: 'Welcome', cta: 'Shop', cta_url: '/products.html' },
+        { type: 'features', items: [{ title: 'Fast', description: 'Quick' }] },
+        { type: 'image', src: 'https://cdn.example.com/a.jpg', alt: 'A' },
+        { type: 'image_text', image: '/a.jpg', content: '<p>Story</p>', image_position: 'right' },
+        { type: 'gallery', images: [{ src: '/a.jpg' }, { src: '/b.jpg' }], columns: 4 },
+        { type: 'faq', items: [{ question: 'Shipping?', answer: '<p>2 days</p>' }] },
+        { type: 'testimonials', items: [{ quote: 'Great', author: 'Alex', rating: 5 }] },
+        { type: 'cta', title: 'Questions?', button_text: 'Mail us', url: 'mailto:hi@example.com' },
+        { type: 'video', url: 'https://youtu.be/dQw4w9WgXcQ' },
+        { type: 'product_grid', handles: ['clip-pro'] },
+        { type: 'spacer', size: 'large' },
+        { type: 'divider' }
+      ];
+
+      expect(ContentBlocks.validate(blocks)).toEqual([]);
+    });
+
+    test('should report missing and invalid fields with their block', () => {
+      const errors = ContentBlocks.validate([
+        { type: 'hero' },
+        { type: 'cta', title: 'Go', button_text: 'Go', url: 'javascript:alert(1)' },
+        { type: 'gallery', images: [], columns: 9 },
+        { type: 'faq', items: [{ question: 'Why?' }] },
+        { type: 'video', url: 'https://example.com/video.mp4' },
+        { type: 'product_grid', handles: [] },
+        { type: 'carousel' }
+      ]);
+
+      expect(errors).toEqual([
+        'Block 1 (hero): title is required',
+        'Block 2 (cta): url must be an http(s), mailto:, tel: or relative URL',
+        'Block 3 (gallery): images must not be empty',
+        'Block 3 (gallery): columns must be between 2 and 6',
+        'Block 4 (faq): items[0]: answer is required',
+        'Block 5 (video): url must be a YouTube or Vimeo URL',
+        'Block 6 (product_grid): handles must be a non-empty array of product handles',
+        'Block 7: unknown block type "carousel"'
+      ]);
+    });
+
+    test('should require an array of blocks', () => {
+      expect(ContentBlocks.validate('text')).toEqual(['Content blocks must be an array']);
+    });
+  });
+
+  describe('isSafeUrl', () => {
+    test('should allow http(s), mailto:, tel: and relative URLs', () => {
+      expect(ContentBlocks.isSafeUrl('https://example.com')).toBe(true);
+      expect(ContentBlocks.isSafeUrl('mailto:hello@example.com')).toBe(true);
+      expect(ContentBlocks.isSafeUrl('/products.html')).toBe(true);
+    });
+
+    test('should reject schemes hidden by control characters', () => {
+      expect(ContentBlocks.isSafeUrl('java\nscript:alert(1)')).toBe(false);
+      expect(ContentBlocks.isSafeUrl('jav\tascript:alert(1)')).toBe(false);
+      expect(ContentBlocks.isSafeUrl('\u0001javascript:alert(1)')).toBe(false);
+      expect(ContentBlocks.isSafeUrl('/\\evil.example.com')).toBe(false);
+    });
+  });
+
+  describe('getVideoEmbedUrl', () => {
+    test('should build player URLs for YouTube and Vimeo', () => {
+      expect(ContentBlocks.getVideoEmbedUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+      expect(ContentBlocks.getVideoEmbedUrl('https://youtube.com/shorts/dQw4w9WgXcQ')).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+      expect(ContentBlocks.getVideoEmbedUrl('https://vimeo.com/76979871')).toBe('https://player.vimeo.com/video/76979871');
+      expect(ContentBlocks.getVideoEmbedUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('render', () => {
+    test('should link the hero CTA to its URL or the products page', () => {
+      expect(ContentBlocks.render({ type: 'hero', title: 'Hi', cta: 'Shop', cta_url: '/sale.html' })).toContain('href="/sale.html"');
+      expect(ContentBlocks.render({ type: 'hero', title: 'Hi', cta: 'Shop' }, { languagePath: '/fr' })).toContain('href="/fr/products.html"');
+    });
+
+    test('should escape text fields and drop unsafe URLs', () => {
+      const html = ContentBlocks.render({ type: 'cta', title: '<b>Sale</b>', button_text: 'Go', url: 'javascript:alert(1)' });
+
+      expect(html).toContain('&lt;b&gt;Sale&lt;/b&gt;');
+      expect(html).toContain('href="#"');
+    });
+
+    test('should render FAQ items as disclosure widgets', () => {
+      const html = ContentBlocks.render({ type: 'faq', items: [{ question: 'Returns?', answer: '<p>30 days</p>' }] });
+
+      expect(html).toContain('<summary>Returns?</summary>');
+      expect(html).toContain('<div class="faq-answer"><p>30 days</p></div>');
+    });
+
+    test('should render product grids in the order of their handles and skip unknown products', () => {
+      const html = ContentBlocks.render({ type: 'product_grid', handles: ['b', 'missing', 'a'] }, {
+        products: [{ handle: 'a' }, { handle: 'b' }],
+        renderProduct: product => `<card ${product.handle}>`
+      });
+
+      expect(html).toMatch(/<card b>\s*<card a>/);
+      expect(ContentBlocks.render({ type: 'product_grid', handles: ['missing'] }, { products: [] })).toBe('');
+    });
+
+    test('should embed videos without tracking cookies', () => {
+      expect(ContentBlocks.render({ type: 'video', url: 'https://youtu.be/dQw4w9WgXcQ', title: 'Demo' }))
+        .toContain('<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ" title="Demo"');
+    });
+  });
+
+  describe('getProductHandles', () => {
+    test('should collect the handles of every product grid', () => {
+      const content = JSON.stringify([
+        { type: 'product_grid', handles: ['a', 'b'] },
+        { type: 'text', content: '<p>x</p>' },
+        { type: 'product_grid', handles: ['c'] }
+      ]);
+
+      expect(ContentBlocks.getProductHandles(content)).toEqual(['a', 'b', 'c']);
+      expect(ContentBlocks.getProductHandles('<p>HTML</p>')).toEqual([]);
+    });
+  });
+});
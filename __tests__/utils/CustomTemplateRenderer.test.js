@@ -0,0 +1,114 @@
+const CustomTemplateRenderer = require('../../utils/CustomTemplateRenderer');
+const sectionRegistry = require('../../utils/SectionRegistry');
+
+// Section types offered by the admin-v2 template builder palette
+const builderSectionTypes = sectionRegistry.getDefinitions().map(section => section.type);
+
+describe('CustomTemplateRenderer', () => {
+  let renderer;
+  let mockStore;
+  let mockProduct;
+  let themeConfig;
+
+  beforeEach(() => {
+    renderer = new CustomTemplateRenderer();
+    mockStore = createMockStore({ name: 'Clipia', currency: 'EUR' });
+    mockProduct = {
+      handle: 'clip-pro',
+      title: 'Clip Pro',
+      variants: [{ id: 1, price: 29, compare_at_price: 39, available: true }],
+      images: [{ src: 'https://cdn.example.com/clip.jpg', alt: 'Clip Pro' }]
+    };
+    themeConfig = { primary: '#007cba', secondary: '#f8f9fa' };
+  });
+
+  describe('generateSectionHtml', () => {
+    const fieldData = {
+      template_FreeTextField_content: 'Handmade in Berlin',
+      template_ListSection_items: 'Durable\nLightweight'
+    };
+
+    test('should know the builder palette', () => {
+      expect(builderSectionTypes.length).toBeGreaterThan(15);
+    });
+
+    test.each(builderSectionTypes)('should render markup for builder section %s', (sectionType) => {
+      const html = renderer.generateSectionHtml(sectionType, mockProduct, mockStore, fieldData, themeConfig, 'section-1', {});
+
+      expect(html.trim()).not.toBe('');
+      expect(html).toMatch(/<\w+[^>]*class="/);
+    });
+
+    test('should take Bundles settings from field data', () => {
+      const html = renderer.generateSectionHtml('Bundles', mockProduct, mockStore, {
+        template_Bundles_bundle_title: 'Better together',
+        template_Bundles_discount_percentage: '20'
+      }, themeConfig, 'section-1', {});
+
+      expect(html).toContain('Better together');
+      expect(html).toContain('Save 20%');
+      expect(html).toContain('€46.40');
+    });
+
+    test('should format prices for the store locale with an optional currency symbol', () => {
+      const germanStore = createMockStore({ language: 'de', country: 'DE', currency: 'EUR' });
+
+      expect(renderer.generateSectionHtml('PricingSection', mockProduct, germanStore, {}, themeConfig, 'section-1', {}))
+        .toContain('>29,00\u00a0€</span>');
+      expect(renderer.generateSectionHtml('PricingSection', mockProduct, germanStore, {
+        template_PricingSection_currency_symbol: 'EUR'
+      }, themeConfig, 'section-1', {})).toContain('data-currency-symbol="EUR">29,00\u00a0EUR</span>');
+    });
+
+    test('should fall back to element settings when field data is empty', () => {
+      const html = renderer.generateSectionHtml('SocialProof', mockProduct, mockStore, {}, themeConfig, 'section-1', {
+        testimonial: 'Best clip I ever owned',
+        customer_name: 'Anna K.'
+      });
+
+      expect(html).toContain('Best clip I ever owned');
+      expect(html).toContain('Anna K.');
+    });
+
+    test('should derive the discount badge from compare-at price', () => {
+      const html = renderer.generateSectionHtml('DiscountBadge', mockProduct, mockStore, {}, themeConfig, 'section-1', {});
+      expect(html).toContain('SAVE 26%');
+    });
+
+    test('should ignore badge colours that are not hex values', () => {
+      const html = renderer.generateSectionHtml('DiscountBadge', mockProduct, mockStore, {
+        template_DiscountBadge_badge_color: 'red; background-image: url(x)'
+      }, themeConfig, 'section-1', {});
+
+      expect(html).not.toContain('style=');
+    });
+
+    test('should render the sales counter start value', () => {
+      const html = renderer.generateSectionHtml('SalesCounter', mockProduct, mockStore, {
+        template_SalesCounter_counter_start: 42
+      }, themeConfig, 'section-1', {});
+
+      expect(html).toContain('data-count="42"');
+      expect(html).toContain('people bought this today');
+    });
+
+    test('should hide the SSL line when disabled', () => {
+      const html = renderer.generateSectionHtml('SecureCheckout', mockProduct, mockStore, {
+        template_SecureCheckout_show_ssl: false
+      }, themeConfig, 'section-1', {});
+
+      expect(html).toContain('Secure Checkout');
+      expect(html).not.toContain('SSL');
+    });
+  });
+
+  describe('renderCustomProductTemplate', () => {
+    test('should include product JSON-LD in the page head', async () => {
+      const html = await renderer.renderCustomProductTemplate(mockStore, mockProduct, themeConfig, ['ProductTitle'], {}, { name: 'Default' });
+      const head = html.split('</head>')[0];
+
+      expect(head).toContain('<script type="application/ld+json">');
+      expect(head).toContain('"@type":"Product"');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const { DeploymentEvents } = require('../../utils/DeploymentEvents');
+
+describe('DeploymentEvents', () => {
+  let events;
+  let req;
+  let res;
+  let written;
+
+  const sent = () => written
+    .filter(chunk => chunk.startsWith('id: '))
+    .map(chunk => JSON.parse(chunk.split('\ndata: ')[1]));
+
+  beforeEach(() => {
+    events = new DeploymentEvents();
+    written = [];
+
+    req = new EventEmitter();
+    req.headers = {};
+    req.query = {};
+
+    res = {
+      writeHead: jest.fn(),
+      write: jest.fn().mockImplementation(chunk => written.push(chunk)),
+      end: jest.fn()
+    };
+  });
+
+  test('should give every event of a deployment an increasing id', () => {
+    const progressCallback = events.createProgressCallback('deploy_1');
+    progressCallback({ step: 'generate', status: 'started' });
+    progressCallback({ step: 'generate', status: 'completed', durationMs: 12 });
+    events.publish('deploy_2', { type: 'progress', message: 'Other deployment' });
+
+    expect(events.getEvents('deploy_1')).toEqual([
+      expect.objectContaining({ id: 1, type: 'step', step: 'generate', status: 'started' }),
+      expect.objectContaining({ id: 2, type: 'step', step: 'generate', status: 'completed', durationMs: 12 })
+    ]);
+    expect(events.getEvents('deploy_1', 1).map(event => event.id)).toEqual([2]);
+    expect(events.getEvents('deploy_2')[0].id).toBe(1);
+  });
+
+  test('should replay the events after Last-Event-ID, then stream new ones until the deployment finishes', () => {
+    events.publish('deploy_1', { type: 'step', step: 'generate', status: 'started' });
+    events.publish('deploy_1', { type: 'step', step: 'generate', status: 'completed', durationMs: 5 });
+    req.headers['last-event-id'] = '1';
+
+    events.stream(req, res, 'deploy_1');
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(written[0]).toMatch(/^retry: 3000\ndata: .*"connected"/);
+    expect(sent().map(event => event.id)).toEqual([2]);
+
+    events.publish('deploy_1', { type: 'step', step: 'commit', status: 'failed', error: 'git push rejected' });
+    events.publish('deploy_1', { type: 'error', error: 'git push rejected' });
+
+    expect(written[written.length - 2]).toMatch(/^id: 3\n/);
+    expect(sent().map(event => event.type)).toEqual(['step', 'step', 'error']);
+    expect(res.end).toHaveBeenCalledTimes(1);
+
+    events.publish('deploy_1', { type: 'progress', message: 'After the end' });
+    expect(sent()).toHaveLength(3);
+    expect(events.emitter.listenerCount('deploy_1')).toBe(0);
+  });
+
+  test('should end the response right away when the deployment already finished', () => {
+    events.publish('deploy_1', { type: 'step', step: 'verify', status: 'completed', durationMs: 40 });
+    events.publish('deploy_1', { type: 'complete', durationMs: 900 });
+    req.query.lastEventId = '0';
+
+    events.stream(req, res, 'deploy_1');
+
+    expect(sent().map(event => event.type)).toEqual(['step', 'complete']);
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(events.isFinished('deploy_1')).toBe(true);
+    expect(events.emitter.listenerCount('deploy_1')).toBe(0);
+  });
+
+  test('should relay the events of a job until it finishes', () => {
+    events.publish('job-4', { type: 'progress', step: 'queued', jobId: 4 });
+    const stop = events.relay('job-4', 'deploy_1', { automationActive: true });
+
+    events.publish('job-4', { type: 'step', step: 'generate', status: 'started', jobId: 4 });
+    events.publish('job-4', { type: 'complete', jobId: 4 });
+    events.publish('job-4', { type: 'step', step: 'late', status: 'started' });
+
+    expect(events.getEvents('deploy_1')).toEqual([
+      expect.objectContaining({ id: 1, type: 'progress', step: 'queued', automationActive: true }),
+      expect.objectContaining({ id: 2, type: 'step', step: 'generate', automationActive: true })
+    ]);
+    expect(events.emitter.listenerCount('job-4')).toBe(0);
+    stop();
+  });
+
+  test('should stop sending events when the client disconnects', () => {
+    events.stream(req, res, 'deploy_1');
+    req.emit('close');
+
+    events.publish('deploy_1', { type: 'step', step: 'upload', status: 'started' });
+
+    expect(sent()).toEqual([]);
+    expect(events.emitter.listenerCount('deploy_1')).toBe(0);
+    expect(events.has('deploy_1')).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeploymentHistory = require('../../utils/DeploymentHistory');
+const DeploymentAutomation = require('../../utils/DeploymentAutomation');
+const db = require('../../database/db');
+
+jest.mock('../../database/db');
+
+describe('DeploymentHistory', () => {
+  let tempPath;
+  let rows;
+  let store;
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-history-'));
+    fs.mkdirSync(path.join(tempPath, 'assets'));
+    fs.writeFileSync(path.join(tempPath, 'index.html'), '<html><body>Home</body></html>');
+    fs.writeFileSync(path.join(tempPath, 'assets', 'style.css'), 'body { color: red; }');
+
+    store = { id: 1, name: 'Clipia', getStorePath: () => tempPath };
+    rows = [];
+
+    db.run = jest.fn().mockImplementation((sql, params) => {
+      if (sql.includes('INSERT INTO deployments')) {
+        const [storeId, jobId, trigger, provider, startedAt] = params;
+        rows.push({ id: rows.length + 1, store_id: storeId, job_id: jobId, trigger, provider, status: 'running', started_at: startedAt });
+        return Promise.resolve({ id: rows.length, changes: 1 });
+      }
+      if (sql.includes('SET status = ?, finished_at')) {
+        const [status, finishedAt, durationMs, result, error, logs, manifest, manifestHash, fileCount, totalBytes, id] = params;
+        Object.assign(rows[id - 1], {
+          status, finished_at: finishedAt, duration_ms: durationMs, result, error, logs,
+          manifest, manifest_hash: manifestHash, file_count: fileCount, total_bytes: totalBytes
+        });
+      }
+      return Promise.resolve({ changes: 0 });
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  test('should record a successful run with its step logs and deployed files', async () => {
+    const result = await DeploymentHistory.record(store, { trigger: 'bulk', provider: 'local', jobId: 7 }, async (progressCallback) => {
+      await new DeploymentAutomation().runStep('upload', async (logger) => {
+        logger.log('📤 Uploading 2 files');
+      }, progressCallback);
+      return { success: true, url: 'https://clipia.se' };
+    });
+
+    expect(result).toEqual({ success: true, url: 'https://clipia.se' });
+    expect(rows[0]).toMatchObject({ store_id: 1, job_id: 7, trigger: 'bulk', provider: 'local', status: 'succeeded', error: null, file_count: 2 });
+    expect(db.run).toHaveBeenCalledWith(expect.stringContaining('WHERE job_id = ?'), [expect.any(String), expect.any(String), 7]);
+
+    const logs = JSON.parse(rows[0].logs);
+    expect(logs.map(entry => entry.message)).toEqual([
+      'Step upload started',
+      '📤 Uploading 2 files',
+      expect.stringMatching(/^Step upload completed in \d+ms$/)
+    ]);
+    expect(logs[1]).toMatchObject({ level: 'info', step: 'upload' });
+
+    const manifest = JSON.parse(rows[0].manifest);
+    expect(manifest.map(file => file.path)).toEqual(['assets/style.css', 'index.html']);
+    expect(rows[0].manifest_hash).toBe(DeploymentHistory.buildManifest(tempPath).hash);
+  });
+
+  test('should record the error of a failed run and rethrow it', async () => {
+    const run = async (progressCallback) => {
+      await new DeploymentAutomation({ logger: progressCallback.logger }).runStep('activate', async () => {
+        progressCallback.logger.error('❌ Vercel CLI exited with code 1');
+        throw new Error('Vercel CLI failed');
+      }, progressCallback);
+    };
+
+    await expect(DeploymentHistory.record(store, { trigger: 'nightly', provider: 'vercel' }, run)).rejects.toThrow('Vercel CLI failed');
+
+    expect(rows[0]).toMatchObject({ trigger: 'manual', status: 'failed', error: 'Vercel CLI failed' });
+    const logs = JSON.parse(rows[0].logs);
+    expect(logs[1]).toMatchObject({ level: 'error', step: 'activate', message: '❌ Vercel CLI exited with code 1' });
+    expect(logs[2]).toMatchObject({ level: 'error', event: 'failed', message: expect.stringContaining(': Vercel CLI failed') });
+  });
+
+  test('should keep the logs of concurrent runs apart', async () => {
+    const originalLog = console.log;
+    const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+    const run = name => async ({ logger }) => {
+      logger.log(`${name} 1`);
+      await wait();
+      console.log(`${name} outside the log`);
+      logger.log(`${name} 2`);
+      return { success: true };
+    };
+
+    await Promise.all([
+      DeploymentHistory.record(store, { provider: 'local' }, run('first')),
+      DeploymentHistory.record({ ...store, id: 2 }, { provider: 'local' }, run('second'))
+    ]);
+
+    expect(JSON.parse(rows[0].logs).map(entry => entry.message)).toEqual(['first 1', 'first 2']);
+    expect(JSON.parse(rows[1].logs).map(entry => entry.message)).toEqual(['second 1', 'second 2']);
+    expect(console.log).toBe(originalLog);
+  });
+
+  test('should list the files changed since the previous successful deployment', async () => {
+    const previous = DeploymentHistory.buildManifest(tempPath);
+    fs.writeFileSync(path.join(tempPath, 'index.html'), '<html><body>New home</body></html>');
+    fs.rmSync(path.join(tempPath, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(tempPath, 'about.html'), '<html><body>About</body></html>');
+    const current = DeploymentHistory.buildManifest(tempPath);
+
+    expect(current.hash).not.toBe(previous.hash);
+
+    db.get = jest.fn()
+      .mockResolvedValueOnce({ id: 5, store_id: 1, status: 'succeeded', result: '{"success":true}', logs: '[]', manifest: JSON.stringify(current.files) })
+      .mockResolvedValueOnce({ id: 3, manifest: JSON.stringify(previous.files) });
+
+    const deployment = await DeploymentHistory.findById(1, 5);
+
+    expect(deployment.result).toEqual({ success: true });
+    expect(deployment.changes).toEqual({
+      since_deployment_id: 3,
+      added: ['about.html'],
+      removed: ['assets/style.css'],
+      changed: ['index.html']
+    });
+  });
+});
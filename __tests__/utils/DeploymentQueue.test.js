@@ -0,0 +1,165 @@
+const { DeploymentQueue } = require('../../utils/DeploymentQueue');
+const deploymentEvents = require('../../utils/DeploymentEvents');
+const db = require('../../database/db');
+
+jest.mock('../../database/db');
+
+describe('DeploymentQueue', () => {
+  let jobs;
+  let queue;
+
+  const createJob = (job) => {
+    const row = { id: jobs.length + 1, store_id: 1, options: '{}', status: 'queued', attempts: 0, max_attempts: 3, run_at: new Date(0).toISOString(), ...job };
+    jobs.push(row);
+    return row;
+  };
+
+  const copy = row => row && { ...row };
+
+  const waitFor = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  const eventTypes = jobId => deploymentEvents.getEvents(`job-${jobId}`).map(event => event.type);
+
+  beforeEach(() => {
+    jobs = [];
+    deploymentEvents.streams.clear();
+
+    // The deployment_jobs queries of the queue, on an array
+    db.get = jest.fn().mockImplementation((sql, params) => {
+      if (sql.includes('options = ?')) {
+        return Promise.resolve(copy(jobs.find(job => job.store_id === params[0] && job.status === 'queued' && job.options === params[1])));
+      }
+      if (sql.includes("status IN ('queued', 'running')")) {
+        return Promise.resolve(copy(jobs.find(job => job.store_id === params[0] && ['queued', 'running'].includes(job.status))));
+      }
+      if (sql.includes('run_at <= ?')) {
+        const running = jobs.filter(job => job.status === 'running').map(job => job.store_id);
+        return Promise.resolve(copy(jobs.find(job => job.status === 'queued' && job.run_at <= params[0] && !running.includes(job.store_id))));
+      }
+      return Promise.resolve(copy(jobs.find(job => job.id === params[0])));
+    });
+
+    db.all = jest.fn().mockImplementation((sql, params) => {
+      if (sql.includes('lease_expires_at < ?')) {
+        return Promise.resolve(jobs.filter(job => job.status === 'running' && job.lease_expires_at < params[0]).map(copy));
+      }
+      return Promise.resolve([]);
+    });
+
+    db.run = jest.fn().mockImplementation((sql, params = []) => {
+      if (sql.includes('INSERT INTO deployment_jobs')) {
+        const job = createJob({ store_id: params[0], options: params[1], max_attempts: params[2], run_at: params[3] });
+        return Promise.resolve({ id: job.id, changes: 1 });
+      }
+
+      const job = jobs.find(row => row.id === params[params.length - 1]);
+      if (sql.includes("status = 'running', attempts")) {
+        if (job.status !== 'queued') return Promise.resolve({ changes: 0 });
+        Object.assign(job, { status: 'running', attempts: job.attempts + 1, locked_by: params[0], lease_expires_at: params[1] });
+      } else if (sql.includes("status = 'succeeded'")) {
+        Object.assign(job, { status: 'succeeded', result: params[0] });
+      } else if (sql.includes("status = 'queued', run_at")) {
+        Object.assign(job, { status: 'queued', run_at: params[0], last_error: params[1] });
+      } else if (sql.includes("SET status = 'failed'")) {
+        Object.assign(job, { status: 'failed', last_error: params[0] });
+      }
+      return Promise.resolve({ changes: 1 });
+    });
+
+    queue = new DeploymentQueue({ retryDelayMs: 20, pollMs: 60000 });
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  test('should persist a job, return its id right away and publish its result', async () => {
+    const result = { success: true, url: 'https://clipia.se' };
+    const handler = jest.fn().mockResolvedValue(result);
+    queue.setHandler(handler);
+
+    const jobId = await queue.enqueue(1, { force: true });
+
+    expect(jobId).toBe(1);
+    expect(jobs[0].options).toBe(JSON.stringify({ force: true }));
+
+    await waitFor(() => jobs[0].status === 'succeeded');
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 1, attempts: 1 }), { force: true });
+    expect(jobs[0]).toMatchObject({ attempts: 1, result: JSON.stringify(result) });
+    expect(eventTypes(1)).toEqual(['progress', 'progress', 'complete']);
+    expect(deploymentEvents.getEvents('job-1')[2]).toMatchObject({ jobId: 1, result });
+  });
+
+  test('should wait for a job to finish', async () => {
+    queue.setHandler(jest.fn().mockResolvedValue({ success: true }));
+
+    const jobId = await queue.enqueue(1);
+    const job = await queue.waitForJob(jobId);
+
+    expect(job).toMatchObject({ id: jobId, status: 'succeeded' });
+    expect(await queue.waitForJob(99)).toBeNull();
+  });
+
+  test('should join a queued job with the same options', async () => {
+    createJob({ store_id: 1, options: JSON.stringify({ force: true }), run_at: new Date(Date.now() + 60000).toISOString() });
+    queue.setHandler(jest.fn());
+
+    const jobId = await queue.enqueue(1, { force: true });
+
+    expect(jobId).toBe(1);
+    expect(jobs).toHaveLength(1);
+  });
+
+  test('should retry with exponential backoff and fail after the last attempt', async () => {
+    queue.maxAttempts = 2;
+    const handler = jest.fn().mockRejectedValue(new Error('Vercel CLI failed'));
+    queue.setHandler(handler);
+
+    const started = Date.now();
+    const jobId = await queue.enqueue(1);
+    await waitFor(() => jobs[0].status === 'failed');
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(eventTypes(jobId)).toEqual(['progress', 'progress', 'warning', 'progress', 'error']);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(20);
+    expect(jobs[0]).toMatchObject({ status: 'failed', attempts: 2, last_error: 'Vercel CLI failed' });
+    expect(db.run).toHaveBeenCalledWith(expect.stringContaining("UPDATE stores SET deployment_status = 'failed'"), [1]);
+  });
+
+  test('should not retry errors that are not retryable', async () => {
+    const error = new Error('Store 1 no longer exists');
+    error.retryable = false;
+    queue.setHandler(jest.fn().mockRejectedValue(error));
+
+    await queue.enqueue(1);
+    await waitFor(() => jobs[0].status === 'failed');
+
+    expect(jobs[0]).toMatchObject({ attempts: 1, last_error: 'Store 1 no longer exists' });
+    expect(deploymentEvents.getEvents('job-1').pop()).toMatchObject({ type: 'error', error: 'Store 1 no longer exists' });
+  });
+
+  test('should find the queued or running job of a store', async () => {
+    createJob({ status: 'succeeded' });
+    createJob({ status: 'running' });
+    createJob({ store_id: 2, status: 'failed' });
+
+    expect(await queue.getActiveJob(1)).toMatchObject({ id: 2, status: 'running' });
+    expect(await queue.getActiveJob(2)).toBeUndefined();
+  });
+
+  test('should recover jobs of a stopped worker on start', async () => {
+    createJob({ status: 'running', attempts: 1, locked_by: 'old-worker', lease_expires_at: new Date(Date.now() - 1000).toISOString() });
+    createJob({ store_id: 2, status: 'running', attempts: 1, locked_by: 'live-worker', lease_expires_at: new Date(Date.now() + 60000).toISOString() });
+    queue.setHandler(jest.fn().mockReturnValue(new Promise(() => {})));
+
+    await queue.start();
+
+    expect(jobs[0]).toMatchObject({ status: 'queued', last_error: expect.stringContaining('interrupted') });
+    expect(jobs[1]).toMatchObject({ status: 'running', locked_by: 'live-worker' });
+    expect(db.run).toHaveBeenCalledWith(expect.stringContaining("WHERE deployment_status = 'deploying'"));
+  });
+});
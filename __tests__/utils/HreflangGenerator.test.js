@@ -0,0 +1,140 @@
+const HreflangGenerator = require('../../utils/HreflangGenerator');
+const db = require('../../database/db');
+
+describe('HreflangGenerator', () => {
+  let generator;
+  let germanStore;
+  let finnishStore;
+  let swedishStore;
+  let members;
+
+  beforeEach(() => {
+    generator = new HreflangGenerator();
+    germanStore = createMockStore({ id: 1, domain: 'clipia.de', language: 'de', country: 'DE', brand_group: 'clipia', shopify_domain: 'clipia.myshopify.com' });
+    finnishStore = createMockStore({ id: 2, domain: 'clipia.fi', language: 'fi', country: 'FI', brand_group: 'clipia', shopify_domain: 'clipia.myshopify.com' });
+    swedishStore = createMockStore({ id: 3, domain: 'clipia.se', language: 'se', country: 'SE', brand_group: 'clipia', shopify_domain: 'other.myshopify.com' });
+
+    members = [
+      { store: germanStore, pages: [
+        createMockPage({ page_type: 'home', slug: '' }),
+        createMockPage({ page_type: 'privacy', slug: 'datenschutzerklaerung' }),
+        createMockPage({ page_type: 'about', slug: 'ueber-uns' })
+      ] },
+      { store: finnishStore, pages: [
+        createMockPage({ page_type: 'home', slug: '' }),
+        createMockPage({ page_type: 'privacy', slug: null }),
+        createMockPage({ page_type: 'about', slug: 'meista', is_enabled: 0 })
+      ] },
+      { store: swedishStore, pages: [] }
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('page alternates', () => {
+    test('should link localized legal pages across the group', () => {
+      const links = generator.createAlternates(germanStore, members).forPage({ page_type: 'privacy' });
+
+      expect(links.split('\n').map(line => line.trim())).toEqual([
+        '<link rel="alternate" hreflang="de-DE" href="https://clipia.de/datenschutzerklaerung.html">',
+        '<link rel="alternate" hreflang="fi-FI" href="https://clipia.fi/tietosuojaseloste.html">',
+        '<link rel="alternate" hreflang="sv-SE" href="https://clipia.se/integritetspolicy.html">',
+        '<link rel="alternate" hreflang="x-default" href="https://clipia.de/datenschutzerklaerung.html">'
+      ]);
+    });
+
+    test('should leave out stores where the page is disabled', () => {
+      const links = generator.createAlternates(germanStore, members).forPage({ page_type: 'about' });
+
+      expect(links).toContain('https://clipia.de/ueber-uns.html');
+      expect(links).not.toContain('clipia.fi');
+      expect(links).toContain('https://clipia.se/about.html');
+    });
+
+    test('should use the English store as x-default', () => {
+      const englishStore = createMockStore({ id: 4, domain: 'clipia.co.uk', language: 'en', country: 'GB' });
+      members.push({ store: englishStore, pages: [] });
+
+      const links = generator.createAlternates(germanStore, members).forPage({ page_type: 'home' });
+      expect(links).toContain('<link rel="alternate" hreflang="x-default" href="https://clipia.co.uk/">');
+    });
+
+    test('should emit nothing for stores without sisters', () => {
+      const alternates = generator.createAlternates(germanStore, [members[0]]);
+      expect(alternates.forPage({ page_type: 'home' })).toBe('');
+    });
+  });
+
+  describe('product alternates', () => {
+    test('should only link stores selling from the same Shopify shop', () => {
+      const links = generator.createAlternates(germanStore, members).forProduct('clip-pro');
+
+      expect(links).toContain('hreflang="de-DE" href="https://clipia.de/products/clip-pro.html"');
+      expect(links).toContain('hreflang="fi-FI" href="https://clipia.fi/products/clip-pro.html"');
+      expect(links).not.toContain('clipia.se');
+    });
+
+    test('should respect product selections in sister stores', () => {
+      finnishStore.selected_products = JSON.stringify(['clip-mini']);
+      const links = generator.createAlternates(germanStore, members).forProduct('clip-pro');
+
+      expect(links).toBe('');
+    });
+  });
+
+  describe('loadGroup', () => {
+    test('should not query sisters for stores without a brand group', async () => {
+      const spy = jest.spyOn(db, 'all');
+      germanStore.brand_group = null;
+
+      const group = await generator.loadGroup(germanStore, members[0].pages);
+
+      expect(group).toEqual([{ store: germanStore, pages: members[0].pages }]);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should use the pages being generated for the current store', async () => {
+      jest.spyOn(db, 'all')
+        .mockResolvedValueOnce([{ id: 1, domain: 'clipia.de' }, { id: 2, domain: 'clipia.fi', language: 'fi' }])
+        .mockResolvedValueOnce([{ page_type: 'home', slug: '', is_enabled: 1 }]);
+
+      const group = await generator.loadGroup(germanStore, members[0].pages);
+
+      expect(group).toHaveLength(2);
+      expect(group[0]).toEqual({ store: germanStore, pages: members[0].pages });
+      expect(group[1].pages).toEqual([{ page_type: 'home', slug: '', is_enabled: 1 }]);
+    });
+
+    test('should add the additional languages of a store as members under /<code>/', async () => {
+      germanStore.brand_group = null;
+      germanStore.languages = JSON.stringify(['fr']);
+      const frenchPages = [createMockPage({ page_type: 'home', slug: '' }), createMockPage({ page_type: 'privacy', slug: 'politique-de-confidentialite' })];
+
+      const group = await generator.loadGroup(germanStore, members[0].pages, { fr: frenchPages });
+      const links = generator.createAlternates(germanStore, group).forPage({ page_type: 'privacy' });
+
+      expect(group).toHaveLength(2);
+      expect(links).toContain('hreflang="de-DE" href="https://clipia.de/datenschutzerklaerung.html"');
+      expect(links).toContain('hreflang="fr-DE" href="https://clipia.de/fr/politique-de-confidentialite.html"');
+      expect(generator.createAlternates(germanStore, group).forProduct('clip-pro'))
+        .toContain('hreflang="fr-DE" href="https://clipia.de/fr/products/clip-pro.html"');
+    });
+
+    test('should split sister store pages by language', async () => {
+      jest.spyOn(db, 'all')
+        .mockResolvedValueOnce([{ id: 1, domain: 'clipia.de' }, { id: 2, domain: 'clipia.fi', language: 'fi', languages: '["se"]' }])
+        .mockResolvedValueOnce([
+          { page_type: 'home', slug: '', is_enabled: 1, language: '' },
+          { page_type: 'home', slug: '', is_enabled: 1, language: 'se' }
+        ]);
+
+      const group = await generator.loadGroup(germanStore, members[0].pages);
+
+      expect(group).toHaveLength(3);
+      expect(group[1].pages).toEqual([{ page_type: 'home', slug: '', is_enabled: 1, language: '' }]);
+      expect(group[2]).toMatchObject({ prefix: '/sv', store: { domain: 'clipia.fi', language: 'se' } });
+    });
+  });
+});
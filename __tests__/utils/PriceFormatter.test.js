@@ -0,0 +1,59 @@
+const PriceFormatter = require('../../utils/PriceFormatter');
+
+describe('PriceFormatter', () => {
+  const nbsp = '\u00a0';
+
+  describe('format', () => {
+    test('should format prices for the store language and country', () => {
+      expect(new PriceFormatter(createMockStore({ language: 'de', country: 'DE', currency: 'EUR' })).format(29)).toBe(`29,00${nbsp}€`);
+      expect(new PriceFormatter(createMockStore({ language: 'fi', country: 'FI', currency: 'EUR' })).format(1234.5)).toBe(`1${nbsp}234,50${nbsp}€`);
+      expect(new PriceFormatter(createMockStore({ language: 'en', country: 'US', currency: 'USD' })).format(29)).toBe('$29.00');
+    });
+
+    test('should map store language codes to locales', () => {
+      const formatter = new PriceFormatter(createMockStore({ language: 'se', country: 'SE', currency: 'SEK' }));
+
+      expect(formatter.locale).toBe('sv-SE');
+      expect(formatter.format(29)).toBe(`29,00${nbsp}kr`);
+    });
+
+    test('should replace the currency sign with an override and keep the locale format', () => {
+      const formatter = new PriceFormatter(createMockStore({ language: 'de', country: 'DE', currency: 'EUR' }));
+      expect(formatter.format(1299.9, { currencySymbol: 'EUR' })).toBe(`1.299,90${nbsp}EUR`);
+    });
+
+    test('should fall back to the amount and code for unknown currencies', () => {
+      const formatter = new PriceFormatter(createMockStore({ language: 'en', country: 'US', currency: 'POINTS' }));
+      expect(formatter.format(10)).toBe('10.00 POINTS');
+    });
+
+    test('should fall back to English for unsupported locales', () => {
+      expect(PriceFormatter.resolveLocale('xx-!!')).toBe('en');
+      expect(PriceFormatter.resolveLocale(null)).toBe('en');
+    });
+  });
+
+  describe('formatNumber', () => {
+    test('should use the locale grouping separator', () => {
+      expect(new PriceFormatter(createMockStore({ language: 'de', country: 'DE' })).formatNumber(12345)).toBe('12.345');
+    });
+  });
+
+  describe('getScript', () => {
+    test('should format prices in the browser like the server does', () => {
+      const formatPrice = new Function(`${PriceFormatter.getScript()}; return formatPrice;`)();
+      const stores = [
+        { language: 'de', country: 'DE', currency: 'EUR' },
+        { language: 'se', country: 'SE', currency: 'SEK' },
+        { language: 'en', country: 'US', currency: 'USD' },
+        { language: 'en', country: 'US', currency: 'POINTS' }
+      ];
+
+      for (const store of stores) {
+        const formatter = new PriceFormatter(createMockStore(store));
+        expect(formatPrice(1299.9, formatter.getClientConfig())).toBe(formatter.format(1299.9));
+        expect(formatPrice(5, formatter.getClientConfig(), '$')).toBe(formatter.format(5, { currencySymbol: '$' }));
+      }
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const RenderPool = require('../../utils/RenderPool');
+const TemplateRenderer = require('../../utils/TemplateRenderer');
+
+describe('RenderPool', () => {
+  const originalConcurrency = process.env.RENDER_CONCURRENCY;
+  let pool;
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.close();
+      pool = null;
+    }
+
+    if (originalConcurrency === undefined) {
+      delete process.env.RENDER_CONCURRENCY;
+    } else {
+      process.env.RENDER_CONCURRENCY = originalConcurrency;
+    }
+  });
+
+  describe('resolveConcurrency', () => {
+    test('should prefer the option over the environment', () => {
+      process.env.RENDER_CONCURRENCY = '3';
+
+      expect(RenderPool.resolveConcurrency(2)).toBe(2);
+      expect(RenderPool.resolveConcurrency(undefined)).toBe(3);
+    });
+
+    test('should fall back to the default for invalid values', () => {
+      delete process.env.RENDER_CONCURRENCY;
+
+      expect(RenderPool.resolveConcurrency('lots')).toBe(RenderPool.getDefaultConcurrency());
+      expect(RenderPool.resolveConcurrency(-1)).toBe(RenderPool.getDefaultConcurrency());
+      expect(RenderPool.getDefaultConcurrency()).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should cap the number of workers', () => {
+      expect(RenderPool.resolveConcurrency(500)).toBe(16);
+    });
+  });
+
+  describe('inline rendering', () => {
+    test('should render on the main thread with concurrency 0', async () => {
+      pool = new RenderPool({ concurrency: 0 });
+
+      await expect(pool.render('<h1>{{title}}</h1>{{{html}}}', { title: 'A & B', html: '<p>x</p>' }))
+        .resolves.toBe('<h1>A &amp; B</h1><p>x</p>');
+      expect(pool.workers).toHaveLength(0);
+    });
+  });
+
+  describe('worker rendering', () => {
+    test('should render jobs concurrently on a bounded number of workers', async () => {
+      pool = new RenderPool({ concurrency: 2 });
+
+      const jobs = Array.from({ length: 6 }, (_, index) => pool.render('<p>{{index}}</p>', { index }));
+      const html = await Promise.all(jobs);
+
+      expect(html).toEqual(['<p>0</p>', '<p>1</p>', '<p>2</p>', '<p>3</p>', '<p>4</p>', '<p>5</p>']);
+      expect(pool.workers.length).toBeLessThanOrEqual(2);
+    });
+
+    test('should reject the failing job and keep rendering the rest', async () => {
+      pool = new RenderPool({ concurrency: 1 });
+
+      const failing = pool.render('{{#if}}', {});
+      const next = pool.render('<p>{{name}}</p>', { name: 'ok' });
+
+      await expect(failing).rejects.toThrow();
+      await expect(next).resolves.toBe('<p>ok</p>');
+    });
+
+    test('should reject jobs after the pool is closed', async () => {
+      pool = new RenderPool({ concurrency: 1 });
+      await pool.close();
+
+      await expect(pool.render('<p></p>', {})).rejects.toThrow('Render pool is closed');
+    });
+  });
+
+  describe('TemplateRenderer.runConcurrently', () => {
+    test('should keep results in item order with a bounded number in flight', async () => {
+      const renderer = new TemplateRenderer();
+      renderer.renderPool = pool = new RenderPool({ concurrency: 2 });
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const results = await renderer.runConcurrently([30, 10, 20, 5, 15], async (delay) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return delay;
+      });
+
+      expect(results).toEqual([30, 10, 20, 5, 15]);
+      expect(maxInFlight).toBe(4);
+    });
+
+    test('should run one at a time when rendering inline', async () => {
+      const renderer = new TemplateRenderer();
+      renderer.renderPool = pool = new RenderPool({ concurrency: 0 });
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      await renderer.runConcurrently([1, 2, 3], async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await Promise.resolve();
+        inFlight--;
+      });
+
+      expect(maxInFlight).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const sectionRegistry = require('../../utils/SectionRegistry');
+const { SectionRegistry } = require('../../utils/SectionRegistry');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('SectionRegistry', () => {
+  const customSection = {
+    type: 'CustomBanner',
+    name: 'Custom Banner',
+    area: 'header',
+    settings: [
+      { name: 'headline', label: 'Headline', type: 'text' },
+      { name: 'visible', label: 'Visible', type: 'checkbox' },
+      { name: 'size', label: 'Size', type: 'number' }
+    ],
+    defaults: { headline: 'Hello', visible: true, size: 2 },
+    render: ({ settings, product }) => settings.visible ? `<div class="custom-banner">${settings.headline} ${product.title}</div>` : ''
+  };
+
+  describe('built-in sections', () => {
+    test('should load every module in utils/sections', () => {
+      const moduleCount = fs.readdirSync(path.join(__dirname, '..', '..', 'utils', 'sections'))
+        .filter(file => file.endsWith('.js')).length;
+
+      expect(sectionRegistry.getAll()).toHaveLength(moduleCount);
+      expect(sectionRegistry.has('Bundles')).toBe(true);
+    });
+
+    test('should give every section a palette entry and area', () => {
+      sectionRegistry.getDefinitions().forEach(section => {
+        expect(section.name).toBeTruthy();
+        expect(section.icon).toBeTruthy();
+        expect(['header', 'image', 'content', 'footer']).toContain(section.area);
+        expect(section.render).toBeUndefined();
+      });
+    });
+
+    test('should let the variant picker of the add to cart button be turned off', () => {
+      expect(sectionRegistry.resolveSettings('ATCButton').show_variant_picker).toBe(true);
+      expect(sectionRegistry.resolveSettings('ATCButton', { template_ATCButton_show_variant_picker: '' }).show_variant_picker).toBe(false);
+    });
+  });
+
+  describe('drop-in modules', () => {
+    let sectionsPath;
+
+    beforeEach(() => {
+      sectionsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sections-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(sectionsPath, { recursive: true, force: true });
+    });
+
+    test('should register section modules found in the directory', () => {
+      fs.writeFileSync(path.join(sectionsPath, 'Hello.js'), `module.exports = {
+        type: 'Hello',
+        name: 'Hello',
+        render: () => '<p class="hello">Hi</p>'
+      };`);
+      fs.writeFileSync(path.join(sectionsPath, 'Broken.js'), 'module.exports = { type: "Broken" };');
+
+      const registry = new SectionRegistry({ sectionsPath });
+
+      expect(registry.getAll().map(section => section.type)).toEqual(['Hello']);
+      expect(registry.get('Hello').area).toBe('content');
+      expect(registry.render('Hello', {})).toBe('<p class="hello">Hi</p>');
+    });
+  });
+
+  describe('register', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new SectionRegistry({ sectionsPath: path.join(os.tmpdir(), 'no-such-sections-dir') });
+    });
+
+    test('should reject definitions without a render function', () => {
+      expect(() => registry.register({ type: 'NoRender' })).toThrow('must define a render function');
+    });
+
+    test('should reject unknown areas and setting types', () => {
+      expect(() => registry.register({ ...customSection, area: 'sidebar' })).toThrow('unknown area');
+      expect(() => registry.register({ ...customSection, settings: [{ name: 'x', type: 'slider' }] })).toThrow('unknown type');
+    });
+
+    test('should resolve settings from field data, then element settings, then defaults', () => {
+      registry.register(customSection);
+
+      expect(registry.resolveSettings('CustomBanner', {}, {})).toEqual({ headline: 'Hello', visible: true, size: 2 });
+      expect(registry.resolveSettings('CustomBanner', {}, { headline: 'From element' }).headline).toBe('From element');
+      expect(registry.resolveSettings('CustomBanner', {
+        template_CustomBanner_headline: 'From product',
+        template_CustomBanner_visible: 'false',
+        template_CustomBanner_size: '5'
+      }, { headline: 'From element' })).toEqual({ headline: 'From product', visible: false, size: 5 });
+    });
+
+    test('should keep checkboxes that default to true turned off when stored unchecked', () => {
+      registry.register(customSection);
+
+      expect(registry.resolveSettings('CustomBanner', { template_CustomBanner_visible: false }).visible).toBe(false);
+      expect(registry.resolveSettings('CustomBanner', { template_CustomBanner_visible: '' }).visible).toBe(false);
+      expect(registry.resolveSettings('CustomBanner', {}, { visible: '0' }).visible).toBe(false);
+      expect(registry.resolveSettings('CustomBanner', {}, {}).visible).toBe(true);
+    });
+
+    test('should fall back to the default for invalid numbers', () => {
+      registry.register(customSection);
+      expect(registry.resolveSettings('CustomBanner', { template_CustomBanner_size: 'big' }).size).toBe(2);
+    });
+
+    test('should render registered sections with resolved settings', () => {
+      registry.register(customSection);
+      const html = registry.render('CustomBanner', { product: { title: 'Clip Pro' } }, { template_CustomBanner_headline: 'New' });
+
+      expect(html).toBe('<div class="custom-banner">New Clip Pro</div>');
+    });
+
+    test('should return empty markup for unknown types and render errors', () => {
+      registry.register({ type: 'Failing', render: () => { throw new Error('boom'); } });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(registry.render('Missing', {})).toBe('');
+      expect(registry.render('Failing', {})).toBe('');
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const SitemapGenerator = require('../../utils/SitemapGenerator');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('SitemapGenerator', () => {
+  let generator;
+  let mockStore;
+  let mockPages;
+
+  beforeEach(() => {
+    generator = new SitemapGenerator();
+    mockStore = createMockStore({ domain: 'clipia.de', language: 'de' });
+    mockPages = [
+      createMockPage({ page_type: 'home', slug: '', updated_at: '2025-08-01 10:00:00' }),
+      createMockPage({ page_type: 'products', slug: 'products', updated_at: '2025-08-02 10:00:00' }),
+      createMockPage({ page_type: 'privacy', slug: 'datenschutzerklaerung', updated_at: '2025-07-15 08:30:00' }),
+      createMockPage({ page_type: 'about', slug: 'about', is_enabled: 0 })
+    ];
+  });
+
+  describe('buildEntries', () => {
+    test('should list enabled pages with localized legal slugs', () => {
+      const { pageEntries } = generator.buildEntries(mockStore, mockPages, []);
+      const locs = pageEntries.map(entry => entry.loc);
+
+      expect(locs).toEqual([
+        'https://clipia.de/',
+        'https://clipia.de/products.html',
+        'https://clipia.de/datenschutzerklaerung.html'
+      ]);
+    });
+
+    test('should convert SQLite timestamps to W3C dates', () => {
+      const { pageEntries } = generator.buildEntries(mockStore, mockPages, []);
+      expect(pageEntries[2].lastmod).toBe('2025-07-15');
+    });
+
+    test('should list product detail pages', () => {
+      const products = [{ handle: 'clip-pro', updated_at: '2025-08-10T12:00:00Z' }];
+      const { productEntries } = generator.buildEntries(mockStore, mockPages, products);
+
+      expect(productEntries).toHaveLength(1);
+      expect(productEntries[0].loc).toBe('https://clipia.de/products/clip-pro.html');
+      expect(productEntries[0].lastmod).toBe('2025-08-10');
+    });
+  });
+
+  describe('generate', () => {
+    test('should produce a single urlset for small stores', () => {
+      const files = generator.generate(mockStore, mockPages, [{ handle: 'clip-pro' }]);
+
+      expect(Object.keys(files)).toEqual(['sitemap.xml']);
+      expect(files['sitemap.xml']).toContain('<urlset');
+      expect(files['sitemap.xml']).toContain('<loc>https://clipia.de/products/clip-pro.html</loc>');
+    });
+
+    test('should produce a sitemap index when there are many products', () => {
+      generator = new SitemapGenerator({ maxUrlsPerSitemap: 2 });
+      const products = [
+        { handle: 'clip-a', updated_at: '2025-08-01 09:00:00' },
+        { handle: 'clip-b', updated_at: '2025-07-20 09:00:00' },
+        { handle: 'clip-c', updated_at: '2025-08-03 09:00:00' }
+      ];
+
+      const files = generator.generate(mockStore, mockPages, products);
+
+      expect(Object.keys(files).sort()).toEqual([
+        'sitemap-pages-1.xml',
+        'sitemap-pages-2.xml',
+        'sitemap-products-1.xml',
+        'sitemap-products-2.xml',
+        'sitemap.xml'
+      ]);
+      expect(files['sitemap.xml']).toContain('<sitemapindex');
+      expect(files['sitemap.xml']).toContain('<loc>https://clipia.de/sitemap-products-2.xml</loc>');
+      expect(files['sitemap-products-1.xml']).toContain('<lastmod>2025-08-01</lastmod>');
+    });
+
+    test('should escape special characters in URLs', () => {
+      const files = generator.generate(mockStore, [], [{ handle: 'salt&pepper' }]);
+      expect(files['sitemap.xml']).toContain('salt&amp;pepper');
+    });
+  });
+
+  describe('language versions', () => {
+    test('should list the pages and products of each additional language', () => {
+      mockStore.languages = JSON.stringify(['fr', 'it']);
+      const languagePages = {
+        fr: [createMockPage({ page_type: 'home', slug: '' }), createMockPage({ page_type: 'products', slug: 'products' })],
+        it: [createMockPage({ page_type: 'home', slug: '' })]
+      };
+
+      const { pageEntries, productEntries } = generator.buildEntries(mockStore, mockPages, [{ handle: 'clip-pro' }], languagePages);
+
+      expect(pageEntries.map(entry => entry.loc)).toEqual(expect.arrayContaining([
+        'https://clipia.de/fr/',
+        'https://clipia.de/fr/products.html',
+        'https://clipia.de/it/'
+      ]));
+      expect(productEntries.map(entry => entry.loc)).toEqual([
+        'https://clipia.de/products/clip-pro.html',
+        'https://clipia.de/fr/products/clip-pro.html'
+      ]);
+    });
+  });
+
+  describe('writeSitemaps', () => {
+    let storePath;
+
+    beforeEach(() => {
+      storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(storePath, { recursive: true, force: true });
+    });
+
+    test('should write sitemap files and remove stale chunks', () => {
+      fs.writeFileSync(path.join(storePath, 'sitemap-products-3.xml'), 'stale');
+
+      const written = generator.writeSitemaps(mockStore, storePath, mockPages, []);
+
+      expect(written).toEqual(['sitemap.xml']);
+      expect(fs.existsSync(path.join(storePath, 'sitemap.xml'))).toBe(true);
+      expect(fs.existsSync(path.join(storePath, 'sitemap-products-3.xml'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const SocialMeta = require('../../utils/SocialMeta');
+
+describe('SocialMeta', () => {
+  let socialMeta;
+  let mockStore;
+
+  beforeEach(() => {
+    socialMeta = new SocialMeta();
+    mockStore = createMockStore({
+      name: 'Clipia',
+      domain: 'clipia.se',
+      language: 'se',
+      country: 'se',
+      currency: 'SEK',
+      logo_url: '/uploads/logo.png'
+    });
+  });
+
+  describe('forPage', () => {
+    test('should use the page meta title and description', () => {
+      const page = createMockPage({ page_type: 'about', slug: 'om-oss', meta_title: 'Om oss', meta_description: 'Vi gör klämmor' });
+      const tags = socialMeta.forPage(mockStore, page);
+
+      expect(tags).toContain('<meta property="og:type" content="website">');
+      expect(tags).toContain('<meta property="og:title" content="Om oss">');
+      expect(tags).toContain('<meta property="og:description" content="Vi gör klämmor">');
+      expect(tags).toContain('<meta property="og:url" content="https://clipia.se/om-oss.html">');
+      expect(tags).toContain('<meta property="og:locale" content="sv_SE">');
+      expect(tags).toContain('<meta name="twitter:title" content="Om oss">');
+    });
+
+    test('should fall back to the store logo as an absolute URL', () => {
+      const tags = socialMeta.forPage(mockStore, createMockPage({ page_type: 'home' }));
+
+      expect(tags).toContain('<meta property="og:url" content="https://clipia.se/">');
+      expect(tags).toContain('<meta property="og:image" content="https://clipia.se/uploads/logo.png">');
+      expect(tags).toContain('<meta name="twitter:card" content="summary_large_image">');
+    });
+
+    test('should prefer the configured share image', () => {
+      mockStore.social_share_image = 'https://cdn.example.com/share.jpg';
+      const tags = socialMeta.forPage(mockStore, createMockPage({ page_type: 'home' }));
+
+      expect(tags).toContain('<meta property="og:image" content="https://cdn.example.com/share.jpg">');
+    });
+
+    test('should use a summary card without any image', () => {
+      mockStore.logo_url = null;
+      const tags = socialMeta.forPage(mockStore, createMockPage({ page_type: 'home' }));
+
+      expect(tags).not.toContain('og:image');
+      expect(tags).toContain('<meta name="twitter:card" content="summary">');
+    });
+
+    test('should escape attribute values', () => {
+      const tags = socialMeta.forPage(mockStore, createMockPage({ meta_title: 'Clips "deluxe" & more' }));
+      expect(tags).toContain('content="Clips &quot;deluxe&quot; &amp; more"');
+    });
+  });
+
+  describe('forProductPage', () => {
+    test('should use the primary product image and price', () => {
+      const product = {
+        handle: 'clip-pro',
+        title: 'Clip Pro',
+        images: [{ src: 'https://cdn.example.com/clip.jpg', alt: 'Clip Pro' }],
+        variants: [{ price: 299, available: true }]
+      };
+      const tags = socialMeta.forProductPage(mockStore, product, { title: 'Clip Pro - Clipia', description: 'The best clip' });
+
+      expect(tags).toContain('<meta property="og:type" content="product">');
+      expect(tags).toContain('<meta property="og:image" content="https://cdn.example.com/clip.jpg">');
+      expect(tags).toContain('<meta property="og:description" content="The best clip">');
+      expect(tags).toContain('<meta property="product:price:amount" content="299.00">');
+      expect(tags).toContain('<meta property="product:price:currency" content="SEK">');
+    });
+
+    test('should use the price of the first variant in stock, like the product page', () => {
+      const product = {
+        handle: 'clip-pro',
+        title: 'Clip Pro',
+        variants: [{ price: 319.5, available: false }, { price: 299, available: true }]
+      };
+      const tags = socialMeta.forProductPage(mockStore, product);
+
+      expect(tags).toContain('<meta property="product:price:amount" content="299.00">');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { JSDOM } = require('jsdom');
+const StoreCart = require('../../utils/StoreCart');
+const VariantSelector = require('../../utils/VariantSelector');
+
+describe('StoreCart', () => {
+  let cart;
+  let mockStore;
+  let mockProduct;
+
+  beforeEach(() => {
+    cart = new StoreCart();
+    mockStore = createMockStore({ domain: 'clipia.se', currency: 'EUR', shopify_domain: 'clipia.myshopify.com' });
+    mockProduct = {
+      id: 1,
+      handle: 'clip-pro',
+      title: 'Clip Pro',
+      images: [{ src: 'https://cdn.example.com/red.jpg', alt: 'Red' }],
+      options: [{ name: 'Color', values: ['Red', 'Blue'] }],
+      variants: [
+        { id: 'gid://shopify/ProductVariant/11', title: 'Red', options: ['Red'], price: 10, available: true },
+        { id: 'gid://shopify/ProductVariant/12', title: 'Blue', options: ['Blue'], price: 12.5, available: true, image: 'https://cdn.example.com/blue.jpg' }
+      ]
+    };
+  });
+
+  describe('getCheckoutUrl', () => {
+    test('should build the cart permalink base from the Shopify domain', () => {
+      expect(cart.getCheckoutUrl({ shopify_domain: 'https://clipia.myshopify.com/' })).toBe('https://clipia.myshopify.com/cart');
+    });
+
+    test('should disable checkout without a connected Shopify store', () => {
+      expect(cart.getCheckoutUrl({ shopify_domain: null })).toBeNull();
+    });
+  });
+
+  describe('renderProductData', () => {
+    test('should drop the default variant title and keep the data inside its script tag', () => {
+      const html = cart.renderProductData({
+        handle: 'tee',
+        title: 'Tee </script>',
+        images: [],
+        variants: [{ id: 1, title: 'Default Title', price: '9.90' }]
+      });
+      const data = JSON.parse(html.replace(/^<script[^>]*>/, '').replace(/<\/script>$/, ''));
+
+      expect(html.match(/<\/script>/g)).toHaveLength(1);
+      expect(data.title).toBe('Tee </script>');
+      expect(data.variants).toEqual([{ id: 1, title: '', price: 9.9, image: null }]);
+    });
+  });
+
+  describe('browser script', () => {
+    const createPage = async (storedItems = null) => {
+      const dom = new JSDOM(`<!DOCTYPE html><body>
+        <nav>${cart.renderToggle()}</nav>
+        <main data-product>
+          ${cart.renderProductData(mockProduct)}
+          ${new VariantSelector().render(mockProduct, mockStore)}
+          <div class="atc-button-section">
+            <input type="number" class="quantity-input" min="1" value="1">
+            <button data-variant-add data-variant-id="gid://shopify/ProductVariant/11">Add to Cart</button>
+          </div>
+        </main></body>`, { url: 'https://clipia.se/products/clip-pro.html', runScripts: 'outside-only' });
+
+      if (storedItems) {
+        dom.window.localStorage.setItem('cart:clipia.se', storedItems);
+      }
+
+      dom.window.eval(VariantSelector.getScript());
+      dom.window.eval(cart.getScript(mockStore));
+      if (dom.window.document.readyState === 'loading') {
+        await new Promise(resolve => dom.window.document.addEventListener('DOMContentLoaded', resolve));
+      }
+      return dom.window;
+    };
+
+    const addToCart = (window, quantity = 1) => {
+      window.document.querySelector('.quantity-input').value = String(quantity);
+      window.document.querySelector('[data-variant-add]').click();
+    };
+
+    const chooseColor = (window, value) => {
+      const select = window.document.querySelector('select[data-option-index="0"]');
+      select.value = value;
+      select.dispatchEvent(new window.Event('change'));
+    };
+
+    test('should add the selected variant and open the drawer', async () => {
+      const window = await createPage();
+
+      chooseColor(window, 'Blue');
+      addToCart(window, 2);
+
+      const items = JSON.parse(window.localStorage.getItem('cart:clipia.se'));
+      expect(items).toEqual([expect.objectContaining({
+        id: 'gid://shopify/ProductVariant/12',
+        title: 'Clip Pro',
+        variant_title: 'Blue',
+        price: 12.5,
+        image: 'https://cdn.example.com/blue.jpg',
+        url: '/products/clip-pro.html',
+        quantity: 2
+      })]);
+      expect(window.document.querySelector('[data-cart-count]').textContent).toBe('2');
+      expect(window.document.querySelector('[data-cart-drawer]').hidden).toBe(false);
+      expect(window.document.querySelector('[data-cart-subtotal]').textContent).toBe('€25.00');
+    });
+
+    test('should merge repeated adds of the same variant', async () => {
+      const window = await createPage();
+
+      addToCart(window, 1);
+      addToCart(window, 3);
+
+      expect(window.StoreCart.items()).toHaveLength(1);
+      expect(window.StoreCart.items()[0].quantity).toBe(4);
+    });
+
+    test('should restore the cart saved by another page of the store', async () => {
+      const previousPage = await createPage();
+      addToCart(previousPage, 2);
+
+      const window = await createPage(previousPage.localStorage.getItem('cart:clipia.se'));
+
+      expect(window.document.querySelector('[data-cart-count]').textContent).toBe('2');
+      expect(window.document.querySelectorAll('[data-cart-item]')).toHaveLength(1);
+    });
+
+    test('should hand off to Shopify with a permalink of numeric variant ids', async () => {
+      const window = await createPage();
+
+      addToCart(window, 2);
+      chooseColor(window, 'Blue');
+      addToCart(window, 1);
+
+      expect(window.document.querySelector('[data-cart-checkout]').href)
+        .toBe('https://clipia.myshopify.com/cart/11:2,12:1');
+    });
+
+    test('should change quantities and remove items from the drawer', async () => {
+      const window = await createPage();
+      addToCart(window, 2);
+
+      const quantity = window.document.querySelector('.cart-item-quantity');
+      quantity.value = '5';
+      quantity.dispatchEvent(new window.Event('change'));
+      expect(window.StoreCart.items()[0].quantity).toBe(5);
+
+      window.document.querySelector('.cart-item-remove').click();
+      expect(window.StoreCart.items()).toEqual([]);
+      expect(window.document.querySelector('[data-cart-count]').textContent).toBe('0');
+      expect(window.document.querySelector('.cart-empty')).not.toBeNull();
+      expect(window.document.querySelector('[data-cart-checkout]').hidden).toBe(true);
+    });
+
+    test('should ignore unreadable stored carts', async () => {
+      const window = await createPage('not json');
+
+      expect(window.StoreCart.items()).toEqual([]);
+    });
+  });
+});
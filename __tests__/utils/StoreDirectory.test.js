@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StoreDirectory = require('../../utils/StoreDirectory');
+
+describe('StoreDirectory', () => {
+  let storesPath;
+  let directory;
+
+  const page = (body) => `<!DOCTYPE html>\n<html><body>${body}</body></html>\n`;
+  const read = (root, fileName) => fs.readFileSync(path.join(root, fileName), 'utf8');
+
+  const writeLiveBuild = (files) => {
+    fs.mkdirSync(directory.livePath, { recursive: true });
+    for (const [fileName, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(directory.livePath, fileName)), { recursive: true });
+      fs.writeFileSync(path.join(directory.livePath, fileName), content);
+    }
+  };
+
+  beforeEach(() => {
+    storesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'store-directory-'));
+    directory = new StoreDirectory('clipia.se', storesPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storesPath, { recursive: true, force: true });
+  });
+
+  test('should reject domains that would escape the stores directory', () => {
+    expect(() => new StoreDirectory('../etc', storesPath)).toThrow('Invalid store domain');
+    expect(() => new StoreDirectory('.previous', storesPath)).toThrow('Invalid store domain');
+  });
+
+  describe('staging', () => {
+    test('should seed staging with the live build without touching it', () => {
+      writeLiveBuild({ 'index.html': page('old'), 'products/clip.html': page('clip') });
+
+      const stagingPath = directory.createStaging();
+      fs.writeFileSync(path.join(stagingPath, 'index.html'), page('new'));
+
+      expect(stagingPath.startsWith(path.join(storesPath, '.staging'))).toBe(true);
+      expect(read(stagingPath, 'products/clip.html')).toBe(page('clip'));
+      expect(read(directory.livePath, 'index.html')).toBe(page('old'));
+    });
+
+    test('should give concurrent builds separate staging directories', () => {
+      const other = new StoreDirectory('clipia.se', storesPath);
+      expect(directory.createStaging()).not.toBe(other.createStaging());
+    });
+
+    test('should discard a staged build', () => {
+      const stagingPath = directory.createStaging();
+      directory.discardStaging();
+
+      expect(fs.existsSync(stagingPath)).toBe(false);
+    });
+  });
+
+  describe('validateStaging', () => {
+    test('should accept a complete build', () => {
+      const stagingPath = directory.createStaging();
+      fs.writeFileSync(path.join(stagingPath, 'index.html'), page('home'));
+
+      expect(() => directory.validateStaging()).not.toThrow();
+    });
+
+    test('should report missing, empty and truncated pages', () => {
+      const stagingPath = directory.createStaging();
+      fs.mkdirSync(path.join(stagingPath, 'products'));
+      fs.writeFileSync(path.join(stagingPath, 'about.html'), '');
+      fs.writeFileSync(path.join(stagingPath, 'products/clip.html'), '<!DOCTYPE html><html><body>');
+
+      expect(() => directory.validateStaging()).toThrow(
+        'Build validation failed for clipia.se: index.html is missing, about.html is empty, products/clip.html is incomplete'
+      );
+    });
+  });
+
+  describe('publishStaging', () => {
+    test('should swap the staged build in and keep the replaced build', () => {
+      writeLiveBuild({ 'index.html': page('old') });
+      const stagingPath = directory.createStaging();
+      fs.writeFileSync(path.join(stagingPath, 'index.html'), page('new'));
+
+      directory.publishStaging();
+
+      expect(read(directory.livePath, 'index.html')).toBe(page('new'));
+      expect(read(directory.previousPath, 'index.html')).toBe(page('old'));
+      expect(fs.existsSync(stagingPath)).toBe(false);
+    });
+
+    test('should publish the first build of a store', () => {
+      const stagingPath = directory.createStaging();
+      fs.writeFileSync(path.join(stagingPath, 'index.html'), page('first'));
+
+      directory.publishStaging();
+
+      expect(read(directory.livePath, 'index.html')).toBe(page('first'));
+      expect(directory.hasPreviousBuild()).toBe(false);
+    });
+  });
+
+  describe('revert', () => {
+    test('should swap the previous build back and allow undoing the revert', () => {
+      writeLiveBuild({ 'index.html': page('old') });
+      fs.writeFileSync(path.join(directory.createStaging(), 'index.html'), page('new'));
+      directory.publishStaging();
+
+      directory.revert();
+      expect(read(directory.livePath, 'index.html')).toBe(page('old'));
+      expect(read(directory.previousPath, 'index.html')).toBe(page('new'));
+
+      directory.revert();
+      expect(read(directory.livePath, 'index.html')).toBe(page('new'));
+    });
+
+    test('should forget the build manifest, which describes the replaced build', () => {
+      writeLiveBuild({ 'index.html': page('old') });
+      fs.writeFileSync(path.join(directory.createStaging(), 'index.html'), page('new'));
+      directory.publishStaging();
+      fs.mkdirSync(path.dirname(directory.manifestPath), { recursive: true });
+      fs.writeFileSync(directory.manifestPath, '{}');
+
+      directory.revert();
+      expect(fs.existsSync(directory.manifestPath)).toBe(false);
+      expect(directory.manifestPath).toBe(path.join(storesPath, StoreDirectory.MANIFESTS_DIRECTORY, 'clipia.se.json'));
+    });
+
+    test('should fail without a previous build', () => {
+      writeLiveBuild({ 'index.html': page('only') });
+
+      expect(() => directory.revert()).toThrow('No previous build to revert to for clipia.se');
+      expect(read(directory.livePath, 'index.html')).toBe(page('only'));
+    });
+  });
+
+  describe('snapshots', () => {
+    test('should restore a snapshot as a new live build', () => {
+      writeLiveBuild({ 'index.html': page('v1'), 'about.html': page('about') });
+      directory.createSnapshot(1);
+
+      fs.rmSync(directory.livePath, { recursive: true });
+      writeLiveBuild({ 'index.html': page('v2') });
+      directory.createSnapshot(2);
+
+      directory.restoreSnapshot(1);
+      expect(read(directory.livePath, 'index.html')).toBe(page('v1'));
+      expect(read(directory.livePath, 'about.html')).toBe(page('about'));
+      expect(read(directory.previousPath, 'index.html')).toBe(page('v2'));
+
+      // The snapshot stays available for another rollback
+      expect(read(directory.getSnapshotPath(1), 'index.html')).toBe(page('v1'));
+      expect(fs.readdirSync(path.join(storesPath, StoreDirectory.STAGING_DIRECTORY))).toEqual([]);
+      expect(fs.existsSync(directory.manifestPath)).toBe(false);
+    });
+
+    test('should keep only the newest snapshots', () => {
+      writeLiveBuild({ 'index.html': page('home') });
+      [3, 12, 7, 20].forEach(snapshotId => directory.createSnapshot(snapshotId));
+
+      expect(directory.pruneSnapshots(2)).toEqual([3, 7]);
+      expect(directory.listSnapshots()).toEqual([12, 20]);
+      expect(directory.hasSnapshot(3)).toBe(false);
+    });
+
+    test('should not restore a missing or broken snapshot', () => {
+      writeLiveBuild({ 'index.html': page('live') });
+
+      expect(() => directory.restoreSnapshot(5)).toThrow('No snapshot 5 for clipia.se');
+      expect(() => directory.getSnapshotPath('../5')).toThrow('Invalid snapshot');
+
+      fs.mkdirSync(directory.getSnapshotPath(6), { recursive: true });
+      fs.writeFileSync(path.join(directory.getSnapshotPath(6), 'index.html'), '<html><body>');
+      expect(() => directory.restoreSnapshot(6)).toThrow('index.html is incomplete');
+      expect(read(directory.livePath, 'index.html')).toBe(page('live'));
+    });
+  });
+
+  describe('resolveServingPath', () => {
+    test('should serve the previous build while the live build is being swapped', () => {
+      expect(StoreDirectory.resolveServingPath('clipia.se', storesPath)).toBeNull();
+
+      fs.mkdirSync(directory.previousPath, { recursive: true });
+      expect(StoreDirectory.resolveServingPath('clipia.se', storesPath)).toBe(directory.previousPath);
+
+      fs.mkdirSync(directory.livePath, { recursive: true });
+      expect(StoreDirectory.resolveServingPath('clipia.se', storesPath)).toBe(directory.livePath);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const StoreLocale = require('../../utils/StoreLocale');
+
+describe('StoreLocale', () => {
+  describe('getLanguageTag', () => {
+    test('should map store language codes to ISO codes', () => {
+      expect(StoreLocale.getLanguageTag({ language: 'se', country: 'se' })).toBe('sv-SE');
+      expect(StoreLocale.getLanguageTag({ language: 'no', country: 'NO' }, '_')).toBe('nb_NO');
+    });
+  });
+
+  describe('getStoreLanguages', () => {
+    test('should list the store language first, then valid additional languages', () => {
+      const store = createMockStore({ language: 'de', languages: JSON.stringify(['fr', 'DE', 'sv', 'se', 'not a code']) });
+
+      expect(StoreLocale.getStoreLanguages(store)).toEqual(['de', 'fr', 'sv']);
+      expect(StoreLocale.getAdditionalLanguages(store)).toEqual(['fr', 'sv']);
+    });
+
+    test('should accept arrays and stores without additional languages', () => {
+      expect(StoreLocale.getStoreLanguages(createMockStore({ language: 'fi', languages: ['en'] }))).toEqual(['fi', 'en']);
+      expect(StoreLocale.getAdditionalLanguages(createMockStore())).toEqual([]);
+    });
+  });
+
+  describe('language directories', () => {
+    test('should publish additional languages under their ISO code', () => {
+      const store = createMockStore({ language: 'de', languages: '["se"]' });
+
+      expect(StoreLocale.getLanguageDirectory(store, 'de')).toBe('');
+      expect(StoreLocale.getLanguageDirectory(store, 'se')).toBe('sv');
+      expect(StoreLocale.getLanguageForDirectory(store, 'sv')).toBe('se');
+      expect(StoreLocale.getLanguageForDirectory(store, 'products')).toBeNull();
+    });
+
+    test('should give a language version its own language and path', () => {
+      const store = createMockStore({ language: 'de', languages: '["fr"]' });
+      const frenchStore = StoreLocale.getLanguageStore(store, 'fr');
+
+      expect(frenchStore).toMatchObject({ language: 'fr', language_path: '/fr', domain: store.domain });
+      expect(store.language).toBe('de');
+      expect(StoreLocale.getLanguageStore(store, 'de')).toBe(store);
+    });
+  });
+
+  describe('negotiateLanguage', () => {
+    const store = createMockStore({ language: 'de', languages: '["fr", "no"]' });
+
+    test('should order Accept-Language entries by quality', () => {
+      expect(StoreLocale.parseAcceptLanguage('fr;q=0.5, de-CH, *;q=0.1, en;q=0')).toEqual([
+        { tag: 'de-ch', language: 'de', q: 1 },
+        { tag: 'fr', language: 'fr', q: 0.5 }
+      ]);
+    });
+
+    test('should pick the store language the visitor prefers most', () => {
+      expect(StoreLocale.negotiateLanguage(store, 'fr-FR,fr;q=0.9,de;q=0.8')).toBe('fr');
+      expect(StoreLocale.negotiateLanguage(store, 'en-US,de;q=0.7,fr;q=0.5')).toBe('de');
+      expect(StoreLocale.negotiateLanguage(store, 'nn-NO')).toBe('no');
+    });
+
+    test('should fall back to the store language', () => {
+      expect(StoreLocale.negotiateLanguage(store, 'ja')).toBe('de');
+      expect(StoreLocale.negotiateLanguage(store, undefined)).toBe('de');
+    });
+  });
+
+  test('should name languages in their own language', () => {
+    expect(StoreLocale.getLanguageName('de')).toBe('Deutsch');
+    expect(StoreLocale.getLanguageName('se')).toBe('Svenska');
+  });
+});
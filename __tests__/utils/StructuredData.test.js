@@ -0,0 +1,121 @@
+const StructuredData = require('../../utils/StructuredData');
+
+const parseGraph = (scriptTag) => {
+  const json = scriptTag.match(/<script type="application\/ld\+json">([\s\S]*)<\/script>/)[1];
+  return JSON.parse(json)['@graph'];
+};
+
+describe('StructuredData', () => {
+  let structuredData;
+  let mockStore;
+  let mockProduct;
+
+  beforeEach(() => {
+    structuredData = new StructuredData();
+    mockStore = createMockStore({
+      name: 'Clipia',
+      domain: 'clipia.se',
+      country: 'SE',
+      currency: 'SEK',
+      business_address: 'Storgatan 1, 111 22 Stockholm',
+      business_orgnr: '559123-4567'
+    });
+    mockProduct = {
+      handle: 'clip-pro',
+      title: 'Clip Pro',
+      vendor: 'Clipia Labs',
+      body_html: '<p>The <strong>best</strong> clip.</p>',
+      images: [{ src: 'https://cdn.example.com/clip-1.jpg' }, { src: 'https://cdn.example.com/clip-2.jpg' }],
+      variants: [
+        { id: 1, title: 'Black', price: 299, sku: 'CLIP-BLK', available: true },
+        { id: 2, title: 'White', price: 319.5, sku: 'CLIP-WHT', available: false }
+      ]
+    };
+  });
+
+  describe('buildProduct', () => {
+    test('should describe the product with an offer per variant', () => {
+      const product = structuredData.buildProduct(mockStore, mockProduct);
+
+      expect(product['@type']).toBe('Product');
+      expect(product.description).toBe('The best clip.');
+      expect(product.image).toEqual(['https://cdn.example.com/clip-1.jpg', 'https://cdn.example.com/clip-2.jpg']);
+      expect(product.sku).toBe('CLIP-BLK');
+      expect(product.brand.name).toBe('Clipia Labs');
+      expect(product.offers).toHaveLength(2);
+      expect(product.offers[0]).toMatchObject({
+        '@type': 'Offer',
+        price: '299.00',
+        priceCurrency: 'SEK',
+        availability: 'https://schema.org/InStock',
+        sku: 'CLIP-BLK'
+      });
+      expect(product.offers[1].availability).toBe('https://schema.org/OutOfStock');
+    });
+
+    test('should use the SKU of the first variant in stock, like the product page', () => {
+      mockProduct.variants.reverse();
+      const product = structuredData.buildProduct(mockStore, mockProduct);
+
+      expect(product.sku).toBe('CLIP-BLK');
+    });
+
+    test('should omit missing optional fields', () => {
+      const product = structuredData.buildProduct(mockStore, { handle: 'plain', title: 'Plain', variants: [{ price: 10, available: true }] });
+
+      expect(product).not.toHaveProperty('sku');
+      expect(product).not.toHaveProperty('image');
+      expect(product).not.toHaveProperty('description');
+      expect(product.brand.name).toBe('Clipia');
+    });
+  });
+
+  describe('buildOrganization', () => {
+    test('should use the business address and org number', () => {
+      const organization = structuredData.buildOrganization(mockStore);
+
+      expect(organization.address).toEqual({
+        '@type': 'PostalAddress',
+        streetAddress: 'Storgatan 1, 111 22 Stockholm',
+        addressCountry: 'SE'
+      });
+      expect(organization.identifier.value).toBe('559123-4567');
+    });
+  });
+
+  describe('forProductPage', () => {
+    test('should emit organization, product and breadcrumbs', () => {
+      const graph = parseGraph(structuredData.forProductPage(mockStore, mockProduct));
+
+      expect(graph.map(node => node['@type'])).toEqual(['Organization', 'Product', 'BreadcrumbList']);
+      expect(graph[2].itemListElement.map(item => item.item)).toEqual([
+        'https://clipia.se/',
+        'https://clipia.se/products.html',
+        'https://clipia.se/products/clip-pro.html'
+      ]);
+    });
+
+    test('should not allow product data to close the script tag', () => {
+      mockProduct.title = 'Clip </script><script>alert(1)</script>';
+      const html = structuredData.forProductPage(mockStore, mockProduct);
+
+      expect(html.match(/<\/script>/g)).toHaveLength(1);
+      expect(parseGraph(html)[1].name).toBe(mockProduct.title);
+    });
+  });
+
+  describe('forPage', () => {
+    test('should add breadcrumbs with the localized slug on legal pages', () => {
+      const page = createMockPage({ page_type: 'privacy', slug: 'integritetspolicy', title: 'Integritetspolicy' });
+      const graph = parseGraph(structuredData.forPage(mockStore, page));
+
+      expect(graph[1]['@type']).toBe('BreadcrumbList');
+      expect(graph[1].itemListElement[1].item).toBe('https://clipia.se/integritetspolicy.html');
+    });
+
+    test('should only emit the organization on other pages', () => {
+      const graph = parseGraph(structuredData.forPage(mockStore, createMockPage({ page_type: 'about' })));
+      expect(graph.map(node => node['@type'])).toEqual(['Organization']);
+    });
+  });
+});
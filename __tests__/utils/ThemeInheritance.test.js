@@ -0,0 +1,127 @@
+const ThemeInheritance = require('../../utils/ThemeInheritance');
+const db = require('../../database/db');
+
+jest.mock('../../database/db');
+
+describe('ThemeInheritance', () => {
+  let themes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    themes = {
+      1: { id: 1, name: 'Base', parent_id: null, css_variables: JSON.stringify({ primary: '#111111', radius_md: '8px' }) },
+      2: { id: 2, name: 'Brand', parent_id: 1, css_variables: JSON.stringify({ primary: '#222222' }) },
+      3: { id: 3, name: 'Campaign', parent_id: 2, css_variables: JSON.stringify({ accent: '#333333' }) }
+    };
+
+    db.get = jest.fn().mockImplementation((sql, [id]) => Promise.resolve(themes[id] || null));
+    db.all = jest.fn().mockResolvedValue([]);
+  });
+
+  describe('getChain', () => {
+    test('should return the theme followed by its ancestors', async () => {
+      const chain = await ThemeInheritance.getChain(3);
+
+      expect(chain.map(theme => theme.name)).toEqual(['Campaign', 'Brand', 'Base']);
+    });
+
+    test('should stop at a cycle', async () => {
+      themes[1].parent_id = 3;
+
+      const chain = await ThemeInheritance.getChain(3);
+
+      expect(chain.map(theme => theme.id)).toEqual([3, 2, 1]);
+    });
+  });
+
+  describe('mergeVariables', () => {
+    test('should let each theme override its ancestors', () => {
+      const variables = ThemeInheritance.mergeVariables([themes[3], themes[2], themes[1]]);
+
+      expect(variables).toEqual({ primary: '#222222', radius_md: '8px', accent: '#333333' });
+    });
+
+    test('should ignore invalid css_variables', () => {
+      const variables = ThemeInheritance.mergeVariables([{ id: 4, css_variables: '{broken' }, themes[1]]);
+
+      expect(variables).toEqual({ primary: '#111111', radius_md: '8px' });
+    });
+  });
+
+  describe('describe', () => {
+    test('should report which theme each value comes from', () => {
+      const sources = ThemeInheritance.describe([themes[2], themes[1]]);
+
+      expect(sources.primary).toEqual({ value: '#222222', themeId: 2, themeName: 'Brand', inherited: false });
+      expect(sources.radius_md).toEqual({ value: '8px', themeId: 1, themeName: 'Base', inherited: true });
+    });
+  });
+
+  describe('checkContrast', () => {
+    test('should fail when a child theme becomes unreadable with the saved colours', async () => {
+      themes[3].css_variables = JSON.stringify({ text: '#eeeeee' });
+      db.all.mockResolvedValue([{ id: 2 }, { id: 3 }]);
+
+      const contrast = await ThemeInheritance.checkContrast(1, null, { primary: '#111111', text: '#222222' });
+
+      expect(contrast.passesAA).toBe(false);
+      expect(contrast.descendants.map(theme => theme.name)).toEqual(['Campaign']);
+      expect(contrast.failures.length).toBeGreaterThan(0);
+      expect(contrast.failures.every(failure => failure.startsWith('Campaign: '))).toBe(true);
+      expect(contrast.failures).toContainEqual(expect.stringContaining('Campaign: Body text on background'));
+    });
+
+    test('should only check the theme itself when it is new', async () => {
+      const contrast = await ThemeInheritance.checkContrast(null, 1, { text: '#222222' });
+
+      expect(contrast.passesAA).toBe(true);
+      expect(contrast.descendants).toEqual([]);
+      expect(db.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateContrast', () => {
+    test('should only let an explicit override save unreadable colours', async () => {
+      const unreadable = { text: '#eeeeee', background: '#ffffff' };
+
+      for (const override of [undefined, '', 'false', '0', false]) {
+        const { error } = await ThemeInheritance.validateContrast(null, null, unreadable, override);
+        expect(error).toContain('Theme colours fail WCAG AA contrast');
+      }
+      for (const override of [true, 'true', '1']) {
+        const { contrast, error } = await ThemeInheritance.validateContrast(null, null, unreadable, override);
+        expect(error).toBeNull();
+        expect(contrast.passesAA).toBe(false);
+      }
+    });
+  });
+
+  describe('validateParent', () => {
+    test('should accept no parent and an existing parent', async () => {
+      expect(await ThemeInheritance.validateParent(2, '')).toBeNull();
+      expect(await ThemeInheritance.validateParent(null, 1)).toBeNull();
+    });
+
+    test('should reject the theme itself, missing themes and child themes', async () => {
+      db.all.mockResolvedValue([{ id: 2 }, { id: 3 }]);
+
+      expect(await ThemeInheritance.validateParent(1, '1')).toBe('A theme cannot be its own parent');
+      expect(await ThemeInheritance.validateParent(1, 99)).toBe('Parent theme not found');
+      expect(await ThemeInheritance.validateParent(1, 3)).toBe('A theme cannot inherit from one of its own child themes');
+    });
+  });
+
+  describe('getAffectedStores', () => {
+    test('should match the legacy theme_id of stores without theme_id_new', async () => {
+      db.all
+        .mockResolvedValueOnce([{ id: 3 }])
+        .mockResolvedValueOnce([{ id: 1, name: 'Legacy', theme_id_new: null, theme_id: '3' }]);
+
+      const stores = await ThemeInheritance.getAffectedStores(2);
+
+      expect(stores).toEqual([expect.objectContaining({ name: 'Legacy' })]);
+      expect(db.all).toHaveBeenLastCalledWith(expect.stringContaining('COALESCE(theme_id_new, theme_id)'), ['2', '3']);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const ThemePackage = require('../../utils/ThemePackage');
+const db = require('../../database/db');
+
+jest.mock('../../database/db');
+
+describe('ThemePackage', () => {
+  let themes;
+
+  const createPackage = (theme = {}) => ({
+    format: 'multistore-theme',
+    version: 1,
+    theme: { name: 'Sunset', description: 'Warm', css_variables: { primary: '#ff6600', radius_md: '12px' }, ...theme }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    themes = {
+      1: { id: 1, name: 'Base', parent_id: null, css_variables: JSON.stringify({ primary: '#111111', radius_md: '8px' }), custom_css: '.a { color: red; }' },
+      2: { id: 2, name: 'Brand', parent_id: 1, css_variables: JSON.stringify({ primary: '#222222' }), header_config: '{"style":"bold"}', custom_css: '.b { color: blue; }' }
+    };
+
+    db.get = jest.fn().mockImplementation((sql, [value]) => {
+      if (sql.includes('lower(name)')) {
+        return Promise.resolve(Object.values(themes).find(theme => theme.name.toLowerCase() === String(value).toLowerCase()) || null);
+      }
+      return Promise.resolve(themes[value] || null);
+    });
+    db.all = jest.fn().mockResolvedValue([]);
+    db.run = jest.fn().mockImplementation(sql => {
+      if (sql.includes('INSERT')) {
+        themes[3] = { id: 3, name: 'Imported' };
+        return Promise.resolve({ id: 3, changes: 1 });
+      }
+      return Promise.resolve({ changes: 1 });
+    });
+  });
+
+  describe('export', () => {
+    test('should include inherited variables and custom CSS', async () => {
+      const themePackage = await ThemePackage.export(2);
+
+      expect(themePackage).toMatchObject({
+        format: 'multistore-theme',
+        version: 1,
+        theme: {
+          name: 'Brand',
+          css_variables: { primary: '#222222', radius_md: '8px' },
+          inherits_from: ['Base'],
+          header_config: { style: 'bold' },
+          layout_config: null,
+          custom_css: '.a { color: red; }\n\n.b { color: blue; }'
+        }
+      });
+      expect(ThemePackage.getFilename(themePackage)).toBe('theme-brand.json');
+    });
+
+    test('should return null for unknown themes', async () => {
+      expect(await ThemePackage.export(99)).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    test('should accept a valid package', () => {
+      expect(ThemePackage.validate(createPackage({ preview_image: 'data:image/png;base64,iVBORw0KGgo=' }))).toEqual([]);
+    });
+
+    test('should reject unknown formats and newer versions', () => {
+      expect(ThemePackage.validate({ format: 'other', version: 1, theme: {} })).toEqual(['Package format must be "multistore-theme"']);
+      expect(ThemePackage.validate({ ...createPackage(), version: 2 })).toEqual(['Package version 2 is newer than this platform supports (1)']);
+    });
+
+    test('should report invalid theme fields', () => {
+      const errors = ThemePackage.validate(createPackage({
+        name: ' ',
+        css_variables: { primary: 'red; } body { display: none' },
+        footer_config: [],
+        preview_image: 'javascript:alert(1)'
+      }));
+
+      expect(errors).toEqual([
+        'Theme name is required',
+        'primary must be a CSS value without ; { } < > \\, comments or url()',
+        'footer_config must be a JSON object',
+        'preview_image must be an http(s) URL, a path or a PNG, JPEG, GIF or WebP data URL'
+      ]);
+    });
+  });
+
+  describe('import', () => {
+    test('should only preview a dry run', async () => {
+      const result = await ThemePackage.import(createPackage(), { dryRun: true });
+
+      expect(result).toMatchObject({ valid: true, action: 'create', name: 'Sunset', conflict: null, theme: null });
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should rename, replace or skip on a name conflict', async () => {
+      const renamed = await ThemePackage.plan(createPackage({ name: 'brand' }), 'rename');
+      const replaced = await ThemePackage.plan(createPackage({ name: 'brand' }), 'replace');
+      const skipped = await ThemePackage.import(createPackage({ name: 'brand' }), { onConflict: 'skip' });
+
+      expect(renamed).toMatchObject({ action: 'create', name: 'brand (2)' });
+      expect(replaced).toMatchObject({ action: 'replace', conflict: { id: 2, name: 'Brand' } });
+      expect(skipped).toMatchObject({ action: 'skip', theme: null });
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should create the theme', async () => {
+      const result = await ThemePackage.import(createPackage({ custom_css: '.c {}' }));
+
+      expect(result.theme).toEqual({ id: 3, name: 'Imported' });
+      expect(db.run).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO themes'), [
+        'Sunset', 'Warm', JSON.stringify({ primary: '#ff6600', radius_md: '12px' }), null, null, null, '.c {}', null
+      ]);
+    });
+
+    test('should not import invalid packages', async () => {
+      const result = await ThemePackage.import(createPackage(), { onConflict: 'merge' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['on_conflict must be one of rename, replace, skip']);
+      expect(db.run).not.toHaveBeenCalled();
+    });
+  });
+});
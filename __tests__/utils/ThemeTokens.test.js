@@ -0,0 +1,97 @@
+const ThemeTokens = require('../../utils/ThemeTokens');
+const TemplateRenderer = require('../../utils/TemplateRenderer');
+
+describe('ThemeTokens', () => {
+  describe('resolve', () => {
+    test('should keep theme values and fill in the defaults', () => {
+      const tokens = ThemeTokens.resolve({ primary: '#dc2626', font_body: 'Georgia, serif', radius_md: ' 12px ' });
+
+      expect(tokens.primary).toBe('#dc2626');
+      expect(tokens.font_body).toBe('Georgia, serif');
+      expect(tokens.radius_md).toBe('12px');
+      expect(tokens.space_md).toBe('1rem');
+      expect(tokens.shadow_lg).toBe('0 8px 25px rgba(0, 0, 0, 0.15)');
+    });
+
+    test('should fall back to the default for values that could break the stylesheet', () => {
+      const tokens = ThemeTokens.resolve({ font_body: 'Arial; } body { display: none', shadow_sm: 'url(https://example.com/x)' });
+
+      expect(tokens.font_body).toBe(ThemeTokens.getDefaults().font_body);
+      expect(tokens.shadow_sm).toBe(ThemeTokens.getDefaults().shadow_sm);
+    });
+  });
+
+  describe('validate', () => {
+    test('should report invalid token values and ignore other keys', () => {
+      expect(ThemeTokens.validate({ radius_md: '8px', custom: '}' })).toEqual([]);
+      expect(ThemeTokens.validate({ button_padding: '1rem</style>' })).toEqual([
+        'button_padding must be a CSS value without ; { } < > \\, comments or url()'
+      ]);
+      expect(ThemeTokens.validate([])).toEqual(['CSS variables must be a JSON object']);
+    });
+  });
+
+  describe('toCss', () => {
+    test('should declare every token as a --theme- custom property', () => {
+      const css = ThemeTokens.toCss({ font_heading: "'Playfair Display', serif" });
+
+      expect(css).toMatch(/^:root \{/);
+      expect(css).toContain("  --theme-font-heading: 'Playfair Display', serif;");
+      expect(css).toContain('  --theme-button-text-transform: none;');
+    });
+  });
+
+  describe('dark palette', () => {
+    test('should fill the colours a dark palette leaves out', () => {
+      const values = { primary: '#dc2626', dark_background: '#000000', dark_text: 'red;}' };
+
+      expect(ThemeTokens.hasDarkPalette(values)).toBe(true);
+      expect(ThemeTokens.hasDarkPalette({ primary: '#dc2626' })).toBe(false);
+      expect(ThemeTokens.resolveDark(values)).toEqual({
+        primary: '#dc2626',
+        secondary: '#2a2d31',
+        accent: '#007cba',
+        background: '#000000',
+        surface: '#1e1e1e',
+        text: '#e6e6e6'
+      });
+    });
+
+    test('should validate dark colours like the light ones', () => {
+      expect(ThemeTokens.validate({ dark_primary: '#fff}' })).toEqual([
+        'dark_primary must be a CSS value without ; { } < > \\, comments or url()'
+      ]);
+    });
+  });
+
+  describe('generated stylesheet', () => {
+    test('should use the token custom properties instead of fixed values', () => {
+      const css = new TemplateRenderer().generateCSS({ name: 'Test', primary: '#111111', font_body: 'Georgia, serif' });
+
+      expect(css).toContain('--theme-primary: #111111;');
+      expect(css).toContain('--theme-font-body: Georgia, serif;');
+      expect(css).toContain('font-family: var(--theme-font-body);');
+      expect(css).toContain('border-radius: var(--theme-button-radius);');
+      expect(css).toContain('box-shadow: var(--theme-shadow-md);');
+      expect(css).not.toContain('max-width: 1200px');
+    });
+
+    test('should emit the dark palette for the store colour scheme', () => {
+      const renderer = new TemplateRenderer();
+      const theme = { name: 'Test', primary: '#111111', dark_background: '#000000' };
+
+      expect(renderer.generateCSS(theme, 'auto')).toMatch(/@media \(prefers-color-scheme: dark\) \{\n  :root \{\n    color-scheme: dark;[\s\S]*--theme-background: #000000;/);
+      expect(renderer.generateCSS(theme, 'light')).not.toContain('prefers-color-scheme');
+      expect(renderer.generateCSS(theme, 'light')).not.toContain('--theme-background: #000000;');
+      expect(renderer.generateCSS(theme, 'dark')).not.toContain('prefers-color-scheme');
+      expect(renderer.generateCSS(theme, 'dark')).toContain('--theme-background: #000000;');
+    });
+
+    test('should only use the default dark colours when the store is dark-only', () => {
+      const renderer = new TemplateRenderer();
+
+      expect(renderer.generateColorSchemeCSS({ name: 'Test' }, 'auto')).toBe('');
+      expect(renderer.generateColorSchemeCSS({ name: 'Test' }, 'dark')).toContain('--theme-background: #121212;');
+    });
+  });
+});
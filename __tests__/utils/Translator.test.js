@@ -0,0 +1,110 @@
+const Translator = require('../../utils/Translator');
+const sectionRegistry = require('../../utils/SectionRegistry');
+
+describe('Translator', () => {
+  describe('t', () => {
+    test('should translate keys in the store language', () => {
+      expect(new Translator('de').t('product.addToCart')).toBe('In den Warenkorb');
+      expect(new Translator('se').t('cart.checkout')).toBe('Till kassan');
+    });
+
+    test('should fill placeholders from params', () => {
+      expect(new Translator('en').t('product.byVendor', { vendor: 'Acme' })).toBe('by Acme');
+      expect(new Translator('en').t('product.byVendor')).toBe('by {vendor}');
+    });
+
+    test('should fall back to English for languages without a catalog', () => {
+      expect(new Translator('no').t('product.addToCart')).toBe('Add to Cart');
+      expect(new Translator(null).language).toBe('en');
+    });
+
+    test('should prefer store overrides and ignore empty ones', () => {
+      const translator = new Translator('de', { 'product.addToCart': 'Kaufen', 'cart.title': '' });
+
+      expect(translator.t('product.addToCart')).toBe('Kaufen');
+      expect(translator.t('cart.title')).toBe('Ihr Warenkorb');
+    });
+
+    test('should return unknown keys unchanged', () => {
+      expect(new Translator('de').t('product.unknown')).toBe('product.unknown');
+    });
+  });
+
+  describe('forStore', () => {
+    test('should load the store overrides', async () => {
+      const store = createMockStore({
+        language: 'fi',
+        getTranslationOverrides: jest.fn().mockResolvedValue({ 'cart.cart': 'Kori' })
+      });
+
+      const translator = await Translator.forStore(store);
+
+      expect(translator.language).toBe('fi');
+      expect(translator.t('cart.cart')).toBe('Kori');
+    });
+
+    test('should keep the catalog strings when overrides fail to load', async () => {
+      const store = createMockStore({
+        language: 'fi',
+        getTranslationOverrides: jest.fn().mockRejectedValue(new Error('no such table'))
+      });
+
+      expect((await Translator.forStore(store)).t('cart.cart')).toBe('Ostoskori');
+    });
+  });
+
+  describe('catalogs', () => {
+    test('should give every catalog the same keys as English', () => {
+      for (const language of Translator.getAvailableLanguages()) {
+        expect({ language, missing: new Translator(language).getMissingKeys() }).toEqual({ language, missing: [] });
+      }
+    });
+
+    test('should group strings for the browser script labels', () => {
+      expect(new Translator('da').getGroup('variant')).toEqual({
+        inStock: 'På lager',
+        outOfStock: 'Udsolgt',
+        soldOut: 'Udsolgt',
+        unavailable: 'Ikke tilgængelig'
+      });
+    });
+
+    test('should expose nested strings for templates', () => {
+      const strings = new Translator('sv', { 'footer.allRightsReserved': 'Med ensamrätt.' }).toJSON();
+
+      expect(strings.product.addToCart).toBe('Lägg i varukorgen');
+      expect(strings.footer.allRightsReserved).toBe('Med ensamrätt.');
+    });
+  });
+
+  describe('getMissingTranslationsReport', () => {
+    test('should report store languages without a catalog', () => {
+      const report = Translator.getMissingTranslationsReport([
+        { domain: 'example.no', language: 'no' },
+        { domain: 'example.de', language: 'de' }
+      ]);
+
+      expect(report.en).toBeUndefined();
+      expect(report.de).toMatchObject({ hasCatalog: true, missing: [], stores: ['example.de'] });
+      expect(report.nb.hasCatalog).toBe(false);
+      expect(report.nb.stores).toEqual(['example.no']);
+      expect(report.nb.missing).toEqual(Translator.getKeys());
+    });
+
+    test('should count overridden keys as translated for a store', () => {
+      const translator = new Translator('no', { 'product.addToCart': 'Legg i handlekurven' });
+
+      expect(translator.getMissingKeys()).toContain('product.addToCart');
+      expect(translator.getUntranslatedKeys()).not.toContain('product.addToCart');
+    });
+  });
+
+  describe('section defaults', () => {
+    test('should translate section defaults that are not set', () => {
+      const translator = new Translator('de');
+
+      expect(sectionRegistry.resolveSettings('QuickBuyButton', {}, {}, translator).button_text).toBe('Jetzt kaufen');
+      expect(sectionRegistry.resolveSettings('QuickBuyButton', {}, { button_text: 'Sofort kaufen' }, translator).button_text).toBe('Sofort kaufen');
+    });
+  });
+});
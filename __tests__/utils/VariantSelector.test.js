@@ -0,0 +1,141 @@
+const { JSDOM } = require('jsdom');
+const VariantSelector = require('../../utils/VariantSelector');
+
+describe('VariantSelector', () => {
+  let selector;
+  let mockStore;
+  let mockProduct;
+
+  beforeEach(() => {
+    selector = new VariantSelector();
+    mockStore = createMockStore({ currency: 'EUR' });
+    mockProduct = {
+      id: 1,
+      handle: 'clip-pro',
+      title: 'Clip Pro',
+      images: [{ src: 'https://cdn.example.com/red.jpg', alt: 'Red' }, { src: 'https://cdn.example.com/blue.jpg', alt: 'Blue' }],
+      options: [{ name: 'Color', values: ['Red', 'Blue'] }, { name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { id: 11, title: 'Red / S', options: ['Red', 'S'], price: 10, compare_at_price: null, available: false, sku: 'RED-S', image: 'https://cdn.example.com/red.jpg' },
+        { id: 12, title: 'Red / M', options: ['Red', 'M'], price: 11, compare_at_price: null, available: true, sku: 'RED-M', image: 'https://cdn.example.com/red.jpg' },
+        { id: 13, title: 'Blue / S', options: ['Blue', 'S'], price: 12, compare_at_price: 15, available: true, sku: 'BLUE-S', image: 'https://cdn.example.com/blue.jpg' }
+      ]
+    };
+  });
+
+  describe('getOptions', () => {
+    test('should skip single-variant products', () => {
+      const product = {
+        options: [{ name: 'Title', values: ['Default Title'] }],
+        variants: [{ id: 1, title: 'Default Title', price: 10, available: true }]
+      };
+
+      expect(selector.getOptions(product)).toEqual([]);
+      expect(selector.render(product, mockStore)).toBe('');
+    });
+
+    test('should fall back to variant titles when options are missing', () => {
+      const product = { variants: [{ id: 1, title: 'Small' }, { id: 2, title: 'Large' }] };
+      const options = selector.getOptions(product);
+
+      expect(options).toEqual([{ name: 'Variant', values: ['Small', 'Large'] }]);
+      expect(selector.getVariantOptions(product.variants[1], options)).toEqual(['Large']);
+    });
+
+    test('should split variant titles when variants lack option values', () => {
+      const options = selector.getOptions(mockProduct);
+      expect(selector.getVariantOptions({ title: 'Blue / M' }, options)).toEqual(['Blue', 'M']);
+    });
+  });
+
+  describe('render', () => {
+    test('should preselect the first variant in stock', () => {
+      const html = selector.render(mockProduct, mockStore);
+
+      expect(selector.getInitialVariant(mockProduct).id).toBe(12);
+      expect(html).toContain('<option value="Red" selected>Red</option>');
+      expect(html).toContain('<option value="M" selected>M</option>');
+      expect(html).toContain('value="12" data-variant-id-input');
+    });
+
+    test('should escape option values and keep the data inside its script tag', () => {
+      mockProduct.options[0].values[0] = '"Red" </script>';
+      mockProduct.variants[0].options[0] = '"Red" </script>';
+      const html = selector.render(mockProduct, mockStore);
+
+      expect(html).toContain('<option value="&quot;Red&quot; &lt;/script&gt;">');
+      expect(html.match(/<\/script>/g)).toHaveLength(1);
+    });
+  });
+
+  describe('browser script', () => {
+    const createPage = async (url = 'https://clipia.se/products/clip-pro.html') => {
+      const dom = new JSDOM(`<!DOCTYPE html><body><main data-product>
+        <div class="product-image active" data-image-src="https://cdn.example.com/red.jpg"></div>
+        <div class="product-image" data-image-src="https://cdn.example.com/blue.jpg"></div>
+        <span data-variant-price>€11.00</span>
+        <span data-variant-compare-price hidden></span>
+        <span data-variant-availability>In Stock</span>
+        <button data-variant-add data-variant-id="12" data-add-text="Add to Cart">Add to Cart</button>
+        ${selector.render(mockProduct, mockStore)}
+      </main></body>`, { url, runScripts: 'outside-only' });
+
+      dom.window.eval(VariantSelector.getScript());
+      if (dom.window.document.readyState === 'loading') {
+        await new Promise(resolve => dom.window.document.addEventListener('DOMContentLoaded', resolve));
+      }
+      return dom.window.document;
+    };
+
+    const choose = (document, index, value) => {
+      const select = document.querySelector(`select[data-option-index="${index}"]`);
+      select.value = value;
+      select.dispatchEvent(new document.defaultView.Event('change'));
+    };
+
+    test('should switch price, availability, button and image with the selection', async () => {
+      const document = await createPage();
+
+      choose(document, 0, 'Blue');
+      choose(document, 1, 'S');
+
+      expect(document.querySelector('[data-variant-price]').textContent).toBe('€12.00');
+      expect(document.querySelector('[data-variant-compare-price]').textContent).toBe('€15.00');
+      expect(document.querySelector('[data-variant-compare-price]').hidden).toBe(false);
+      expect(document.querySelector('[data-variant-add]').dataset.variantId).toBe('13');
+      expect(document.querySelector('[data-variant-id-input]').value).toBe('13');
+      expect(document.querySelector('.active').dataset.imageSrc).toBe('https://cdn.example.com/blue.jpg');
+      expect(document.defaultView.location.search).toBe('?variant=13');
+    });
+
+    test('should disable the add button for sold out variants', async () => {
+      const document = await createPage();
+
+      choose(document, 1, 'S');
+
+      const button = document.querySelector('[data-variant-add]');
+      expect(button.disabled).toBe(true);
+      expect(button.textContent).toBe('Out of Stock');
+      expect(document.querySelector('[data-variant-availability]').textContent).toBe('Out of Stock');
+    });
+
+    test('should move to an existing variant when the combination does not exist', async () => {
+      const document = await createPage();
+
+      choose(document, 0, 'Blue');
+
+      expect(document.querySelector('select[data-option-index="1"]').value).toBe('S');
+      expect(document.querySelector('[data-variant-add]').dataset.variantId).toBe('13');
+    });
+
+    test('should preselect the variant linked in the URL and label unavailable values', async () => {
+      const document = await createPage('https://clipia.se/products/clip-pro.html?variant=13');
+
+      expect(document.querySelector('select[data-option-index="0"]').value).toBe('Blue');
+      expect(document.querySelector('[data-variant-price]').textContent).toBe('€12.00');
+
+      const sizeLabels = Array.from(document.querySelectorAll('select[data-option-index="1"] option')).map(option => option.textContent);
+      expect(sizeLabels).toEqual(['S', 'M - Unavailable']);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Database Migration: Add Brand Group
+ * Adds the brand group used to link sister stores in different markets (hreflang)
+ */
+
+const db = require('./db');
+
+async function addBrandGroup() {
+  console.log('🔄 Adding brand group field to stores table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('stores', 'brand_group')) {
+      console.log('✅ Brand group field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE stores ADD COLUMN brand_group TEXT;
+    `);
+    
+    console.log('✅ Brand group field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Brand group field already exists');
+    } else {
+      console.error('❌ Error adding brand group field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addBrandGroup()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addBrandGroup };
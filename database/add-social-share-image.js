@@ -0,0 +1,51 @@
+/**
+ * Database Migration: Add Social Share Image
+ * Adds the Open Graph / Twitter Card image used by content pages to the stores table
+ */
+
+const db = require('./db');
+
+async function addSocialShareImage() {
+  console.log('🔄 Adding social share image field to stores table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('stores', 'social_share_image')) {
+      console.log('✅ Social share image field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE stores ADD COLUMN social_share_image TEXT;
+    `);
+    
+    console.log('✅ Social share image field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Social share image field already exists');
+    } else {
+      console.error('❌ Error adding social share image field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addSocialShareImage()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addSocialShareImage };
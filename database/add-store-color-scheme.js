@@ -0,0 +1,52 @@
+/**
+ * Database Migration: Add Store Color Scheme
+ * Adds the colour scheme setting of a store: auto follows the visitor's system
+ * setting, light and dark always use one palette of the theme
+ */
+
+const db = require('./db');
+
+async function addStoreColorScheme() {
+  console.log('🔄 Adding colour scheme field to stores table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('stores', 'color_scheme')) {
+      console.log('✅ Colour scheme field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE stores ADD COLUMN color_scheme TEXT DEFAULT 'auto';
+    `);
+    
+    console.log('✅ Colour scheme field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Colour scheme field already exists');
+    } else {
+      console.error('❌ Error adding colour scheme field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addStoreColorScheme()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addStoreColorScheme };
@@ -0,0 +1,52 @@
+/**
+ * Database Migration: Add Store Deployment Provider
+ * Adds the deployment target of a store: vercel (the default), local or s3,
+ * see utils/DeploymentProviders.js
+ */
+
+const db = require('./db');
+
+async function addStoreDeploymentProvider() {
+  console.log('🔄 Adding deployment provider field to stores table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('stores', 'deployment_provider')) {
+      console.log('✅ Deployment provider field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE stores ADD COLUMN deployment_provider TEXT DEFAULT 'vercel';
+    `);
+    
+    console.log('✅ Deployment provider field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Deployment provider field already exists');
+    } else {
+      console.error('❌ Error adding deployment provider field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addStoreDeploymentProvider()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addStoreDeploymentProvider };
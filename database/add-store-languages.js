@@ -0,0 +1,95 @@
+/**
+ * Database Migration: Add Store Languages
+ * Adds the additional storefront languages of a store and a language column
+ * on store_pages, so a store can publish /de/, /fr/ ... versions of its pages
+ */
+
+const db = require('./db');
+
+async function addStoreLanguages() {
+  console.log('🔄 Adding storefront languages to stores and store_pages...');
+
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+
+    if (await db.hasColumn('stores', 'languages')) {
+      console.log('✅ Languages field already exists');
+    } else {
+      await db.run(`
+        ALTER TABLE stores ADD COLUMN languages TEXT;
+      `);
+      console.log('✅ Languages field added to stores');
+    }
+
+    if (await db.hasColumn('store_pages', 'language')) {
+      console.log('✅ Store pages already have a language column');
+      return;
+    }
+
+    // The unique key changes to (store_id, page_type, language), which needs a table rebuild
+    await db.run('BEGIN TRANSACTION');
+    try {
+      await db.run(`
+        CREATE TABLE store_pages_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          store_id INTEGER NOT NULL,
+          page_type TEXT NOT NULL,
+          slug TEXT NOT NULL,
+          language TEXT NOT NULL DEFAULT '',
+          title TEXT NOT NULL,
+          subtitle TEXT,
+          content TEXT,
+          meta_title TEXT,
+          meta_description TEXT,
+          is_enabled BOOLEAN DEFAULT 1,
+          sort_order INTEGER DEFAULT 0,
+          template_data TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (store_id) REFERENCES stores (id) ON DELETE CASCADE,
+          UNIQUE(store_id, page_type, language)
+        )
+      `);
+
+      await db.run(`
+        INSERT INTO store_pages_new (
+          id, store_id, page_type, slug, title, subtitle, content, meta_title, meta_description,
+          is_enabled, sort_order, template_data, created_at, updated_at
+        )
+        SELECT id, store_id, page_type, slug, title, subtitle, content, meta_title, meta_description,
+          is_enabled, sort_order, template_data, created_at, updated_at
+        FROM store_pages
+      `);
+
+      await db.run('DROP TABLE store_pages');
+      await db.run('ALTER TABLE store_pages_new RENAME TO store_pages');
+      await db.run('COMMIT');
+    } catch (error) {
+      await db.run('ROLLBACK');
+      throw error;
+    }
+
+    console.log('✅ Language column added to store_pages');
+
+  } catch (error) {
+    console.error('❌ Error adding storefront languages:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addStoreLanguages()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addStoreLanguages };
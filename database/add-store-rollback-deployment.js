@@ -0,0 +1,52 @@
+/**
+ * Database Migration: Add Store Rollback Deployment
+ * Adds the deployment whose snapshot a store was rolled back to; set while the
+ * live site has drifted from the store content, cleared by the next deploy
+ */
+
+const db = require('./db');
+
+async function addStoreRollbackDeployment() {
+  console.log('🔄 Adding rollback deployment field to stores table...');
+
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+
+    if (await db.hasColumn('stores', 'rollback_deployment_id')) {
+      console.log('✅ Rollback deployment field already exists');
+      return;
+    }
+
+    await db.run(`
+      ALTER TABLE stores ADD COLUMN rollback_deployment_id INTEGER;
+    `);
+
+    console.log('✅ Rollback deployment field added successfully');
+
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Rollback deployment field already exists');
+    } else {
+      console.error('❌ Error adding rollback deployment field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addStoreRollbackDeployment()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addStoreRollbackDeployment };
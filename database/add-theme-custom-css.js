@@ -0,0 +1,51 @@
+/**
+ * Database Migration: Add Theme Custom CSS
+ * Adds the custom CSS a theme appends to the generated stylesheet
+ */
+
+const db = require('./db');
+
+async function addThemeCustomCss() {
+  console.log('🔄 Adding custom CSS field to themes table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('themes', 'custom_css')) {
+      console.log('✅ Custom CSS field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE themes ADD COLUMN custom_css TEXT;
+    `);
+    
+    console.log('✅ Custom CSS field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Custom CSS field already exists');
+    } else {
+      console.error('❌ Error adding custom CSS field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addThemeCustomCss()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addThemeCustomCss };
@@ -0,0 +1,51 @@
+/**
+ * Database Migration: Add Theme Inheritance
+ * Adds the parent theme a theme inherits its css_variables from
+ */
+
+const db = require('./db');
+
+async function addThemeInheritance() {
+  console.log('🔄 Adding parent theme field to themes table...');
+  
+  try {
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    if (await db.hasColumn('themes', 'parent_id')) {
+      console.log('✅ Parent theme field already exists');
+      return;
+    }
+    
+    await db.run(`
+      ALTER TABLE themes ADD COLUMN parent_id INTEGER REFERENCES themes (id);
+    `);
+    
+    console.log('✅ Parent theme field added successfully');
+    
+  } catch (error) {
+    // Check if column already exists
+    if (error.message.includes('duplicate column name')) {
+      console.log('✅ Parent theme field already exists');
+    } else {
+      console.error('❌ Error adding parent theme field:', error);
+      throw error;
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addThemeInheritance()
+    .then(() => {
+      console.log('🎉 Migration completed successfully');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addThemeInheritance };
@@ -36,9 +36,33 @@ class Database {
 
     // Create tables
     await this.createTables();
+    await this.runMigrations();
     await this.insertDefaultData();
   }
 
+  /**
+   * Add the columns of newer versions to databases created before them.
+   * Every migration skips what already exists, so they run on each start;
+   * a migration that fails makes initialize fail
+   */
+  async runMigrations() {
+    // Required here: the migration scripts require this module
+    const migrations = [
+      require('./add-social-share-image').addSocialShareImage,
+      require('./add-brand-group').addBrandGroup,
+      require('./add-store-languages').addStoreLanguages,
+      require('./add-theme-inheritance').addThemeInheritance,
+      require('./add-theme-custom-css').addThemeCustomCss,
+      require('./add-store-color-scheme').addStoreColorScheme,
+      require('./add-store-deployment-provider').addStoreDeploymentProvider,
+      require('./add-store-rollback-deployment').addStoreRollbackDeployment
+    ];
+
+    for (const migrate of migrations) {
+      await migrate();
+    }
+  }
+
   async createTables() {
     const tables = [
       // Users table for basic authentication
@@ -56,12 +80,15 @@ class Database {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         name TEXT NOT NULL,
         description TEXT,
-        css_variables TEXT, -- JSON string containing color scheme
+        css_variables TEXT, -- JSON string containing the colors and design tokens (see utils/ThemeTokens.js)
+        parent_id INTEGER, -- Theme this one inherits css_variables from (see utils/ThemeInheritance.js)
         is_default BOOLEAN DEFAULT 0,
         is_active BOOLEAN DEFAULT 1,
         preview_image TEXT,
+        custom_css TEXT, -- Appended to the generated stylesheet after the theme styles
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES themes (id)
       )`,
 
       // Stores table - main entity for each created store
@@ -77,6 +104,8 @@ class Database {
         language TEXT NOT NULL,
         currency TEXT NOT NULL,
         timezone TEXT DEFAULT 'UTC',
+        brand_group TEXT, -- Sister stores of one brand in different markets (hreflang)
+        languages TEXT, -- JSON array of additional storefront languages, served under /<code>/
         
         /* Shopify integration */
         shopify_domain TEXT,
@@ -87,6 +116,7 @@ class Database {
         /* Store configuration and theming */
         theme_id TEXT DEFAULT 'default',
         theme_id_new INTEGER, /* New theme system reference */
+        color_scheme TEXT DEFAULT 'auto', /* auto, light or dark: which theme palette the storefront uses */
         template TEXT DEFAULT 'bootstrap-default',
         logo_url TEXT,
         primary_color TEXT DEFAULT '#007cba',
@@ -96,6 +126,7 @@ class Database {
         meta_title TEXT,
         meta_description TEXT,
         favicon_url TEXT,
+        social_share_image TEXT, -- Open Graph image for content pages
         
         /* Store settings */
         shipping_info TEXT,
@@ -127,6 +158,8 @@ class Database {
         status TEXT DEFAULT 'setup', -- setup, active, suspended
         deployment_status TEXT DEFAULT 'pending', -- pending, deploying, deployed, failed
         deployment_url TEXT,
+        deployment_provider TEXT DEFAULT 'vercel', -- vercel, local or s3 (utils/DeploymentProviders.js)
+        rollback_deployment_id INTEGER, -- set while the live site is a rolled back snapshot, not the current content
         
         /* Timestamps */
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -163,6 +196,7 @@ class Database {
         store_id INTEGER NOT NULL,
         page_type TEXT NOT NULL,
         slug TEXT NOT NULL,
+        language TEXT NOT NULL DEFAULT '', -- '' for the store language, otherwise an additional storefront language
         
         /* Content */
         title TEXT NOT NULL,
@@ -181,7 +215,7 @@ class Database {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         
         FOREIGN KEY (store_id) REFERENCES stores (id) ON DELETE CASCADE,
-        UNIQUE(store_id, page_type)
+        UNIQUE(store_id, page_type, language)
       )`,
 
       // Sessions for basic session management
@@ -274,6 +308,73 @@ class Database {
         
         FOREIGN KEY (template_id) REFERENCES product_page_templates (id) ON DELETE CASCADE,
         UNIQUE(company_id, product_handle)
+      )`,
+
+      // Store translations - per-store overrides of the locales/ catalog strings
+      `CREATE TABLE IF NOT EXISTS store_translations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        store_id INTEGER NOT NULL,
+        translation_key TEXT NOT NULL, -- Dotted catalog key, e.g. product.addToCart
+        value TEXT NOT NULL,
+
+        /* Timestamps */
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (store_id) REFERENCES stores (id) ON DELETE CASCADE,
+        UNIQUE(store_id, translation_key)
+      )`,
+
+      // Deployment jobs - persistent queue of utils/DeploymentQueue.js
+      `CREATE TABLE IF NOT EXISTS deployment_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        store_id INTEGER NOT NULL,
+        options TEXT, -- JSON: force, fast, productHandle
+        status TEXT DEFAULT 'queued', -- queued, running, succeeded, failed
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        run_at TEXT, -- ISO time the job is due (later after a failed attempt)
+        last_error TEXT,
+        result TEXT, -- JSON deployment result
+
+        /* Lease of the worker running the job, renewed by its heartbeat */
+        locked_by TEXT,
+        lease_expires_at TEXT,
+        heartbeat_at TEXT,
+
+        /* Timestamps */
+        started_at TEXT,
+        finished_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (store_id) REFERENCES stores (id) ON DELETE CASCADE
+      )`,
+
+      // One row per deployment run, for the deployment history of a store
+      `CREATE TABLE IF NOT EXISTS deployments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        store_id INTEGER NOT NULL,
+        job_id INTEGER, -- deployment_jobs row the run belongs to
+        trigger TEXT DEFAULT 'manual', -- manual, bulk, product, rollback, content, settings, setup, publish or theme (DeploymentHistory)
+        provider TEXT,
+        status TEXT DEFAULT 'running', -- running, succeeded, failed
+        started_at TEXT,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        result TEXT, -- JSON deployment result
+        error TEXT,
+        logs TEXT, -- JSON array of { time, level, step, message }
+
+        /* Deployed files: JSON array of { path, size, sha256 } and a hash of the list */
+        manifest TEXT,
+        manifest_hash TEXT,
+        file_count INTEGER,
+        total_bytes INTEGER,
+
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (store_id) REFERENCES stores (id) ON DELETE CASCADE
       )`
     ];
 
@@ -473,6 +574,11 @@ class Database {
     }
   }
 
+  async hasColumn(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  }
+
   async run(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
@@ -1,6 +1,14 @@
 const Store = require('../models/Store');
 const path = require('path');
 const fs = require('fs');
+const StructuredData = require('../utils/StructuredData');
+const SocialMeta = require('../utils/SocialMeta');
+const StoreDirectory = require('../utils/StoreDirectory');
+const VariantSelector = require('../utils/VariantSelector');
+const StoreCart = require('../utils/StoreCart');
+const PriceFormatter = require('../utils/PriceFormatter');
+const Translator = require('../utils/Translator');
+const StoreLocale = require('../utils/StoreLocale');
 
 /**
  * Domain routing middleware for Express
@@ -96,45 +104,75 @@ const domainRouter = async (req, res, next) => {
 
     // Determine which file to serve
     let requestedPath = req.path;
-    const storePath = path.join(process.cwd(), 'stores', cleanDomain);
+    // Falls back to the previous build while a new build is being swapped in
+    const storePath = StoreDirectory.resolveServingPath(cleanDomain);
     
     // Check if store directory exists
-    if (!fs.existsSync(storePath)) {
-      console.warn(`Store directory not found: ${storePath}`);
+    if (!storePath) {
+      console.warn(`Store directory not found: ${path.join(process.cwd(), 'stores', cleanDomain)}`);
       return next();
     }
 
     let filePath;
     
     if (!requestedPath || requestedPath === '/' || requestedPath === '') {
+      // Stores in several languages send visitors to their language, unless they picked one in the switcher
+      const language = getPreferredLanguage(store, req);
+      const directory = StoreLocale.getLanguageDirectory(store, language);
+      
+      if (StoreLocale.getAdditionalLanguages(store).length > 0) {
+        res.setHeader('Vary', 'Accept-Language, Cookie');
+      }
+      
+      if (directory && fs.existsSync(path.join(storePath, directory, 'index.html'))) {
+        return res.redirect(302, `/${directory}/`);
+      }
+      
       // Serve homepage
       filePath = path.join(storePath, 'index.html');
     } else {
       // Clean the path
       const cleanPath = requestedPath.replace(/^\/+/, '').replace(/\/+$/, '');
       
+      // Language versions live under /<code>/ and share the product detail route
+      const segments = cleanPath.split('/');
+      const pathLanguage = StoreLocale.getLanguageForDirectory(store, segments[0]);
+      const productPath = pathLanguage ? segments.slice(1) : segments;
+      
       // Check if this is a product detail request
-      if (cleanPath.startsWith('products/') && cleanPath.split('/').length === 2) {
-        const productHandle = cleanPath.split('/')[1];
+      if (productPath[0] === 'products' && productPath.length === 2) {
+        const productHandle = productPath[1];
         
         // Dynamically render product detail page
         try {
           const product = await store.getShopifyProduct(productHandle);
           if (product) {
+            const pageStore = pathLanguage ? StoreLocale.getLanguageStore(store, pathLanguage) : store;
+            
             // Get all pages for navigation
-            const storePages = await store.getPages();
+            const storePages = pathLanguage ? await store.getLanguagePages(pathLanguage) : await store.getPages();
+            const translator = pathLanguage ? new Translator(pathLanguage) : await Translator.forStore(store);
             
             // Render product detail page
             const ejs = require('ejs');
             const templatePath = path.join(process.cwd(), 'views', 'product-detail.ejs');
+            const title = `${product.title} - ${store.name}`;
+            const metaDescription = product.description ? 
+              product.description.replace(/<[^>]*>/g, '').substring(0, 160) + '...' :
+              `${product.title} - Available at ${store.name}`;
             const html = await ejs.renderFile(templatePath, {
-              title: `${product.title} - ${store.name}`,
-              store: store,
+              title: title,
+              store: pageStore,
               product: product,
               allPages: storePages,
-              metaDescription: product.description ? 
-                product.description.replace(/<[^>]*>/g, '').substring(0, 160) + '...' :
-                `${product.title} - Available at ${store.name}`
+              structuredData: new StructuredData().forProductPage(pageStore, product),
+              socialMeta: new SocialMeta().forProductPage(pageStore, product, { title, description: metaDescription }),
+              variantSelector: new VariantSelector(translator.getGroup('variant')),
+              storeCart: new StoreCart(translator.getGroup('cart')),
+              priceFormatter: new PriceFormatter(pageStore),
+              translator: translator,
+              languageLinks: getLanguageLinks(store, pathLanguage, `/products/${productHandle}`),
+              metaDescription: metaDescription
             });
             
             // Set appropriate headers
@@ -305,4 +343,39 @@ const domainRouter = async (req, res, next) => {
   }
 };
 
+/**
+ * Storefront language for the home page: the visitor's switcher choice
+ * (store_language cookie), otherwise the best match for Accept-Language
+ */
+function getPreferredLanguage(store, req) {
+  const languages = StoreLocale.getStoreLanguages(store);
+  if (languages.length < 2) return languages[0];
+
+  const cookieMatch = (req.get('cookie') || '').match(/(?:^|;\s*)store_language=([a-z]{2,3})(?:;|$)/);
+  if (cookieMatch && languages.includes(cookieMatch[1])) {
+    return cookieMatch[1];
+  }
+
+  return StoreLocale.negotiateLanguage(store, req.get('accept-language'));
+}
+
+/**
+ * Language switcher links to the same path in every storefront language
+ */
+function getLanguageLinks(store, currentLanguage, pagePath) {
+  const languages = StoreLocale.getStoreLanguages(store);
+  if (languages.length < 2) return [];
+
+  return languages.map(language => {
+    const directory = StoreLocale.getLanguageDirectory(store, language);
+    return {
+      language,
+      code: StoreLocale.getLanguageCode(language),
+      name: StoreLocale.getLanguageName(language),
+      href: `${directory ? `/${directory}` : ''}${pagePath}`,
+      active: language === (currentLanguage || languages[0])
+    };
+  });
+}
+
 module.exports = domainRouter;
\ No newline at end of file
@@ -140,7 +140,16 @@ const validateStoreCreation = (req, res, next) => {
 };
 
 // Sanitize input data but preserve HTML entities for form fields
+// req.rawBody keeps the body as parsed, for routes that validate structured fields
+// themselves (content blocks, theme packages) and can't use HTML-escaped strings
 const sanitizeInput = (req, res, next) => {
+  // Several routers use this middleware; escape a request only once
+  if (req.inputSanitized) {
+    return next();
+  }
+  req.inputSanitized = true;
+  req.rawBody = req.body;
+
   const sanitizeString = (str, preserveForForms = false) => {
     if (typeof str !== 'string') return str;
     
@@ -2,9 +2,14 @@ const db = require('../database/db');
 const { v4: uuidv4 } = require('uuid');
 const TemplateRenderer = require('../utils/TemplateRenderer');
 const DeploymentAutomation = require('../utils/DeploymentAutomation');
+const DeploymentProviders = require('../utils/DeploymentProviders');
 const deploymentQueue = require('../utils/DeploymentQueue');
+const DeploymentHistory = require('../utils/DeploymentHistory');
 const { PageTemplate } = require('./PageTemplate');
 const LegalPageLoader = require('../utils/LegalPageLoader');
+const StoreDirectory = require('../utils/StoreDirectory');
+const Translator = require('../utils/Translator');
+const StoreLocale = require('../utils/StoreLocale');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
@@ -18,6 +23,9 @@ class Store {
     this.subdomain = data.subdomain;
     this.country = data.country;
     this.language = data.language;
+    this.brand_group = data.brand_group || null;
+    this.languages = data.languages || null;
+    this.color_scheme = data.color_scheme || 'auto';
     this.currency = data.currency;
     this.timezone = data.timezone || 'UTC';
     this.shopify_domain = data.shopify_domain;
@@ -33,6 +41,7 @@ class Store {
     this.meta_title = data.meta_title;
     this.meta_description = data.meta_description;
     this.favicon_url = data.favicon_url;
+    this.social_share_image = data.social_share_image;
     // Store settings
     this.shipping_info = data.shipping_info;
     this.shipping_time = data.shipping_time;
@@ -62,6 +71,8 @@ class Store {
     this.status = data.status || 'setup';
     this.deployment_status = data.deployment_status || 'pending';
     this.deployment_url = data.deployment_url;
+    this.deployment_provider = data.deployment_provider || 'vercel';
+    this.rollback_deployment_id = data.rollback_deployment_id || null;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     this.deployed_at = data.deployed_at;
@@ -216,6 +227,9 @@ class Store {
     }
   }
 
+  /**
+   * Publish a draft store; resolves with its queued deployment (see deployUnified)
+   */
   async publishDraft() {
     if (this.status !== 'draft') {
       throw new Error('Store is not in draft status');
@@ -241,17 +255,15 @@ class Store {
       
       console.log('✅ Store published successfully:', this.name);
       
-      // IMMEDIATELY deploy the store after publishing
+      // IMMEDIATELY deploy the store after publishing (through the deployment queue)
       console.log('🚀 Auto-deploying store after publication...');
-      const deployResult = await this.deploy(null, true); // force deploy
+      const queued = await this.deployUnified({ force: true, trigger: 'publish' });
       
-      if (deployResult.success) {
-        console.log('✅ Store auto-deployed successfully:', this.name);
-      } else {
-        console.error('❌ Auto-deployment failed:', deployResult.error);
+      if (!queued.success) {
+        throw new Error(`Could not queue deployment: ${queued.error}`);
       }
       
-      return this;
+      return queued;
       
     } catch (error) {
       console.error('❌ Error publishing store:', error.message);
@@ -417,10 +429,10 @@ class Store {
 
   async update(updateData) {
     const allowedFields = [
-      'name', 'domain', 'subdomain', 'country', 'language', 'currency', 'timezone',
+      'name', 'domain', 'subdomain', 'country', 'language', 'currency', 'timezone', 'brand_group', 'languages',
       'shopify_domain', 'shopify_access_token', 'shopify_shop_name', 'shopify_connected',
-      'theme_id', 'theme_id_new', 'template', 'logo_url', 'primary_color', 'secondary_color',
-      'meta_title', 'meta_description', 'favicon_url',
+      'theme_id', 'theme_id_new', 'color_scheme', 'template', 'logo_url', 'primary_color', 'secondary_color',
+      'meta_title', 'meta_description', 'favicon_url', 'social_share_image',
       'shipping_info', 'shipping_time', 'return_policy', 'return_period',
       'support_email', 'support_phone', 'business_address', 'business_orgnr',
       'gdpr_compliant', 'cookie_consent', 'selected_pages', 'selected_products',
@@ -428,7 +440,7 @@ class Store {
       'prefooter_enabled', 'prefooter_card1_image', 'prefooter_card1_title', 'prefooter_card1_text',
       'prefooter_card2_image', 'prefooter_card2_title', 'prefooter_card2_text',
       'prefooter_card3_image', 'prefooter_card3_title', 'prefooter_card3_text',
-      'status', 'deployment_status', 'deployment_url'
+      'status', 'deployment_status', 'deployment_url', 'deployment_provider', 'rollback_deployment_id'
     ];
 
     const updateFields = [];
@@ -436,9 +448,11 @@ class Store {
 
     for (const [key, value] of Object.entries(updateData)) {
       if (allowedFields.includes(key)) {
+        // Additional storefront languages are stored as a JSON array
+        const fieldValue = key === 'languages' && Array.isArray(value) ? JSON.stringify(value) : value;
         updateFields.push(`${key} = ?`);
-        updateValues.push(value);
-        this[key] = value;
+        updateValues.push(fieldValue);
+        this[key] = fieldValue;
       }
     }
 
@@ -460,17 +474,13 @@ class Store {
   async delete() {
     try {
       console.log(`🗑️ Starting comprehensive deletion of store: ${this.name} (${this.domain})`);
-      console.log(`📋 Correct order: Git → Vercel → Local Files → Database`);
-      
-      // 1. Clean up Git repository FIRST (while files still exist locally)
-      console.log(`🔄 Step 1: Cleaning up Git repository (while files exist)...`);
-      await this.cleanupGitRepository();
-      console.log(`✅ Step 1 completed: Git cleanup done`);
+      console.log(`📋 Correct order: Deployment target (${this.deployment_provider}) → Local Files → Database`);
       
-      // 2. Clean up Vercel project and domain
-      console.log(`🔄 Step 2: Cleaning up Vercel project and domain...`);
-      await this.cleanupVercelProject();
-      console.log(`✅ Step 2 completed: Vercel cleanup done`);
+      // 1-2. Remove the store from its deployment target FIRST (while files still exist locally);
+      // for Vercel this cleans up the Git repository, then the Vercel project and domain
+      console.log(`🔄 Step 1-2: Removing store from deployment target...`);
+      await DeploymentProviders.forStore(this).teardown(this);
+      console.log(`✅ Step 1-2 completed: Deployment target cleanup done`);
       
       // 3. Delete store files (now that Git and Vercel are cleaned)
       console.log(`🔄 Step 3: Deleting local store files...`);
@@ -726,7 +736,7 @@ class Store {
 
   async getPages() {
     const pages = await db.all(
-      'SELECT * FROM store_pages WHERE store_id = ? ORDER BY sort_order, page_type',
+      "SELECT * FROM store_pages WHERE store_id = ? AND language = '' ORDER BY sort_order, page_type",
       [this.id]
     );
     return pages;
@@ -735,7 +745,7 @@ class Store {
   /**
    * Generate physical store files from database content
    */
-  async generateStoreFiles() {
+  async generateStoreFiles(options = {}) {
     try {
       console.log(`🎨 Generating store files for ${this.name}...`);
       
@@ -750,8 +760,9 @@ class Store {
       // Initialize template renderer
       const renderer = new TemplateRenderer();
       
-      // Generate all files
-      const storePath = await renderer.generateStoreFiles(this, pages);
+      // Generate all files (unchanged outputs are skipped unless options.force is set)
+      const storePath = await renderer.generateStoreFiles(this, pages, options);
+      this.lastBuildReport = renderer.lastBuildReport;
       
       console.log(`✅ Store files generated at: ${storePath}`);
       return storePath;
@@ -765,15 +776,18 @@ class Store {
   /**
    * Regenerate store files (useful for content updates)
    * For full deployment, use deploy() method instead
+   * Returns the build report: { rebuilt, skipped, removed, failed } file lists
    */
-  async regenerateStoreFiles() {
+  async regenerateStoreFiles(options = {}) {
     try {
       console.log(`🔄 Regenerating store files for ${this.name}...`);
       
       // Just generate files without changing deployment status
-      await this.generateStoreFiles();
+      this.lastBuildReport = null;
+      await this.generateStoreFiles(options);
       
       console.log(`✅ Store files regenerated for ${this.name}`);
+      return this.lastBuildReport;
       
     } catch (error) {
       console.error(`❌ Error regenerating store files for ${this.name}:`, error);
@@ -869,15 +883,25 @@ class Store {
     return path.join(process.cwd(), 'stores', this.domain);
   }
 
+  /**
+   * Swap the previous build of the store files back in
+   */
+  revertStoreFiles() {
+    const storePath = new StoreDirectory(this.domain).revert();
+    console.log(`⏪ Reverted store files for ${this.name} to the previous build`);
+    return storePath;
+  }
+
   /**
    * Delete store files
    */
   async deleteStoreFiles() {
     try {
       const storePath = this.getStorePath();
+      const storeDirectory = new StoreDirectory(this.domain);
       
-      if (fs.existsSync(storePath)) {
-        fs.rmSync(storePath, { recursive: true, force: true });
+      if (fs.existsSync(storePath) || storeDirectory.hasPreviousBuild() || storeDirectory.listSnapshots().length > 0) {
+        storeDirectory.removeAll();
         console.log(`✅ Deleted store files for ${this.name}`);
       }
     } catch (error) {
@@ -943,7 +967,10 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       const cleanupQueries = [
         { table: 'store_pages', query: 'DELETE FROM store_pages WHERE store_id = ?' },
         { table: 'store_products', query: 'DELETE FROM store_products WHERE store_id = ?' },
-        { table: 'store_settings', query: 'DELETE FROM store_settings WHERE store_id = ?' }
+        { table: 'store_settings', query: 'DELETE FROM store_settings WHERE store_id = ?' },
+        { table: 'store_translations', query: 'DELETE FROM store_translations WHERE store_id = ?' },
+        { table: 'deployment_jobs', query: 'DELETE FROM deployment_jobs WHERE store_id = ?' },
+        { table: 'deployments', query: 'DELETE FROM deployments WHERE store_id = ?' }
       ];
       
       for (const cleanup of cleanupQueries) {
@@ -1122,8 +1149,8 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
     try {
       console.log(`⚡ Fast deploying ${this.name}${force ? ' (FORCED)' : ''}`);
       
-      // Check if already deployed and not forcing
-      if (!force && this.deployment_status === 'deployed' && this.storeFilesExist()) {
+      // Check if already deployed and not forcing (a rolled back store is never up to date)
+      if (!force && this.deployment_status === 'deployed' && !this.rollback_deployment_id && this.storeFilesExist()) {
         console.log(`✅ ${this.name} is already deployed at https://${this.domain}`);
         return {
           success: true,
@@ -1144,7 +1171,8 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       // Update status to indicate files are ready for deployment (Git automation only)
       await this.update({ 
         deployment_status: 'pending',
-        files_generated_at: new Date().toISOString()
+        files_generated_at: new Date().toISOString(),
+        rollback_deployment_id: null
       });
       
       console.log(`⚡ ${this.name} deployed successfully (fast mode): https://${this.domain}`);
@@ -1170,12 +1198,15 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
    * This replaces forceDeploy, deployToLive, regenerateStoreFiles etc.
    */
   async deploy(progressCallback = null, force = false) {
+    // Log lines go to the deployment's log when DeploymentHistory.record runs this deploy
+    const logger = (progressCallback && progressCallback.logger) || console;
+
     try {
-      console.log(`🚀 Deploying ${this.name} - Single reliable deployment path${force ? ' (FORCED)' : ''}`);
+      logger.log(`🚀 Deploying ${this.name} - Single reliable deployment path${force ? ' (FORCED)' : ''}`);
       
-      // Check if already deployed and not forcing
-      if (!force && this.deployment_status === 'deployed' && this.storeFilesExist()) {
-        console.log(`✅ ${this.name} is already deployed at https://${this.domain}`);
+      // Check if already deployed and not forcing (a rolled back store is never up to date)
+      if (!force && this.deployment_status === 'deployed' && !this.rollback_deployment_id && this.storeFilesExist()) {
+        logger.log(`✅ ${this.name} is already deployed at https://${this.domain}`);
         return {
           success: true,
           url: `https://${this.domain}`,
@@ -1187,27 +1218,28 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       
       // Update status to deploying
       await this.update({ deployment_status: 'deploying' });
+      const deploymentAutomation = new DeploymentAutomation({ logger });
       
       // Step 1: Generate/regenerate store files
-      console.log(`📁 Generating store files for ${this.name}...`);
-      await this.generateStoreFiles();
+      logger.log(`📁 Generating store files for ${this.name}...`);
+      await deploymentAutomation.runStep('generate', () => this.generateStoreFiles(), progressCallback);
       
       // Step 2: Execute deployment automation
-      console.log(`🚀 Executing deployment automation for ${this.name}...`);
-      const deploymentAutomation = new DeploymentAutomation();
+      logger.log(`🚀 Executing deployment automation for ${this.name}...`);
       const result = await deploymentAutomation.executeCompleteDeployment(this, {
         progressCallback
       });
       
       if (result.success) {
-        // Update deployment status to success
+        // Update deployment status to success; the live site matches the store content again
         await this.update({ 
           deployment_status: 'deployed',
           deployed_at: new Date().toISOString(),
-          deployment_url: `https://${this.domain}`
+          deployment_url: `https://${this.domain}`,
+          rollback_deployment_id: null
         });
         
-        console.log(`✅ ${this.name} deployed successfully: https://${this.domain}`);
+        logger.log(`✅ ${this.name} deployed successfully: https://${this.domain}`);
         return {
           success: true,
           url: `https://${this.domain}`,
@@ -1220,7 +1252,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       }
       
     } catch (error) {
-      console.error(`❌ Deployment failed for ${this.name}:`, error.message);
+      logger.error(`❌ Deployment failed for ${this.name}:`, error.message);
       
       // Update deployment status to failed
       await this.update({ deployment_status: 'failed' });
@@ -1229,10 +1261,60 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
     }
   }
 
-  async deployProductToLive(productHandle) {
+  /**
+   * Publish the snapshot of an earlier deployment through the deployment pipeline,
+   * without regenerating the store files; the store is drifted until the next deploy
+   */
+  async deploySnapshot(deploymentId, progressCallback = null) {
+    const logger = (progressCallback && progressCallback.logger) || console;
+
+    try {
+      logger.log(`⏪ Rolling ${this.name} back to deployment #${deploymentId}`);
+      
+      await this.update({ deployment_status: 'deploying' });
+      const deploymentAutomation = new DeploymentAutomation({ logger });
+      
+      // Step 1: Put the snapshot files live locally
+      await deploymentAutomation.runStep('restore', () => new StoreDirectory(this.domain).restoreSnapshot(deploymentId), progressCallback);
+      
+      // Step 2: Execute deployment automation
+      const result = await deploymentAutomation.executeCompleteDeployment(this, {
+        progressCallback
+      });
+      
+      if (!result.success) {
+        throw new Error('Deployment automation failed');
+      }
+      
+      await this.update({ 
+        deployment_status: 'deployed',
+        deployed_at: new Date().toISOString(),
+        deployment_url: `https://${this.domain}`,
+        rollback_deployment_id: deploymentId
+      });
+      
+      logger.log(`✅ ${this.name} rolled back to deployment #${deploymentId}: https://${this.domain}`);
+      return {
+        success: true,
+        url: `https://${this.domain}`,
+        isLive: result.isLive || false,
+        message: `Rolled back to deployment #${deploymentId}`,
+        rolledBackTo: deploymentId
+      };
+      
+    } catch (error) {
+      logger.error(`❌ Rollback failed for ${this.name}:`, error.message);
+      
+      await this.update({ deployment_status: 'failed' });
+      
+      throw new Error(`Rollback failed: ${error.message}`);
+    }
+  }
+
+  async deployProductToLive(productHandle, progressCallback = null) {
     // Product deployments need to push to git, so use full deployment method
     console.log(`🚀 Product deployment for ${productHandle} using full deployment method (forced)`);
-    return await this.deploy(null, true);  // null progressCallback, force=true
+    return await this.deploy(progressCallback, true);  // force=true
   }
 
   toJSON() {
@@ -1244,6 +1326,8 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       subdomain: this.subdomain,
       country: this.country,
       language: this.language,
+      brand_group: this.brand_group,
+      languages: this.languages,
       currency: this.currency,
       timezone: this.timezone,
       shopify_domain: this.shopify_domain,
@@ -1251,6 +1335,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       shopify_connected: this.shopify_connected,
       theme_id: this.theme_id,
       theme_id_new: this.theme_id_new,
+      color_scheme: this.color_scheme,
       template: this.template,
       logo_url: this.logo_url,
       primary_color: this.primary_color,
@@ -1258,6 +1343,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       meta_title: this.meta_title,
       meta_description: this.meta_description,
       favicon_url: this.favicon_url,
+      social_share_image: this.social_share_image,
       shipping_info: this.shipping_info,
       shipping_time: this.shipping_time,
       return_policy: this.return_policy,
@@ -1284,6 +1370,10 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
       status: this.status,
       deployment_status: this.deployment_status,
       deployment_url: this.deployment_url,
+      deployment_provider: this.deployment_provider,
+      rollback_deployment_id: this.rollback_deployment_id,
+      // The live site was rolled back and doesn't reflect the store content until the next deploy
+      drifted: Boolean(this.rollback_deployment_id),
       created_at: this.created_at,
       updated_at: this.updated_at,
       deployed_at: this.deployed_at,
@@ -1296,18 +1386,137 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
 
   // Get store pages for content editing
   async getPages() {
-    const pages = await db.all('SELECT * FROM store_pages WHERE store_id = ? ORDER BY sort_order, page_type', [this.id]);
+    const pages = await db.all("SELECT * FROM store_pages WHERE store_id = ? AND language = '' ORDER BY sort_order, page_type", [this.id]);
     
     // If no pages exist, create default pages from content_defaults
     if (pages.length === 0) {
       console.log(`📄 No pages found for store ${this.name}, creating default pages...`);
       await this.createDefaultPages();
-      return await db.all('SELECT * FROM store_pages WHERE store_id = ? ORDER BY sort_order, page_type', [this.id]);
+      return await db.all("SELECT * FROM store_pages WHERE store_id = ? AND language = '' ORDER BY sort_order, page_type", [this.id]);
+    }
+    
+    return pages;
+  }
+
+  // Get the pages of an additional storefront language (served under /<code>/)
+  async getLanguagePages(language) {
+    const pages = await db.all('SELECT * FROM store_pages WHERE store_id = ? AND language = ? ORDER BY sort_order, page_type', [this.id, language]);
+    
+    // A newly enabled language starts with translated copies of the store's pages
+    if (pages.length === 0) {
+      console.log(`📄 No ${language} pages found for store ${this.name}, creating them...`);
+      await this.createLanguagePages(language);
+      return await db.all('SELECT * FROM store_pages WHERE store_id = ? AND language = ? ORDER BY sort_order, page_type', [this.id, language]);
     }
     
     return pages;
   }
 
+  // Pages of every additional storefront language, keyed by language
+  async getAllLanguagePages() {
+    const languagePages = {};
+    
+    for (const language of StoreLocale.getAdditionalLanguages(this)) {
+      languagePages[language] = await this.getLanguagePages(language);
+    }
+    
+    return languagePages;
+  }
+
+  // Create an additional language's version of each store page: legal pages from
+  // legal_pages/, other pages from content_defaults, falling back to the store's own content
+  async createLanguagePages(language) {
+    const pages = await this.getPages();
+    const legalPageTypes = ['terms', 'privacy', 'refund', 'delivery'];
+    const translator = new Translator(language);
+    
+    const legalLoader = new LegalPageLoader();
+    await legalLoader.loadAllLegalPages();
+    
+    for (const page of pages) {
+      try {
+        let pageContent;
+        
+        if (legalPageTypes.includes(page.page_type)) {
+          const legalPage = legalLoader.getLegalPage(language, page.page_type);
+          
+          if (!legalPage) {
+            // Legal text in the wrong language is worse than no page; the footer leaves it out
+            console.warn(`⚠️ No ${language} legal page for ${page.page_type}, skipping it`);
+            continue;
+          }
+          
+          pageContent = {
+            slug: legalPage.slug,
+            title: legalPage.title,
+            subtitle: '',
+            content: this.replaceLegalPageVariables(legalPage.content),
+            meta_title: legalPage.title,
+            meta_description: `${legalPage.title} - ${this.name}`,
+            template_data: page.template_data
+          };
+        } else if (page.page_type === 'products') {
+          pageContent = {
+            slug: page.slug || 'products',
+            title: translator.t('products.title'),
+            subtitle: translator.t('products.subtitle'),
+            content: page.content,
+            meta_title: translator.t('products.metaTitle', { store: this.name }),
+            meta_description: translator.t('products.metaDescription', { store: this.name }),
+            template_data: page.template_data
+          };
+        } else {
+          const defaults = await db.get(
+            'SELECT * FROM content_defaults WHERE page_type = ? AND language = ?',
+            [page.page_type, language]
+          );
+          
+          pageContent = defaults ? {
+            slug: page.slug,
+            title: defaults.title.replace('{store_name}', this.name),
+            subtitle: (defaults.subtitle || '').replace('{store_name}', this.name),
+            content: (defaults.description || '').replace('{store_name}', this.name),
+            meta_title: (defaults.meta_title || '').replace('{store_name}', this.name),
+            meta_description: (defaults.meta_description || '').replace('{store_name}', this.name),
+            template_data: defaults.template_config || page.template_data
+          } : {
+            // Left for the store owner to translate
+            slug: page.slug,
+            title: page.title,
+            subtitle: page.subtitle,
+            content: page.content,
+            meta_title: page.meta_title,
+            meta_description: page.meta_description,
+            template_data: page.template_data
+          };
+        }
+        
+        await db.run(
+          `INSERT OR IGNORE INTO store_pages 
+           (store_id, page_type, language, slug, title, subtitle, content, meta_title, meta_description, template_data, is_enabled, sort_order) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            this.id,
+            page.page_type,
+            language,
+            page.page_type === 'home' ? '' : (pageContent.slug || page.page_type),
+            pageContent.title,
+            pageContent.subtitle || '',
+            pageContent.content,
+            pageContent.meta_title,
+            pageContent.meta_description,
+            pageContent.template_data,
+            page.is_enabled,
+            page.sort_order || 0
+          ]
+        );
+      } catch (pageError) {
+        console.error(`❌ Error creating ${language} page ${page.page_type}:`, pageError.message);
+        // Continue with other pages even if one fails
+      }
+    }
+  }
+
   // Create default pages for a store from content_defaults
   async createDefaultPages() {
     const defaultContent = await db.all(
@@ -1342,13 +1551,13 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
     }
   }
 
-  // Get specific page for editing
-  async getPage(pageType) {
-    return await db.get('SELECT * FROM store_pages WHERE store_id = ? AND page_type = ?', [this.id, pageType]);
+  // Get specific page for editing; language is '' for the store language
+  async getPage(pageType, language = '') {
+    return await db.get('SELECT * FROM store_pages WHERE store_id = ? AND page_type = ? AND language = ?', [this.id, pageType, language]);
   }
 
   // Update page content
-  async updatePage(pageType, pageData) {
+  async updatePage(pageType, pageData, language = '') {
     const allowedFields = ['title', 'subtitle', 'content', 'meta_title', 'meta_description', 'is_enabled'];
     const updateFields = [];
     const updateValues = [];
@@ -1361,15 +1570,48 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
     }
 
     if (updateFields.length > 0) {
-      updateValues.push(this.id, pageType);
+      updateValues.push(this.id, pageType, language);
       await db.run(
         `UPDATE store_pages SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP 
-         WHERE store_id = ? AND page_type = ?`,
+         WHERE store_id = ? AND page_type = ? AND language = ?`,
         updateValues
       );
     }
   }
 
+  // Get per-store translation overrides as { 'product.addToCart': 'Buy' }
+  async getTranslationOverrides() {
+    const rows = await db.all('SELECT translation_key, value FROM store_translations WHERE store_id = ?', [this.id]);
+    const overrides = {};
+
+    for (const row of rows) {
+      overrides[row.translation_key] = row.value;
+    }
+
+    return overrides;
+  }
+
+  // Save translation overrides; empty values remove the override, unknown keys are ignored
+  async saveTranslationOverrides(overrides = {}) {
+    const knownKeys = Translator.getKeys();
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!knownKeys.includes(key)) continue;
+
+      const text = value === undefined || value === null ? '' : String(value).trim();
+
+      if (text === '') {
+        await db.run('DELETE FROM store_translations WHERE store_id = ? AND translation_key = ?', [this.id, key]);
+      } else {
+        await db.run(
+          `INSERT INTO store_translations (store_id, translation_key, value) VALUES (?, ?, ?)
+           ON CONFLICT(store_id, translation_key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+          [this.id, key, text]
+        );
+      }
+    }
+  }
+
   /**
    * Fetch products from Shopify API
    */
@@ -1411,14 +1653,20 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
             src: img.src,
             alt: img.alt || product.title
           })),
+          options: (product.options || []).map(option => ({
+            name: option.name,
+            values: option.values || []
+          })),
           variants: product.variants.map(variant => ({
             id: variant.id,
             title: variant.title,
+            options: [variant.option1, variant.option2, variant.option3].filter(value => value !== null && value !== undefined),
             price: parseFloat(variant.price),
             compare_at_price: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
             available: variant.inventory_quantity > 0,
             inventory_quantity: variant.inventory_quantity,
-            sku: variant.sku || ''
+            sku: variant.sku || '',
+            image: variant.image_id ? (product.images.find(img => img.id === variant.image_id) || {}).src || null : null
           })),
           availableForSale: product.variants.some(variant => variant.inventory_quantity > 0),
           created_at: product.created_at,
@@ -1448,11 +1696,22 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
                       }
                     }
                   }
+                  options {
+                    name
+                    values
+                  }
                   variants(first: 10) {
                     edges {
                       node {
                         id
                         title
+                        selectedOptions {
+                          name
+                          value
+                        }
+                        image {
+                          url
+                        }
                         price {
                           amount
                           currencyCode
@@ -1501,16 +1760,25 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
               src: imgEdge.node.url,
               alt: imgEdge.node.altText || product.title
             })),
+            options: (product.options || []).map(option => ({
+              name: option.name,
+              values: option.values || []
+            })),
             variants: product.variants.edges.map(varEdge => {
               const variant = varEdge.node;
               return {
                 id: variant.id,
                 title: variant.title,
+                options: (product.options || []).map(option => {
+                  const selected = (variant.selectedOptions || []).find(selectedOption => selectedOption.name === option.name);
+                  return selected ? selected.value : null;
+                }).filter(value => value !== null),
                 price: parseFloat(variant.price.amount),
                 compare_at_price: variant.compareAtPrice ? parseFloat(variant.compareAtPrice.amount) : null,
                 available: variant.availableForSale,
                 inventory_quantity: variant.quantityAvailable,
-                sku: variant.sku || ''
+                sku: variant.sku || '',
+                image: variant.image ? variant.image.url : null
               };
             }),
             availableForSale: product.variants.edges.some(varEdge => varEdge.node.availableForSale),
@@ -1573,14 +1841,20 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
             src: img.src,
             alt: img.alt || product.title
           })),
+          options: (product.options || []).map(option => ({
+            name: option.name,
+            values: option.values || []
+          })),
           variants: product.variants.map(variant => ({
             id: variant.id,
             title: variant.title,
+            options: [variant.option1, variant.option2, variant.option3].filter(value => value !== null && value !== undefined),
             price: parseFloat(variant.price),
             compare_at_price: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
             available: variant.inventory_quantity > 0,
             inventory_quantity: variant.inventory_quantity,
-            sku: variant.sku || ''
+            sku: variant.sku || '',
+            image: variant.image_id ? (product.images.find(img => img.id === variant.image_id) || {}).src || null : null
           })),
           availableForSale: product.variants.some(variant => variant.inventory_quantity > 0),
           created_at: product.created_at,
@@ -1608,11 +1882,22 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
                   }
                 }
               }
+              options {
+                name
+                values
+              }
               variants(first: 10) {
                 edges {
                   node {
                     id
                     title
+                    selectedOptions {
+                      name
+                      value
+                    }
+                    image {
+                      url
+                    }
                     price {
                       amount
                       currencyCode
@@ -1662,16 +1947,25 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
             src: edge.node.url,
             alt: edge.node.altText || product.title
           })),
+          options: (product.options || []).map(option => ({
+            name: option.name,
+            values: option.values || []
+          })),
           variants: product.variants.edges.map(edge => {
             const variant = edge.node;
             return {
               id: variant.id,
               title: variant.title,
+              options: (product.options || []).map(option => {
+                const selected = (variant.selectedOptions || []).find(selectedOption => selectedOption.name === option.name);
+                return selected ? selected.value : null;
+              }).filter(value => value !== null),
               price: parseFloat(variant.price.amount),
               compare_at_price: variant.compareAtPrice ? parseFloat(variant.compareAtPrice.amount) : null,
               available: variant.availableForSale,
               inventory_quantity: variant.quantityAvailable,
-              sku: variant.sku || ''
+              sku: variant.sku || '',
+              image: variant.image ? variant.image.url : null
             };
           }),
           availableForSale: product.variants.edges.some(edge => edge.node.availableForSale),
@@ -1687,49 +1981,32 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
   }
   /**
    * Unified deployment method - queues deployment to prevent conflicts
+   * The job is persisted, so it still runs (or is retried) after a restart.
+   * Resolves as soon as the job is queued with its id and the id of its
+   * DeploymentEvents stream; follow it there or with getDeploymentJob.
+   * trigger (manual, bulk, product, ...) is recorded in the deployment history
    */
   async deployUnified(options = {}) {
-    const { force = false, fast = false, productHandle = null } = options;
+    const { force = false, fast = false, productHandle = null, rollbackTo = null } = options;
+    const trigger = DeploymentHistory.normalizeTrigger(options.trigger || (productHandle ? 'product' : 'manual'));
     
     console.log(`🚀 Queueing deployment for ${this.name}${productHandle ? ` (product: ${productHandle})` : ''}`);
     
     try {
-      const result = await deploymentQueue.enqueue(async () => {
-        // Set deployment status
-        await this.updateDeploymentStatus('deploying');
-        
-        try {
-          let deployResult;
-          
-          if (productHandle) {
-            // Product-specific deployment
-            deployResult = await this.deployProductToLive(productHandle);
-          } else if (fast) {
-            // Fast deployment (existing method)
-            deployResult = await this.deployFast(force);
-          } else {
-            // Full deployment (existing method)
-            deployResult = await this.deploy(force);
-          }
-          
-          if (deployResult.success) {
-            await this.updateDeploymentStatus('deployed');
-          } else {
-            await this.updateDeploymentStatus('failed');
-          }
-          
-          return deployResult;
-          
-        } catch (error) {
-          await this.updateDeploymentStatus('failed');
-          throw error;
-        }
-      });
+      const jobId = await deploymentQueue.enqueue(this.id, { force, fast, productHandle, rollbackTo, trigger });
       
-      return result;
+      return {
+        success: true,
+        queued: true,
+        jobId,
+        deploymentId: deploymentQueue.getEventStreamId(jobId),
+        statusUrl: `/api/stores/${this.uuid}/deployment`,
+        progressUrl: `/api/stores/${this.uuid}/jobs/${jobId}/events`,
+        message: `Deployment queued (job #${jobId})`
+      };
       
     } catch (error) {
-      console.error(`❌ Deployment failed for ${this.name}:`, error.message);
+      console.error(`❌ Could not queue deployment for ${this.name}:`, error.message);
       return {
         success: false,
         error: error.message,
@@ -1738,6 +2015,114 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
     }
   }
 
+  /**
+   * A deployment job of this store (the deployment_jobs row), or null
+   */
+  async getDeploymentJob(jobId) {
+    const job = await deploymentQueue.getJob(jobId);
+    return job && job.store_id === this.id ? job : null;
+  }
+
+  /**
+   * Run a deployment job of the queue; every run is recorded in the deployment history
+   */
+  async runDeployment({ force = false, fast = false, productHandle = null, rollbackTo = null, trigger = 'manual', jobId = null } = {}) {
+    const provider = DeploymentProviders.getName(this);
+    const eventStreamId = jobId ? deploymentQueue.getEventStreamId(jobId) : null;
+    
+    return DeploymentHistory.record(this, { trigger, provider, jobId, eventStreamId }, async (progressCallback, deploymentId) => {
+      // Set deployment status
+      await this.updateDeploymentStatus('deploying');
+      
+      try {
+        let deployResult;
+        
+        if (rollbackTo) {
+          // Re-publish the snapshot of an earlier deployment
+          deployResult = await this.deploySnapshot(rollbackTo, progressCallback);
+        } else if (productHandle) {
+          // Product-specific deployment
+          deployResult = await this.deployProductToLive(productHandle, progressCallback);
+        } else if (fast) {
+          // Fast deployment (existing method)
+          deployResult = await this.deployFast(force);
+        } else {
+          // Full deployment (existing method)
+          deployResult = await this.deploy(progressCallback, force);
+        }
+        
+        // Thrown, so the run is recorded as failed and the queue retries the job
+        if (!deployResult.success) {
+          throw new Error(deployResult.error || deployResult.message || 'Deployment did not succeed');
+        }
+        
+        await this.updateDeploymentStatus('deployed');
+        this.snapshotDeployment(deploymentId);
+        
+        return deployResult;
+        
+      } catch (error) {
+        await this.updateDeploymentStatus('failed');
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Keep a snapshot of the deployed store files to roll back to; only the newest
+   * DEPLOYMENT_SNAPSHOT_LIMIT (default 10) snapshots of a store are kept
+   */
+  snapshotDeployment(deploymentId) {
+    try {
+      const storeDirectory = new StoreDirectory(this.domain);
+      storeDirectory.createSnapshot(deploymentId);
+      storeDirectory.pruneSnapshots(parseInt(process.env.DEPLOYMENT_SNAPSHOT_LIMIT, 10) || 10);
+    } catch (error) {
+      console.warn(`⚠️ Could not snapshot deployment #${deploymentId} of ${this.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Roll the live site back to the snapshot of an earlier successful deployment
+   * Queued and recorded like other deployments
+   */
+  async rollback(deploymentId) {
+    const deployment = await this.getDeployment(deploymentId);
+    
+    if (!deployment || deployment.status !== 'succeeded') {
+      throw new Error(`Deployment #${deploymentId} is not a successful deployment of ${this.name}`);
+    }
+    if (!deployment.snapshot_available) {
+      throw new Error(`No snapshot is kept for deployment #${deploymentId}`);
+    }
+    
+    return this.deployUnified({ rollbackTo: deployment.id, trigger: 'rollback' });
+  }
+
+  /**
+   * Deployment history of this store, newest first (without logs and file manifests)
+   */
+  async getDeployments(options = {}) {
+    const deployments = await DeploymentHistory.findByStore(this.id, options);
+    return deployments.map(deployment => this.withSnapshotState(deployment));
+  }
+
+  /**
+   * A deployment of this store with its logs, file manifest and changed files
+   */
+  async getDeployment(deploymentId) {
+    const deployment = await DeploymentHistory.findById(this.id, deploymentId);
+    return deployment && this.withSnapshotState(deployment);
+  }
+
+  withSnapshotState(deployment) {
+    return {
+      ...deployment,
+      snapshot_available: deployment.status === 'succeeded' && new StoreDirectory(this.domain).hasSnapshot(deployment.id),
+      is_rollback_target: deployment.id === this.rollback_deployment_id
+    };
+  }
+
   /**
    * Update deployment status with proper error handling
    */
@@ -1757,9 +2142,21 @@ Co-Authored-By: Claude <noreply@anthropic.com>"`);
   /**
    * Get deployment queue status
    */
-  static getDeploymentQueueStatus() {
+  static async getDeploymentQueueStatus() {
     return deploymentQueue.getStatus();
   }
 }
 
+// Jobs of the deployment queue run here, also when they were queued before a restart
+deploymentQueue.setHandler(async (job, options) => {
+  const store = await Store.findById(job.store_id);
+  if (!store) {
+    const error = new Error(`Store ${job.store_id} no longer exists`);
+    error.retryable = false;
+    throw error;
+  }
+  
+  return store.runDeployment({ ...options, jobId: job.id });
+});
+
 module.exports = Store;
\ No newline at end of file
@@ -5,6 +5,14 @@ const Store = require('../models/Store');
 const CompanyShopifyStore = require('../models/CompanyShopifyStore');
 const { validateStoreCreation, sanitizeInput, createRateLimiter } = require('../middleware/validation');
 const { PageTemplate } = require('../models/PageTemplate');
+const StoreDirectory = require('../utils/StoreDirectory');
+const deploymentQueue = require('../utils/DeploymentQueue');
+const deploymentEvents = require('../utils/DeploymentEvents');
+const DeploymentHistory = require('../utils/DeploymentHistory');
+const Translator = require('../utils/Translator');
+const StoreLocale = require('../utils/StoreLocale');
+const ContentBlocks = require('../utils/ContentBlocks');
+const TemplateRenderer = require('../utils/TemplateRenderer');
 const router = express.Router();
 
 // Helper function to get Shopify product count
@@ -25,6 +33,22 @@ async function getShopifyProductCount(domain, accessToken) {
   }
 }
 
+// Helper function to resolve ?language= for page content: '' is the store language,
+// null a language the store doesn't publish
+function getPageLanguage(store, language) {
+  if (!language || language === store.language) return '';
+  return StoreLocale.getAdditionalLanguages(store).includes(language) ? language : null;
+}
+
+// Helper function to read content blocks from a request body; blocks is null for HTML content
+// Blocks are read from the body as sent (req.rawBody), since sanitizeInput HTML-escapes its strings
+function parseContentBlocks(req, content) {
+  const rawContent = req.rawBody && req.rawBody.content !== undefined ? req.rawBody.content : content;
+  const blocks = ContentBlocks.parse(rawContent);
+  
+  return { blocks, errors: blocks ? ContentBlocks.validate(blocks) : [] };
+}
+
 // Apply input sanitization and rate limiting
 router.use(sanitizeInput);
 router.use(createRateLimiter(15 * 60 * 1000, 100)); // 100 requests per 15 minutes
@@ -52,7 +76,11 @@ router.get('/', (req, res) => {
       content: {
         pages: '/api/stores/:storeId/pages',
         pageContent: '/api/stores/:storeId/pages/:pageType',
-        updateContent: '/api/stores/:storeId/pages/:pageType/content'
+        updateContent: '/api/stores/:storeId/pages/:pageType/content',
+        previewContent: '/api/stores/:storeId/pages/:pageType/preview'
+      },
+      translations: {
+        missing: '/api/translations/missing'
       }
     },
     documentation: 'Available endpoints listed above'
@@ -92,16 +120,23 @@ router.get('/stores/:storeId/pages', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
     
-    // Get all pages for the store
-    const pages = await store.getPages();
+    const language = getPageLanguage(store, req.query.language);
+    if (language === null) {
+      return res.status(400).json({ error: `Language ${req.query.language} is not enabled for this store` });
+    }
+    
+    // Get all pages for the store, or for one of its additional languages
+    const pages = language ? await store.getLanguagePages(language) : await store.getPages();
     
     res.json({
       success: true,
       store: {
         uuid: store.uuid,
         name: store.name,
-        domain: store.domain
+        domain: store.domain,
+        languages: StoreLocale.getStoreLanguages(store)
       },
+      language: language || store.language,
       pages: pages.map(page => ({
         id: page.id,
         page_type: page.page_type,
@@ -130,11 +165,16 @@ router.get('/stores/:storeId/pages/:pageType', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
     
+    const language = getPageLanguage(store, req.query.language);
+    if (language === null) {
+      return res.status(400).json({ error: `Language ${req.query.language} is not enabled for this store` });
+    }
+    
     // Get page from database
     const db = require('../database/db');
     const page = await db.get(
-      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ?',
-      [store.id, pageType]
+      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ? AND language = ?',
+      [store.id, pageType, language]
     );
     
     if (page) {
@@ -163,7 +203,7 @@ router.get('/stores/:storeId/pages/:pageType', async (req, res) => {
     } else {
       // Return template content as fallback
       try {
-        const template = await PageTemplate.getTranslatedContent(pageType, store.language);
+        const template = await PageTemplate.getTranslatedContent(pageType, language || store.language);
         
         // Replace template variables with store data
         const processedContent = store.replaceTemplateVariables(template.content);
@@ -229,18 +269,30 @@ router.put('/stores/:storeId/pages/:pageType/content', async (req, res) => {
       return res.status(400).json({ error: 'Title and content are required' });
     }
     
+    // Content blocks must match the shape of their type
+    const { blocks, errors } = parseContentBlocks(req, content);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid content blocks', details: errors });
+    }
+    const pageContent = blocks ? JSON.stringify(blocks) : content;
+    
     // Find store by UUID
     const store = await Store.findByUuid(storeId);
     if (!store) {
       return res.status(404).json({ error: 'Store not found' });
     }
     
+    const language = getPageLanguage(store, req.query.language);
+    if (language === null) {
+      return res.status(400).json({ error: `Language ${req.query.language} is not enabled for this store` });
+    }
+    
     const db = require('../database/db');
     
     // Check if page already exists
     const existingPage = await db.get(
-      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ?',
-      [store.id, pageType]
+      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ? AND language = ?',
+      [store.id, pageType, language]
     );
     
     if (existingPage) {
@@ -250,16 +302,17 @@ router.put('/stores/:storeId/pages/:pageType/content', async (req, res) => {
          title = ?, subtitle = ?, content = ?, 
          meta_title = ?, meta_description = ?, is_enabled = ?, 
          updated_at = CURRENT_TIMESTAMP 
-         WHERE store_id = ? AND page_type = ?`,
+         WHERE store_id = ? AND page_type = ? AND language = ?`,
         [
           title,
           subtitle || '',
-          content,
+          pageContent,
           meta_title || title,
           meta_description || '',
           is_enabled !== undefined ? (is_enabled ? 1 : 0) : 1,
           store.id,
-          pageType
+          pageType,
+          language
         ]
       );
       
@@ -268,16 +321,17 @@ router.put('/stores/:storeId/pages/:pageType/content', async (req, res) => {
       // Create new page
       await db.run(
         `INSERT INTO store_pages (
-          store_id, page_type, slug, title, subtitle, content,
+          store_id, page_type, language, slug, title, subtitle, content,
           meta_title, meta_description, is_enabled, template_data
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           store.id,
           pageType,
+          language,
           pageType === 'home' ? '' : pageType,
           title,
           subtitle || '',
-          content,
+          pageContent,
           meta_title || title,
           meta_description || '',
           is_enabled !== undefined ? (is_enabled ? 1 : 0) : 1,
@@ -290,8 +344,8 @@ router.put('/stores/:storeId/pages/:pageType/content', async (req, res) => {
     
     // Get updated page
     const updatedPage = await db.get(
-      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ?',
-      [store.id, pageType]
+      'SELECT * FROM store_pages WHERE store_id = ? AND page_type = ? AND language = ?',
+      [store.id, pageType, language]
     );
     
     // Trigger store file regeneration in background (for live updates)
@@ -334,6 +388,63 @@ router.put('/stores/:storeId/pages/:pageType/content', async (req, res) => {
   }
 });
 
+// Preview page content with the store theme, without saving it
+router.post('/stores/:storeId/pages/:pageType/preview', async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    const store = await Store.findByUuid(req.params.storeId);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const language = getPageLanguage(store, req.query.language);
+    if (language === null) {
+      return res.status(400).json({ error: `Language ${req.query.language} is not enabled for this store` });
+    }
+    
+    const { blocks, errors } = parseContentBlocks(req, content || '');
+    const renderer = new TemplateRenderer();
+    const previewStore = StoreLocale.getLanguageStore(store, language || store.language);
+    const themeConfig = await renderer.getThemeConfiguration(store);
+    
+    // Product grids show the store's products
+    let products = [];
+    if (blocks && ContentBlocks.getProductHandles(blocks).length > 0) {
+      try {
+        products = await store.fetchShopifyProducts(50);
+      } catch (error) {
+        console.warn(`⚠️ Failed to fetch products for preview of ${store.name}:`, error.message);
+      }
+    }
+    
+    const html = renderer.processPageContent(blocks ? JSON.stringify(blocks) : content || '', {
+      languagePath: previewStore.language_path || '',
+      products,
+      renderProduct: product => renderer.generateProductCard(product, previewStore, themeConfig)
+    });
+    
+    res.json({
+      success: true,
+      errors,
+      html: `<!DOCTYPE html>
+<html lang="${previewStore.language}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<base target="_blank">
+<style>${renderer.generateCSS(themeConfig, store.color_scheme)}</style>
+</head>
+<body><main>${html}</main></body>
+</html>`
+    });
+    
+  } catch (error) {
+    console.error('Preview page content error:', error);
+    res.status(500).json({ error: 'Failed to preview page content' });
+  }
+});
+
 // Reset page to template content
 router.post('/stores/:storeId/pages/:pageType/reset', async (req, res) => {
   try {
@@ -345,12 +456,17 @@ router.post('/stores/:storeId/pages/:pageType/reset', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
     
+    const language = getPageLanguage(store, req.query.language);
+    if (language === null) {
+      return res.status(400).json({ error: `Language ${req.query.language} is not enabled for this store` });
+    }
+    
     const db = require('../database/db');
     
     // Delete custom content to revert to template
     await db.run(
-      'DELETE FROM store_pages WHERE store_id = ? AND page_type = ?',
-      [store.id, pageType]
+      'DELETE FROM store_pages WHERE store_id = ? AND page_type = ? AND language = ?',
+      [store.id, pageType, language]
     );
     
     console.log(`🔄 Reset page ${pageType} to template for store ${store.name}`);
@@ -447,28 +563,24 @@ router.post('/detect-domain-info', async (req, res) => {
 router.post('/stores/bulk/redeploy', async (req, res) => {
   try {
     const stores = await Store.findAll();
-    let count = 0;
+    const jobs = [];
     
-    // Start redeployment for each store (in background)
+    // Queue a redeployment of each store; queued jobs run one at a time and survive restarts,
+    // and each job sets its store's deployment status when it runs
     for (const store of stores) {
-      // Set status to deploying and increment counter
-      await store.update({ deployment_status: 'deploying' });
-      count++;
-      
-      // Start deployment in background using simplified deploy method
-      setImmediate(async () => {
-        try {
-          await store.deploy();
-        } catch (error) {
-          console.error(`Bulk redeploy failed for ${store.name}:`, error.message);
-        }
-      });
+      const queued = await store.deployUnified({ trigger: 'bulk' });
+      if (queued.success) {
+        jobs.push({ store: store.uuid, jobId: queued.jobId, deploymentId: queued.deploymentId, progressUrl: queued.progressUrl });
+      } else {
+        console.error(`Bulk redeploy failed for ${store.name}:`, queued.error);
+      }
     }
     
-    res.json({
+    res.status(202).json({
       success: true,
-      count,
-      message: `Started redeployment for ${count} stores`
+      count: jobs.length,
+      jobs,
+      message: `Queued redeployment for ${jobs.length} stores`
     });
   } catch (error) {
     console.error('Bulk redeploy error:', error);
@@ -536,6 +648,34 @@ router.get('/stores/export', async (req, res) => {
   }
 });
 
+// Missing translations per catalog language and per store (store overrides count as translated)
+router.get('/translations/missing', async (req, res) => {
+  try {
+    const stores = await Store.findAll();
+    const storeReports = [];
+
+    for (const store of stores) {
+      const translator = await Translator.forStore(store);
+      storeReports.push({
+        uuid: store.uuid,
+        name: store.name,
+        domain: store.domain,
+        language: translator.language,
+        missing: translator.getUntranslatedKeys()
+      });
+    }
+
+    res.json({
+      success: true,
+      languages: Translator.getMissingTranslationsReport(stores),
+      stores: storeReports
+    });
+  } catch (error) {
+    console.error('Missing translations report error:', error);
+    res.status(500).json({ error: 'Failed to build missing translations report' });
+  }
+});
+
 // Get all stores
 router.get('/stores', async (req, res) => {
   try {
@@ -633,22 +773,21 @@ router.put('/stores/:uuid', async (req, res) => {
     
     await store.update(req.body);
     
-    // Auto-regenerate and deploy store files after update
+    // Queue a deployment after update; the job builds the store files, so it never
+    // runs alongside another build or deployment of this store
+    let deployment = null;
     try {
-      await store.regenerateStoreFiles();
-      console.log(`🔄 Store files auto-regenerated for ${store.name} after update`);
-      
-      // Trigger deployment using simplified method
-      await store.deploy();
-      console.log(`🚀 Store deployment triggered for ${store.name} after update`);
-    } catch (regenError) {
-      console.warn(`⚠️ Failed to auto-regenerate/deploy store files for ${store.name}:`, regenError.message);
-      // Continue without failing the update - user can manually regenerate
+      deployment = await store.deployUnified({ trigger: 'settings' });
+      console.log(`🚀 Store deployment queued for ${store.name} after update`);
+    } catch (deployError) {
+      console.warn(`⚠️ Failed to queue deployment for ${store.name}:`, deployError.message);
+      // Continue without failing the update - user can manually deploy
     }
     
     res.json({
       success: true,
       store: store.toJSON(),
+      deployment,
       message: 'Store updated successfully',
       redirectUrl: `/admin/stores/${store.uuid}?updated=true`
     });
@@ -714,14 +853,32 @@ router.get('/stores/:uuid/deployment', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
     
+    // The queue job is the source of truth while a deployment is queued or running
+    const job = await deploymentQueue.getLatestJob(store.id);
+    const jobStatus = job && { queued: 'queued', running: 'deploying' }[job.status];
+    
     res.json({
       success: true,
       deployment: {
-        status: store.deployment_status,
+        status: jobStatus || store.deployment_status,
         url: store.deployment_url,
         deployed_at: store.deployed_at,
         files_exist: store.storeFilesExist(),
-        live_url: `https://${store.domain}`
+        live_url: `https://${store.domain}`,
+        drifted: Boolean(store.rollback_deployment_id),
+        rollback_deployment_id: store.rollback_deployment_id,
+        job: job ? {
+          id: job.id,
+          status: job.status,
+          attempts: job.attempts,
+          max_attempts: job.max_attempts,
+          next_attempt_at: job.status === 'queued' ? job.run_at : null,
+          last_error: job.last_error,
+          started_at: job.started_at,
+          finished_at: job.finished_at,
+          heartbeat_at: job.heartbeat_at,
+          created_at: job.created_at
+        } : null
       }
     });
   } catch (error) {
@@ -730,6 +887,226 @@ router.get('/stores/:uuid/deployment', async (req, res) => {
   }
 });
 
+// Deployment history of a store, newest first
+router.get('/stores/:uuid/deployments', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const deployments = await store.getDeployments({ limit, offset });
+    
+    res.json({
+      success: true,
+      deployments,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get deployment history error:', error);
+    res.status(500).json({ error: 'Failed to get deployment history' });
+  }
+});
+
+// A deployment with its logs, deployed file manifest and the files changed since the previous deployment
+router.get('/stores/:uuid/deployments/:deploymentId', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const deployment = await store.getDeployment(parseInt(req.params.deploymentId, 10));
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    res.json({
+      success: true,
+      deployment
+    });
+  } catch (error) {
+    console.error('Get deployment error:', error);
+    res.status(500).json({ error: 'Failed to get deployment' });
+  }
+});
+
+// Step events of a deployment as Server-Sent Events; reconnecting clients send
+// Last-Event-ID and get the events they missed
+router.get('/stores/:uuid/deployments/:deploymentId/events', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const deployment = await store.getDeployment(parseInt(req.params.deploymentId, 10));
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    
+    // Events are only kept in memory for a while: a finished deployment without them gets its outcome
+    const streamId = DeploymentHistory.getEventStreamId(deployment.id);
+    if (!deploymentEvents.has(streamId) && deployment.status !== 'running') {
+      deploymentEvents.publish(streamId, deployment.status === 'succeeded'
+        ? { type: 'complete', durationMs: deployment.duration_ms, result: deployment.result }
+        : { type: 'error', durationMs: deployment.duration_ms, error: deployment.error });
+    }
+    
+    deploymentEvents.stream(req, res, streamId);
+  } catch (error) {
+    console.error('Deployment events error:', error);
+    res.status(500).json({ error: 'Failed to stream deployment events' });
+  }
+});
+
+// Events of a deployment job as Server-Sent Events: the step events of its attempts,
+// retries, then complete or error. Reconnecting clients send Last-Event-ID
+router.get('/stores/:uuid/jobs/:jobId/events', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const job = await store.getDeploymentJob(parseInt(req.params.jobId, 10));
+    if (!job) {
+      return res.status(404).json({ error: 'Deployment job not found' });
+    }
+    
+    // The job finished before the server started, or on another worker: send its outcome
+    const streamId = deploymentQueue.getEventStreamId(job.id);
+    if (!deploymentEvents.isFinished(streamId) && ['succeeded', 'failed'].includes(job.status)) {
+      deploymentEvents.publish(streamId, job.status === 'succeeded'
+        ? { type: 'complete', jobId: job.id, result: JSON.parse(job.result || 'null') }
+        : { type: 'error', jobId: job.id, error: job.last_error });
+    }
+    
+    deploymentEvents.stream(req, res, streamId);
+  } catch (error) {
+    console.error('Deployment job events error:', error);
+    res.status(500).json({ error: 'Failed to stream deployment job events' });
+  }
+});
+
+// Roll the store back to the snapshot of an earlier successful deployment and re-publish it
+router.post('/stores/:uuid/deployments/:deploymentId/rollback', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const deployment = await store.getDeployment(parseInt(req.params.deploymentId, 10));
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    if (!deployment.snapshot_available) {
+      return res.status(409).json({ error: 'No snapshot is kept for this deployment' });
+    }
+    
+    const queued = await store.rollback(deployment.id);
+    if (!queued.success) {
+      return res.status(500).json({
+        error: 'Rollback failed',
+        message: queued.error
+      });
+    }
+    
+    // The rollback runs in the deployment queue: follow it with statusUrl or progressUrl
+    res.status(202).json({
+      ...queued,
+      message: `Rollback to deployment #${deployment.id} queued (job #${queued.jobId})`
+    });
+  } catch (error) {
+    console.error('Rollback error:', error);
+    res.status(500).json({ 
+      error: 'Rollback failed',
+      message: error.message 
+    });
+  }
+});
+
+// Regenerate store files; unchanged outputs are skipped unless force is set
+router.post('/stores/:uuid/regenerate', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    // Builds outside the queue would race the build of a queued or running deployment
+    const activeJob = await deploymentQueue.getActiveJob(store.id);
+    if (activeJob) {
+      return res.status(409).json({ error: `A deployment of this store is ${activeJob.status} (job #${activeJob.id}), try again when it has finished` });
+    }
+    
+    const { force = false } = req.body;
+    const report = await store.regenerateStoreFiles({ force: Boolean(force) });
+    
+    res.json({
+      success: true,
+      build: report
+    });
+  } catch (error) {
+    console.error('Regenerate store files error:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate store files',
+      details: error.message 
+    });
+  }
+});
+
+// Revert store files to the previous build
+router.post('/stores/:uuid/revert-build', async (req, res) => {
+  try {
+    const store = await Store.findByUuid(req.params.uuid);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    const activeJob = await deploymentQueue.getActiveJob(store.id);
+    if (activeJob) {
+      return res.status(409).json({ error: `A deployment of this store is ${activeJob.status} (job #${activeJob.id}), try again when it has finished` });
+    }
+    
+    if (!new StoreDirectory(store.domain).hasPreviousBuild()) {
+      return res.status(409).json({ error: 'No previous build to revert to' });
+    }
+    
+    store.revertStoreFiles();
+    
+    res.json({
+      success: true,
+      message: 'Store reverted to the previous build'
+    });
+  } catch (error) {
+    console.error('Revert build error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revert store files',
+      details: error.message 
+    });
+  }
+});
+
+
+// Response of the deploy endpoints: the queued job, and the store's deployment as it is now
+function queuedDeploymentResponse(store, queued, deployment = {}) {
+  return {
+    ...queued,
+    store: store.toJSON(),
+    deployment: {
+      status: 'queued',
+      url: `https://${store.domain}`,
+      deployed_at: store.deployed_at,
+      job_id: queued.jobId,
+      ...deployment
+    }
+  };
+}
 
 // Fast deployment endpoint for quick API responses
 router.post('/stores/:uuid/deploy-fast', async (req, res) => {
@@ -743,22 +1120,13 @@ router.post('/stores/:uuid/deploy-fast', async (req, res) => {
     const { force = false } = req.body;
     console.log(`⚡ Fast deploying ${store.name}${force ? ' (FORCED)' : ''}`);
     
-    // Use the fast deploy method
-    const result = await store.deployFast(force);
+    // Queue the fast deployment; the client follows it with progressUrl or statusUrl
+    const queued = await store.deployUnified({ fast: true, force, trigger: 'manual' });
+    if (!queued.success) {
+      throw new Error(queued.error);
+    }
     
-    res.json({
-      success: true,
-      store: store.toJSON(),
-      message: result.message,
-      deployment: {
-        status: store.deployment_status,
-        url: result.url,
-        deployed_at: store.deployed_at,
-        live: result.isLive || false,
-        alreadyDeployed: result.alreadyDeployed || false,
-        fast_mode: true
-      }
-    });
+    res.status(202).json(queuedDeploymentResponse(store, queued, { fast_mode: true }));
   } catch (error) {
     console.error('Fast deploy store error:', error);
     
@@ -790,21 +1158,13 @@ router.post('/stores/:uuid/deploy', async (req, res) => {
     const { force = false } = req.body;
     console.log(`🚀 Deploying ${store.name} - Single reliable deployment path${force ? ' (FORCED)' : ''}`);
     
-    // Use the simplified deploy method
-    const result = await store.deploy(null, force);
+    // Queue the deployment; the client follows it with progressUrl or statusUrl
+    const queued = await store.deployUnified({ force, trigger: 'manual' });
+    if (!queued.success) {
+      throw new Error(queued.error);
+    }
     
-    res.json({
-      success: true,
-      store: store.toJSON(),
-      message: result.message,
-      deployment: {
-        status: store.deployment_status,
-        url: result.url,
-        deployed_at: store.deployed_at,
-        live: result.isLive || false,
-        alreadyDeployed: result.alreadyDeployed || false
-      }
-    });
+    res.status(202).json(queuedDeploymentResponse(store, queued));
   } catch (error) {
     console.error('Deploy store error:', error);
     
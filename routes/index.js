@@ -1,6 +1,19 @@
 const express = require('express');
 const Store = require('../models/Store');
 const CompanyShopifyStore = require('../models/CompanyShopifyStore');
+const sectionRegistry = require('../utils/SectionRegistry');
+const VariantSelector = require('../utils/VariantSelector');
+const StoreCart = require('../utils/StoreCart');
+const PriceFormatter = require('../utils/PriceFormatter');
+const Translator = require('../utils/Translator');
+const StoreLocale = require('../utils/StoreLocale');
+const ContentBlocks = require('../utils/ContentBlocks');
+const ThemeTokens = require('../utils/ThemeTokens');
+const ThemeInheritance = require('../utils/ThemeInheritance');
+const ColorContrast = require('../utils/ColorContrast');
+const DeploymentProviders = require('../utils/DeploymentProviders');
+const deploymentEvents = require('../utils/DeploymentEvents');
+const deploymentQueue = require('../utils/DeploymentQueue');
 const { validateSiteSetup, sanitizeInput } = require('../middleware/validation');
 const router = express.Router();
 
@@ -249,7 +262,10 @@ router.get('/admin-v2/shopify/:shopifyId', async (req, res) => {
 });
 
 router.get('/admin-v2/product/:id/edit', (req, res) => {
-  res.render('admin-v2/product-editor', { title: 'Product Editor' });
+  res.render('admin-v2/product-editor', {
+    title: 'Product Editor',
+    sectionDefinitions: sectionRegistry.getDefinitions()
+  });
 });
 
 // Sync product from Shopify
@@ -346,6 +362,7 @@ router.get('/admin-v2/store/:id', async (req, res) => {
       products: products,
       stores: stores,
       shopifyStores: shopifyStores,
+      deploymentProviders: DeploymentProviders.getProviders(),
       currentPage: 'store-management'
     });
   } catch (error) {
@@ -370,10 +387,15 @@ router.get('/admin-v2/store/:storeId/page/:pageId/edit', async (req, res) => {
       });
     }
     
+    // Pages built from content blocks are edited as JSON instead of in the HTML editor
+    const contentBlocks = ContentBlocks.parse(page.content);
+    
     res.render('admin-v2/page-editor', { 
       title: `Edit Page: ${page.title}`,
       store: store,
-      page: page
+      page: page,
+      contentBlocks: contentBlocks ? JSON.stringify(contentBlocks, null, 2) : null,
+      blockTypes: ContentBlocks.getBlockTypes()
     });
   } catch (error) {
     console.error('Page editor error:', error);
@@ -734,12 +756,13 @@ router.post('/admin-v2/store/:storeId/publish', async (req, res) => {
     
     console.log('🚀 Publishing draft store:', store.name);
     
-    // Convert draft to full store by calling the original create logic
-    await store.publishDraft();
+    // Convert draft to full store by calling the original create logic; the deployment is queued
+    const queued = await store.publishDraft();
     
-    res.json({
-      success: true,
-      message: 'Store published successfully',
+    // Follow the deployment with progressUrl
+    res.status(202).json({
+      ...queued,
+      message: 'Store published, deployment queued',
       store: {
         uuid: store.uuid,
         name: store.name,
@@ -776,7 +799,17 @@ router.post('/admin-v2/store/:storeId/page/:pageId/edit', async (req, res) => {
       .replace(/&gt;/g, '>')
       .replace(/&amp;/g, '&')
       .replace(/&quot;/g, '"')
-      .replace(/&#x2F;/g, '/') : content;
+      .replace(/&#x2F;/g, '/')
+      .replace(/&#x27;/g, "'")
+      .replace(/&#x5C;/g, '\\')
+      .replace(/&#96;/g, '`') : content;
+    
+    // Content blocks must match the shape of their type; anything else is saved as HTML
+    const blocks = ContentBlocks.parse(decodedContent);
+    const blockErrors = blocks ? ContentBlocks.validate(blocks) : [];
+    if (blockErrors.length > 0) {
+      return res.status(400).json({ success: false, message: blockErrors.join('; '), errors: blockErrors });
+    }
     
     // Update the page content
     await store.updatePage(page_type, {
@@ -788,19 +821,17 @@ router.post('/admin-v2/store/:storeId/page/:pageId/edit', async (req, res) => {
     
     console.log(`💾 Admin V2 - Updated ${page_type} page content for store ${store.name}`);
     
-    // Deploy to live with new content (includes regeneration + git automation)
-    try {
-      console.log(`🚀 Starting deployment for ${store.name}...`);
-      await store.deploy(null, true); // Force deployment to ensure changes go live
-      console.log(`✅ Store deployed for ${store.name} with updated content`);
-    } catch (error) {
-      console.error(`❌ Failed to deploy store:`, error);
-      // Don't fail the save if deployment fails
+    // Deploy to live with new content (includes regeneration + git automation) through the queue;
+    // a failed deployment doesn't fail the save
+    const deployment = await store.deployUnified({ force: true, trigger: 'content' });
+    if (!deployment.success) {
+      console.error(`❌ Failed to queue deployment:`, deployment.error);
     }
     
     res.json({ 
       success: true, 
-      message: `${page_type.charAt(0).toUpperCase() + page_type.slice(1)} page updated and deployed successfully!` 
+      message: `${page_type.charAt(0).toUpperCase() + page_type.slice(1)} page updated${deployment.success ? ', deployment queued' : ''}!`,
+      deployment
     });
     
   } catch (error) {
@@ -899,55 +930,41 @@ router.get('/admin/site-setup', async (req, res) => {
   }
 });
 
-// Real-time deployment progress endpoint
+// Real-time deployment progress endpoint (Server-Sent Events)
+// Reconnecting clients send Last-Event-ID and get the events they missed
 router.get('/admin/site-setup/progress/:deploymentId', (req, res) => {
-  // Set up Server-Sent Events
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
-
   const deploymentId = req.params.deploymentId;
   console.log(`📡 SSE connection established for deployment: ${deploymentId}`);
 
-  // Store the response object for this deployment
-  if (!global.deploymentConnections) {
-    global.deploymentConnections = new Map();
-  }
-  global.deploymentConnections.set(deploymentId, res);
-
-  // Send initial connection confirmation
-  res.write(`data: ${JSON.stringify({ 
-    type: 'connected', 
-    message: 'Real-time deployment tracking connected - Complete automation active',
-    deploymentId: deploymentId,
-    automationLevel: 'complete',
-    expectedSteps: [
-      'Database creation',
-      'File generation', 
-      'Git repository setup',
-      'Code commit & push',
-      'Vercel deployment trigger',
-      'Domain verification',
-      'Live domain confirmation'
-    ]
-  })}\n\n`);
+  deploymentEvents.stream(req, res, deploymentId);
 
-  // Clean up on client disconnect
   req.on('close', () => {
     console.log(`📡 SSE connection closed for deployment: ${deploymentId}`);
-    global.deploymentConnections.delete(deploymentId);
   });
 });
 
 // Helper function to send deployment progress updates
 function sendDeploymentUpdate(deploymentId, data) {
-  if (global.deploymentConnections && global.deploymentConnections.has(deploymentId)) {
-    const res = global.deploymentConnections.get(deploymentId);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  deploymentEvents.publish(deploymentId, data);
+}
+
+// Queue a deployment of the store and publish the events of its job to deploymentId;
+// resolves with the job once it succeeded, throws when it failed
+async function runQueuedDeployment(store, deploymentId, options, fields = {}) {
+  const queued = await store.deployUnified(options);
+  if (!queued.success) {
+    throw new Error(queued.error);
+  }
+  
+  const stopRelay = deploymentEvents.relay(queued.deploymentId, deploymentId, fields);
+  try {
+    const job = await deploymentQueue.waitForJob(queued.jobId);
+    if (!job || job.status !== 'succeeded') {
+      throw new Error(job ? job.last_error : `Deployment job #${queued.jobId} no longer exists`);
+    }
+    return job;
+  } finally {
+    stopRelay();
   }
 }
 
@@ -1033,17 +1050,11 @@ router.post('/admin/site-setup', validateSiteSetup, async (req, res) => {
           
           await existingStore.update(updateData);
           
-          // Auto-regenerate and deploy store files after update (fast deployment)
-          console.log('⚡ Starting fast auto-regeneration and deployment...');
-          try {
-            console.log('⚡ Calling deployFast...');
-            // Use fast deployment which regenerates files instantly
-            await existingStore.deployFast(true);
-            console.log(`⚡ Store fast deployment completed for ${existingStore.name} after site-setup update`);
-          } catch (regenError) {
-            console.error(`⚠️ Failed to auto-regenerate/deploy store files for ${existingStore.name}:`, regenError.message);
-            console.error('Full error:', regenError);
+          // Auto-regenerate and deploy store files after update (fast deployment, through the queue)
+          const deployment = await existingStore.deployUnified({ fast: true, force: true, trigger: 'settings' });
+          if (!deployment.success) {
             // Continue without failing the update - user can manually regenerate
+            console.error(`⚠️ Failed to queue deployment for ${existingStore.name}:`, deployment.error);
           }
           
           console.log('✅ Store updated successfully:', existingStore.name);
@@ -1051,6 +1062,7 @@ router.post('/admin/site-setup', validateSiteSetup, async (req, res) => {
           return res.json({
             success: true,
             store: existingStore.toJSON(),
+            deployment,
             message: 'Store updated successfully',
             redirectUrl: `/admin/stores/${existingStore.uuid}?updated=true`
           });
@@ -1174,20 +1186,8 @@ router.post('/admin/site-setup', validateSiteSetup, async (req, res) => {
             message: 'Generating files and pushing to Git...',
             progress: 45
           });
-          await store.deploy((update) => {
-            // Enhanced progress updates with automation context
-            const enhancedUpdate = {
-              ...update,
-              automationActive: true,
-              pipelineStage: update.step,
-              timestamp: new Date().toISOString()
-            };
-            
-            sendDeploymentUpdate(deploymentId, enhancedUpdate);
-            
-            // Log progress for transparency 
-            console.log(`📊 [${update.progress || 0}%] ${update.step}: ${update.message}`);
-          });
+          // Step events of the deployment (generate, commit, upload, alias, verify, ...)
+          await runQueuedDeployment(store, deploymentId, { trigger: 'setup' }, { automationActive: true });
           
           console.log('✅ COMPLETE AUTOMATION FINISHED:', store.uuid);
           console.log(`🌍 LIVE URL: https://${store.domain}`);
@@ -1628,14 +1628,16 @@ router.get('/admin/site-setup/deploy', (req, res) => {
     deploymentId: deploymentId,
     automationActive: true,
     expectedDuration: '60-120 seconds',
+    // Steps of the progress events (see DeploymentEvents), in the order they start
     pipelineSteps: [
-      'Database Creation',
-      'File Generation', 
-      'Git Repository Setup',
-      'Code Commit & Push',
-      'Vercel Deployment',
-      'Domain Verification',
-      'Live Domain Confirmation'
+      { step: 'database-creation', label: 'Database Creation' },
+      { step: 'generate', label: 'File Generation' },
+      { step: 'prepare', label: 'Deployment Setup' },
+      { step: 'upload', label: 'File Upload' },
+      { step: 'commit', label: 'Code Commit & Push' },
+      { step: 'activate', label: 'Vercel Deployment' },
+      { step: 'alias', label: 'Domain Alias' },
+      { step: 'verify', label: 'Domain Verification' }
     ]
   });
 });
@@ -1758,20 +1760,17 @@ router.post('/admin/store/:uuid/content', async (req, res) => {
     
     console.log(`💾 Updated ${pageType} page content for store ${store.name}`);
     
-    // Deploy to live with new content (includes regeneration + git automation)
-    try {
-      console.log(`🚀 Starting deployment for ${store.name}...`);
-      await store.deploy(null, true); // Force deployment to ensure changes go live
-      console.log(`✅ Store deployed for ${store.name} with updated content`);
-    } catch (error) {
-      console.error(`❌ Failed to deploy store:`, error);
-      console.error(`❌ Error stack:`, error.stack);
-      // Don't fail the save if deployment fails
+    // Deploy to live with new content (includes regeneration + git automation) through the queue;
+    // a failed deployment doesn't fail the save
+    const deployment = await store.deployUnified({ force: true, trigger: 'content' });
+    if (!deployment.success) {
+      console.error(`❌ Failed to queue deployment:`, deployment.error);
     }
     
     res.json({ 
       success: true, 
-      message: `${pageType.charAt(0).toUpperCase() + pageType.slice(1)} page updated and deployed successfully!` 
+      message: `${pageType.charAt(0).toUpperCase() + pageType.slice(1)} page updated${deployment.success ? ', deployment queued' : ''}!`,
+      deployment
     });
     
   } catch (error) {
@@ -1910,44 +1909,18 @@ router.post('/admin/deployment/redeploy/:storeId', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
     
-    // Start redeployment in background
-    const deploymentId = `redeploy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    res.json({
-      success: true,
-      deploymentId: deploymentId,
-      message: 'Redeployment started',
-      progressUrl: `/admin/site-setup/progress/${deploymentId}`
-    });
+    // Queued like every deployment; the client follows it with progressUrl
+    const queued = await store.deployUnified({ trigger: 'manual' });
+    if (!queued.success) {
+      return res.status(500).json({ 
+        error: 'Failed to start redeployment',
+        message: queued.error 
+      });
+    }
     
-    // Execute redeployment in background
-    setImmediate(async () => {
-      try {
-        await store.deploy((update) => {
-          sendDeploymentUpdate(deploymentId, {
-            ...update,
-            redeployment: true,
-            storeId: store.uuid
-          });
-        });
-        
-        sendDeploymentUpdate(deploymentId, {
-          type: 'complete',
-          step: 'redeployment-complete',
-          message: 'Redeployment completed successfully',
-          progress: 100,
-          success: true
-        });
-        
-      } catch (error) {
-        sendDeploymentUpdate(deploymentId, {
-          type: 'error',
-          step: 'redeployment-failed',
-          message: `Redeployment failed: ${error.message}`,
-          progress: 0,
-          error: error.message
-        });
-      }
+    res.status(202).json({
+      ...queued,
+      message: 'Redeployment queued'
     });
     
   } catch (error) {
@@ -1974,11 +1947,13 @@ router.get('/admin/stores/:uuid', async (req, res) => {
     }
     
     const pages = await store.getPages();
+    const deployments = await store.getDeployments({ limit: 20 });
     
     res.render('admin/store-details', {
       title: `${store.name} - Store Details`,
       store: store,
-      pages: pages
+      pages: pages,
+      deployments: deployments
     });
   } catch (error) {
     console.error('Store details error:', error);
@@ -2209,6 +2184,7 @@ router.get('/products/:handle', async (req, res) => {
 
     // Get all pages for navigation
     const allPages = await store.getPages();
+    const translator = await Translator.forStore(store);
 
     // Render product detail template
     res.render('product-detail', {
@@ -2216,6 +2192,10 @@ router.get('/products/:handle', async (req, res) => {
       store: store,
       product: product,
       allPages: allPages,
+      variantSelector: new VariantSelector(translator.getGroup('variant')),
+      storeCart: new StoreCart(translator.getGroup('cart')),
+      priceFormatter: new PriceFormatter(store),
+      translator: translator,
       metaDescription: product.description ? 
         product.description.replace(/<[^>]*>/g, '').substring(0, 160) + '...' :
         `${product.title} - Available at ${store.name}`
@@ -2278,6 +2258,28 @@ router.get('/admin/themes', async (req, res) => {
   }
 });
 
+// Helper function to check the design tokens in a theme's css_variables; returns an error message or null
+function getThemeTokensError(cssVariables) {
+  if (!cssVariables) return null;
+  
+  let values;
+  try {
+    values = JSON.parse(cssVariables);
+  } catch (error) {
+    return 'CSS variables must be valid JSON';
+  }
+  
+  const errors = ThemeTokens.validate(values);
+  return errors.length > 0 ? `Invalid design tokens: ${errors.join(', ')}` : null;
+}
+
+// Helper function to check the contrast of a theme's colours, including those it inherits from its parent,
+// and of the child themes that inherit them (themeId is null for a new theme); error is set unless the
+// request overrides failing contrast with allow_low_contrast
+async function getThemeContrast(themeId, parentId, cssVariables, allowLowContrast) {
+  return ThemeInheritance.validateContrast(themeId, parentId, cssVariables ? JSON.parse(cssVariables) : {}, allowLowContrast);
+}
+
 // Theme Builder - Create new theme
 router.get('/admin/themes/builder', async (req, res) => {
   try {
@@ -2297,10 +2299,38 @@ router.get('/admin/themes/builder', async (req, res) => {
       editMode = !!theme;
     }
     
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    // Values the theme inherits from its parent chain are shown as inherited
+    const themeChain = editMode ? await ThemeInheritance.getChain(theme.id) : [];
+    const excludedIds = editMode ? [theme.id, ...await ThemeInheritance.getDescendantIds(theme.id)].map(String) : [];
+    
+    // Themes that can be the parent, with their resolved tokens
+    const parentThemes = [];
+    for (const candidate of await db.all('SELECT id, name FROM themes ORDER BY name')) {
+      if (excludedIds.includes(String(candidate.id))) continue;
+      const variables = await ThemeInheritance.resolveVariables(candidate.id);
+      parentThemes.push({
+        id: candidate.id,
+        name: candidate.name,
+        tokens: { ...ThemeTokens.resolve(variables), ...ThemeTokens.getDarkValues(variables) }
+      });
+    }
+    
+    const themeVariables = ThemeInheritance.mergeVariables(themeChain);
+    
     res.render('admin/theme-builder', {
       title: editMode ? 'Edit Theme' : 'Create Theme',
       theme: theme,
       editMode: editMode,
+      tokenGroups: ThemeTokens.getGroups(),
+      themeTokens: ThemeTokens.resolve(themeVariables),
+      darkColors: ThemeTokens.resolveDark(themeVariables),
+      hasDarkPalette: ThemeTokens.hasDarkPalette(themeVariables),
+      parentThemes: parentThemes,
+      contrastPairs: ColorContrast.getPairs(),
       currentPage: 'theme-builder'
     });
   } catch (error) {
@@ -2309,6 +2339,12 @@ router.get('/admin/themes/builder', async (req, res) => {
       title: 'Create Theme',
       theme: null,
       editMode: false,
+      tokenGroups: ThemeTokens.getGroups(),
+      themeTokens: ThemeTokens.getDefaults(),
+      darkColors: ThemeTokens.resolveDark(),
+      hasDarkPalette: false,
+      parentThemes: [],
+      contrastPairs: ColorContrast.getPairs(),
       currentPage: 'theme-builder'
     });
   }
@@ -2318,6 +2354,7 @@ router.get('/admin/themes/builder', async (req, res) => {
 router.post('/admin/themes', async (req, res) => {
   try {
     const { name, description, css_variables, layout_config, header_config, footer_config, is_default } = req.body;
+    const parentId = req.body.parent_id || null;
     const db = require('../database/db');
     
     // Ensure database is initialized
@@ -2329,6 +2366,21 @@ router.post('/admin/themes', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Theme name is required' });
     }
     
+    const tokensError = getThemeTokensError(css_variables);
+    if (tokensError) {
+      return res.status(400).json({ success: false, error: tokensError });
+    }
+    
+    const parentError = await ThemeInheritance.validateParent(null, parentId);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+    
+    const { contrast, error: contrastError } = await getThemeContrast(null, parentId, css_variables, req.body.allow_low_contrast);
+    if (contrastError) {
+      return res.status(400).json({ success: false, error: contrastError, contrast });
+    }
+    
     // If setting as default, remove default flag from others
     if (is_default) {
       await db.run('UPDATE themes SET is_default = 0');
@@ -2336,19 +2388,20 @@ router.post('/admin/themes', async (req, res) => {
     
     // Insert new theme
     const result = await db.run(`
-      INSERT INTO themes (name, description, css_variables, layout_config, header_config, footer_config, is_default, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO themes (name, description, css_variables, parent_id, layout_config, header_config, footer_config, is_default, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [
       name.trim(),
       description ? description.trim() : null,
       css_variables || null,
+      parentId,
       layout_config || null,
       header_config || null,
       footer_config || null,
       is_default ? 1 : 0
     ]);
     
-    res.json({ success: true, themeId: result.lastID });
+    res.json({ success: true, themeId: result.lastID, contrast });
     
   } catch (error) {
     console.error('Create theme error:', error);
@@ -2361,6 +2414,7 @@ router.put('/admin/themes/:id', async (req, res) => {
   try {
     const themeId = req.params.id;
     const { name, description, css_variables, layout_config, header_config, footer_config, is_default } = req.body;
+    const parentId = req.body.parent_id || null;
     const db = require('../database/db');
     
     // Ensure database is initialized
@@ -2372,12 +2426,27 @@ router.put('/admin/themes/:id', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Theme name is required' });
     }
     
+    const tokensError = getThemeTokensError(css_variables);
+    if (tokensError) {
+      return res.status(400).json({ success: false, error: tokensError });
+    }
+    
     // Check if theme exists
     const existingTheme = await db.get('SELECT * FROM themes WHERE id = ?', [themeId]);
     if (!existingTheme) {
       return res.status(404).json({ success: false, error: 'Theme not found' });
     }
     
+    const parentError = await ThemeInheritance.validateParent(themeId, parentId);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+    
+    const { contrast, error: contrastError } = await getThemeContrast(themeId, parentId, css_variables, req.body.allow_low_contrast);
+    if (contrastError) {
+      return res.status(400).json({ success: false, error: contrastError, contrast });
+    }
+    
     // If setting as default, remove default flag from others
     if (is_default && !existingTheme.is_default) {
       await db.run('UPDATE themes SET is_default = 0 WHERE id != ?', [themeId]);
@@ -2386,12 +2455,13 @@ router.put('/admin/themes/:id', async (req, res) => {
     // Update theme
     await db.run(`
       UPDATE themes 
-      SET name = ?, description = ?, css_variables = ?, layout_config = ?, header_config = ?, footer_config = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
+      SET name = ?, description = ?, css_variables = ?, parent_id = ?, layout_config = ?, header_config = ?, footer_config = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `, [
       name.trim(),
       description ? description.trim() : null,
       css_variables || null,
+      parentId,
       layout_config || null,
       header_config || null,
       footer_config || null,
@@ -2399,7 +2469,10 @@ router.put('/admin/themes/:id', async (req, res) => {
       themeId
     ]);
     
-    res.json({ success: true });
+    // Stores on this theme or a child theme only pick up the change when redeployed
+    const affectedStores = await ThemeInheritance.getAffectedStores(themeId);
+    
+    res.json({ success: true, affectedStores, contrast });
     
   } catch (error) {
     console.error('Update theme error:', error);
@@ -2431,15 +2504,18 @@ router.post('/admin/themes/:id/duplicate', async (req, res) => {
     
     // Create duplicate (never default)
     const result = await db.run(`
-      INSERT INTO themes (name, description, css_variables, layout_config, header_config, footer_config, is_default, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+      INSERT INTO themes (name, description, css_variables, parent_id, layout_config, header_config, footer_config, custom_css, preview_image, is_default, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
     `, [
       name.trim(),
       original.description,
       original.css_variables,
+      original.parent_id || null,
       original.layout_config,
       original.header_config,
-      original.footer_config
+      original.footer_config,
+      original.custom_css || null,
+      original.preview_image || null
     ]);
     
     res.json({ success: true, themeId: result.lastID });
@@ -2477,6 +2553,12 @@ router.delete('/admin/themes/:id', async (req, res) => {
       return res.status(400).json({ success: false, error: `Theme is currently being used by ${storeCount.count} store(s)` });
     }
     
+    // Child themes would lose the values they inherit
+    const childCount = await db.get('SELECT COUNT(*) as count FROM themes WHERE parent_id = ?', [themeId]);
+    if (childCount.count > 0) {
+      return res.status(400).json({ success: false, error: `Theme is the parent of ${childCount.count} theme(s)` });
+    }
+    
     // Delete theme
     await db.run('DELETE FROM themes WHERE id = ?', [themeId]);
     
@@ -2488,6 +2570,52 @@ router.delete('/admin/themes/:id', async (req, res) => {
   }
 });
 
+// Redeploy every store using a theme or one of its child themes
+router.post('/admin/themes/:id/redeploy', async (req, res) => {
+  try {
+    const themeId = req.params.id;
+    const db = require('../database/db');
+    
+    // Ensure database is initialized
+    if (!db.db) {
+      await db.initialize();
+    }
+    
+    const theme = await db.get('SELECT * FROM themes WHERE id = ?', [themeId]);
+    if (!theme) {
+      return res.status(404).json({ success: false, error: 'Theme not found' });
+    }
+    
+    const affectedStores = await ThemeInheritance.getAffectedStores(themeId);
+    const jobs = [];
+    
+    // Queue a redeployment of each store; queued jobs run one at a time
+    for (const affectedStore of affectedStores) {
+      const storeInstance = await Store.findById(affectedStore.id);
+      const queued = storeInstance
+        ? await storeInstance.deployUnified({ force: true, trigger: 'bulk' })
+        : { success: false, error: 'Store not found' };
+      if (queued.success) {
+        jobs.push({ store: storeInstance.uuid, jobId: queued.jobId, deploymentId: queued.deploymentId, progressUrl: queued.progressUrl });
+      } else {
+        console.warn(`⚠️ Failed to queue deployment of ${affectedStore.name} after update of theme ${theme.name}:`, queued.error);
+      }
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: `Queued redeployment of ${jobs.length} store(s) using "${theme.name}"`,
+      stores: affectedStores,
+      count: jobs.length,
+      jobs
+    });
+    
+  } catch (error) {
+    console.error('Redeploy theme stores error:', error);
+    res.status(500).json({ success: false, error: 'Failed to redeploy stores' });
+  }
+});
+
 // === STORE-THEME CONNECTION ROUTES ===
 
 // Update Store Theme
@@ -2534,20 +2662,17 @@ router.post('/admin/store/:id/theme', async (req, res) => {
       theme_id_new: storeInstance.theme_id_new 
     });
     
-    setImmediate(async () => {
-      try {
-        // ✅ Use complete deployment pipeline (not just regeneration)
-        await storeInstance.deploy(null, true); // Force deployment like content updates
-        console.log(`🚀 Store deployed for ${store.name} after theme update - COMPLETE PIPELINE`);
-      } catch (deployError) {
-        console.warn(`⚠️ Failed to deploy store after theme update for ${store.name}:`, deployError.message);
-      }
-    });
+    // ✅ Use complete deployment pipeline (not just regeneration), queued like content updates
+    const deployment = await storeInstance.deployUnified({ force: true, trigger: 'theme' });
+    if (!deployment.success) {
+      console.warn(`⚠️ Failed to queue deployment after theme update for ${store.name}:`, deployment.error);
+    }
     
     res.json({ 
       success: true, 
-      message: `Theme updated to "${theme.name}" successfully and deployment started!`,
-      theme: theme
+      message: `Theme updated to "${theme.name}" successfully${deployment.success ? ' and deployment queued' : ''}!`,
+      theme: theme,
+      deployment
     });
     
   } catch (error) {
@@ -2898,6 +3023,7 @@ router.get('/admin-v2/templates/builder', async (req, res) => {
       template: template,
       stores: stores,
       shopifyStores: shopifyStores,
+      sectionDefinitions: sectionRegistry.getDefinitions(),
       currentPage: 'templates'
     });
   } catch (error) {
@@ -3340,11 +3466,23 @@ router.get('/admin-v2/store/:uuid/customize-theme', async (req, res) => {
     const stores = await Store.findAll();
     const shopifyStores = await CompanyShopifyStore.findAll();
     
+    // Stylesheets of both palettes for the side-by-side preview
+    const TemplateRenderer = require('../utils/TemplateRenderer');
+    const renderer = new TemplateRenderer();
+    const themeConfig = await renderer.getThemeConfiguration(store);
+    
     res.render('admin-v2/theme-customizer', {
       title: `Theme Customizer - ${store.name}`,
       store: store,
       stores: stores,
       shopifyStores: shopifyStores,
+      themeName: themeConfig.name,
+      hasDarkPalette: ThemeTokens.hasDarkPalette(themeConfig),
+      colorSchemes: ThemeTokens.getColorSchemes(),
+      previewCss: {
+        light: renderer.generateCSS(themeConfig, 'light'),
+        dark: renderer.generateCSS(themeConfig, 'dark')
+      },
       currentPage: 'themes'
     });
   } catch (error) {
@@ -3356,6 +3494,82 @@ router.get('/admin-v2/store/:uuid/customize-theme', async (req, res) => {
   }
 });
 
+// Save the colour scheme of a store (auto, light or dark)
+router.post('/admin-v2/store/:uuid/color-scheme', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    const store = await Store.findByUuid(uuid);
+    if (!store) {
+      return res.json({
+        success: false,
+        error: 'Store not found'
+      });
+    }
+    
+    const colorScheme = req.body.color_scheme;
+    if (!ThemeTokens.getColorSchemes().includes(colorScheme)) {
+      return res.status(400).json({
+        success: false,
+        error: `Colour scheme must be one of ${ThemeTokens.getColorSchemes().join(', ')}`
+      });
+    }
+    
+    await store.update({ color_scheme: colorScheme });
+    
+    console.log(`🌓 Updated colour scheme for store: ${store.name} (${colorScheme})`);
+    
+    res.json({
+      success: true,
+      colorScheme: colorScheme,
+      message: 'Colour scheme saved. Deploy the store to publish it.'
+    });
+  } catch (error) {
+    console.error('Error saving colour scheme:', error);
+    res.json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save the deployment provider of a store (vercel, local or s3)
+router.post('/admin-v2/store/:uuid/deployment-provider', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    const store = await Store.findByUuid(uuid);
+    if (!store) {
+      return res.json({
+        success: false,
+        error: 'Store not found'
+      });
+    }
+    
+    const provider = req.body.deployment_provider;
+    if (!DeploymentProviders.isValid(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Deployment provider must be one of ${DeploymentProviders.getNames().join(', ')}`
+      });
+    }
+    
+    await store.update({ deployment_provider: provider });
+    
+    console.log(`📦 Updated deployment provider for store: ${store.name} (${provider})`);
+    
+    res.json({
+      success: true,
+      deploymentProvider: provider,
+      message: 'Deployment provider saved. The next deployment uses it.'
+    });
+  } catch (error) {
+    console.error('Error saving deployment provider:', error);
+    res.json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Theme Preview Page
 router.get('/theme-preview/:uuid', async (req, res) => {
   try {
@@ -3415,6 +3629,143 @@ router.post('/admin-v2/store/:uuid/theme-customization', async (req, res) => {
   }
 });
 
+// Storefront Translations Page
+router.get('/admin-v2/store/:uuid/translations', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    const store = await Store.findByUuid(uuid);
+    
+    if (!store) {
+      return res.status(404).render('error', { 
+        title: 'Store Not Found',
+        message: 'The requested store could not be found'
+      });
+    }
+    
+    // Get data for sidebar
+    const stores = await Store.findAll();
+    const shopifyStores = await CompanyShopifyStore.findAll();
+    
+    const translator = await Translator.forStore(store);
+    const english = new Translator('en');
+    const catalog = new Translator(translator.language);
+    const missingKeys = translator.getMissingKeys();
+    
+    const translations = Translator.getKeys().map(key => ({
+      key,
+      english: english.t(key),
+      catalog: missingKeys.includes(key) ? '' : catalog.t(key),
+      override: translator.overrides[key] || ''
+    }));
+    
+    res.render('admin-v2/store-translations', {
+      title: `Translations - ${store.name}`,
+      store: store,
+      language: translator.language,
+      additionalLanguages: StoreLocale.getAdditionalLanguages(store).map(code => ({
+        code,
+        name: StoreLocale.getLanguageName(code),
+        path: `/${StoreLocale.getLanguageDirectory(store, code)}/`,
+        hasCatalog: Translator.getAvailableLanguages().includes(StoreLocale.getLanguageCode(code))
+      })),
+      translations: translations,
+      untranslatedKeys: translator.getUntranslatedKeys(),
+      stores: stores,
+      shopifyStores: shopifyStores,
+      currentPage: 'store-management'
+    });
+  } catch (error) {
+    console.error('Error loading translations:', error);
+    res.status(500).render('error', {
+      title: 'Translations Error',
+      message: 'Failed to load translations'
+    });
+  }
+});
+
+// Save Storefront Translation Overrides
+router.post('/admin-v2/store/:uuid/translations', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    const { overrides } = req.body;
+    
+    const store = await Store.findByUuid(uuid);
+    if (!store) {
+      return res.json({
+        success: false,
+        error: 'Store not found'
+      });
+    }
+    
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return res.status(400).json({
+        success: false,
+        error: 'overrides must be an object of translation keys and values'
+      });
+    }
+    
+    await store.saveTranslationOverrides(overrides);
+    
+    console.log(`🌐 Updated translation overrides for store: ${store.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Translations saved. Deploy the store to publish them.'
+    });
+  } catch (error) {
+    console.error('Error saving translations:', error);
+    res.json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save Additional Storefront Languages (published under /<code>/)
+router.post('/admin-v2/store/:uuid/languages', async (req, res) => {
+  try {
+    const { uuid } = req.params;
+    const store = await Store.findByUuid(uuid);
+    if (!store) {
+      return res.json({
+        success: false,
+        error: 'Store not found'
+      });
+    }
+    
+    const requested = Array.isArray(req.body.languages)
+      ? req.body.languages
+      : String(req.body.languages || '').split(',');
+    const codes = requested.map(code => String(code).trim().toLowerCase()).filter(Boolean);
+    
+    const invalid = codes.filter(code => !/^[a-z]{2,3}$/.test(code));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid language codes: ${invalid.join(', ')}`
+      });
+    }
+    
+    // Normalized the same way the storefront reads them (no duplicates, no store language)
+    const languages = StoreLocale.getAdditionalLanguages({ language: store.language, languages: codes });
+    await store.update({ languages: languages });
+    
+    console.log(`🌐 Updated storefront languages for store: ${store.name} (${languages.join(', ') || 'none'})`);
+    
+    res.json({
+      success: true,
+      languages: languages,
+      message: 'Languages saved. Deploy the store to publish them.'
+    });
+  } catch (error) {
+    console.error('Error saving storefront languages:', error);
+    res.json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Logo Upload
 router.post('/admin-v2/store/:uuid/upload-logo', async (req, res) => {
   try {
@@ -3517,19 +3868,18 @@ router.post('/admin-v2/store/:uuid/deploy', async (req, res) => {
     
     console.log(`🚀 Deploying store ${store.name} with theme changes`);
     
-    // Use full deployment automation like product deployments
-    const DeploymentAutomation = require('../utils/DeploymentAutomation');
-    
-    // Regenerate store files with new theme
-    await store.regenerateStoreFiles();
-    
-    // Use complete deployment automation to push to production
-    const deploymentAutomation = new DeploymentAutomation();
-    await deploymentAutomation.executeCompleteDeployment(store, { force: true }); // Force deployment
+    // Full deployment (regenerates the store files with the new theme) through the queue
+    const queued = await store.deployUnified({ force: true, trigger: 'theme' });
+    if (!queued.success) {
+      return res.json({
+        success: false,
+        error: queued.error
+      });
+    }
     
-    res.json({
-      success: true,
-      message: `Store ${store.name} deployed successfully`,
+    res.status(202).json({
+      ...queued,
+      message: `Deployment of ${store.name} queued`,
       liveUrl: `https://${store.domain}`
     });
   } catch (error) {
@@ -3607,16 +3957,16 @@ router.post('/admin-v2/products/:handle/deploy', async (req, res) => {
     
     console.log(`🏪 Using store: ${store.name} (${store.domain})`);
     
-    // Use unified deployment method with queue
+    // Use unified deployment method with queue; the client follows the job with progressUrl
     const result = await store.deployUnified({ 
       productHandle: handle,
       force: false 
     });
     
     if (result.success) {
-      res.json({
-        success: true,
-        message: 'Product page generated and deployed successfully',
+      res.status(202).json({
+        ...result,
+        message: 'Product page deployment queued',
         productUrl: `https://${store.domain}/products/${handle}.html`,
         liveUrl: `https://${store.domain}/products/${handle}.html`
       });
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
 const Store = require('../models/Store');
+const ThemeTokens = require('../utils/ThemeTokens');
+const ThemeInheritance = require('../utils/ThemeInheritance');
+const ThemePackage = require('../utils/ThemePackage');
 
 /**
  * GET /api/themes - Get all available themes
@@ -10,24 +13,21 @@ router.get('/api/themes', async (req, res) => {
   try {
     const themes = await db.all('SELECT * FROM themes WHERE is_active = 1 ORDER BY is_default DESC, id ASC');
     
-    const processedThemes = themes.map(theme => {
-      let cssVariables = {};
-      try {
-        cssVariables = JSON.parse(theme.css_variables || '{}');
-      } catch (parseError) {
-        console.warn(`⚠️ Failed to parse CSS variables for theme ${theme.id}:`, parseError.message);
-        cssVariables = {};
-      }
+    const processedThemes = [];
+    for (const theme of themes) {
+      // Child themes show the values they inherit too
+      const cssVariables = await ThemeInheritance.resolveVariables(theme.id);
       
-      return {
+      processedThemes.push({
         id: theme.id,
         name: theme.name,
         description: theme.description,
+        parent_id: theme.parent_id || null,
         colors: cssVariables,
         is_default: Boolean(theme.is_default),
         preview_image: theme.preview_image
-      };
-    });
+      });
+    }
 
     res.json({
       success: true,
@@ -43,6 +43,97 @@ router.get('/api/themes', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/themes/:themeId/export - Download a theme as a JSON package
+ */
+router.get('/api/themes/:themeId/export', async (req, res) => {
+  try {
+    const themePackage = await ThemePackage.export(req.params.themeId);
+    if (!themePackage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Theme not found'
+      });
+    }
+
+    console.log(`📦 Exported theme package: ${themePackage.theme.name}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${ThemePackage.getFilename(themePackage)}"`);
+    res.json(themePackage);
+
+  } catch (error) {
+    console.error('❌ Error exporting theme:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export theme'
+    });
+  }
+});
+
+/**
+ * POST /api/themes/import - Import a theme package
+ * package: the exported JSON (as an object or a string), on_conflict: rename | replace | skip, dry_run: preview only
+ */
+router.post('/api/themes/import', async (req, res) => {
+  try {
+    const dryRun = ['1', 'true', true].includes(req.body.dry_run);
+    const onConflict = req.body.on_conflict || 'rename';
+
+    // The package as sent: ThemePackage validates it, and HTML-escaping by sanitizeInput would break its CSS values
+    let themePackage = (req.rawBody || req.body).package;
+    if (typeof themePackage === 'string') {
+      try {
+        themePackage = JSON.parse(themePackage);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Package must be valid JSON'
+        });
+      }
+    }
+
+    const result = await ThemePackage.import(themePackage, { onConflict, dryRun });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid theme package: ${result.errors.join(', ')}`,
+        errors: result.errors
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        preview: result
+      });
+    }
+
+    const messages = {
+      create: `Theme "${result.name}" imported successfully`,
+      replace: `Theme "${result.name}" replaced successfully`,
+      skip: `Theme "${result.name}" already exists, nothing imported`
+    };
+
+    res.json({
+      success: true,
+      message: messages[result.action],
+      action: result.action,
+      warnings: result.warnings,
+      theme: result.theme,
+      affectedStores: result.affectedStores
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing theme:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import theme'
+    });
+  }
+});
+
 /**
  * GET /admin/themes - Admin theme management page
  */
@@ -206,7 +297,7 @@ router.get('/admin/store/:storeId/theme', async (req, res) => {
  */
 router.post('/api/themes', async (req, res) => {
   try {
-    const { name, description, css_variables, is_default } = req.body;
+    const { name, description, css_variables, is_default, allow_low_contrast } = req.body;
 
     if (!name || !css_variables) {
       return res.status(400).json({
@@ -216,8 +307,9 @@ router.post('/api/themes', async (req, res) => {
     }
 
     // Validate CSS variables is proper JSON
+    let cssVariables;
     try {
-      JSON.parse(css_variables);
+      cssVariables = JSON.parse(css_variables);
     } catch (parseError) {
       return res.status(400).json({
         success: false,
@@ -225,6 +317,20 @@ router.post('/api/themes', async (req, res) => {
       });
     }
 
+    // Design token values end up in the generated stylesheet
+    const tokenErrors = ThemeTokens.validate(cssVariables);
+    if (tokenErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid design tokens: ${tokenErrors.join(', ')}`
+      });
+    }
+
+    const { contrast, error: contrastError } = await ThemeInheritance.validateContrast(null, null, cssVariables, allow_low_contrast);
+    if (contrastError) {
+      return res.status(400).json({ success: false, error: contrastError, contrast });
+    }
+
     // If this is being set as default, unset other defaults
     if (is_default) {
       await db.run('UPDATE themes SET is_default = 0');
@@ -243,7 +349,8 @@ router.post('/api/themes', async (req, res) => {
     res.json({
       success: true,
       message: `Theme "${name}" created successfully`,
-      theme: newTheme
+      theme: newTheme,
+      contrast
     });
 
   } catch (error) {
@@ -261,7 +368,7 @@ router.post('/api/themes', async (req, res) => {
 router.put('/api/themes/:themeId', async (req, res) => {
   try {
     const { themeId } = req.params;
-    const { name, description, css_variables, is_default, is_active } = req.body;
+    const { name, description, css_variables, is_default, is_active, allow_low_contrast } = req.body;
 
     const theme = await db.get('SELECT * FROM themes WHERE id = ?', [themeId]);
     if (!theme) {
@@ -272,15 +379,32 @@ router.put('/api/themes/:themeId', async (req, res) => {
     }
 
     // Validate CSS variables if provided
+    let contrast = null;
     if (css_variables) {
+      let cssVariables;
       try {
-        JSON.parse(css_variables);
+        cssVariables = JSON.parse(css_variables);
       } catch (parseError) {
         return res.status(400).json({
           success: false,
           error: 'CSS variables must be valid JSON'
         });
       }
+
+      const tokenErrors = ThemeTokens.validate(cssVariables);
+      if (tokenErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid design tokens: ${tokenErrors.join(', ')}`
+        });
+      }
+
+      // Child themes inherit the colours they don't override, so they are checked too
+      const contrastCheck = await ThemeInheritance.validateContrast(themeId, theme.parent_id, cssVariables, allow_low_contrast);
+      contrast = contrastCheck.contrast;
+      if (contrastCheck.error) {
+        return res.status(400).json({ success: false, error: contrastCheck.error, contrast });
+      }
     }
 
     // If this is being set as default, unset other defaults
@@ -329,7 +453,8 @@ router.put('/api/themes/:themeId', async (req, res) => {
     res.json({
       success: true,
       message: `Theme "${updatedTheme.name}" updated successfully`,
-      theme: updatedTheme
+      theme: updatedTheme,
+      contrast
     });
 
   } catch (error) {
@@ -374,6 +499,16 @@ router.delete('/api/themes/:themeId', async (req, res) => {
       });
     }
 
+    // Child themes would lose the values they inherit
+    const childThemes = await db.all('SELECT id, name FROM themes WHERE parent_id = ?', [themeId]);
+    if (childThemes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete theme - it is the parent of ${childThemes.length} theme(s)`,
+        themes: childThemes
+      });
+    }
+
     await db.run('DELETE FROM themes WHERE id = ?', [themeId]);
 
     console.log(`✅ Deleted theme: ${theme.name} (ID: ${themeId})`);
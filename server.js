@@ -3,6 +3,8 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
 const db = require('./database/db');
+const deploymentQueue = require('./utils/DeploymentQueue');
+const DeploymentHistory = require('./utils/DeploymentHistory');
 const { globalErrorHandler, notFoundHandler, handleUncaughtException, handleUnhandledRejection } = require('./middleware/errorHandler');
 const domainRouter = require('./middleware/domainRouter');
 require('dotenv').config();
@@ -15,8 +17,9 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Theme packages can embed a preview image, so bodies may be larger than the 100kb default
+app.use(bodyParser.json({ limit: '5mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '5mb' }));
 app.use(express.static('public'));
 
 // View engine setup
@@ -53,6 +56,10 @@ async function initialize() {
     await db.initialize();
     console.log('✅ Database initialized successfully');
     
+    // Resume deployments queued or interrupted before this start
+    await deploymentQueue.start();
+    await DeploymentHistory.recoverInterrupted();
+    
     // Agent automation system disabled - focusing on core platform testing
     console.log('✅ Core e-commerce platform ready for testing');
     
@@ -88,12 +95,14 @@ if (require.main === module) {
       // Handle graceful shutdown
       process.on('SIGINT', async () => {
         console.log('\n🛑 Shutting down gracefully...');
+        deploymentQueue.stop();
         await db.close();
         process.exit(0);
       });
       
       process.on('SIGTERM', async () => {
         console.log('\n🛑 Shutting down gracefully...');
+        deploymentQueue.stop();
         await db.close();
         process.exit(0);
       });
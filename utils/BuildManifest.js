@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Build Manifest
+ * Records a hash of the inputs for every generated store file, so unchanged
+ * outputs can be skipped on the next build and outputs that are no longer
+ * produced can be removed. It is saved outside the store directory (see
+ * StoreDirectory.manifestPath), so it is never published with the store
+ */
+
+// Where builds before stores/.manifests kept the manifest, inside the store directory
+const LEGACY_MANIFEST_FILE = '.build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Renderer code, templates and string catalogs; changing any of them invalidates every output
+const SOURCE_DIRECTORIES = [
+  __dirname,
+  path.join(__dirname, 'sections'),
+  path.join(__dirname, 'workers'),
+  path.join(__dirname, '..', 'templates'),
+  path.join(__dirname, '..', 'locales')
+];
+
+let sourceHashCache = null;
+
+class BuildManifest {
+  constructor(storePath, manifestPath, data = null, options = {}) {
+    this.storePath = storePath;
+    this.manifestPath = manifestPath;
+    // A forced build treats every output as changed
+    this.force = Boolean(options.force);
+    this.previous = data && data.version === MANIFEST_VERSION ? data.files || {} : {};
+    this.files = {};
+  }
+
+  /**
+   * Load the manifest of the previous build of storePath (empty if missing or unreadable)
+   * A manifest left in the store directory by an older build is read once and removed
+   * Pass { force: true } to rebuild every output
+   */
+  static load(storePath, manifestPath, options = {}) {
+    const legacyPath = path.join(storePath, LEGACY_MANIFEST_FILE);
+    const sourcePath = fs.existsSync(manifestPath) ? manifestPath : legacyPath;
+    let data = null;
+
+    try {
+      if (fs.existsSync(sourcePath)) {
+        data = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable build manifest ${sourcePath}:`, error.message);
+    }
+
+    fs.rmSync(legacyPath, { force: true });
+    return new BuildManifest(storePath, manifestPath, data, options);
+  }
+
+  /**
+   * Hash any JSON-serializable inputs; object keys are sorted so order doesn't matter
+   */
+  static hashInputs(...inputs) {
+    return crypto.createHash('sha256').update(this.stableStringify(inputs)).digest('hex');
+  }
+
+  /**
+   * Hash of the renderer source files, computed once per process
+   */
+  static getSourceHash() {
+    if (sourceHashCache) return sourceHashCache;
+
+    const hash = crypto.createHash('sha256');
+    for (const directory of SOURCE_DIRECTORIES) {
+      if (!fs.existsSync(directory)) continue;
+
+      const files = this.listFiles(directory).sort();
+      for (const file of files) {
+        hash.update(path.relative(path.join(__dirname, '..'), file));
+        hash.update(fs.readFileSync(file));
+      }
+    }
+
+    sourceHashCache = hash.digest('hex');
+    return sourceHashCache;
+  }
+
+  static listFiles(directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isFile()) {
+        files.push(entryPath);
+      } else if (entry.isDirectory() && directory !== __dirname) {
+        files.push(...this.listFiles(entryPath));
+      }
+    }
+    return files;
+  }
+
+  static stableStringify(value) {
+    if (value === undefined) return 'null';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  /**
+   * Whether an output was built from the same inputs and still exists on disk
+   */
+  isUpToDate(fileName, inputHash) {
+    if (this.force) return false;
+
+    const entry = this.previous[fileName];
+    return Boolean(entry && entry.hash && entry.hash === inputHash &&
+      fs.existsSync(path.join(this.storePath, fileName)));
+  }
+
+  /**
+   * Record an output of this build
+   */
+  record(fileName, inputHash) {
+    this.files[fileName] = { hash: inputHash, builtAt: new Date().toISOString() };
+  }
+
+  /**
+   * Carry an unchanged output over from the previous build
+   */
+  keep(fileName) {
+    if (this.previous[fileName]) {
+      this.files[fileName] = this.previous[fileName];
+    }
+  }
+
+  /**
+   * Keep an output that failed to build; it is rebuilt on the next run
+   */
+  invalidate(fileName) {
+    if (this.previous[fileName]) {
+      this.files[fileName] = { ...this.previous[fileName], hash: null };
+    }
+  }
+
+  /**
+   * Keep all previous outputs under a directory, e.g. when product data could not be fetched
+   */
+  keepPrefix(prefix) {
+    for (const fileName of Object.keys(this.previous)) {
+      if (fileName.startsWith(prefix) && !this.files[fileName]) {
+        this.files[fileName] = this.previous[fileName];
+      }
+    }
+  }
+
+  /**
+   * Delete outputs of the previous build that this build no longer produces
+   */
+  removeStaleOutputs() {
+    const removed = [];
+
+    for (const fileName of Object.keys(this.previous)) {
+      if (this.files[fileName]) continue;
+
+      const filePath = path.join(this.storePath, fileName);
+      // Never follow manifest entries outside the store directory
+      if (!filePath.startsWith(this.storePath + path.sep)) continue;
+
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+        removed.push(fileName);
+      } catch (error) {
+        console.warn(`⚠️ Failed to remove stale output ${fileName}:`, error.message);
+        this.files[fileName] = this.previous[fileName];
+      }
+    }
+
+    return removed;
+  }
+
+  save() {
+    const data = {
+      version: MANIFEST_VERSION,
+      generatedAt: new Date().toISOString(),
+      files: this.files
+    };
+
+    fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(data, null, 2), 'utf8');
+  }
+}
+
+BuildManifest.LEGACY_MANIFEST_FILE = LEGACY_MANIFEST_FILE;
+
+module.exports = BuildManifest;
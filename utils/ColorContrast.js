@@ -0,0 +1,173 @@
+/**
+ * Color Contrast
+ * WCAG 2.1 contrast checks for the foreground/background pairs of theme colours
+ * used by the generated stylesheet (TemplateRenderer.generateCSS). Enforced
+ * pairs must pass AA before a theme can be saved without an explicit override;
+ * the others (gradients, the fixed dark footer) are reported as advice only.
+ *
+ * Pairs name a theme colour key or a fixed hex colour on each side. A theme's
+ * dark palette is checked with the same pairs (darkBackground replaces the
+ * background where the dark stylesheet swaps a fixed colour for the palette).
+ */
+
+const ThemeTokens = require('./ThemeTokens');
+
+const CONTRAST_PAIRS = [
+  { id: 'body_text', label: 'Body text on background', foreground: 'text', background: 'background', large: false, enforced: true },
+  { id: 'surface_text', label: 'Text on surface (feature items, content blocks)', foreground: 'text', background: 'surface', large: false, enforced: true },
+  { id: 'primary_button', label: 'White text on primary (header, navigation, primary buttons)', foreground: '#ffffff', background: 'primary', large: false, enforced: true },
+  { id: 'primary_button_hover', label: 'White text on accent (primary button hover)', foreground: '#ffffff', background: 'accent', large: false, enforced: true },
+  { id: 'secondary_button', label: 'Text on secondary (secondary buttons)', foreground: 'text', background: 'secondary', large: false, enforced: true },
+  { id: 'product_price', label: 'Primary on white (product prices)', foreground: 'primary', background: '#ffffff', darkBackground: 'surface', darkLabel: 'Primary on surface (product prices)', large: true, enforced: true },
+  { id: 'hero_gradient', label: 'White text on secondary (end of the hero gradient)', foreground: '#ffffff', background: 'secondary', large: true, enforced: false },
+  { id: 'footer_heading', label: 'Primary on the footer (footer headings and links)', foreground: 'primary', background: '#333333', large: false, enforced: false }
+];
+
+// Minimum ratios of WCAG 2.1 success criteria 1.4.3 (AA) and 1.4.6 (AAA)
+const RATIOS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+class ColorContrast {
+  static getPairs() {
+    return CONTRAST_PAIRS;
+  }
+
+  /**
+   * [r, g, b] of a #rgb or #rrggbb colour, or null
+   */
+  static parseHex(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+    if (!match) return null;
+
+    const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  }
+
+  static toHex([r, g, b]) {
+    return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Relative luminance of a colour
+   */
+  static getLuminance(color) {
+    const rgb = this.parseHex(color);
+    if (!rgb) return null;
+
+    const [r, g, b] = rgb.map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * Contrast ratio of two colours (1 to 21), or null when either isn't a hex colour
+   */
+  static getContrastRatio(foreground, background) {
+    const first = this.getLuminance(foreground);
+    const second = this.getLuminance(background);
+    if (first === null || second === null) return null;
+
+    return (Math.max(first, second) + 0.05) / (Math.min(first, second) + 0.05);
+  }
+
+  static getRequiredRatio(level, large) {
+    return RATIOS[level][large ? 'large' : 'normal'];
+  }
+
+  /**
+   * Nearest colour to the given one, by lightness, that reaches the ratio against the other colour
+   * Returns null when no shade of the colour does
+   */
+  static suggestColor(color, against, ratio) {
+    const rgb = this.parseHex(color);
+    if (!rgb || this.parseHex(against) === null) return null;
+
+    let best = null;
+    for (const target of [[0, 0, 0], [255, 255, 255]]) {
+      for (let step = 1; step <= 100; step++) {
+        const candidate = this.toHex(rgb.map((channel, index) => channel + (target[index] - channel) * step / 100));
+        if (this.getContrastRatio(candidate, against) >= ratio) {
+          if (!best || step < best.step) best = { step, color: candidate };
+          break;
+        }
+      }
+    }
+
+    return best ? best.color : null;
+  }
+
+  /**
+   * Pairs of one palette with their colours and results
+   * prefix is prepended to the ids and colour keys ('dark_' for the dark palette)
+   */
+  static checkPalette(colors, prefix = '') {
+    const resolveColor = side => side.startsWith('#') ? side : colors[side];
+
+    return CONTRAST_PAIRS.map(pair => {
+      const backgroundSide = prefix && pair.darkBackground ? pair.darkBackground : pair.background;
+      const foreground = resolveColor(pair.foreground);
+      const background = resolveColor(backgroundSide);
+      const ratio = this.getContrastRatio(foreground, background);
+
+      return {
+        ...pair,
+        id: prefix + pair.id,
+        label: prefix ? `${pair.darkLabel || pair.label} (dark)` : pair.label,
+        // Theme colour key to correct: the text, unless the text is a fixed colour
+        colorKey: pair.foreground.startsWith('#') ? prefix + backgroundSide : prefix + pair.foreground,
+        foregroundColor: foreground,
+        backgroundColor: background,
+        ratio: ratio === null ? null : Math.round(ratio * 100) / 100,
+        aa: ratio === null ? null : ratio >= this.getRequiredRatio('AA', pair.large),
+        aaa: ratio === null ? null : ratio >= this.getRequiredRatio('AAA', pair.large)
+      };
+    });
+  }
+
+  /**
+   * Contrast of every pair for a theme's resolved colours and, when it has one, its dark palette
+   * passesAA only looks at the enforced pairs; suggestions maps colour keys to corrected colours
+   */
+  static checkTheme(colors, darkColors = null) {
+    const pairs = [
+      ...this.checkPalette(colors),
+      ...(darkColors ? this.checkPalette(darkColors, 'dark_') : [])
+    ];
+
+    const failures = pairs.filter(pair => pair.enforced && pair.aa === false);
+    const suggestions = {};
+
+    for (const pair of failures) {
+      const palette = pair.colorKey.startsWith('dark_') ? darkColors : colors;
+      const fixesForeground = !pair.foreground.startsWith('#');
+      const against = fixesForeground ? pair.backgroundColor : pair.foregroundColor;
+      const current = suggestions[pair.colorKey] || palette[pair.colorKey.replace(/^dark_/, '')];
+
+      if (this.getContrastRatio(current, against) < this.getRequiredRatio('AA', pair.large)) {
+        const suggestion = this.suggestColor(current, against, this.getRequiredRatio('AA', pair.large));
+        if (suggestion) suggestions[pair.colorKey] = suggestion;
+      }
+    }
+
+    return {
+      passesAA: failures.length === 0,
+      failures: failures.map(pair => `${pair.label} (${pair.ratio}:1, needs ${this.getRequiredRatio('AA', pair.large)}:1)`),
+      suggestions,
+      pairs
+    };
+  }
+
+  /**
+   * checkTheme for a theme's css_variables, with its dark palette when it defines one
+   */
+  static checkValues(values = {}) {
+    return this.checkTheme(ThemeTokens.resolve(values), ThemeTokens.hasDarkPalette(values) ? ThemeTokens.resolveDark(values) : null);
+  }
+}
+
+module.exports = ColorContrast;
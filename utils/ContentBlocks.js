@@ -0,0 +1,634 @@
+/**
+ * Content Blocks
+ * Block types of store page content. Page content is either HTML or a JSON
+ * array of blocks; each block has a type and the fields of that type:
+ *
+ *   text           { content }                                    content is HTML
+ *   hero           { title, subtitle?, cta?, cta_url? }           cta_url defaults to the products page
+ *   features       { items: [{ title, description }] }
+ *   image          { src, alt?, caption?, link? }
+ *   image_text     { image, alt?, title?, content, image_position?: left|right, cta?, cta_url? }
+ *   gallery        { images: [{ src, alt?, caption? }], columns?: 2-6 }
+ *   faq            { title?, items: [{ question, answer }] }      answer is HTML
+ *   testimonials   { title?, items: [{ quote, author, role?, image?, rating?: 1-5 }] }
+ *   cta            { title, text?, button_text, url, style?: primary|secondary }
+ *   video          { url, title? }                                YouTube or Vimeo URL
+ *   product_grid   { title?, handles: [handle], columns?: 2-6 }   products in the order of handles
+ *   spacer         { size?: small|medium|large }
+ *   divider        { }
+ */
+
+const BLOCK_TYPES = {
+  text: {
+    content: { type: 'html', required: true }
+  },
+  hero: {
+    title: { type: 'string', required: true },
+    subtitle: { type: 'string' },
+    cta: { type: 'string' },
+    cta_url: { type: 'url' }
+  },
+  features: {
+    items: {
+      type: 'list',
+      required: true,
+      fields: {
+        title: { type: 'string', required: true },
+        description: { type: 'string' }
+      }
+    }
+  },
+  image: {
+    src: { type: 'url', required: true },
+    alt: { type: 'string' },
+    caption: { type: 'string' },
+    link: { type: 'url' }
+  },
+  image_text: {
+    image: { type: 'url', required: true },
+    alt: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: 'html', required: true },
+    image_position: { type: 'enum', values: ['left', 'right'] },
+    cta: { type: 'string' },
+    cta_url: { type: 'url' }
+  },
+  gallery: {
+    images: {
+      type: 'list',
+      required: true,
+      fields: {
+        src: { type: 'url', required: true },
+        alt: { type: 'string' },
+        caption: { type: 'string' }
+      }
+    },
+    columns: { type: 'number', min: 2, max: 6 }
+  },
+  faq: {
+    title: { type: 'string' },
+    items: {
+      type: 'list',
+      required: true,
+      fields: {
+        question: { type: 'string', required: true },
+        answer: { type: 'html', required: true }
+      }
+    }
+  },
+  testimonials: {
+    title: { type: 'string' },
+    items: {
+      type: 'list',
+      required: true,
+      fields: {
+        quote: { type: 'string', required: true },
+        author: { type: 'string', required: true },
+        role: { type: 'string' },
+        image: { type: 'url' },
+        rating: { type: 'number', min: 1, max: 5 }
+      }
+    }
+  },
+  cta: {
+    title: { type: 'string', required: true },
+    text: { type: 'string' },
+    button_text: { type: 'string', required: true },
+    url: { type: 'url', required: true },
+    style: { type: 'enum', values: ['primary', 'secondary'] }
+  },
+  video: {
+    url: { type: 'video', required: true },
+    title: { type: 'string' }
+  },
+  product_grid: {
+    title: { type: 'string' },
+    handles: { type: 'handles', required: true },
+    columns: { type: 'number', min: 2, max: 6 }
+  },
+  spacer: {
+    size: { type: 'enum', values: ['small', 'medium', 'large'] }
+  },
+  divider: {}
+};
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+
+class ContentBlocks {
+  /**
+   * Field definitions of every block type
+   */
+  static getBlockTypes() {
+    return BLOCK_TYPES;
+  }
+
+  /**
+   * Blocks of page content, or null when the content is HTML
+   * Only JSON of an array or of an object with a type is blocks; HTML may start with [ or { too
+   */
+  static parse(content) {
+    if (Array.isArray(content)) return content;
+    if (content && typeof content === 'object') return [content];
+    if (typeof content !== 'string') return null;
+
+    const trimmed = content.trim();
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) return null;
+
+    let blocks;
+    try {
+      blocks = JSON.parse(trimmed);
+    } catch (error) {
+      return null;
+    }
+
+    if (Array.isArray(blocks)) return blocks;
+    return blocks && typeof blocks === 'object' && blocks.type ? [blocks] : null;
+  }
+
+  /**
+   * Validate blocks against their type; returns the error messages, empty when valid
+   */
+  static validate(blocks) {
+    if (!Array.isArray(blocks)) {
+      return ['Content blocks must be an array'];
+    }
+
+    const errors = [];
+    blocks.forEach((block, index) => {
+      const label = `Block ${index + 1}`;
+
+      if (!block || typeof block !== 'object' || Array.isArray(block)) {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      const fields = BLOCK_TYPES[block.type];
+      if (!fields) {
+        errors.push(`${label}: unknown block type "${block.type}"`);
+        return;
+      }
+
+      errors.push(...this.validateFields(block, fields, `${label} (${block.type})`));
+    });
+
+    return errors;
+  }
+
+  static validateFields(values, fields, label) {
+    const errors = [];
+
+    for (const [name, field] of Object.entries(fields)) {
+      const value = values[name];
+      const isEmpty = value === undefined || value === null || value === '';
+
+      if (isEmpty) {
+        if (field.required) errors.push(`${label}: ${name} is required`);
+        continue;
+      }
+
+      const error = this.validateField(value, field);
+      if (error) {
+        errors.push(`${label}: ${name} ${error}`);
+      }
+
+      if (field.type === 'list' && Array.isArray(value)) {
+        value.forEach((item, index) => {
+          if (!item || typeof item !== 'object') {
+            errors.push(`${label}: ${name}[${index}] must be an object`);
+          } else {
+            errors.push(...this.validateFields(item, field.fields, `${label}: ${name}[${index}]`));
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Error of a single non-empty value, or null
+   */
+  static validateField(value, field) {
+    switch (field.type) {
+      case 'string':
+      case 'html':
+        return typeof value === 'string' ? null : 'must be a string';
+      case 'url':
+        return this.isSafeUrl(value) ? null : 'must be an http(s), mailto:, tel: or relative URL';
+      case 'video':
+        return this.getVideoEmbedUrl(value) ? null : 'must be a YouTube or Vimeo URL';
+      case 'enum':
+        return field.values.includes(value) ? null : `must be one of ${field.values.join(', ')}`;
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isInteger(number)) return 'must be a whole number';
+        return number < field.min || number > field.max ? `must be between ${field.min} and ${field.max}` : null;
+      }
+      case 'list':
+        if (!Array.isArray(value)) return 'must be an array';
+        return field.required && value.length === 0 ? 'must not be empty' : null;
+      case 'handles':
+        if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array of product handles';
+        return value.every(handle => typeof handle === 'string' && handle.trim() !== '') ? null : 'must only contain product handles';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Links and images may only point to http(s), mailto:, tel: or relative URLs
+   */
+  static isSafeUrl(value) {
+    if (typeof value !== 'string') return false;
+
+    const url = this.cleanUrl(value);
+    if (url === '' || /^[\\/]{2}/.test(url)) return false;
+
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+  }
+
+  /**
+   * URL as browsers read it: tabs, newlines and other control characters are dropped
+   * (so "java\nscript:" is "javascript:") and surrounding spaces are ignored
+   */
+  static cleanUrl(value) {
+    return value.replace(/[\u0000-\u001F\u007F]/g, '').trim();
+  }
+
+  /**
+   * Privacy-friendly player URL of a YouTube or Vimeo video, or null
+   */
+  static getVideoEmbedUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return null;
+    }
+
+    const host = url.hostname.replace(/^(www|m)\./, '');
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (host === 'youtu.be') {
+      return YOUTUBE_ID.test(segments[0]) ? `https://www.youtube-nocookie.com/embed/${segments[0]}` : null;
+    }
+
+    if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+      const id = segments[0] === 'watch' ? url.searchParams.get('v')
+        : ['embed', 'shorts', 'live'].includes(segments[0]) ? segments[1]
+        : null;
+      return YOUTUBE_ID.test(id || '') ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+      const id = segments.find(segment => /^\d+$/.test(segment));
+      return id ? `https://player.vimeo.com/video/${id}` : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Product handles used by the product grids of page content
+   */
+  static getProductHandles(content) {
+    return (this.parse(content) || [])
+      .filter(block => block && block.type === 'product_grid' && Array.isArray(block.handles))
+      .flatMap(block => block.handles);
+  }
+
+  /**
+   * Render a block to HTML
+   * context.languagePath prefixes default links, context.products and context.renderProduct render product grids
+   */
+  static render(block, context = {}) {
+    if (!block || typeof block !== 'object') return '';
+
+    const languagePath = context.languagePath || '';
+
+    switch (block.type) {
+      case 'text':
+        return `<div class="content-block text-block">${block.content || ''}</div>`;
+
+      case 'hero':
+        return `
+        <div class="content-block hero-block">
+          <h1>${this.escapeHtml(block.title)}</h1>
+          ${block.subtitle ? `<p class="hero-subtitle">${this.escapeHtml(block.subtitle)}</p>` : ''}
+          ${block.cta ? `<a href="${this.getHref(block.cta_url, `${languagePath}/products.html`)}" class="btn btn-primary">${this.escapeHtml(block.cta)}</a>` : ''}
+        </div>`;
+
+      case 'features': {
+        const featuresHtml = (block.items || []).map(item =>
+          `<div class="feature-item">
+            <h4>${this.escapeHtml(item.title)}</h4>
+            <p>${this.escapeHtml(item.description)}</p>
+          </div>`
+        ).join('');
+        return `<div class="content-block features-block">${featuresHtml}</div>`;
+      }
+
+      case 'image': {
+        const image = `<img src="${this.getHref(block.src)}" alt="${this.escapeHtml(block.alt)}" loading="lazy">`;
+        return `
+        <figure class="content-block image-block">
+          ${block.link ? `<a href="${this.getHref(block.link)}">${image}</a>` : image}
+          ${block.caption ? `<figcaption>${this.escapeHtml(block.caption)}</figcaption>` : ''}
+        </figure>`;
+      }
+
+      case 'image_text':
+        return `
+        <div class="content-block image-text-block${block.image_position === 'right' ? ' image-right' : ''}">
+          <div class="image-text-media"><img src="${this.getHref(block.image)}" alt="${this.escapeHtml(block.alt)}" loading="lazy"></div>
+          <div class="image-text-body">
+            ${block.title ? `<h2>${this.escapeHtml(block.title)}</h2>` : ''}
+            ${block.content || ''}
+            ${block.cta ? `<a href="${this.getHref(block.cta_url, `${languagePath}/products.html`)}" class="btn btn-primary">${this.escapeHtml(block.cta)}</a>` : ''}
+          </div>
+        </div>`;
+
+      case 'gallery': {
+        const imagesHtml = (block.images || []).map(image =>
+          `<figure class="gallery-item">
+            <img src="${this.getHref(image.src)}" alt="${this.escapeHtml(image.alt)}" loading="lazy">
+            ${image.caption ? `<figcaption>${this.escapeHtml(image.caption)}</figcaption>` : ''}
+          </figure>`
+        ).join('');
+        return `<div class="content-block gallery-block" style="--block-columns: ${this.getColumns(block.columns, 3)}">${imagesHtml}</div>`;
+      }
+
+      case 'faq': {
+        const itemsHtml = (block.items || []).map(item =>
+          `<details class="faq-item">
+            <summary>${this.escapeHtml(item.question)}</summary>
+            <div class="faq-answer">${item.answer || ''}</div>
+          </details>`
+        ).join('');
+        return `
+        <div class="content-block faq-block">
+          ${block.title ? `<h2>${this.escapeHtml(block.title)}</h2>` : ''}
+          ${itemsHtml}
+        </div>`;
+      }
+
+      case 'testimonials': {
+        const itemsHtml = (block.items || []).map(item => {
+          const rating = Math.min(Math.max(parseInt(item.rating, 10) || 0, 0), 5);
+          return `<blockquote class="testimonial">
+            ${rating ? `<div class="testimonial-rating" aria-label="${rating}/5">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</div>` : ''}
+            <p>${this.escapeHtml(item.quote)}</p>
+            <footer>
+              ${item.image ? `<img src="${this.getHref(item.image)}" alt="" class="testimonial-image" loading="lazy">` : ''}
+              <cite>${this.escapeHtml(item.author)}</cite>${item.role ? ` <span class="testimonial-role">${this.escapeHtml(item.role)}</span>` : ''}
+            </footer>
+          </blockquote>`;
+        }).join('');
+        return `
+        <div class="content-block testimonials-block">
+          ${block.title ? `<h2>${this.escapeHtml(block.title)}</h2>` : ''}
+          <div class="testimonials-list">${itemsHtml}</div>
+        </div>`;
+      }
+
+      case 'cta':
+        return `
+        <div class="content-block cta-block">
+          <h2>${this.escapeHtml(block.title)}</h2>
+          ${block.text ? `<p>${this.escapeHtml(block.text)}</p>` : ''}
+          <a href="${this.getHref(block.url)}" class="btn ${block.style === 'secondary' ? 'btn-secondary' : 'btn-primary'}">${this.escapeHtml(block.button_text)}</a>
+        </div>`;
+
+      case 'video': {
+        const embedUrl = this.getVideoEmbedUrl(block.url);
+        if (!embedUrl) return '';
+        return `
+        <div class="content-block video-block">
+          <iframe src="${embedUrl}" title="${this.escapeHtml(block.title || 'Video')}" loading="lazy" allow="accelerometer; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>
+        </div>`;
+      }
+
+      case 'product_grid': {
+        const products = context.products || [];
+        const renderProduct = context.renderProduct;
+        const productsHtml = renderProduct
+          ? (block.handles || [])
+            .map(handle => products.find(product => product.handle === handle))
+            .filter(Boolean)
+            .map(product => renderProduct(product))
+            .join('\n')
+          : '';
+        if (!productsHtml) return '';
+        return `
+        <div class="content-block product-grid-block">
+          ${block.title ? `<h2>${this.escapeHtml(block.title)}</h2>` : ''}
+          <div class="products-grid" style="--block-columns: ${this.getColumns(block.columns, 3)}">${productsHtml}</div>
+        </div>`;
+      }
+
+      case 'spacer':
+        return `<div class="content-block spacer-block spacer-${['small', 'large'].includes(block.size) ? block.size : 'medium'}" aria-hidden="true"></div>`;
+
+      case 'divider':
+        return '<hr class="content-block divider-block">';
+
+      default:
+        return `<div class="content-block unknown-block">${block.content || ''}</div>`;
+    }
+  }
+
+  /**
+   * Escaped URL for an href or src; unsafe URLs fall back to the given default
+   */
+  static getHref(url, fallback = '#') {
+    return this.escapeHtml(this.isSafeUrl(url) ? this.cleanUrl(url) : fallback);
+  }
+
+  static getColumns(value, fallback) {
+    const columns = parseInt(value, 10);
+    return columns >= 2 && columns <= 6 ? columns : fallback;
+  }
+
+  static escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Styles for the block types
+   */
+  static getStyles() {
+    return `
+/* Content block types */
+.image-block img,
+.image-text-media img,
+.gallery-item img {
+  display: block;
+  width: 100%;
+  height: auto;
+  border-radius: var(--theme-radius-md);
+}
+
+.image-block figcaption,
+.gallery-item figcaption {
+  margin-top: 0.5rem;
+  font-size: var(--theme-font-size-small);
+  color: #666;
+  text-align: center;
+}
+
+.image-text-block {
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: var(--theme-space-lg);
+  align-items: center;
+}
+
+.image-text-block.image-right .image-text-media {
+  order: 2;
+}
+
+.image-text-body h2 {
+  margin-bottom: 1rem;
+}
+
+.image-text-body .btn {
+  margin-top: 1rem;
+}
+
+.gallery-block {
+  display: grid;
+  grid-template-columns: repeat(var(--block-columns, 3), 1fr);
+  gap: var(--theme-space-md);
+}
+
+.product-grid-block .products-grid {
+  grid-template-columns: repeat(var(--block-columns, 3), 1fr);
+}
+
+.faq-block h2,
+.testimonials-block h2,
+.product-grid-block h2 {
+  margin-bottom: 1rem;
+}
+
+.faq-item {
+  border-bottom: 1px solid #eee;
+  padding: 1rem 0;
+}
+
+.faq-item summary {
+  cursor: pointer;
+  font-weight: 600;
+}
+
+.faq-answer {
+  margin-top: 0.75rem;
+}
+
+.testimonials-list {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+  gap: 1.5rem;
+}
+
+.testimonial {
+  padding: calc(var(--theme-space-md) * 1.5);
+  background: var(--theme-surface);
+  border-radius: var(--theme-radius-md);
+}
+
+.testimonial-rating {
+  color: #f5a623;
+  margin-bottom: 0.5rem;
+}
+
+.testimonial footer {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-top: 1rem;
+}
+
+.testimonial-image {
+  width: 40px;
+  height: 40px;
+  border-radius: 50%;
+  object-fit: cover;
+}
+
+.testimonial-role {
+  color: #666;
+  font-size: var(--theme-font-size-small);
+}
+
+.cta-block {
+  text-align: center;
+  padding: calc(var(--theme-space-lg) * 1.5) var(--theme-space-lg);
+  background: var(--theme-surface);
+  border-radius: var(--theme-radius-lg);
+}
+
+.cta-block p {
+  margin: 1rem 0 1.5rem;
+}
+
+.video-block {
+  position: relative;
+  aspect-ratio: 16 / 9;
+}
+
+.video-block iframe {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  border: 0;
+  border-radius: var(--theme-radius-md);
+}
+
+.spacer-block {
+  margin: 0;
+}
+
+.spacer-small {
+  height: var(--theme-space-md);
+}
+
+.spacer-medium {
+  height: calc(var(--theme-space-lg) * 1.5);
+}
+
+.spacer-large {
+  height: calc(var(--theme-space-xl) * 1.5);
+}
+
+.divider-block {
+  border: 0;
+  border-top: 1px solid #ddd;
+}
+
+@media (max-width: 768px) {
+  .image-text-block {
+    grid-template-columns: 1fr;
+  }
+
+  .image-text-block.image-right .image-text-media {
+    order: 0;
+  }
+
+  .gallery-block,
+  .product-grid-block .products-grid {
+    grid-template-columns: repeat(2, 1fr);
+  }
+}
+`;
+  }
+}
+
+module.exports = ContentBlocks;
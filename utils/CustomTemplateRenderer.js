@@ -1,8 +1,30 @@
 const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
+const sectionRegistry = require('./SectionRegistry');
+const StructuredData = require('./StructuredData');
+const SocialMeta = require('./SocialMeta');
+const VariantSelector = require('./VariantSelector');
+const StoreCart = require('./StoreCart');
+const PriceFormatter = require('./PriceFormatter');
+const Translator = require('./Translator');
+
+const variantSelector = new VariantSelector();
+const storeCart = new StoreCart();
 
 class CustomTemplateRenderer {
+  constructor() {
+    // Strings of the store being rendered (see renderCustomProductTemplate)
+    this.translator = null;
+  }
+
+  /**
+   * Translator of the page being rendered, or one for the store language
+   */
+  getTranslator(store) {
+    return this.translator || new Translator(store.language);
+  }
+
   /**
    * Generate custom product page using template system
    */
@@ -75,6 +97,9 @@ class CustomTemplateRenderer {
    * Render custom product template with sections and field data
    */
   async renderCustomProductTemplate(store, product, themeConfig, elements, fieldData, template) {
+    this.translator = await Translator.forStore(store);
+    const translator = this.translator;
+
     // Generate each section HTML based on template elements
     let sectionsHtml = '';
     
@@ -88,8 +113,8 @@ class CustomTemplateRenderer {
     });
     
     // Prepare base template variables
-    const primaryVariant = product.variants && product.variants.length > 0 ? product.variants[0] : null;
-    const price = primaryVariant ? `${primaryVariant.price.toFixed(2)} ${store.currency}` : 'Price unavailable';
+    const primaryVariant = variantSelector.getInitialVariant(product);
+    const price = primaryVariant ? new PriceFormatter(store).format(primaryVariant.price) : translator.t('common.priceUnavailable');
     
     // Generate navigation and footer (using basic versions for now)
     const navLinks = await this.generateBasicNavLinks(store);
@@ -104,12 +129,14 @@ class CustomTemplateRenderer {
       // Page meta
       page_title: product.title,
       meta_title: `${product.title} - ${store.name}`,
-      meta_description: product.body_html ? product.body_html.substring(0, 160).replace(/<[^>]*>/g, '') : `Buy ${product.title} at ${store.name}`,
+      meta_description: product.body_html ? product.body_html.substring(0, 160).replace(/<[^>]*>/g, '') : translator.t('product.metaDescription', { product: product.title, store: store.name }),
+      structured_data: new StructuredData().forProductPage(store, product),
       
       // Product information
       product_title: product.title,
       product_price: price,
       product_handle: product.handle,
+      product_cart_data: storeCart.renderProductData(product),
       
       // Custom template content
       template_sections: sectionsHtml,
@@ -128,12 +155,18 @@ class CustomTemplateRenderer {
       
       // Utility variables
       current_year: new Date().getFullYear(),
+      t: translator.toJSON(),
       
       // Path variables for subdirectory
       css_path: '../styles.css',
       js_path: '../scripts.js'
     };
     
+    variables.social_meta = new SocialMeta().forProductPage(store, product, {
+      title: variables.meta_title,
+      description: variables.meta_description
+    });
+    
     // Use custom product template
     const templateHtml = this.getCustomProductTemplate();
     const compiledTemplate = handlebars.compile(templateHtml);
@@ -141,133 +174,48 @@ class CustomTemplateRenderer {
   }
 
   /**
-   * Generate HTML for individual template sections
+   * Generate HTML for individual template sections via the section registry
    */
   generateSectionHtml(elementType, product, store, fieldData, themeConfig, elementId, elementSettings) {
-    const primaryVariant = product.variants && product.variants.length > 0 ? product.variants[0] : null;
-    const primaryImage = product.images && product.images.length > 0 ? product.images[0] : null;
-    const price = primaryVariant ? `${primaryVariant.price.toFixed(2)} ${store.currency}` : 'Price unavailable';
+    // Sections show the first variant in stock; the variant picker switches it in the browser
+    const primaryVariant = variantSelector.getInitialVariant(product);
+    const images = product.images || [];
+    const primaryImageSrc = variantSelector.getVariantImage(product, primaryVariant);
+    const primaryImage = images.find(image => image.src === primaryImageSrc) || images[0] || null;
+    const priceFormatter = new PriceFormatter(store);
+    const translator = this.getTranslator(store);
+    const price = primaryVariant ? priceFormatter.format(primaryVariant.price) : translator.t('common.priceUnavailable');
     const compareAtPrice = primaryVariant && primaryVariant.compare_at_price 
-      ? `${primaryVariant.compare_at_price.toFixed(2)} ${store.currency}`
+      ? priceFormatter.format(primaryVariant.compare_at_price)
       : null;
     
-    switch (elementType) {
-      case 'FreeShippingBar':
-        const shippingMessage = fieldData[`template_FreeShippingBar_message`] || 'Free shipping on all orders!';
-        return `<div class="free-shipping-bar">${shippingMessage}</div>`;
-
-      case 'FreeShippingTeaser':
-        const teaserMessage = fieldData[`template_FreeShippingTeaser_message`] || 'Free shipping worldwide!';
-        return `<div class="free-shipping-teaser">${teaserMessage}</div>`;
-
-      case 'FlashSaleCountdown':
-        const countdownText = fieldData[`template_FlashSaleCountdown_message`] || 'Flash Sale Ends Soon!';
-        return `<div class="flash-sale-countdown">${countdownText}</div>`;
-
-      case 'NavigationBar':
-        const navTitle = fieldData[`template_NavigationBar_title`] || store.name;
-        return `<nav class="navigation-bar"><h2>${navTitle}</h2></nav>`;
-
-      case 'StarRating':
-        const rating = fieldData[`template_StarRating_rating`] || '5';
-        const reviewCount = fieldData[`template_StarRating_review_count`] || '127';
-        const stars = '★'.repeat(parseInt(rating)) + '☆'.repeat(5 - parseInt(rating));
-        return `<div class="star-rating">${stars} (${reviewCount} reviews)</div>`;
-      
-      case 'ProductTitle':
-        const subtitle = fieldData[`template_ProductTitle_subtitle`] || '';
-        return `
-          <div class="product-title-section">
-            <h1>${product.title}</h1>
-            ${subtitle ? `<p class="product-subtitle">${subtitle}</p>` : ''}
-          </div>`;
-      
-      case 'PricingSection':
-        const currencySymbol = fieldData[`template_PricingSection_currency_symbol`] || store.currency;
-        const showSavings = fieldData[`template_PricingSection_show_savings`] || false;
-        const savingsHtml = showSavings && compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price
-          ? `<span class="savings">Save ${currencySymbol}${(primaryVariant.compare_at_price - primaryVariant.price).toFixed(2)}</span>`
-          : '';
-        return `
-          <div class="pricing-section">
-            ${compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price
-              ? `<span class="price-sale">${currencySymbol}${primaryVariant.price.toFixed(2)}</span> <span class="price-original">${currencySymbol}${primaryVariant.compare_at_price.toFixed(2)}</span>`
-              : `<span class="price">${currencySymbol}${primaryVariant ? primaryVariant.price.toFixed(2) : '0.00'}</span>`
-            }
-            ${savingsHtml}
-          </div>`;
-      
-      case 'ProductImageGallery':
-        const imageHtml = primaryImage 
-          ? `<img src="${primaryImage.src}" alt="${primaryImage.alt}" class="product-main-image">`
-          : `<div class="product-image-placeholder">No Image Available</div>`;
-        return `<div class="product-image-gallery">${imageHtml}</div>`;
-      
-      case 'FreeTextField':
-        const customText = fieldData[`template_FreeTextField_content`] || '';
-        return customText ? `<div class="free-text-section">${customText}</div>` : '';
-      
-      case 'ListSection':
-        const listTitle = fieldData[`template_ListSection_title`] || 'Features';
-        const listItems = fieldData[`template_ListSection_items`] || '';
-        const items = listItems.split('\n').filter(item => item.trim());
-        const itemsHtml = items.map(item => `<li>${item.trim()}</li>`).join('');
-        return items.length > 0 ? `
-          <div class="list-section">
-            <h3>${listTitle}</h3>
-            <ul>${itemsHtml}</ul>
-          </div>` : '';
-      
-      case 'GuaranteeBadge':
-        const guaranteeText = fieldData[`template_GuaranteeBadge_guarantee_text`] || '30-Day Money Back Guarantee';
-        return `<div class="guarantee-badge">${guaranteeText}</div>`;
-      
-      case 'ScarcityNotice':
-        const scarcityMessage = fieldData[`template_ScarcityNotice_message`] || 'Limited stock available!';
-        return `<div class="scarcity-notice">${scarcityMessage}</div>`;
-      
-      case 'ATCButton':
-        return `
-          <div class="atc-button-section">
-            ${primaryVariant && primaryVariant.available
-              ? `<button class="btn btn-primary btn-large atc-button">Add to Cart - ${price}</button>`
-              : `<button class="btn btn-secondary btn-large" disabled>Out of Stock</button>`
-            }
-          </div>`;
-      
-      case 'QuickBuyButton':
-        return `
-          <div class="quick-buy-section">
-            ${primaryVariant && primaryVariant.available
-              ? `<button class="btn btn-accent btn-large quick-buy-button">Buy Now - ${price}</button>`
-              : `<button class="btn btn-secondary btn-large" disabled>Out of Stock</button>`
-            }
-          </div>`;
-      
-      case 'TrustIndicators':
-        return `
-          <div class="trust-indicators">
-            <div class="trust-item">🔒 Secure Checkout</div>
-            <div class="trust-item">🚚 Fast Shipping</div>
-            <div class="trust-item">↩️ Easy Returns</div>
-          </div>`;
-      
-      default:
-        console.log(`⚠️ Unknown section type: ${elementType}`);
-        return '';
-    }
+    return sectionRegistry.render(elementType, {
+      product,
+      store,
+      themeConfig,
+      elementId,
+      primaryVariant,
+      primaryImage,
+      price,
+      compareAtPrice,
+      priceFormatter,
+      translator,
+      variantPicker: new VariantSelector(translator.getGroup('variant')).render(product, store)
+    }, fieldData, elementSettings);
   }
 
   /**
    * Generate basic navigation links
    */
   async generateBasicNavLinks(store) {
+    const translator = this.getTranslator(store);
     return `
       <a href="/">${store.name}</a>
-      <a href="/products.html">Our Products</a>
-      <a href="/about.html">About</a>
-      <a href="/contact.html">Contact</a>
-      <a href="/delivery.html">Shipping</a>
+      <a href="/products.html">${translator.t('common.ourProducts')}</a>
+      <a href="/about.html">${translator.t('common.about')}</a>
+      <a href="/contact.html">${translator.t('common.contact')}</a>
+      <a href="/delivery.html">${translator.t('common.shipping')}</a>
+      ${new StoreCart(translator.getGroup('cart')).renderToggle()}
     `;
   }
 
@@ -275,30 +223,31 @@ class CustomTemplateRenderer {
    * Generate basic footer content
    */
   async generateBasicFooterContent(store) {
+    const translator = this.getTranslator(store);
     return `
     <div class="footer-content">
       <div class="footer-section">
         <h4>${store.name}</h4>
-        <p>Quality products and exceptional service.</p>
-        ${store.support_email ? `<p>Email: <a href="mailto:${store.support_email}">${store.support_email}</a></p>` : ''}
-        ${store.support_phone ? `<p>Phone: ${store.support_phone}</p>` : ''}
+        <p>${translator.t('footer.tagline')}</p>
+        ${store.support_email ? `<p>${translator.t('footer.email')} <a href="mailto:${store.support_email}">${store.support_email}</a></p>` : ''}
+        ${store.support_phone ? `<p>${translator.t('footer.phone')} ${store.support_phone}</p>` : ''}
       </div>
       <div class="footer-section">
-        <h4>Quick Links</h4>
+        <h4>${translator.t('footer.quickLinks')}</h4>
         <ul>
-          <li><a href="/">Home</a></li>
-          <li><a href="/products.html">Products</a></li>
-          <li><a href="/about.html">About</a></li>
-          <li><a href="/contact.html">Contact</a></li>
+          <li><a href="/">${translator.t('common.home')}</a></li>
+          <li><a href="/products.html">${translator.t('common.products')}</a></li>
+          <li><a href="/about.html">${translator.t('common.about')}</a></li>
+          <li><a href="/contact.html">${translator.t('common.contact')}</a></li>
         </ul>
       </div>
       <div class="footer-section">
-        <h4>Legal</h4>
+        <h4>${translator.t('footer.legal')}</h4>
         <ul>
-          <li><a href="/terms.html">Terms - ${store.name}</a></li>
-          <li><a href="/privacy.html">Privacy Policy</a></li>
-          <li><a href="/refund.html">Return Policy</a></li>
-          <li><a href="/delivery.html">Shipping Policy</a></li>
+          <li><a href="/terms.html">${translator.t('footer.terms')} - ${store.name}</a></li>
+          <li><a href="/privacy.html">${translator.t('footer.privacyPolicy')}</a></li>
+          <li><a href="/refund.html">${translator.t('footer.returnPolicy')}</a></li>
+          <li><a href="/delivery.html">${translator.t('footer.shippingPolicy')}</a></li>
         </ul>
       </div>
     </div>`;
@@ -315,8 +264,10 @@ class CustomTemplateRenderer {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>{{meta_title}}</title>
     <meta name="description" content="{{meta_description}}">
+    {{{social_meta}}}
     <link rel="icon" href="">
     <link rel="stylesheet" href="{{css_path}}">
+    {{{structured_data}}}
     <style>
         /* Theme Variables */
         :root {
@@ -361,6 +312,9 @@ class CustomTemplateRenderer {
             color: var(--theme-primary);
             font-weight: bold;
         }
+        .price.on-sale {
+            color: #e74c3c;
+        }
         .savings {
             background: #27ae60;
             color: white;
@@ -378,6 +332,22 @@ class CustomTemplateRenderer {
             height: auto;
             border-radius: 8px;
         }
+        .product-thumbnails {
+            display: flex;
+            gap: 0.5rem;
+            justify-content: center;
+            margin-top: 1rem;
+        }
+        .product-thumbnail {
+            width: 64px;
+            height: 64px;
+            object-fit: cover;
+            border-radius: 4px;
+        }
+        .gallery-zoom .product-main-image:hover {
+            transform: scale(1.05);
+            transition: transform 0.2s ease;
+        }
         .free-text-section {
             margin: 2rem 0;
             padding: 1.5rem;
@@ -429,6 +399,33 @@ class CustomTemplateRenderer {
             text-align: center;
             margin: 2rem 0;
         }
+        .variant-selector {
+            max-width: 400px;
+            margin: 0 auto 1rem;
+            text-align: left;
+        }
+        .variant-option-group {
+            margin-bottom: 0.75rem;
+        }
+        .variant-option-group label {
+            display: block;
+            font-weight: 600;
+            margin-bottom: 0.25rem;
+        }
+        .variant-option-group select {
+            width: 100%;
+            padding: 0.6rem;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 1rem;
+        }
+        .btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+        }
+        .product-thumbnail[data-gallery-thumbnail] {
+            cursor: pointer;
+        }
         .btn-accent {
             background: var(--theme-accent);
             color: white;
@@ -447,6 +444,101 @@ class CustomTemplateRenderer {
             font-size: 0.9rem;
             color: #666;
         }
+        .bundles-section {
+            margin: 2rem 0;
+        }
+        .bundle-options {
+            display: grid;
+            gap: 0.75rem;
+        }
+        .bundle-option {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 1rem;
+            border: 2px solid #eee;
+            border-radius: 8px;
+        }
+        .bundle-option-popular {
+            border-color: var(--theme-primary);
+        }
+        .bundle-price {
+            font-weight: bold;
+        }
+        .bundle-savings {
+            background: #27ae60;
+            color: white;
+            padding: 0.25rem 0.5rem;
+            border-radius: 4px;
+            font-size: 0.8rem;
+        }
+        .discount-badge-section {
+            text-align: center;
+            margin: 1rem 0;
+        }
+        .discount-badge {
+            display: inline-block;
+            background: #e74c3c;
+            color: white;
+            padding: 0.4rem 1rem;
+            border-radius: 999px;
+            font-weight: bold;
+            letter-spacing: 0.05em;
+        }
+        .sales-counter {
+            text-align: center;
+            margin: 1rem 0;
+            color: #e67e22;
+        }
+        .secure-checkout {
+            text-align: center;
+            margin: 2rem 0;
+            padding: 1rem;
+            border: 1px solid #eee;
+            border-radius: 8px;
+        }
+        .secure-checkout-badge {
+            font-weight: bold;
+        }
+        .secure-checkout-ssl {
+            color: #666;
+            font-size: 0.85rem;
+            margin-top: 0.25rem;
+        }
+        .social-proof {
+            margin: 2rem 0;
+            padding: 1.5rem;
+            background: var(--theme-surface);
+            border-left: 4px solid var(--theme-primary);
+            border-radius: 8px;
+        }
+        .social-proof-quote {
+            font-style: italic;
+            font-size: 1.1rem;
+        }
+        .social-proof-author {
+            color: #666;
+            margin-top: 0.5rem;
+        }
+        .navigation-bar-sticky {
+            position: sticky;
+            top: 0;
+            z-index: 10;
+        }
+        .navigation-breadcrumbs {
+            font-size: 0.85rem;
+            color: #666;
+        }
+        .product-vendor {
+            color: #666;
+            text-transform: uppercase;
+            font-size: 0.85rem;
+        }
+        .guarantee-details {
+            font-size: 0.85rem;
+            margin-top: 0.5rem;
+        }
         @media (max-width: 768px) {
             .trust-indicators {
                 flex-direction: column;
@@ -467,14 +559,15 @@ class CustomTemplateRenderer {
         </nav>
     </header>
 
-    <main class="custom-product-page">
+    <main class="custom-product-page" data-product>
+        {{{product_cart_data}}}
         <div class="container">
             <!-- Generated template sections -->
             {{{template_sections}}}
             
             <!-- Back to products link -->
             <div style="text-align: center; margin: 3rem 0;">
-                <a href="../products.html" class="btn btn-outline">← Back to Products</a>
+                <a href="../products.html" class="btn btn-outline">{{t.product.backToProducts}}</a>
             </div>
         </div>
     </main>
@@ -482,7 +575,7 @@ class CustomTemplateRenderer {
     <footer>
         {{{footer_content}}}
         <div class="footer-bottom">
-            <p>&copy; {{current_year}} {{store_name}}. All rights reserved.</p>
+            <p>&copy; {{current_year}} {{store_name}}. {{t.footer.allRightsReserved}}</p>
         </div>
     </footer>
 
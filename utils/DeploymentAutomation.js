@@ -8,92 +8,105 @@ const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const execAsync = util.promisify(exec);
+const DeploymentProviders = require('./DeploymentProviders');
 
 class DeploymentAutomation {
-  constructor() {
+  /**
+   * options.logger replaces console for the log lines of a deployment (see DeploymentHistory.record)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
     this.deploymentQueue = new Map();
     this.activeDeployments = new Set();
   }
 
   /**
    * Complete automation workflow
+   * Runs the steps of the store's deployment provider (Vercel unless the store chose another)
    */
   async executeCompleteDeployment(store, options = {}) {
     const deploymentId = options.deploymentId || `deployment_${Date.now()}`;
-    console.log(`🚀 Starting complete deployment automation for ${store.name} (ID: ${deploymentId})`);
+    this.logger.log(`🚀 Starting complete deployment automation for ${store.name} (ID: ${deploymentId})`);
 
     try {
       this.activeDeployments.add(deploymentId);
-      
-      // Step 1: FIRST - Add domain to Vercel (MUST be done before any deployment)
-      console.log(`🔗 Step 1: Adding domain ${store.domain} to Vercel FIRST`);
-      await this.connectDomainToProject(store.domain);
-      
-      // Step 2: Validate prerequisites
-      await this.validateDeploymentPrerequisites();
-      
-      // Step 3: Ensure Git repository is properly configured
-      await this.configureGitRepository();
-      
-      // Step 4: Commit and push store files
-      await this.commitAndPushFiles(store);
-      
-      // Step 5: Configure Vercel for automatic deployment
-      await this.configureVercelDeployment();
-      
-      // Step 6: Trigger deployment with proper project context
-      const deploymentResult = await this.triggerDeployment(store);
-      
-      // Step 7: Create explicit domain alias (CRITICAL - matches manual behavior)
-      if (deploymentResult.success && deploymentResult.url) {
-        console.log(`🔗 Step 7: Creating explicit domain alias for ${store.domain}`);
-        console.log(`🔧 Connecting: ${store.domain} → ${deploymentResult.url}`);
-        try {
-          await this.createDomainAlias(store.domain, deploymentResult.url);
-          console.log(`✅ Domain alias created successfully: ${store.domain} → ${deploymentResult.url}`);
-        } catch (aliasError) {
-          console.error(`⚠️ Alias creation failed but continuing: ${aliasError.message}`);
-          // Don't throw - deployment is successful even if alias fails
-        }
-      } else {
-        console.log('⚠️ Skipping alias creation - no deployment URL available');
-        console.log('Debug - deploymentResult:', deploymentResult);
-      }
-      
-      // Step 8: Monitor deployment progress
-      await this.monitorDeployment(deploymentResult, store);
-      
-      // Step 9: Verify domain is live
-      const isLive = await this.verifyDomainLive(store.domain);
-      
-      console.log(`✅ Complete deployment automation finished for ${store.name}`);
+
+      const providerName = DeploymentProviders.getName(store);
+      const provider = DeploymentProviders.create(providerName, { automation: this, logger: this.logger });
+      const step = (name, run) => this.runStep(name, run, options.progressCallback);
+      const deployment = { id: deploymentId, options, result: null, runStep: step };
+      this.logger.log(`📦 Deployment provider: ${providerName}`);
+
+      // Step 1: Check configuration and set up the target
+      await step('prepare', () => provider.prepare(store, deployment));
+
+      // Step 2: Copy the store files to the target
+      await step('upload', () => provider.upload(store, deployment));
+
+      // Step 3: Make the uploaded files the live site
+      deployment.result = await step('activate', () => provider.activate(store, deployment));
+
+      // Step 4: Verify the store is live
+      const isLive = await step('verify', () => provider.verify(store, deployment));
+
+      this.logger.log(`✅ Complete deployment automation finished for ${store.name}`);
       return {
         success: true,
         deploymentId,
+        provider: providerName,
         isLive,
-        deploymentResult
+        deploymentResult: deployment.result
       };
-      
+
     } catch (error) {
-      console.error(`❌ Deployment automation failed for ${store.name}:`, error.message);
+      this.logger.error(`❌ Deployment automation failed for ${store.name}:`, error.message);
       throw error;
     } finally {
       this.activeDeployments.delete(deploymentId);
     }
   }
 
+  /**
+   * Run one step of a deployment, reporting { step, status, durationMs, error }
+   * to progressCallback when it starts, completes or fails. run is called with
+   * the logger of the deployment (progressCallback.logger when it has one)
+   */
+  async runStep(step, run, progressCallback = null) {
+    const startedAt = Date.now();
+    const logger = (progressCallback && progressCallback.logger) || this.logger;
+    const report = event => {
+      if (!progressCallback) return;
+      try {
+        progressCallback({ step, timestamp: new Date().toISOString(), ...event });
+      } catch (callbackError) {
+        this.logger.warn(`⚠️ Progress callback failed for step ${step}:`, callbackError.message);
+      }
+    };
+
+    report({ status: 'started' });
+
+    try {
+      const result = await run(logger);
+      report({ status: 'completed', durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      report({ status: 'failed', durationMs: Date.now() - startedAt, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Validate all prerequisites for deployment
    */
   async validateDeploymentPrerequisites() {
-    console.log('🔍 Validating deployment prerequisites...');
+    this.logger.log('🔍 Validating deployment prerequisites...');
     
     const checks = [];
     
     // Check Node.js version
     try {
       const { stdout } = await execAsync('node --version');
-      console.log(`✅ Node.js version: ${stdout.trim()}`);
+      this.logger.log(`✅ Node.js version: ${stdout.trim()}`);
     } catch (error) {
       checks.push('Node.js not found');
     }
@@ -106,21 +119,21 @@ class DeploymentAutomation {
     // Check if stores directory exists
     if (!fs.existsSync('stores')) {
       fs.mkdirSync('stores', { recursive: true });
-      console.log('📁 Created stores directory');
+      this.logger.log('📁 Created stores directory');
     }
     
     // Check Git configuration
     try {
       await execAsync('git config --get user.name');
       await execAsync('git config --get user.email');
-      console.log('✅ Git configuration found');
+      this.logger.log('✅ Git configuration found');
     } catch (error) {
-      console.log('⚠️ Git not configured, will use default settings');
+      this.logger.log('⚠️ Git not configured, will use default settings');
       // Set default git config if not set
       try {
         await execAsync('git config user.name "Store Automation"');
         await execAsync('git config user.email "automation@stores.dev"');
-        console.log('✅ Default Git configuration applied');
+        this.logger.log('✅ Default Git configuration applied');
       } catch (configError) {
         checks.push('Could not configure Git');
       }
@@ -130,22 +143,22 @@ class DeploymentAutomation {
       throw new Error(`Prerequisites not met: ${checks.join(', ')}`);
     }
     
-    console.log('✅ All prerequisites validated');
+    this.logger.log('✅ All prerequisites validated');
   }
 
   /**
    * Configure Git repository for deployment
    */
   async configureGitRepository() {
-    console.log('🔧 Configuring Git repository...');
+    this.logger.log('🔧 Configuring Git repository...');
     
     try {
       // Check if already a git repository
       await execAsync('git rev-parse --git-dir');
-      console.log('✅ Git repository exists');
+      this.logger.log('✅ Git repository exists');
     } catch (error) {
       // Initialize git repository
-      console.log('📦 Initializing Git repository...');
+      this.logger.log('📦 Initializing Git repository...');
       await execAsync('git init');
       
       // Create initial commit if no commits exist
@@ -164,18 +177,18 @@ class DeploymentAutomation {
       // Create main branch if it doesn't exist
       try {
         await execAsync('git checkout -b main');
-        console.log('✅ Created main branch');
+        this.logger.log('✅ Created main branch');
       } catch (branchError) {
-        console.log('⚠️ Could not create main branch:', branchError.message);
+        this.logger.log('⚠️ Could not create main branch:', branchError.message);
       }
     }
     
     // Check for remote repository
     try {
       const { stdout } = await execAsync('git remote get-url origin');
-      console.log(`✅ Remote repository: ${stdout.trim()}`);
+      this.logger.log(`✅ Remote repository: ${stdout.trim()}`);
     } catch (error) {
-      console.log('⚠️ No remote repository configured - deployment will be local only');
+      this.logger.log('⚠️ No remote repository configured - deployment will be local only');
     }
   }
 
@@ -183,7 +196,7 @@ class DeploymentAutomation {
    * Create initial commit for new repository
    */
   async createInitialCommit() {
-    console.log('📝 Creating initial commit...');
+    this.logger.log('📝 Creating initial commit...');
     
     // Create a basic README if it doesn't exist
     if (!fs.existsSync('README.md')) {
@@ -216,14 +229,14 @@ Each store is automatically generated and deployed to its own domain.
     
     await execAsync('git add README.md .gitignore');
     await execAsync('git commit -m "feat: initial commit\n\n🤖 Generated with Claude Code\nCo-Authored-By: Claude <noreply@anthropic.com>"');
-    console.log('✅ Initial commit created');
+    this.logger.log('✅ Initial commit created');
   }
 
   /**
    * Commit and push store files
    */
   async commitAndPushFiles(store) {
-    console.log(`📦 Committing files for ${store.name}...`);
+    this.logger.log(`📦 Committing files for ${store.name}...`);
     
     try {
       // Add all files in the stores directory
@@ -236,7 +249,7 @@ Each store is automatically generated and deployed to its own domain.
       try {
         const { stdout } = await execAsync('git diff --cached --name-only');
         if (!stdout.trim()) {
-          console.log('✅ No changes to commit');
+          this.logger.log('✅ No changes to commit');
           return;
         }
       } catch (error) {
@@ -258,24 +271,24 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
 
       // Commit changes
       await execAsync(`git commit -m "${commitMessage}"`);
-      console.log('✅ Changes committed');
+      this.logger.log('✅ Changes committed');
       
       // Push to remote if it exists
       try {
         await execAsync('git push origin main');
-        console.log('✅ Changes pushed to remote repository');
+        this.logger.log('✅ Changes pushed to remote repository');
       } catch (pushError) {
         // Try with --set-upstream
         try {
           await execAsync('git push --set-upstream origin main');
-          console.log('✅ Changes pushed with upstream set');
+          this.logger.log('✅ Changes pushed with upstream set');
         } catch (upstreamError) {
-          console.log('⚠️ Could not push to remote - will continue with local deployment');
+          this.logger.log('⚠️ Could not push to remote - will continue with local deployment');
         }
       }
       
     } catch (error) {
-      console.error('❌ Git commit/push failed:', error.message);
+      this.logger.error('❌ Git commit/push failed:', error.message);
       throw new Error(`Git automation failed: ${error.message}`);
     }
   }
@@ -284,7 +297,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Configure Vercel for automatic deployment
    */
   async configureVercelDeployment() {
-    console.log('⚙️ Configuring Vercel deployment...');
+    this.logger.log('⚙️ Configuring Vercel deployment...');
     
     // Ensure vercel.json is properly configured
     const vercelConfig = {
@@ -317,26 +330,26 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
     
     const mergedConfig = { ...currentConfig, ...vercelConfig };
     fs.writeFileSync(vercelPath, JSON.stringify(mergedConfig, null, 2));
-    console.log('✅ Vercel configuration updated');
+    this.logger.log('✅ Vercel configuration updated');
   }
 
   /**
    * Trigger deployment with proper project context
    */
   async triggerDeployment(store) {
-    console.log('🚀 Triggering deployment with domain-aware context...');
+    this.logger.log('🚀 Triggering deployment with domain-aware context...');
     
     try {
       // Verify Vercel CLI is available
       await execAsync('vercel --version');
-      console.log('✅ Vercel CLI found');
+      this.logger.log('✅ Vercel CLI found');
       
       // Ensure we're in the correct project context
       const { stdout: projectInfo } = await execAsync('vercel project ls');
-      console.log('📋 Project context verified');
+      this.logger.log('📋 Project context verified');
       
       // Deploy with production flag (exactly like manual execution)
-      console.log(`🚀 Deploying to production for domain: ${store.domain}`);
+      this.logger.log(`🚀 Deploying to production for domain: ${store.domain}`);
       const { stdout } = await execAsync('vercel --prod', {
         timeout: 300000, // 5 minute timeout
         env: {
@@ -347,8 +360,8 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
       });
       
       const deploymentUrl = this.extractDeploymentUrl(stdout);
-      console.log(`✅ Deployment completed: ${deploymentUrl || 'URL parsing failed'}`);
-      console.log(`📋 Full deployment output:\n${stdout}`);
+      this.logger.log(`✅ Deployment completed: ${deploymentUrl || 'URL parsing failed'}`);
+      this.logger.log(`📋 Full deployment output:\n${stdout}`);
       
       return {
         method: 'vercel-cli-enhanced',
@@ -359,10 +372,10 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
       };
       
     } catch (cliError) {
-      console.error('❌ Vercel CLI deployment failed:', cliError.message);
+      this.logger.error('❌ Vercel CLI deployment failed:', cliError.message);
       
       // Fallback: deployment should happen automatically via Git push
-      console.log('📡 Falling back to Git-based auto-deployment...');
+      this.logger.log('📡 Falling back to Git-based auto-deployment...');
       return {
         method: 'git-auto-fallback',
         success: true,
@@ -383,12 +396,12 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Verify domain connection (should be automatic with proper setup)
    */
   async verifyDomainConnection(domain) {
-    console.log(`🔍 Verifying automatic domain connection for: ${domain}`);
+    this.logger.log(`🔍 Verifying automatic domain connection for: ${domain}`);
     
     try {
       // Check if domain is properly connected via Vercel domains command
       const { stdout } = await execAsync(`vercel domains inspect ${domain}`, { timeout: 10000 });
-      console.log(`📋 Domain status:\n${stdout}`);
+      this.logger.log(`📋 Domain status:\n${stdout}`);
       
       // Also verify that domain resolves to our deployment
       try {
@@ -400,19 +413,19 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
         });
         
         if (response.ok) {
-          console.log(`✅ Domain ${domain} is successfully connected and responding!`);
+          this.logger.log(`✅ Domain ${domain} is successfully connected and responding!`);
           return { success: true, connected: true, status: response.status };
         } else {
-          console.log(`⚠️ Domain connected but returned status: ${response.status}`);
+          this.logger.log(`⚠️ Domain connected but returned status: ${response.status}`);
           return { success: true, connected: true, status: response.status, warning: 'Non-200 status' };
         }
       } catch (fetchError) {
-        console.log(`⏳ Domain may still be propagating: ${fetchError.message}`);
+        this.logger.log(`⏳ Domain may still be propagating: ${fetchError.message}`);
         return { success: true, connected: 'unknown', message: 'DNS propagation in progress' };
       }
       
     } catch (inspectError) {
-      console.log(`⚠️ Could not inspect domain: ${inspectError.message}`);
+      this.logger.log(`⚠️ Could not inspect domain: ${inspectError.message}`);
       return { success: false, error: inspectError.message };
     }
   }
@@ -421,15 +434,15 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Create domain alias (explicit alias creation step)
    */
   async createDomainAlias(domain, deploymentUrl) {
-    console.log(`🔗 Creating domain alias: ${domain} → ${deploymentUrl}`);
+    this.logger.log(`🔗 Creating domain alias: ${domain} → ${deploymentUrl}`);
     
     try {
       const command = `vercel alias ${deploymentUrl} ${domain}`;
-      console.log(`🔧 Executing: ${command}`);
+      this.logger.log(`🔧 Executing: ${command}`);
       
       const { stdout } = await execAsync(command, { timeout: 30000 });
-      console.log(`✅ Domain alias created successfully: ${domain} → ${deploymentUrl}`);
-      console.log(`📋 Alias output:\n${stdout}`);
+      this.logger.log(`✅ Domain alias created successfully: ${domain} → ${deploymentUrl}`);
+      this.logger.log(`📋 Alias output:\n${stdout}`);
       
       return {
         success: true,
@@ -439,7 +452,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
       };
       
     } catch (error) {
-      console.error(`❌ Failed to create domain alias for ${domain}: ${error.message}`);
+      this.logger.error(`❌ Failed to create domain alias for ${domain}: ${error.message}`);
       throw new Error(`Domain alias creation failed: ${error.message}`);
     }
   }
@@ -448,7 +461,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Connect domain to Vercel project using proper CLI workflow
    */
   async connectDomainToProject(domain) {
-    console.log(`🔗 Adding domain ${domain} to Vercel project (FIRST STEP)`);
+    this.logger.log(`🔗 Adding domain ${domain} to Vercel project (FIRST STEP)`);
     
     try {
       // Get the current project name
@@ -458,22 +471,22 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
         // Try to get project info from vercel.json or current directory
         const { stdout } = await execAsync('vercel project ls', { timeout: 10000 });
         // Extract project name from output if needed
-        console.log(`📋 Using project: ${projectName}`);
+        this.logger.log(`📋 Using project: ${projectName}`);
       } catch (error) {
-        console.log(`⚠️ Could not get project info, using default: ${projectName}`);
+        this.logger.log(`⚠️ Could not get project info, using default: ${projectName}`);
       }
       
       // Add domain to project with proper CLI syntax and force flag
       try {
         const command = `vercel domains add ${domain} --force`;
-        console.log(`🔧 Executing: ${command}`);
+        this.logger.log(`🔧 Executing: ${command}`);
         await execAsync(command, { timeout: 20000 });
-        console.log(`✅ Domain ${domain} added to project successfully with --force flag`);
+        this.logger.log(`✅ Domain ${domain} added to project successfully with --force flag`);
         
         // Verify the domain was added
         try {
           await execAsync(`vercel domains inspect ${domain}`, { timeout: 5000 });
-          console.log(`✅ Domain ${domain} verified in Vercel`);
+          this.logger.log(`✅ Domain ${domain} verified in Vercel`);
           
           return {
             success: true,
@@ -481,7 +494,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
             message: 'Domain added and verified successfully'
           };
         } catch (verifyError) {
-          console.log(`⚠️ Domain added but verification failed: ${verifyError.message}`);
+          this.logger.log(`⚠️ Domain added but verification failed: ${verifyError.message}`);
           return {
             success: true,
             domain,
@@ -493,20 +506,20 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
         if (addError.message.includes('already assigned') || 
             addError.message.includes('already exists') || 
             addError.message.includes('already added')) {
-          console.log(`✅ Domain ${domain} already exists in project`);
+          this.logger.log(`✅ Domain ${domain} already exists in project`);
           return {
             success: true,
             domain,
             message: 'Domain already exists in project'
           };
         } else {
-          console.error(`❌ Failed to add domain ${domain}: ${addError.message}`);
+          this.logger.error(`❌ Failed to add domain ${domain}: ${addError.message}`);
           throw new Error(`Domain addition failed: ${addError.message}`);
         }
       }
       
     } catch (error) {
-      console.error(`❌ Domain setup failed for ${domain}: ${error.message}`);
+      this.logger.error(`❌ Domain setup failed for ${domain}: ${error.message}`);
       throw new Error(`Domain setup failed: ${error.message}`);
     }
   }
@@ -515,7 +528,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Monitor deployment progress (optimized for fast API responses)
    */
   async monitorDeployment(deploymentResult, store) {
-    console.log('📊 Monitoring deployment progress (optimized)...');
+    this.logger.log('📊 Monitoring deployment progress (optimized)...');
     
     if (deploymentResult.method === 'vercel-cli' && deploymentResult.url) {
       // Quick check of deployment URL
@@ -527,15 +540,15 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
         });
         
         if (response.ok) {
-          console.log('✅ Deployment is responding immediately');
+          this.logger.log('✅ Deployment is responding immediately');
         }
       } catch (error) {
-        console.log('⏳ Deployment URL not yet ready, will verify domain directly');
+        this.logger.log('⏳ Deployment URL not yet ready, will verify domain directly');
       }
     }
     
     // Minimal DNS propagation wait (Git push triggers Vercel automatically)
-    console.log('⚡ Brief DNS propagation wait...');
+    this.logger.log('⚡ Brief DNS propagation wait...');
     await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds only
   }
 
@@ -543,11 +556,11 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
    * Verify domain is live and accessible (optimized for fast responses)
    */
   async verifyDomainLive(domain, maxAttempts = 3, delayMs = 2000) {
-    console.log(`🔍 Verifying domain https://${domain} is live (quick check)...`);
+    this.logger.log(`🔍 Verifying domain https://${domain} is live (quick check)...`);
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        console.log(`🔄 Verification attempt ${attempt}/${maxAttempts}...`);
+        this.logger.log(`🔄 Verification attempt ${attempt}/${maxAttempts}...`);
         
         const fetch = await import('node-fetch').then(mod => mod.default);
         const response = await fetch(`https://${domain}`, {
@@ -561,33 +574,33 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
         });
         
         if (response.ok) {
-          console.log(`✅ Domain is LIVE! Status: ${response.status}`);
-          console.log(`🌍 Successfully verified: https://${domain}`);
+          this.logger.log(`✅ Domain is LIVE! Status: ${response.status}`);
+          this.logger.log(`🌍 Successfully verified: https://${domain}`);
           return true;
         } else {
-          console.log(`⚠️ Domain responded with status: ${response.status}`);
+          this.logger.log(`⚠️ Domain responded with status: ${response.status}`);
         }
         
       } catch (error) {
-        console.log(`⏳ Attempt ${attempt}: ${error.message}`);
+        this.logger.log(`⏳ Attempt ${attempt}: ${error.message}`);
         
         // Special handling for common deployment states
         if (error.message.includes('ENOTFOUND')) {
-          console.log('📡 DNS not yet propagated...');
+          this.logger.log('📡 DNS not yet propagated...');
         } else if (error.message.includes('timeout')) {
-          console.log('⏱️ Request timeout - server may be starting...');
+          this.logger.log('⏱️ Request timeout - server may be starting...');
         }
       }
       
       // Short wait before next attempt (except on last attempt)
       if (attempt < maxAttempts) {
-        console.log(`⏰ Waiting ${delayMs/1000}s before next attempt...`);
+        this.logger.log(`⏰ Waiting ${delayMs/1000}s before next attempt...`);
         await new Promise(resolve => setTimeout(resolve, delayMs));
       }
     }
     
-    console.log(`⚠️ Domain verification completed after ${maxAttempts} quick attempts`);
-    console.log('💡 Domain may still be propagating - files are deployed and will be accessible shortly');
+    this.logger.log(`⚠️ Domain verification completed after ${maxAttempts} quick attempts`);
+    this.logger.log('💡 Domain may still be propagating - files are deployed and will be accessible shortly');
     return false;
   }
 
@@ -608,7 +621,7 @@ Co-Authored-By: Claude <noreply@anthropic.com>`;
   cancelDeployment(deploymentId) {
     this.activeDeployments.delete(deploymentId);
     this.deploymentQueue.delete(deploymentId);
-    console.log(`❌ Deployment ${deploymentId} cancelled`);
+    this.logger.log(`❌ Deployment ${deploymentId} cancelled`);
   }
 }
 
@@ -0,0 +1,174 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Deployment Events
+ * Progress events of deployments, streamed to the browser with Server-Sent Events.
+ * Every event of a deployment gets an increasing id and the events are kept for a
+ * while, so a client that reconnects with Last-Event-ID gets the events it missed:
+ *
+ *   { id, timestamp, type: 'step', step, status: started | completed | failed, durationMs, error }
+ *   { id, timestamp, type: 'progress' | 'warning', step, message, progress }
+ *   { id, timestamp, type: 'complete' | 'error', ... }   - last event of a deployment
+ */
+
+const MAX_EVENTS = 500; // Per deployment, oldest dropped first
+const FINISHED_RETENTION_MS = 10 * 60 * 1000;
+const IDLE_RETENTION_MS = 60 * 60 * 1000;
+const HEARTBEAT_MS = 15000;
+const FINAL_TYPES = ['complete', 'error'];
+
+class DeploymentEvents {
+  constructor() {
+    this.streams = new Map(); // deployment id → { events, lastId, finished, expiryTimer }
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Add an event to a deployment and send it to connected clients
+   */
+  publish(deploymentId, data) {
+    const key = String(deploymentId);
+    let stream = this.streams.get(key);
+    if (!stream) {
+      stream = { events: [], lastId: 0, finished: false, expiryTimer: null };
+      this.streams.set(key, stream);
+    }
+
+    const event = { id: ++stream.lastId, timestamp: new Date().toISOString(), ...data };
+    stream.events.push(event);
+    if (stream.events.length > MAX_EVENTS) {
+      stream.events.shift();
+    }
+
+    if (FINAL_TYPES.includes(event.type)) {
+      stream.finished = true;
+    }
+
+    // Forget the events some time after the last one
+    clearTimeout(stream.expiryTimer);
+    stream.expiryTimer = setTimeout(() => this.streams.delete(key), stream.finished ? FINISHED_RETENTION_MS : IDLE_RETENTION_MS);
+    stream.expiryTimer.unref();
+
+    this.emitter.emit(key, event);
+    return event;
+  }
+
+  /**
+   * Progress callback for Store.deploy / DeploymentAutomation that publishes their step events
+   */
+  createProgressCallback(deploymentId, fields = {}) {
+    return update => this.publish(deploymentId, { type: 'step', ...fields, ...update });
+  }
+
+  /**
+   * Events of a deployment after lastEventId
+   */
+  getEvents(deploymentId, lastEventId = 0) {
+    const stream = this.streams.get(String(deploymentId));
+    return stream ? stream.events.filter(event => event.id > lastEventId) : [];
+  }
+
+  has(deploymentId) {
+    return this.streams.has(String(deploymentId));
+  }
+
+  isFinished(deploymentId) {
+    const stream = this.streams.get(String(deploymentId));
+    return Boolean(stream && stream.finished);
+  }
+
+  /**
+   * Call listener with the events after lastEventId, then with new events; returns the unsubscribe function
+   */
+  subscribe(deploymentId, lastEventId, listener) {
+    const key = String(deploymentId);
+
+    for (const event of this.getEvents(key, lastEventId)) {
+      listener(event);
+    }
+
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Publish the events of another stream (e.g. a queue job) to deploymentId, with fields
+   * added, until that stream finishes; returns the function that stops relaying
+   */
+  relay(sourceId, deploymentId, fields = {}) {
+    let unsubscribe = null;
+    let finished = false;
+
+    unsubscribe = this.subscribe(sourceId, 0, event => {
+      if (finished) return;
+      if (FINAL_TYPES.includes(event.type)) {
+        finished = true;
+        if (unsubscribe) unsubscribe();
+        return;
+      }
+
+      const { id, timestamp, ...data } = event;
+      this.publish(deploymentId, { ...data, ...fields });
+    });
+
+    if (finished) {
+      unsubscribe();
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Serve the events of a deployment as Server-Sent Events; events after the
+   * Last-Event-ID header (or ?lastEventId=) are replayed first. The response
+   * ends after the last event of the deployment
+   */
+  stream(req, res, deploymentId) {
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Without an id line, so the client's Last-Event-ID stays the last real event
+    res.write(`retry: 3000\ndata: ${JSON.stringify({ type: 'connected', deploymentId, lastEventId })}\n\n`);
+
+    let ended = false;
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const close = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    };
+
+    unsubscribe = this.subscribe(deploymentId, lastEventId, event => {
+      if (ended) return;
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+
+      if (FINAL_TYPES.includes(event.type)) {
+        ended = true;
+        res.end();
+        close();
+      }
+    });
+
+    // The deployment had already finished: everything was replayed
+    if (ended) {
+      close();
+      return;
+    }
+
+    req.on('close', close);
+  }
+}
+
+// Singleton instance
+const deploymentEvents = new DeploymentEvents();
+
+module.exports = deploymentEvents;
+module.exports.DeploymentEvents = DeploymentEvents;
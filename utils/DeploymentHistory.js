@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../database/db');
+const deploymentEvents = require('./DeploymentEvents');
+
+/**
+ * Deployment History
+ * Every run of a queued deployment gets a deployments row with its trigger,
+ * provider, duration, result or error, the log lines written while it ran and
+ * a manifest (path, size, sha256) of the deployed store files. Its step events
+ * are also published to DeploymentEvents for live progress
+ */
+
+// What started a deployment: content and settings saves, site setup, draft publishing and theme changes deploy too
+const TRIGGERS = ['manual', 'bulk', 'product', 'rollback', 'content', 'settings', 'setup', 'publish', 'theme'];
+const MAX_LOG_ENTRIES = 2000;
+const MAX_MESSAGE_LENGTH = 4000;
+const INTERRUPTED_ERROR = 'Deployment interrupted: the server stopped before it finished';
+
+class DeploymentHistory {
+  static getTriggers() {
+    return [...TRIGGERS];
+  }
+
+  static normalizeTrigger(trigger) {
+    return TRIGGERS.includes(trigger) ? trigger : 'manual';
+  }
+
+  /**
+   * Run a deployment and record it; run(progressCallback, deploymentId) is called
+   * with a callback for the step events of Store.deploy and DeploymentAutomation,
+   * whose progressCallback.logger writes to the log of this deployment.
+   * The step events also go to eventStreamId (the stream of the queue job), if given.
+   * Returns the result of run, or rethrows its error after recording it
+   */
+  static async record(store, { trigger, provider, jobId = null, eventStreamId: jobStreamId = null }, run) {
+    const startedAt = new Date();
+    if (jobId) {
+      await this.interruptJobRuns(jobId, startedAt);
+    }
+
+    const insert = await db.run(
+      `INSERT INTO deployments (store_id, job_id, trigger, provider, status, started_at)
+       VALUES (?, ?, ?, ?, 'running', ?)`,
+      [store.id, jobId, this.normalizeTrigger(trigger), provider, startedAt.toISOString()]
+    );
+    const deploymentId = insert.id;
+    const eventStreamId = this.getEventStreamId(deploymentId);
+
+    const streamIds = jobStreamId ? [eventStreamId, jobStreamId] : [eventStreamId];
+    const publish = data => streamIds.forEach(streamId => deploymentEvents.publish(streamId, { deploymentId, ...data }));
+
+    const context = { logs: [], step: null, steps: [] };
+    const progressCallback = event => {
+      this.logStep(context, event);
+      publish({ type: 'step', ...event });
+    };
+    progressCallback.logger = this.createLogger(context);
+
+    publish({
+      type: 'progress',
+      step: 'queued',
+      message: `Deployment #${deploymentId} started (${this.normalizeTrigger(trigger)}, ${provider})`
+    });
+
+    let result;
+    let error = null;
+
+    try {
+      result = await run(progressCallback, deploymentId);
+    } catch (runError) {
+      error = runError;
+    }
+
+    const succeeded = !error && Boolean(result && result.success);
+    let manifest = null;
+
+    try {
+      manifest = this.buildManifest(store.getStorePath());
+    } catch (manifestError) {
+      this.log(context, 'warn', `Could not build the file manifest: ${manifestError.message}`);
+    }
+
+    if (context.truncated) {
+      context.logs.push({ time: new Date().toISOString(), level: 'warn', step: context.step, message: `Log truncated after ${MAX_LOG_ENTRIES} lines` });
+    }
+
+    try {
+      const finishedAt = new Date();
+      await db.run(`
+        UPDATE deployments
+        SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error = ?, logs = ?,
+            manifest = ?, manifest_hash = ?, file_count = ?, total_bytes = ?
+        WHERE id = ?
+      `, [
+        succeeded ? 'succeeded' : 'failed',
+        finishedAt.toISOString(),
+        finishedAt - startedAt,
+        result === undefined ? null : JSON.stringify(result),
+        error ? error.message : (succeeded ? null : (result && result.error) || 'Deployment did not succeed'),
+        JSON.stringify(context.logs),
+        manifest ? JSON.stringify(manifest.files) : null,
+        manifest ? manifest.hash : null,
+        manifest ? manifest.files.length : null,
+        manifest ? manifest.totalBytes : null,
+        deploymentId
+      ]);
+    } catch (dbError) {
+      console.error(`❌ Failed to record deployment #${deploymentId}:`, dbError.message);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    if (succeeded) {
+      deploymentEvents.publish(eventStreamId, { type: 'complete', durationMs, result });
+    } else {
+      deploymentEvents.publish(eventStreamId, {
+        type: 'error',
+        durationMs,
+        error: error ? error.message : (result && result.error) || 'Deployment did not succeed'
+      });
+    }
+
+    if (error) {
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Console-like logger whose lines are appended to context.logs and still printed
+   */
+  static createLogger(context) {
+    const logger = {};
+    for (const [method, level] of [['log', 'info'], ['info', 'info'], ['warn', 'warn'], ['error', 'error']]) {
+      logger[method] = (...args) => {
+        this.log(context, level, args.map(arg => this.formatArgument(arg)).join(' '));
+        console[method](...args);
+      };
+    }
+    return logger;
+  }
+
+  static formatArgument(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return arg.stack || arg.message;
+
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }
+
+  static log(context, level, message, fields = {}) {
+    if (context.logs.length >= MAX_LOG_ENTRIES) {
+      context.truncated = true;
+      return;
+    }
+
+    context.logs.push({
+      time: new Date().toISOString(),
+      level,
+      step: context.step,
+      message: message.length > MAX_MESSAGE_LENGTH ? `${message.substr(0, MAX_MESSAGE_LENGTH)}…` : message,
+      ...fields
+    });
+  }
+
+  /**
+   * Step event { step, status: started | completed | failed, durationMs, error }
+   * Log lines belong to the innermost running step (commit runs within upload)
+   */
+  static logStep(context, event) {
+    if (event.status === 'started') {
+      context.steps.push(event.step);
+    } else if (context.steps.includes(event.step)) {
+      context.steps.splice(context.steps.lastIndexOf(event.step), 1);
+    }
+    context.step = context.steps[context.steps.length - 1] || null;
+
+    const duration = event.durationMs !== undefined ? ` in ${event.durationMs}ms` : '';
+    const message = `Step ${event.step} ${event.status}${duration}${event.error ? `: ${event.error}` : ''}`;
+    this.log(context, event.status === 'failed' ? 'error' : 'info', message, {
+      step: event.step,
+      event: event.status,
+      durationMs: event.durationMs
+    });
+  }
+
+  /**
+   * Sorted list of the files under storePath with their size and sha256,
+   * plus a hash of the whole list that changes when any deployed file does
+   */
+  static buildManifest(storePath) {
+    if (!fs.existsSync(storePath)) return null;
+
+    const files = this.listFiles(storePath).sort().map(relativePath => {
+      const content = fs.readFileSync(path.join(storePath, relativePath));
+      return {
+        path: relativePath,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex')
+      };
+    });
+
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      hash.update(`${file.path}\0${file.sha256}\n`);
+    }
+
+    return {
+      hash: hash.digest('hex'),
+      totalBytes: files.reduce((total, file) => total + file.size, 0),
+      files
+    };
+  }
+
+  static listFiles(directory, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(path.join(directory, entry.name), relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Files added, removed and changed between two manifests
+   */
+  static diffManifests(previousFiles = [], files = []) {
+    const previous = new Map(previousFiles.map(file => [file.path, file.sha256]));
+    const current = new Map(files.map(file => [file.path, file.sha256]));
+
+    return {
+      added: files.filter(file => !previous.has(file.path)).map(file => file.path),
+      removed: previousFiles.filter(file => !current.has(file.path)).map(file => file.path),
+      changed: files.filter(file => previous.has(file.path) && previous.get(file.path) !== file.sha256).map(file => file.path)
+    };
+  }
+
+  /**
+   * DeploymentEvents stream of a recorded deployment
+   */
+  static getEventStreamId(deploymentId) {
+    return `history-${deploymentId}`;
+  }
+
+  /**
+   * Deployments of a store, newest first, without logs and manifest
+   */
+  static async findByStore(storeId, { limit = 20, offset = 0 } = {}) {
+    const rows = await db.all(`
+      SELECT id, store_id, job_id, trigger, provider, status, started_at, finished_at, duration_ms,
+             result, error, manifest_hash, file_count, total_bytes, created_at
+      FROM deployments WHERE store_id = ?
+      ORDER BY id DESC LIMIT ? OFFSET ?
+    `, [storeId, limit, offset]);
+
+    return rows.map(row => this.parse(row));
+  }
+
+  /**
+   * A deployment with its logs, manifest and the file changes since the
+   * previous successful deployment of the store
+   */
+  static async findById(storeId, id) {
+    const row = await db.get('SELECT * FROM deployments WHERE id = ? AND store_id = ?', [id, storeId]);
+    if (!row) return null;
+
+    const deployment = this.parse(row);
+
+    if (deployment.manifest) {
+      const previous = await db.get(`
+        SELECT id, manifest FROM deployments
+        WHERE store_id = ? AND id < ? AND status = 'succeeded' AND manifest IS NOT NULL
+        ORDER BY id DESC LIMIT 1
+      `, [storeId, id]);
+
+      deployment.changes = previous ? {
+        since_deployment_id: previous.id,
+        ...this.diffManifests(this.parseJSON(previous.manifest) || [], deployment.manifest)
+      } : null;
+    }
+
+    return deployment;
+  }
+
+  /**
+   * Deployments still marked running whose queue job isn't running anymore
+   * were cut off by a restart
+   */
+  static async recoverInterrupted() {
+    const result = await db.run(`
+      UPDATE deployments
+      SET status = 'failed', error = ?, finished_at = ?
+      WHERE status = 'running'
+        AND (job_id IS NULL OR job_id NOT IN (SELECT id FROM deployment_jobs WHERE status = 'running'))
+    `, [INTERRUPTED_ERROR, new Date().toISOString()]);
+
+    if (result.changes > 0) {
+      console.warn(`⚠️ Marked ${result.changes} interrupted deployments as failed`);
+    }
+  }
+
+  /**
+   * Earlier runs of a job that is starting again (after its worker stopped) never finished
+   */
+  static async interruptJobRuns(jobId, finishedAt = new Date()) {
+    await db.run(
+      `UPDATE deployments SET status = 'failed', error = ?, finished_at = ? WHERE job_id = ? AND status = 'running'`,
+      [INTERRUPTED_ERROR, finishedAt.toISOString(), jobId]
+    );
+  }
+
+  static parse(row) {
+    const deployment = { ...row, result: this.parseJSON(row.result) };
+    if (row.logs !== undefined) deployment.logs = this.parseJSON(row.logs) || [];
+    if (row.manifest !== undefined) deployment.manifest = this.parseJSON(row.manifest);
+    return deployment;
+  }
+
+  static parseJSON(value) {
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DeploymentHistory;
@@ -0,0 +1,76 @@
+const VercelProvider = require('./deployment/VercelProvider');
+const LocalProvider = require('./deployment/LocalProvider');
+const S3Provider = require('./deployment/S3Provider');
+
+/**
+ * Deployment Providers
+ * Targets a store can be deployed to, chosen per store with stores.deployment_provider.
+ * Every provider in utils/deployment/ implements the DeploymentProvider interface
+ * (prepare, upload, activate, verify, teardown).
+ */
+
+const PROVIDERS = {
+  vercel: {
+    provider: VercelProvider,
+    label: 'Vercel',
+    description: 'Git push and Vercel CLI deployment on the store domain'
+  },
+  local: {
+    provider: LocalProvider,
+    label: 'Local directory',
+    description: 'Copies the store to LOCAL_DEPLOY_PATH on this server'
+  },
+  s3: {
+    provider: S3Provider,
+    label: 'S3-compatible storage',
+    description: 'Uploads the store to the S3_BUCKET bucket (AWS S3, MinIO, ...)'
+  }
+};
+
+const DEFAULT_PROVIDER = 'vercel';
+
+class DeploymentProviders {
+  static getNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  static isValid(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+  }
+
+  /**
+   * Providers for the admin, with whether their settings are present
+   */
+  static getProviders() {
+    return Object.entries(PROVIDERS).map(([name, { provider, label, description }]) => ({
+      name,
+      label,
+      description,
+      configured: provider.isConfigured()
+    }));
+  }
+
+  /**
+   * Provider name of a store; stores without one use Vercel
+   */
+  static getName(store) {
+    return store && this.isValid(store.deployment_provider) ? store.deployment_provider : DEFAULT_PROVIDER;
+  }
+
+  /**
+   * New provider instance by name; options are passed to the provider
+   */
+  static create(name, options = {}) {
+    if (!this.isValid(name)) {
+      throw new Error(`Unknown deployment provider: ${name}`);
+    }
+
+    return new PROVIDERS[name].provider(options);
+  }
+
+  static forStore(store, options = {}) {
+    return this.create(this.getName(store), options);
+  }
+}
+
+module.exports = DeploymentProviders;
@@ -1,106 +1,410 @@
 /**
  * Deployment Queue System
- * Prevents concurrent deployment conflicts and manages deployment state
+ * Prevents concurrent deployment conflicts and manages deployment state.
+ * Jobs are rows of the deployment_jobs table, so queued and running deployments
+ * survive restarts and serverless cold starts:
+ *
+ *   queued → running → succeeded
+ *              ↓ error
+ *            queued again after 30s, 60s, ... until max_attempts → failed
+ *
+ * A running job holds a lease that its worker renews with a heartbeat. When a
+ * worker dies, its lease expires and the next worker that polls recovers the job.
+ * Jobs are run by the handler set with setHandler (Store registers it).
+ *
+ * Callers don't wait for a job: they get its id and follow it through the
+ * deployment_jobs row or the job's DeploymentEvents stream (getEventStreamId).
  */
 
+const os = require('os');
+const db = require('../database/db');
+const deploymentEvents = require('./DeploymentEvents');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 3,
+  retryDelayMs: 30000, // Doubled after every failed attempt
+  leaseMs: 120000,
+  heartbeatMs: 30000,
+  pollMs: 5000
+};
+
 class DeploymentQueue {
-  constructor() {
-    this.queue = [];
-    this.processing = false;
-    this.activeDeployments = new Map();
+  constructor(options = {}) {
+    Object.assign(this, DEFAULT_OPTIONS, options);
+
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
     this.maxConcurrent = 1; // Only one deployment at a time to prevent conflicts
+    this.handler = null;
+    this.activeDeployments = new Map(); // job id → heartbeat timer
+    this.processing = false;
+    this.processAgain = false;
+    this.pollTimer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Set the function that runs a job: handler(job, options) resolves with the deployment result
+   * Errors with retryable = false fail the job without further attempts
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Recover jobs of stopped workers and poll for queued jobs (server start)
+   */
+  async start() {
+    this.stopped = false;
+    await this.recoverStaleJobs();
+
+    // Stores left deploying by a deployment that isn't queued or running anymore
+    const result = await db.run(`
+      UPDATE stores SET deployment_status = 'failed', updated_at = CURRENT_TIMESTAMP
+      WHERE deployment_status = 'deploying'
+        AND id NOT IN (SELECT store_id FROM deployment_jobs WHERE status IN ('queued', 'running'))
+    `);
+    if (result.changes > 0) {
+      console.warn(`⚠️ Marked ${result.changes} stores stuck in deploying as failed`);
+    }
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.processQueue(), this.pollMs);
+      this.pollTimer.unref();
+    }
+
+    console.log(`✅ Deployment queue started (worker ${this.workerId})`);
+    this.processQueue();
+  }
+
+  /**
+   * Stop claiming jobs (shutdown); running jobs are recovered by the next worker if they don't finish
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
   }
 
   /**
-   * Add deployment to queue
+   * Add a deployment of a store to the queue and resolve with the job id once it is stored
+   * A queued job of the store with the same options is joined instead of queueing another
    */
-  async enqueue(deploymentTask) {
+  async enqueue(storeId, options = {}) {
+    const serializedOptions = JSON.stringify(options);
+
+    let job = await db.get(
+      `SELECT id FROM deployment_jobs WHERE store_id = ? AND status = 'queued' AND options = ? ORDER BY id LIMIT 1`,
+      [storeId, serializedOptions]
+    );
+
+    if (job) {
+      console.log(`🔄 Deployment already queued: job #${job.id}`);
+    } else {
+      const result = await db.run(
+        `INSERT INTO deployment_jobs (store_id, options, status, attempts, max_attempts, run_at)
+         VALUES (?, ?, 'queued', 0, ?, ?)`,
+        [storeId, serializedOptions, this.maxAttempts, new Date().toISOString()]
+      );
+      job = { id: result.id };
+      console.log(`🔄 Deployment queued: job #${job.id}`);
+      this.publish(job.id, { type: 'progress', step: 'queued', message: `Deployment queued (job #${job.id})` });
+    }
+
+    this.processQueue();
+    return job.id;
+  }
+
+  /**
+   * DeploymentEvents stream of a job: the step events of its attempts, then complete or error
+   */
+  getEventStreamId(jobId) {
+    return `job-${jobId}`;
+  }
+
+  publish(jobId, data) {
+    deploymentEvents.publish(this.getEventStreamId(jobId), { jobId, ...data });
+  }
+
+  /**
+   * Resolve with the job row once it succeeded or failed, for background work that
+   * continues after a deployment. The row is polled as well, so jobs that another
+   * worker runs or recovers settle too
+   */
+  waitForJob(jobId) {
     return new Promise((resolve, reject) => {
-      const queueItem = {
-        id: `deployment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        task: deploymentTask,
-        resolve,
-        reject,
-        createdAt: new Date(),
-        status: 'queued'
+      let timer = null;
+      let unsubscribe = null;
+
+      const done = () => {
+        clearInterval(timer);
+        if (unsubscribe) unsubscribe();
       };
-      
-      this.queue.push(queueItem);
-      console.log(`🔄 Deployment queued: ${queueItem.id}`);
-      
-      this.processQueue();
+
+      const check = async () => {
+        try {
+          const job = await this.getJob(jobId);
+          if (!job || ['succeeded', 'failed'].includes(job.status)) {
+            done();
+            resolve(job || null);
+          }
+        } catch (error) {
+          done();
+          reject(error);
+        }
+      };
+
+      unsubscribe = deploymentEvents.subscribe(this.getEventStreamId(jobId), Infinity, event => {
+        if (['complete', 'error'].includes(event.type)) check();
+      });
+      timer = setInterval(check, this.pollMs);
+      timer.unref();
+      check();
     });
   }
 
   /**
-   * Process deployment queue
+   * Start queued jobs while there is capacity
    */
   async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+    if (!this.handler || this.stopped) {
+      return;
+    }
+
+    if (this.processing) {
+      this.processAgain = true;
       return;
     }
 
     this.processing = true;
-    
-    while (this.queue.length > 0 && this.activeDeployments.size < this.maxConcurrent) {
-      const queueItem = this.queue.shift();
-      this.executeDeployment(queueItem);
+
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.activeDeployments.size < this.maxConcurrent) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        this.executeDeployment(job);
+      }
+    } catch (error) {
+      console.error('❌ Deployment queue processing failed:', error.message);
+    } finally {
+      this.processing = false;
     }
-    
-    this.processing = false;
+
+    if (this.processAgain) {
+      this.processAgain = false;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Take the next due job; stores with a running job are skipped so one store never deploys twice at once
+   */
+  async claimNextJob() {
+    const now = new Date();
+    const job = await db.get(`
+      SELECT * FROM deployment_jobs
+      WHERE status = 'queued' AND run_at <= ?
+        AND store_id NOT IN (SELECT store_id FROM deployment_jobs WHERE status = 'running')
+      ORDER BY run_at, id
+      LIMIT 1
+    `, [now.toISOString()]);
+
+    if (!job) return null;
+
+    const leaseExpiresAt = new Date(now.getTime() + this.leaseMs).toISOString();
+    const result = await db.run(`
+      UPDATE deployment_jobs
+      SET status = 'running', attempts = attempts + 1, locked_by = ?, lease_expires_at = ?,
+          heartbeat_at = ?, started_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued'
+    `, [this.workerId, leaseExpiresAt, now.toISOString(), now.toISOString(), job.id]);
+
+    // Another worker claimed it first
+    if (result.changes !== 1) {
+      return this.claimNextJob();
+    }
+
+    return { ...job, status: 'running', attempts: job.attempts + 1, locked_by: this.workerId, lease_expires_at: leaseExpiresAt };
   }
 
   /**
    * Execute individual deployment
    */
-  async executeDeployment(queueItem) {
+  async executeDeployment(job) {
+    console.log(`🚀 Starting deployment: job #${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const heartbeat = setInterval(() => this.renewLease(job.id), this.heartbeatMs);
+    heartbeat.unref();
+    this.activeDeployments.set(job.id, heartbeat);
+    this.publish(job.id, { type: 'progress', step: 'attempt', message: `Attempt ${job.attempts}/${job.max_attempts} started`, attempt: job.attempts });
+
     try {
-      console.log(`🚀 Starting deployment: ${queueItem.id}`);
-      
-      queueItem.status = 'processing';
-      this.activeDeployments.set(queueItem.id, queueItem);
-      
-      // Execute the deployment task
-      const result = await queueItem.task();
-      
-      console.log(`✅ Deployment completed: ${queueItem.id}`);
-      queueItem.resolve(result);
-      
+      const result = await this.handler(job, JSON.parse(job.options || '{}'));
+
+      await db.run(`
+        UPDATE deployment_jobs
+        SET status = 'succeeded', result = ?, last_error = NULL, locked_by = NULL, lease_expires_at = NULL,
+            finished_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [JSON.stringify(result === undefined ? null : result), new Date().toISOString(), job.id]);
+
+      console.log(`✅ Deployment completed: job #${job.id}`);
+      this.publish(job.id, { type: 'complete', message: 'Deployment completed successfully', result });
+
     } catch (error) {
-      console.error(`❌ Deployment failed: ${queueItem.id}`, error);
-      queueItem.reject(error);
-      
+      console.error(`❌ Deployment failed: job #${job.id}`, error.message);
+
+      try {
+        await this.failJob(job, error.message, error.retryable !== false);
+      } catch (dbError) {
+        console.error(`❌ Failed to record failure of job #${job.id}:`, dbError.message);
+        this.publish(job.id, { type: 'error', message: `Deployment failed: ${error.message}`, error: error.message });
+      }
+
     } finally {
       // Clean up
-      this.activeDeployments.delete(queueItem.id);
-      
+      clearInterval(heartbeat);
+      this.activeDeployments.delete(job.id);
+
       // Process next item in queue
       setTimeout(() => this.processQueue(), 1000); // 1 second delay between deployments
     }
   }
 
+  /**
+   * Put a failed job back in the queue with exponential backoff, or fail it after its last attempt
+   * Returns true when the job will be retried
+   */
+  async failJob(job, message, retryable = true) {
+    if (retryable && job.attempts < job.max_attempts) {
+      const delayMs = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+
+      await db.run(`
+        UPDATE deployment_jobs
+        SET status = 'queued', run_at = ?, last_error = ?, locked_by = NULL, lease_expires_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [new Date(Date.now() + delayMs).toISOString(), message, job.id]);
+
+      console.log(`🔁 Retrying job #${job.id} in ${delayMs / 1000}s (attempt ${job.attempts + 1}/${job.max_attempts})`);
+      this.publish(job.id, {
+        type: 'warning',
+        step: 'retry',
+        message: `Attempt ${job.attempts} failed: ${message}. Retrying in ${delayMs / 1000}s`,
+        error: message,
+        retryInMs: delayMs
+      });
+      setTimeout(() => this.processQueue(), delayMs).unref();
+      return true;
+    }
+
+    await db.run(`
+      UPDATE deployment_jobs
+      SET status = 'failed', last_error = ?, locked_by = NULL, lease_expires_at = NULL,
+          finished_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [message, new Date().toISOString(), job.id]);
+
+    await db.run(
+      `UPDATE stores SET deployment_status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deployment_status = 'deploying'`,
+      [job.store_id]
+    );
+
+    this.publish(job.id, { type: 'error', message: `Deployment failed: ${message}`, error: message });
+    return false;
+  }
+
+  /**
+   * Heartbeat of a running job: extends its lease
+   */
+  async renewLease(jobId) {
+    const now = new Date();
+
+    try {
+      await db.run(
+        `UPDATE deployment_jobs SET heartbeat_at = ?, lease_expires_at = ? WHERE id = ? AND status = 'running' AND locked_by = ?`,
+        [now.toISOString(), new Date(now.getTime() + this.leaseMs).toISOString(), jobId, this.workerId]
+      );
+    } catch (error) {
+      console.error(`⚠️ Heartbeat failed for job #${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Running jobs whose lease expired belong to a worker that stopped: retry or fail them
+   */
+  async recoverStaleJobs() {
+    const staleJobs = await db.all(
+      `SELECT * FROM deployment_jobs WHERE status = 'running' AND lease_expires_at < ?`,
+      [new Date().toISOString()]
+    );
+
+    for (const job of staleJobs) {
+      console.warn(`⚠️ Recovering deployment job #${job.id}: lease of ${job.locked_by} expired`);
+      await this.failJob(job, 'Deployment interrupted: the server stopped before it finished');
+    }
+
+    return staleJobs.length;
+  }
+
+  async getJob(jobId) {
+    return db.get('SELECT * FROM deployment_jobs WHERE id = ?', [jobId]);
+  }
+
+  /**
+   * Most recent job of a store
+   */
+  async getLatestJob(storeId) {
+    return db.get('SELECT * FROM deployment_jobs WHERE store_id = ? ORDER BY id DESC LIMIT 1', [storeId]);
+  }
+
+  /**
+   * Oldest queued or running job of a store
+   */
+  async getActiveJob(storeId) {
+    return db.get(
+      `SELECT * FROM deployment_jobs WHERE store_id = ? AND status IN ('queued', 'running') ORDER BY id ASC LIMIT 1`,
+      [storeId]
+    );
+  }
+
   /**
    * Get queue status
    */
-  getStatus() {
+  async getStatus() {
+    const rows = await db.all(
+      `SELECT status, COUNT(*) AS count FROM deployment_jobs WHERE status IN ('queued', 'running') GROUP BY status`
+    );
+    const counts = Object.fromEntries(rows.map(row => [row.status, row.count]));
+
     return {
-      queued: this.queue.length,
-      active: this.activeDeployments.size,
-      processing: this.processing
+      queued: counts.queued || 0,
+      active: counts.running || 0,
+      processing: this.activeDeployments.size > 0
     };
   }
 
   /**
-   * Clear failed deployments
+   * Clear queued deployments (running ones finish)
    */
-  clearQueue() {
-    this.queue.length = 0;
-    this.activeDeployments.clear();
-    this.processing = false;
+  async clearQueue() {
+    const jobs = await db.all(`SELECT id FROM deployment_jobs WHERE status = 'queued'`);
+
+    await db.run(`
+      UPDATE deployment_jobs SET status = 'failed', last_error = 'Cleared from the queue',
+        finished_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'queued'
+    `, [new Date().toISOString()]);
+
+    for (const job of jobs) {
+      this.publish(job.id, { type: 'error', message: 'Deployment cleared from the queue', error: 'Cleared from the queue' });
+    }
   }
 }
 
 // Singleton instance
 const deploymentQueue = new DeploymentQueue();
 
-module.exports = deploymentQueue;
\ No newline at end of file
+module.exports = deploymentQueue;
+module.exports.DeploymentQueue = DeploymentQueue;
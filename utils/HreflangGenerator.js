@@ -0,0 +1,234 @@
+const db = require('../database/db');
+const LegalPageLoader = require('./LegalPageLoader');
+const StoreLocale = require('./StoreLocale');
+
+/**
+ * Hreflang Generator
+ * Links equivalent pages across sister stores that share a brand_group
+ * (the same brand on different country domains) and across the language
+ * versions a store publishes under /<code>/
+ */
+
+const LEGAL_PAGE_TYPES = ['terms', 'privacy', 'refund', 'delivery'];
+
+class HreflangGenerator {
+  constructor() {
+    this.legalPageLoader = new LegalPageLoader();
+  }
+
+  /**
+   * Load the store's brand group and build its alternate links
+   */
+  async buildAlternates(store, pages = [], languagePages = {}) {
+    const members = await this.loadGroup(store, pages, languagePages);
+    return this.createAlternates(store, members);
+  }
+
+  /**
+   * Stores in the same brand group with their pages; the current store uses the pages being generated.
+   * Each additional storefront language of a store is a member of its own
+   */
+  async loadGroup(store, pages = [], languagePages = {}) {
+    if (!store.brand_group) {
+      return this.withLanguages(store, pages, languagePages);
+    }
+
+    try {
+      const stores = await db.all(
+        `SELECT * FROM stores WHERE brand_group = ? AND (status IS NULL OR status != 'suspended')
+         ORDER BY created_at, id`,
+        [store.brand_group]
+      );
+
+      const members = [];
+      for (const member of stores) {
+        if (member.id === store.id) {
+          members.push(...this.withLanguages(store, pages, languagePages));
+          continue;
+        }
+
+        const memberPages = await db.all(
+          'SELECT page_type, slug, is_enabled, language FROM store_pages WHERE store_id = ?',
+          [member.id]
+        );
+        members.push(...this.withLanguages(
+          member,
+          memberPages.filter(page => !page.language),
+          this.groupByLanguage(memberPages)
+        ));
+      }
+
+      // The current store may not be saved yet
+      if (!members.some(member => member.store === store)) {
+        members.push(...this.withLanguages(store, pages, languagePages));
+      }
+
+      return members;
+    } catch (error) {
+      console.warn(`⚠️ Failed to load brand group ${store.brand_group}:`, error.message);
+      return this.withLanguages(store, pages, languagePages);
+    }
+  }
+
+  /**
+   * A store and its additional language versions, which live under /<code>/ on the same domain
+   */
+  withLanguages(store, pages, languagePages = {}) {
+    const members = [{ store, pages }];
+
+    for (const language of StoreLocale.getAdditionalLanguages(store)) {
+      members.push({
+        store: { ...store, language },
+        pages: languagePages[language] || [],
+        prefix: `/${StoreLocale.getLanguageDirectory(store, language)}`
+      });
+    }
+
+    return members;
+  }
+
+  groupByLanguage(pages) {
+    const grouped = {};
+
+    for (const page of pages.filter(page => page.language)) {
+      (grouped[page.language] = grouped[page.language] || []).push(page);
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Alternate link lookups for pages and product detail pages
+   */
+  createAlternates(store, members) {
+    const xDefault = this.getXDefaultMember(members);
+
+    return {
+      forPage: (page) => this.renderLinks(this.getPageAlternates(members, page.page_type, xDefault)),
+      forProduct: (handle) => this.renderLinks(this.getProductAlternates(store, members, handle, xDefault))
+    };
+  }
+
+  /**
+   * Alternates for one page type; members without that page are left out
+   */
+  getPageAlternates(members, pageType, xDefault) {
+    const alternates = [];
+
+    for (const member of members) {
+      const href = this.getPageUrl(member, pageType);
+      if (!href) continue;
+
+      alternates.push({ hreflang: this.getHreflang(member.store), href, member });
+    }
+
+    return this.withXDefault(alternates, xDefault);
+  }
+
+  /**
+   * Alternates for a product; only stores selling from the same Shopify shop carry the same handles
+   */
+  getProductAlternates(store, members, handle, xDefault) {
+    if (!store.shopify_domain) return [];
+
+    const alternates = members
+      .filter(member => member.store.shopify_domain === store.shopify_domain)
+      .filter(member => this.sellsProduct(member.store, handle))
+      .map(member => ({
+        hreflang: this.getHreflang(member.store),
+        href: `https://${member.store.domain}${member.prefix || ''}/products/${handle}.html`,
+        member
+      }));
+
+    return this.withXDefault(alternates, xDefault);
+  }
+
+  /**
+   * URL of a page type in a member store, or null if the store doesn't publish it
+   */
+  getPageUrl(member, pageType) {
+    const page = (member.pages || []).find(p => p.page_type === pageType);
+
+    // Stores without page rows are assumed to use the default pages
+    if (member.pages && member.pages.length > 0 && (!page || !this.isPageEnabled(page))) {
+      return null;
+    }
+
+    const baseUrl = `https://${member.store.domain}${member.prefix || ''}`;
+
+    if (pageType === 'home') {
+      return `${baseUrl}/`;
+    }
+
+    let slug = page && page.slug;
+    if (!slug && LEGAL_PAGE_TYPES.includes(pageType)) {
+      slug = this.legalPageLoader.generateSlug(member.store.language, pageType);
+    }
+
+    return `${baseUrl}/${slug || pageType}.html`;
+  }
+
+  sellsProduct(store, handle) {
+    if (!store.selected_products) return true;
+
+    try {
+      const handles = typeof store.selected_products === 'string'
+        ? JSON.parse(store.selected_products)
+        : store.selected_products;
+      return !Array.isArray(handles) || handles.length === 0 || handles.includes(handle);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * hreflang value such as de-DE; 'se' is stored for Swedish
+   */
+  getHreflang(store) {
+    // Stores without a language setting are served in English
+    return StoreLocale.getLanguageTag(store, '-') || 'en';
+  }
+
+  /**
+   * x-default points at the English store, otherwise the oldest store in the group
+   */
+  getXDefaultMember(members) {
+    return members.find(member => StoreLocale.getLanguageCode(member.store.language) === 'en') || members[0];
+  }
+
+  withXDefault(alternates, xDefault) {
+    // A page without sister versions needs no alternates
+    if (alternates.length < 2) return [];
+
+    const defaultAlternate = alternates.find(alternate => alternate.member === xDefault) || alternates[0];
+
+    // Two stores in the same market would produce conflicting annotations; keep the first
+    const seen = new Set();
+    const unique = alternates.filter(alternate => {
+      if (seen.has(alternate.hreflang)) return false;
+      seen.add(alternate.hreflang);
+      return true;
+    });
+
+    return [
+      ...unique.map(({ hreflang, href }) => ({ hreflang, href })),
+      { hreflang: 'x-default', href: defaultAlternate.href }
+    ];
+  }
+
+  isPageEnabled(page) {
+    return page.is_enabled !== 0 && page.is_enabled !== false && page.is_enabled !== '0';
+  }
+
+  renderLinks(alternates) {
+    return alternates
+      .map(alternate => `<link rel="alternate" hreflang="${alternate.hreflang}" href="${this.escapeAttribute(alternate.href)}">`)
+      .join('\n    ');
+  }
+
+  escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = HreflangGenerator;
@@ -0,0 +1,92 @@
+const StoreLocale = require('./StoreLocale');
+
+/**
+ * Price Formatter
+ * Locale-aware prices and numbers for storefronts, driven by the store's
+ * language, country and currency (29,00 € for de-DE, €29.00 for en-IE).
+ * getScript() provides the same formatting to the browser scripts
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+class PriceFormatter {
+  constructor(store) {
+    this.currency = store.currency ? String(store.currency).toUpperCase() : null;
+    this.locale = PriceFormatter.resolveLocale(StoreLocale.getLanguageTag(store));
+  }
+
+  /**
+   * Locale supported by Intl for a language tag, falling back to the language and then English
+   */
+  static resolveLocale(languageTag) {
+    const candidates = [languageTag, languageTag && languageTag.split('-')[0]].filter(Boolean);
+
+    for (const candidate of candidates) {
+      try {
+        if (Intl.NumberFormat.supportedLocalesOf([candidate]).length > 0) return candidate;
+      } catch (error) {
+        // Malformed tag; try the next candidate
+      }
+    }
+
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Format an amount in the store currency; options.currencySymbol replaces the
+   * currency sign while keeping the locale's separators and symbol position
+   */
+  format(amount, options = {}) {
+    const value = Number(amount);
+
+    let parts;
+    try {
+      parts = new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency }).formatToParts(value);
+    } catch (error) {
+      // Unknown or missing currency code
+      const number = this.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      const symbol = options.currencySymbol || this.currency;
+      return symbol ? `${number} ${symbol}` : number;
+    }
+
+    return parts.map(part => part.type === 'currency' && options.currencySymbol ? options.currencySymbol : part.value).join('');
+  }
+
+  /**
+   * Format a plain number with the store locale's grouping and decimal separators
+   */
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(Number(value));
+  }
+
+  /**
+   * Settings the browser needs to format prices like format()
+   */
+  getClientConfig() {
+    return { locale: this.locale, currency: this.currency };
+  }
+
+  /**
+   * Browser version of format(): formatPrice(amount, config, currencySymbol)
+   */
+  static getScript() {
+    return `
+  function formatPrice(amount, config, currencySymbol) {
+    var value = Number(amount);
+    var parts;
+    try {
+      parts = new Intl.NumberFormat(config.locale, { style: 'currency', currency: config.currency }).formatToParts(value);
+    } catch (error) {
+      var number = new Intl.NumberFormat(config.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+      var symbol = currencySymbol || config.currency;
+      return symbol ? number + ' ' + symbol : number;
+    }
+    return parts.map(function (part) {
+      return part.type === 'currency' && currencySymbol ? currencySymbol : part.value;
+    }).join('');
+  }
+`;
+  }
+}
+
+module.exports = PriceFormatter;
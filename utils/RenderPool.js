@@ -0,0 +1,193 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const handlebars = require('handlebars');
+
+/**
+ * Render Pool
+ * Bounded pool of worker threads that compile and render Handlebars templates,
+ * so store pages render concurrently instead of one at a time
+ */
+
+const WORKER_PATH = path.join(__dirname, 'workers', 'renderWorker.js');
+const MAX_CONCURRENCY = 16;
+
+class RenderPool {
+  /**
+   * Concurrency comes from options.concurrency, then RENDER_CONCURRENCY;
+   * 0 renders inline on the main thread
+   */
+  constructor(options = {}) {
+    this.concurrency = RenderPool.resolveConcurrency(options.concurrency);
+    this.inline = this.concurrency === 0;
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.closed = false;
+    this.compiledTemplates = new Map();
+  }
+
+  static resolveConcurrency(value) {
+    const configured = value !== undefined && value !== null && value !== ''
+      ? value
+      : process.env.RENDER_CONCURRENCY;
+    const concurrency = parseInt(configured, 10);
+
+    if (isNaN(concurrency) || concurrency < 0) {
+      return this.getDefaultConcurrency();
+    }
+
+    return Math.min(concurrency, MAX_CONCURRENCY);
+  }
+
+  /**
+   * One worker per core, leaving a core for the main thread
+   */
+  static getDefaultConcurrency() {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.min(Math.max(1, cores - 1), MAX_CONCURRENCY);
+  }
+
+  /**
+   * Render a template with its variables; variables must be plain data
+   */
+  render(template, variables) {
+    if (this.closed) {
+      return Promise.reject(new Error('Render pool is closed'));
+    }
+
+    if (this.inline) {
+      return Promise.resolve().then(() => this.renderInline(template, variables));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextJobId++, template, variables, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  renderInline(template, variables) {
+    let compiledTemplate = this.compiledTemplates.get(template);
+    if (!compiledTemplate) {
+      compiledTemplate = handlebars.compile(template);
+      this.compiledTemplates.set(template, compiledTemplate);
+    }
+    return compiledTemplate(variables);
+  }
+
+  /**
+   * Hand queued jobs to idle workers, starting workers up to the concurrency limit
+   */
+  dispatch() {
+    while (this.queue.length > 0 && !this.closed) {
+      let slot = this.workers.find(candidate => !candidate.job);
+
+      if (!slot && this.workers.length < this.concurrency) {
+        slot = this.startWorker();
+        if (!slot) {
+          this.fallBackToInline();
+          return;
+        }
+      }
+
+      if (!slot) return;
+
+      const job = this.queue.shift();
+      slot.job = job;
+
+      try {
+        slot.worker.postMessage({ id: job.id, template: job.template, variables: job.variables });
+      } catch (error) {
+        // e.g. variables that can't be cloned into the worker
+        slot.job = null;
+        job.reject(error);
+      }
+    }
+  }
+
+  startWorker() {
+    let worker;
+    try {
+      worker = new Worker(WORKER_PATH);
+    } catch (error) {
+      console.warn('⚠️ Failed to start render worker:', error.message);
+      return null;
+    }
+
+    const slot = { worker, job: null };
+
+    worker.on('message', (message) => {
+      const job = slot.job;
+      slot.job = null;
+
+      if (job && job.id === message.id) {
+        if (message.error) {
+          job.reject(new Error(message.error));
+        } else {
+          job.resolve(message.html);
+        }
+      }
+
+      this.dispatch();
+    });
+
+    worker.on('error', (error) => {
+      console.error('❌ Render worker crashed:', error.message);
+      if (slot.job) {
+        slot.job.reject(error);
+        slot.job = null;
+      }
+    });
+
+    worker.on('exit', (code) => {
+      this.workers = this.workers.filter(candidate => candidate !== slot);
+
+      if (slot.job) {
+        slot.job.reject(new Error(`Render worker exited with code ${code}`));
+        slot.job = null;
+      }
+
+      // Replace the worker for the remaining jobs
+      if (!this.closed) {
+        this.dispatch();
+      }
+    });
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Render on the main thread when no worker can be started
+   */
+  fallBackToInline() {
+    if (this.workers.length > 0) return;
+
+    console.warn('⚠️ Rendering inline without worker threads');
+    this.inline = true;
+
+    const jobs = this.queue.splice(0);
+    for (const job of jobs) {
+      try {
+        job.resolve(this.renderInline(job.template, job.variables));
+      } catch (error) {
+        job.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Stop all workers; queued jobs are rejected
+   */
+  async close() {
+    this.closed = true;
+
+    const jobs = this.queue.splice(0);
+    jobs.forEach(job => job.reject(new Error('Render pool is closed')));
+
+    const workers = this.workers.splice(0);
+    await Promise.all(workers.map(slot => slot.worker.terminate()));
+  }
+}
+
+module.exports = RenderPool;
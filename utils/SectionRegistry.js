@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const Translator = require('./Translator');
+
+/**
+ * Section Registry
+ * Product page section types for the template builder and CustomTemplateRenderer.
+ * Every module in utils/sections/ describes one section type:
+ *
+ *   type         - unique id stored in product_page_templates.elements
+ *   name, icon, description - builder palette entry (icon is a Lucide name)
+ *   area         - builder column: header, image, content or footer
+ *   order        - position in the builder palette
+ *   settings     - editor fields, stored as template_<type>_<name> field data
+ *   defaults     - values used when neither field data nor element settings set one;
+ *                  text defaults are translated by locales sections.<type>.<name>
+ *   render(ctx)  - returns the section HTML; ctx.translator has the store's strings
+ */
+
+const SECTION_AREAS = ['header', 'image', 'content', 'footer'];
+const SETTING_TYPES = ['text', 'textarea', 'number', 'checkbox', 'select', 'color', 'datetime-local'];
+
+class SectionRegistry {
+  constructor(options = {}) {
+    this.sectionsPath = options.sectionsPath || path.join(__dirname, 'sections');
+    this.sections = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load every section module from the sections directory (once)
+   */
+  load() {
+    if (this.loaded) return this;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.sectionsPath)) {
+      console.warn(`⚠️ Section directory not found: ${this.sectionsPath}`);
+      return this;
+    }
+
+    const files = fs.readdirSync(this.sectionsPath)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      try {
+        this.register(require(path.join(this.sectionsPath, file)));
+      } catch (error) {
+        console.error(`❌ Failed to load section module ${file}:`, error.message);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a section definition, replacing any section with the same type
+   */
+  register(definition) {
+    this.validateDefinition(definition);
+
+    const section = {
+      name: definition.type,
+      icon: 'square',
+      description: '',
+      area: 'content',
+      order: 1000,
+      settings: [],
+      defaults: {},
+      ...definition
+    };
+
+    if (this.sections.has(section.type)) {
+      console.warn(`⚠️ Section type ${section.type} registered twice, using the latest definition`);
+    }
+
+    this.sections.set(section.type, section);
+    return section;
+  }
+
+  validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Section definition must be an object');
+    }
+
+    if (!definition.type || !/^[A-Za-z][A-Za-z0-9]*$/.test(definition.type)) {
+      throw new Error(`Invalid section type: ${definition.type}`);
+    }
+
+    if (typeof definition.render !== 'function') {
+      throw new Error(`Section ${definition.type} must define a render function`);
+    }
+
+    if (definition.area && !SECTION_AREAS.includes(definition.area)) {
+      throw new Error(`Section ${definition.type} has unknown area: ${definition.area}`);
+    }
+
+    for (const setting of definition.settings || []) {
+      if (!setting.name || !/^[a-z0-9_]+$/.test(setting.name)) {
+        throw new Error(`Section ${definition.type} has an invalid setting name: ${setting.name}`);
+      }
+      if (setting.type && !SETTING_TYPES.includes(setting.type)) {
+        throw new Error(`Section ${definition.type} setting ${setting.name} has unknown type: ${setting.type}`);
+      }
+    }
+  }
+
+  has(type) {
+    return this.load().sections.has(type);
+  }
+
+  get(type) {
+    return this.load().sections.get(type) || null;
+  }
+
+  /**
+   * All sections in palette order
+   */
+  getAll() {
+    return Array.from(this.load().sections.values())
+      .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Serializable section list for the template builder and product editor
+   */
+  getDefinitions() {
+    return this.getAll().map(section => ({
+      type: section.type,
+      name: section.name,
+      icon: section.icon,
+      description: section.description,
+      area: section.area,
+      settings: section.settings,
+      defaults: section.defaults
+    }));
+  }
+
+  /**
+   * Resolve settings from product field data, then element settings, then defaults
+   * (in the translator's language when it has the default). An unchecked checkbox is
+   * stored as false or empty and doesn't fall back, so defaults of true can be turned off
+   */
+  resolveSettings(type, fieldData = {}, elementSettings = {}, translator = null) {
+    const section = this.get(type);
+    if (!section) return {};
+
+    const names = new Set([
+      ...section.settings.map(setting => setting.name),
+      ...Object.keys(section.defaults)
+    ]);
+    const resolved = {};
+
+    for (const name of names) {
+      const schema = section.settings.find(setting => setting.name === name);
+      const isCheckbox = Boolean(schema && schema.type === 'checkbox');
+      const isMissing = value => value === undefined || value === null || (value === '' && !isCheckbox);
+      let value = fieldData ? fieldData[`template_${type}_${name}`] : undefined;
+
+      if (isMissing(value)) {
+        value = elementSettings ? elementSettings[name] : undefined;
+      }
+      if (isMissing(value) && translator && translator.has(`sections.${type}.${name}`)) {
+        value = translator.t(`sections.${type}.${name}`);
+      }
+      if (isMissing(value)) {
+        value = section.defaults[name];
+      }
+
+      resolved[name] = this.coerceSetting(schema, value, section.defaults[name]);
+    }
+
+    return resolved;
+  }
+
+  coerceSetting(schema, value, defaultValue) {
+    if (!schema || value === undefined) return value;
+
+    if (schema.type === 'checkbox') {
+      return value === true || value === 'true' || value === 'on' || value === 1 || value === '1';
+    }
+
+    if (schema.type === 'number') {
+      const number = parseFloat(value);
+      return isNaN(number) ? defaultValue : number;
+    }
+
+    return value;
+  }
+
+  /**
+   * Render a section; unknown types and render errors produce no markup
+   */
+  render(type, context, fieldData = {}, elementSettings = {}) {
+    const section = this.get(type);
+    if (!section) {
+      console.log(`⚠️ Unknown section type: ${type}`);
+      return '';
+    }
+
+    try {
+      const translator = context.translator || new Translator(context.store && context.store.language);
+      const settings = this.resolveSettings(type, fieldData, elementSettings, translator);
+      return section.render({ ...context, translator, settings }) || '';
+    } catch (error) {
+      console.error(`❌ Error rendering section ${type}:`, error.message);
+      return '';
+    }
+  }
+}
+
+// Singleton instance
+const sectionRegistry = new SectionRegistry();
+
+module.exports = sectionRegistry;
+module.exports.SectionRegistry = SectionRegistry;
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const StoreLocale = require('./StoreLocale');
+
+/**
+ * Sitemap Generator
+ * Builds sitemap.xml (and a sitemap index for large catalogs) for generated stores
+ */
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+class SitemapGenerator {
+  constructor(options = {}) {
+    // Above this many URLs the sitemap is split into chunks behind a sitemap index
+    this.maxUrlsPerSitemap = options.maxUrlsPerSitemap || 1000;
+  }
+
+  /**
+   * Build sitemap entries for all enabled pages and generated product pages.
+   * languagePages holds the pages of each additional language, published under /<code>/
+   */
+  buildEntries(store, pages = [], products = [], languagePages = {}) {
+    const versions = [
+      { baseUrl: `https://${store.domain}`, pages },
+      ...StoreLocale.getAdditionalLanguages(store).map(language => ({
+        baseUrl: `https://${store.domain}/${StoreLocale.getLanguageDirectory(store, language)}`,
+        pages: languagePages[language] || []
+      }))
+    ];
+
+    const pageEntries = [];
+    const productEntries = [];
+
+    for (const { baseUrl, pages: versionPages } of versions) {
+      pageEntries.push(...versionPages
+        .filter(page => this.isPageEnabled(page))
+        .map(page => ({
+          loc: page.page_type === 'home' ? `${baseUrl}/` : `${baseUrl}/${page.slug || page.page_type}.html`,
+          lastmod: this.formatLastmod(page.updated_at),
+          changefreq: page.page_type === 'home' || page.page_type === 'products' ? 'daily' : 'monthly',
+          priority: page.page_type === 'home' ? '1.0' : (page.page_type === 'products' ? '0.9' : '0.5')
+        })));
+
+      // Language versions only carry product pages when they publish a products page
+      if (versionPages !== pages && !versionPages.some(page => page.page_type === 'products' && this.isPageEnabled(page))) {
+        continue;
+      }
+
+      productEntries.push(...products
+        .filter(product => product && product.handle)
+        .map(product => ({
+          loc: `${baseUrl}/products/${product.handle}.html`,
+          lastmod: this.formatLastmod(product.updated_at),
+          changefreq: 'weekly',
+          priority: '0.8'
+        })));
+    }
+
+    return { pageEntries, productEntries };
+  }
+
+  /**
+   * Generate sitemap file contents keyed by file name
+   */
+  generate(store, pages = [], products = [], languagePages = {}) {
+    const { pageEntries, productEntries } = this.buildEntries(store, pages, products, languagePages);
+    const totalUrls = pageEntries.length + productEntries.length;
+
+    // Small stores get a single sitemap.xml
+    if (totalUrls <= this.maxUrlsPerSitemap) {
+      return {
+        'sitemap.xml': this.renderUrlset([...pageEntries, ...productEntries])
+      };
+    }
+
+    // Large catalogs get a sitemap index pointing at chunked sitemaps
+    const files = {};
+    const indexEntries = [];
+
+    const addChunks = (prefix, entries) => {
+      const chunks = this.chunk(entries, this.maxUrlsPerSitemap);
+      chunks.forEach((chunkEntries, index) => {
+        const fileName = chunks.length === 1 ? `sitemap-${prefix}.xml` : `sitemap-${prefix}-${index + 1}.xml`;
+        files[fileName] = this.renderUrlset(chunkEntries);
+        indexEntries.push({
+          loc: `https://${store.domain}/${fileName}`,
+          lastmod: this.latestLastmod(chunkEntries)
+        });
+      });
+    };
+
+    addChunks('pages', pageEntries);
+    addChunks('products', productEntries);
+
+    files['sitemap.xml'] = this.renderIndex(indexEntries);
+    return files;
+  }
+
+  /**
+   * Write sitemap files into the store directory and remove stale chunks
+   */
+  writeSitemaps(store, storePath, pages = [], products = [], languagePages = {}) {
+    const files = this.generate(store, pages, products, languagePages);
+
+    for (const [fileName, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(storePath, fileName), content, 'utf8');
+    }
+
+    // Remove chunk files left over from a previous, larger build
+    if (fs.existsSync(storePath)) {
+      for (const existing of fs.readdirSync(storePath)) {
+        if (/^sitemap-.+\.xml$/.test(existing) && !files[existing]) {
+          fs.unlinkSync(path.join(storePath, existing));
+        }
+      }
+    }
+
+    return Object.keys(files);
+  }
+
+  /**
+   * Render a <urlset> document
+   */
+  renderUrlset(entries) {
+    const urls = entries.map(entry => [
+      '  <url>',
+      `    <loc>${this.escapeXml(entry.loc)}</loc>`,
+      entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+      entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>` : null,
+      entry.priority ? `    <priority>${entry.priority}</priority>` : null,
+      '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="${SITEMAP_NAMESPACE}">
+${urls.join('\n')}
+</urlset>
+`;
+  }
+
+  /**
+   * Render a <sitemapindex> document
+   */
+  renderIndex(entries) {
+    const sitemaps = entries.map(entry => [
+      '  <sitemap>',
+      `    <loc>${this.escapeXml(entry.loc)}</loc>`,
+      entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+      '  </sitemap>'
+    ].filter(Boolean).join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="${SITEMAP_NAMESPACE}">
+${sitemaps.join('\n')}
+</sitemapindex>
+`;
+  }
+
+  /**
+   * Pages default to enabled unless explicitly switched off
+   */
+  isPageEnabled(page) {
+    return page.is_enabled !== 0 && page.is_enabled !== false && page.is_enabled !== '0';
+  }
+
+  /**
+   * Format a timestamp as a W3C date (YYYY-MM-DD)
+   * SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+   */
+  formatLastmod(value) {
+    if (!value) return null;
+
+    let date;
+    if (value instanceof Date) {
+      date = value;
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+      date = new Date(value.replace(' ', 'T') + 'Z');
+    } else {
+      date = new Date(value);
+    }
+
+    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Most recent lastmod of a set of entries
+   */
+  latestLastmod(entries) {
+    const dates = entries.map(entry => entry.lastmod).filter(Boolean).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+  }
+
+  chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = SitemapGenerator;
@@ -0,0 +1,112 @@
+/**
+ * Social Meta
+ * Builds Open Graph and Twitter Card meta tags for generated pages
+ */
+
+const StoreLocale = require('./StoreLocale');
+const VariantSelector = require('./VariantSelector');
+
+class SocialMeta {
+  /**
+   * Tags for a content page; the image falls back to the share image, then the logo
+   */
+  forPage(store, page, meta = {}) {
+    return this.render(store, {
+      type: 'website',
+      title: meta.title || page.meta_title || page.title,
+      description: meta.description || page.meta_description || store.meta_description,
+      url: page.page_type === 'home'
+        ? `${this.getBaseUrl(store)}/`
+        : `${this.getBaseUrl(store)}/${page.slug || page.page_type}.html`,
+      image: store.social_share_image || store.logo_url
+    });
+  }
+
+  /**
+   * Tags for a product detail page using the primary product image
+   * and the price of the variant the page shows first
+   */
+  forProductPage(store, product, meta = {}) {
+    const primaryVariant = VariantSelector.getInitialVariant(product);
+    const primaryImage = product.images && product.images.length > 0 ? product.images[0] : null;
+
+    return this.render(store, {
+      type: 'product',
+      title: meta.title || `${product.title} - ${store.name}`,
+      description: meta.description,
+      url: `${this.getBaseUrl(store)}/products/${product.handle}.html`,
+      image: primaryImage ? primaryImage.src : (store.social_share_image || store.logo_url),
+      imageAlt: primaryImage ? primaryImage.alt : null,
+      price: primaryVariant ? Number(primaryVariant.price).toFixed(2) : null,
+      currency: store.currency
+    });
+  }
+
+  /**
+   * Render meta tags; empty values are left out
+   */
+  render(store, data) {
+    const image = this.absoluteUrl(store, data.image);
+
+    const properties = [
+      ['og:type', data.type],
+      ['og:site_name', store.name],
+      ['og:title', data.title],
+      ['og:description', data.description],
+      ['og:url', data.url],
+      ['og:locale', this.getLocale(store)],
+      ['og:image', image],
+      ['og:image:alt', image ? data.imageAlt : null],
+      ['product:price:amount', data.price],
+      ['product:price:currency', data.price ? data.currency : null]
+    ];
+
+    const names = [
+      ['twitter:card', image ? 'summary_large_image' : 'summary'],
+      ['twitter:title', data.title],
+      ['twitter:description', data.description],
+      ['twitter:image', image]
+    ];
+
+    return [
+      ...properties.filter(([, value]) => value).map(([key, value]) => `<meta property="${key}" content="${this.escapeAttribute(value)}">`),
+      ...names.filter(([, value]) => value).map(([key, value]) => `<meta name="${key}" content="${this.escapeAttribute(value)}">`)
+    ].join('\n    ');
+  }
+
+  /**
+   * og:locale such as sv_SE from the store language and country
+   */
+  getLocale(store) {
+    return StoreLocale.getLanguageTag(store, '_');
+  }
+
+  /**
+   * Site root of the store, or of a language version under /<code>/
+   */
+  getBaseUrl(store) {
+    return `https://${store.domain}${store.language_path || ''}`;
+  }
+
+  /**
+   * Social crawlers need absolute image URLs
+   */
+  absoluteUrl(store, url) {
+    if (!url) return null;
+    if (/^https?:\/\//i.test(url)) return url;
+    if (url.startsWith('//')) return `https:${url}`;
+    return `https://${store.domain}/${url.replace(/^\/+/, '')}`;
+  }
+
+  escapeAttribute(value) {
+    return String(value)
+      .replace(/<[^>]*>/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .trim();
+  }
+}
+
+module.exports = SocialMeta;
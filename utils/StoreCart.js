@@ -0,0 +1,502 @@
+/**
+ * Store Cart
+ * Client-side cart for generated stores. Items are kept in localStorage per
+ * store domain, so the cart follows the visitor across every page of a static
+ * store, and checkout hands off to the connected Shopify store through a cart
+ * permalink (https://<shop>/cart/<variant id>:<quantity>,...).
+ *
+ *   [data-cart-toggle]         opens the mini-cart drawer
+ *   [data-cart-count]          number of items in the cart
+ *   [data-variant-add]         adds the variant in data-variant-id to the cart
+ *   [data-cart-buy-now]        on an add button: checks out that variant right away
+ *   [data-cart-product]        product data (JSON) inside the [data-product] element
+ *   .quantity-input            quantity next to an add button, defaults to 1
+ */
+
+const PriceFormatter = require('./PriceFormatter');
+
+const DEFAULT_LABELS = {
+  cart: 'Cart',
+  title: 'Your Cart',
+  empty: 'Your cart is empty.',
+  subtotal: 'Subtotal',
+  checkout: 'Checkout',
+  remove: 'Remove',
+  close: 'Close'
+};
+
+class StoreCart {
+  constructor(labels = {}) {
+    this.labels = { ...DEFAULT_LABELS, ...labels };
+  }
+
+  /**
+   * Cart permalink base of the connected Shopify store, or null when none is connected
+   */
+  getCheckoutUrl(store) {
+    if (!store.shopify_domain) return null;
+
+    const domain = String(store.shopify_domain).replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    return `https://${domain}/cart`;
+  }
+
+  /**
+   * Storage key of a store's cart; static pages and the dynamic product route share it
+   */
+  getStorageKey(store) {
+    return `cart:${store.domain}`;
+  }
+
+  /**
+   * Nav link that opens the cart drawer
+   */
+  renderToggle() {
+    return `<a href="#cart" class="cart-toggle" data-cart-toggle>${this.escapeHtml(this.labels.cart)} (<span data-cart-count>0</span>)</a>`;
+  }
+
+  /**
+   * Product data the cart needs when a variant is added; goes inside the [data-product] element
+   */
+  renderProductData(product) {
+    const firstImage = product.images && product.images.length > 0 ? product.images[0].src : null;
+
+    const data = {
+      handle: product.handle,
+      title: product.title,
+      variants: (product.variants || []).map(variant => ({
+        id: variant.id,
+        title: variant.title && variant.title !== 'Default Title' ? variant.title : '',
+        price: Number(variant.price),
+        image: variant.image || firstImage
+      }))
+    };
+
+    return `<script type="application/json" data-cart-product>${this.toJson(data)}</script>`;
+  }
+
+  /**
+   * JSON that can't close the surrounding script tag
+   */
+  toJson(data) {
+    return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026');
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Styles for the cart toggle and drawer
+   */
+  static getStyles() {
+    return `
+/* Cart drawer */
+.cart-overlay {
+  position: fixed;
+  inset: 0;
+  background: rgba(0, 0, 0, 0.4);
+  z-index: 999;
+}
+
+.cart-drawer {
+  position: fixed;
+  top: 0;
+  right: 0;
+  bottom: 0;
+  width: min(400px, 100%);
+  background: #fff;
+  box-shadow: -4px 0 16px rgba(0, 0, 0, 0.15);
+  font-family: var(--theme-font-body, inherit);
+  display: flex;
+  flex-direction: column;
+  z-index: 1000;
+}
+
+.cart-overlay[hidden],
+.cart-drawer[hidden] {
+  display: none;
+}
+
+.cart-drawer-header,
+.cart-drawer-footer {
+  padding: 1rem 1.5rem;
+  border-bottom: 1px solid #eee;
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+}
+
+.cart-drawer-footer {
+  border-top: 1px solid #eee;
+  border-bottom: none;
+  flex-direction: column;
+  align-items: stretch;
+  gap: 1rem;
+}
+
+.cart-drawer-close {
+  background: none;
+  border: none;
+  font-size: 1.5rem;
+  cursor: pointer;
+}
+
+.cart-items {
+  flex: 1;
+  overflow-y: auto;
+  list-style: none;
+  padding: 1rem 1.5rem;
+  margin: 0;
+}
+
+.cart-item {
+  display: grid;
+  grid-template-columns: 64px 1fr auto;
+  gap: 1rem;
+  padding: 1rem 0;
+  border-bottom: 1px solid #f0f0f0;
+}
+
+.cart-item img {
+  width: 64px;
+  height: 64px;
+  object-fit: cover;
+  border-radius: var(--theme-radius-sm, 4px);
+}
+
+.cart-item-title {
+  color: inherit;
+  font-weight: 600;
+  text-decoration: none;
+}
+
+.cart-item-variant {
+  color: #666;
+  font-size: 0.875rem;
+}
+
+.cart-item-quantity {
+  width: 4rem;
+  padding: 0.25rem;
+  margin-top: 0.5rem;
+}
+
+.cart-item-remove {
+  background: none;
+  border: none;
+  color: #666;
+  font-size: 0.875rem;
+  text-decoration: underline;
+  cursor: pointer;
+}
+
+.cart-empty {
+  color: #666;
+  text-align: center;
+  padding: 2rem 0;
+}
+
+.cart-subtotal {
+  display: flex;
+  justify-content: space-between;
+  font-weight: 600;
+}
+
+.cart-checkout {
+  display: block;
+  text-align: center;
+  padding: var(--theme-button-padding, 0.75rem 1.5rem);
+  background: var(--theme-primary, #333);
+  color: #fff;
+  border-radius: var(--theme-button-radius, 6px);
+  text-decoration: none;
+  font-weight: 600;
+}
+`;
+  }
+
+  /**
+   * Browser script for the cart drawer, add-to-cart buttons and checkout
+   */
+  getScript(store) {
+    const config = {
+      storageKey: this.getStorageKey(store),
+      checkoutUrl: this.getCheckoutUrl(store),
+      money: new PriceFormatter(store).getClientConfig(),
+      labels: this.labels
+    };
+
+    return `
+// Cart
+(function () {
+  var config = ${this.toJson(config)};
+  var drawer = null;
+
+  function loadItems() {
+    try {
+      var items = JSON.parse(window.localStorage.getItem(config.storageKey));
+      return Array.isArray(items) ? items.filter(function (item) { return item && item.id && item.quantity > 0; }) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveItems(items) {
+    try {
+      window.localStorage.setItem(config.storageKey, JSON.stringify(items));
+    } catch (error) {
+      console.warn('Cart could not be saved', error);
+    }
+    render(items);
+  }
+
+${PriceFormatter.getScript()}
+  // Storefront API ids are gids (gid://shopify/ProductVariant/123); permalinks need the number
+  function checkoutUrl(items) {
+    if (!config.checkoutUrl || items.length === 0) return null;
+    return config.checkoutUrl + '/' + items.map(function (item) {
+      return String(item.id).split('/').pop() + ':' + item.quantity;
+    }).join(',');
+  }
+
+  function addItem(item, quantity) {
+    var items = loadItems();
+    var existing = items.find(function (candidate) { return String(candidate.id) === String(item.id); });
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      items.push(Object.assign({}, item, { quantity: quantity }));
+    }
+
+    saveItems(items);
+  }
+
+  function setQuantity(id, quantity) {
+    var items = loadItems();
+    if (quantity > 0) {
+      items.forEach(function (item) {
+        if (String(item.id) === String(id)) item.quantity = quantity;
+      });
+    } else {
+      items = items.filter(function (item) { return String(item.id) !== String(id); });
+    }
+    saveItems(items);
+  }
+
+  function element(tagName, className, text) {
+    var node = document.createElement(tagName);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function createDrawer() {
+    var overlay = element('div', 'cart-overlay');
+    overlay.hidden = true;
+    overlay.addEventListener('click', closeDrawer);
+
+    var panel = element('aside', 'cart-drawer');
+    panel.hidden = true;
+    panel.setAttribute('data-cart-drawer', '');
+    panel.setAttribute('aria-label', config.labels.title);
+
+    var header = element('div', 'cart-drawer-header');
+    header.appendChild(element('h2', '', config.labels.title));
+    var close = element('button', 'cart-drawer-close', '×');
+    close.type = 'button';
+    close.setAttribute('aria-label', config.labels.close);
+    close.addEventListener('click', closeDrawer);
+    header.appendChild(close);
+
+    var list = element('ul', 'cart-items');
+    list.setAttribute('data-cart-items', '');
+
+    var footer = element('div', 'cart-drawer-footer');
+    var subtotal = element('div', 'cart-subtotal');
+    subtotal.appendChild(element('span', '', config.labels.subtotal));
+    var subtotalAmount = element('span');
+    subtotalAmount.setAttribute('data-cart-subtotal', '');
+    subtotal.appendChild(subtotalAmount);
+    footer.appendChild(subtotal);
+
+    var checkout = element('a', 'cart-checkout', config.labels.checkout);
+    checkout.setAttribute('data-cart-checkout', '');
+    footer.appendChild(checkout);
+
+    panel.appendChild(header);
+    panel.appendChild(list);
+    panel.appendChild(footer);
+    document.body.appendChild(overlay);
+    document.body.appendChild(panel);
+
+    return { overlay: overlay, panel: panel, list: list, subtotal: subtotalAmount, checkout: checkout };
+  }
+
+  function renderItem(item) {
+    var row = element('li', 'cart-item');
+    row.setAttribute('data-cart-item', item.id);
+
+    if (item.image) {
+      var image = element('img');
+      image.src = item.image;
+      image.alt = item.title;
+      row.appendChild(image);
+    } else {
+      row.appendChild(element('span'));
+    }
+
+    var details = element('div');
+    var title = element('a', 'cart-item-title', item.title);
+    title.href = item.url || '#';
+    details.appendChild(title);
+    if (item.variant_title) details.appendChild(element('div', 'cart-item-variant', item.variant_title));
+    details.appendChild(element('div', 'cart-item-price', formatPrice(item.price, config.money)));
+
+    var quantity = element('input', 'cart-item-quantity');
+    quantity.type = 'number';
+    quantity.min = '0';
+    quantity.value = item.quantity;
+    quantity.setAttribute('aria-label', item.title);
+    quantity.addEventListener('change', function () {
+      setQuantity(item.id, parseInt(quantity.value, 10) || 0);
+    });
+    details.appendChild(quantity);
+    row.appendChild(details);
+
+    var remove = element('button', 'cart-item-remove', config.labels.remove);
+    remove.type = 'button';
+    remove.addEventListener('click', function () { setQuantity(item.id, 0); });
+    row.appendChild(remove);
+
+    return row;
+  }
+
+  function render(items) {
+    var count = items.reduce(function (total, item) { return total + item.quantity; }, 0);
+    Array.prototype.forEach.call(document.querySelectorAll('[data-cart-count]'), function (counter) {
+      counter.textContent = count;
+    });
+
+    if (!drawer) return;
+
+    drawer.list.innerHTML = '';
+    if (items.length === 0) {
+      drawer.list.appendChild(element('li', 'cart-empty', config.labels.empty));
+    }
+    items.forEach(function (item) { drawer.list.appendChild(renderItem(item)); });
+
+    drawer.subtotal.textContent = formatPrice(items.reduce(function (total, item) { return total + item.price * item.quantity; }, 0), config.money);
+
+    var url = checkoutUrl(items);
+    drawer.checkout.hidden = !url;
+    if (url) drawer.checkout.href = url;
+  }
+
+  function openDrawer() {
+    drawer.overlay.hidden = false;
+    drawer.panel.hidden = false;
+  }
+
+  function closeDrawer() {
+    drawer.overlay.hidden = true;
+    drawer.panel.hidden = true;
+  }
+
+  // Item for the variant on an add button, from the product data of its page
+  function itemForButton(button) {
+    var root = button.closest('[data-product]') || document;
+    var dataElement = root.querySelector('[data-cart-product]');
+    if (!dataElement) return null;
+
+    var product = JSON.parse(dataElement.textContent);
+    var variant = product.variants.find(function (candidate) { return String(candidate.id) === button.dataset.variantId; });
+    if (!variant) return null;
+
+    return {
+      id: variant.id,
+      handle: product.handle,
+      title: product.title,
+      variant_title: variant.title,
+      price: variant.price,
+      image: variant.image,
+      url: window.location.pathname
+    };
+  }
+
+  function quantityForButton(button) {
+    var input = button.parentElement && button.parentElement.querySelector('.quantity-input');
+    var quantity = input ? parseInt(input.value, 10) : 1;
+    return quantity > 0 ? quantity : 1;
+  }
+
+  function init() {
+    drawer = createDrawer();
+    render(loadItems());
+
+    document.addEventListener('click', function (event) {
+      var toggle = event.target.closest('[data-cart-toggle]');
+      if (toggle) {
+        event.preventDefault();
+        openDrawer();
+        return;
+      }
+
+      var button = event.target.closest('[data-variant-add]');
+      if (!button || button.disabled) return;
+
+      var item = itemForButton(button);
+      if (!item) return;
+      event.preventDefault();
+
+      var quantity = quantityForButton(button);
+      var buyNowUrl = button.hasAttribute('data-cart-buy-now') && checkoutUrl([{ id: item.id, quantity: quantity }]);
+      if (buyNowUrl) {
+        // Buy now checks out this variant only and leaves the cart as it is
+        window.location.href = buyNowUrl;
+        return;
+      }
+
+      addItem(item, quantity);
+      openDrawer();
+    });
+
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Escape') closeDrawer();
+    });
+
+    // Keep the cart in sync with other tabs of the store
+    window.addEventListener('storage', function (event) {
+      if (event.key === config.storageKey) render(loadItems());
+    });
+
+    if (window.location.hash === '#cart') openDrawer();
+  }
+
+  window.StoreCart = {
+    items: loadItems,
+    add: addItem,
+    setQuantity: setQuantity,
+    checkoutUrl: function () { return checkoutUrl(loadItems()); },
+    open: function () { openDrawer(); },
+    close: function () { closeDrawer(); }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
+`;
+  }
+}
+
+module.exports = StoreCart;
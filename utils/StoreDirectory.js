@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store Directory
+ * Builds are written to a staging directory, validated and then swapped into
+ * stores/<domain> with a rename, so visitors never see a half-written store.
+ * The replaced build is kept in stores/.previous/<domain> for instant reverts,
+ * and snapshots of deployed builds in stores/.snapshots/<domain>/<deployment id>
+ * for rollbacks. The build manifest of the live build (utils/BuildManifest.js) is
+ * kept in stores/.manifests/<domain>.json, outside the published files
+ */
+
+const STAGING_DIRECTORY = '.staging';
+const PREVIOUS_DIRECTORY = '.previous';
+const SNAPSHOTS_DIRECTORY = '.snapshots';
+const MANIFESTS_DIRECTORY = '.manifests';
+
+class StoreDirectory {
+  constructor(domain, storesPath = path.join(process.cwd(), 'stores')) {
+    if (!domain || domain.includes('/') || domain.includes('\\') || domain.startsWith('.')) {
+      throw new Error(`Invalid store domain: ${domain}`);
+    }
+
+    this.domain = domain;
+    this.storesPath = storesPath;
+    this.livePath = path.join(storesPath, domain);
+    this.previousPath = path.join(storesPath, PREVIOUS_DIRECTORY, domain);
+    this.snapshotsPath = path.join(storesPath, SNAPSHOTS_DIRECTORY, domain);
+    this.manifestPath = path.join(storesPath, MANIFESTS_DIRECTORY, `${domain}.json`);
+    this.stagingPath = null;
+  }
+
+  /**
+   * Directory to serve a store from: the live build, or the previous one while a swap is in progress
+   */
+  static resolveServingPath(domain, storesPath = path.join(process.cwd(), 'stores')) {
+    const directory = new StoreDirectory(domain, storesPath);
+
+    if (fs.existsSync(directory.livePath)) return directory.livePath;
+    if (fs.existsSync(directory.previousPath)) return directory.previousPath;
+    return null;
+  }
+
+  /**
+   * Create a staging directory seeded with the live build, so unchanged outputs can be kept
+   * (or with another build, e.g. a snapshot)
+   */
+  createStaging(sourcePath = this.livePath) {
+    const stagingRoot = path.join(this.storesPath, STAGING_DIRECTORY);
+    fs.mkdirSync(stagingRoot, { recursive: true });
+
+    // Unique per build so concurrent builds of one store don't write into each other
+    this.stagingPath = path.join(stagingRoot, `${this.domain}-${Date.now()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`);
+
+    if (fs.existsSync(sourcePath)) {
+      fs.cpSync(sourcePath, this.stagingPath, { recursive: true });
+    } else {
+      fs.mkdirSync(this.stagingPath, { recursive: true });
+    }
+
+    return this.stagingPath;
+  }
+
+  /**
+   * Check the staged build before it goes live: required files exist and every
+   * HTML file is complete; throws with the problems found
+   */
+  validateStaging(requiredFiles = ['index.html']) {
+    const problems = [];
+
+    for (const fileName of requiredFiles) {
+      if (!fs.existsSync(path.join(this.stagingPath, fileName))) {
+        problems.push(`${fileName} is missing`);
+      }
+    }
+
+    for (const fileName of this.listHtmlFiles(this.stagingPath)) {
+      const content = fs.readFileSync(path.join(this.stagingPath, fileName), 'utf8');
+      if (!content.trim()) {
+        problems.push(`${fileName} is empty`);
+      } else if (!/<\/html>\s*$/i.test(content)) {
+        problems.push(`${fileName} is incomplete`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Build validation failed for ${this.domain}: ${problems.join(', ')}`);
+    }
+  }
+
+  listHtmlFiles(directory, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...this.listHtmlFiles(path.join(directory, entry.name), relativePath));
+      } else if (entry.isFile() && entry.name.endsWith('.html')) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Move the staged build live; the current live build becomes the previous build
+   */
+  publishStaging() {
+    fs.mkdirSync(path.dirname(this.previousPath), { recursive: true });
+    fs.rmSync(this.previousPath, { recursive: true, force: true });
+
+    const hadLiveBuild = fs.existsSync(this.livePath);
+    if (hadLiveBuild) {
+      fs.renameSync(this.livePath, this.previousPath);
+    }
+
+    try {
+      fs.renameSync(this.stagingPath, this.livePath);
+      this.stagingPath = null;
+    } catch (error) {
+      if (hadLiveBuild) {
+        fs.renameSync(this.previousPath, this.livePath);
+      }
+      throw error;
+    }
+
+    return this.livePath;
+  }
+
+  /**
+   * Remove the staging directory of a build that didn't go live
+   */
+  discardStaging() {
+    if (this.stagingPath) {
+      fs.rmSync(this.stagingPath, { recursive: true, force: true });
+      this.stagingPath = null;
+    }
+  }
+
+  hasPreviousBuild() {
+    return fs.existsSync(this.previousPath);
+  }
+
+  /**
+   * Swap the previous build back in; the reverted build becomes the previous one, so a revert can be undone
+   */
+  revert() {
+    if (!this.hasPreviousBuild()) {
+      throw new Error(`No previous build to revert to for ${this.domain}`);
+    }
+
+    const swapPath = `${this.previousPath}-revert-${Date.now()}`;
+    const hadLiveBuild = fs.existsSync(this.livePath);
+
+    if (hadLiveBuild) {
+      fs.renameSync(this.livePath, swapPath);
+    }
+
+    try {
+      fs.renameSync(this.previousPath, this.livePath);
+    } catch (error) {
+      if (hadLiveBuild) {
+        fs.renameSync(swapPath, this.livePath);
+      }
+      throw error;
+    }
+
+    if (hadLiveBuild) {
+      fs.renameSync(swapPath, this.previousPath);
+    }
+
+    this.removeManifest();
+    return this.livePath;
+  }
+
+  /**
+   * Forget the build manifest when a build it doesn't describe goes live, so the next build rebuilds everything
+   */
+  removeManifest() {
+    fs.rmSync(this.manifestPath, { force: true });
+  }
+
+  getSnapshotPath(snapshotId) {
+    if (!/^\d+$/.test(String(snapshotId))) {
+      throw new Error(`Invalid snapshot: ${snapshotId}`);
+    }
+    return path.join(this.snapshotsPath, String(snapshotId));
+  }
+
+  hasSnapshot(snapshotId) {
+    return fs.existsSync(this.getSnapshotPath(snapshotId));
+  }
+
+  /**
+   * Snapshot ids of the store, oldest first
+   */
+  listSnapshots() {
+    if (!fs.existsSync(this.snapshotsPath)) return [];
+
+    return fs.readdirSync(this.snapshotsPath)
+      .filter(name => /^\d+$/.test(name))
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Copy the live build to a snapshot; written next to its final path and renamed,
+   * so a snapshot that exists is always complete
+   */
+  createSnapshot(snapshotId) {
+    if (!fs.existsSync(this.livePath)) {
+      throw new Error(`No live build to snapshot for ${this.domain}`);
+    }
+
+    const snapshotPath = this.getSnapshotPath(snapshotId);
+    const partialPath = `${snapshotPath}.partial-${process.pid}`;
+
+    fs.rmSync(partialPath, { recursive: true, force: true });
+    fs.cpSync(this.livePath, partialPath, { recursive: true });
+    fs.rmSync(snapshotPath, { recursive: true, force: true });
+    fs.renameSync(partialPath, snapshotPath);
+
+    return snapshotPath;
+  }
+
+  /**
+   * Remove all but the newest snapshots; returns the removed ids
+   */
+  pruneSnapshots(keep) {
+    const snapshots = this.listSnapshots();
+    const removed = snapshots.slice(0, Math.max(snapshots.length - keep, 0));
+
+    for (const snapshotId of removed) {
+      fs.rmSync(this.getSnapshotPath(snapshotId), { recursive: true, force: true });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Stage a copy of a snapshot, validate it and publish it like a new build
+   */
+  restoreSnapshot(snapshotId) {
+    const snapshotPath = this.getSnapshotPath(snapshotId);
+    if (!fs.existsSync(snapshotPath)) {
+      throw new Error(`No snapshot ${snapshotId} for ${this.domain}`);
+    }
+
+    this.createStaging(snapshotPath);
+
+    try {
+      this.validateStaging();
+      const livePath = this.publishStaging();
+      this.removeManifest();
+      return livePath;
+    } catch (error) {
+      this.discardStaging();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the live and previous builds, the snapshots and the build manifest
+   */
+  removeAll() {
+    fs.rmSync(this.livePath, { recursive: true, force: true });
+    fs.rmSync(this.previousPath, { recursive: true, force: true });
+    fs.rmSync(this.snapshotsPath, { recursive: true, force: true });
+    this.removeManifest();
+  }
+}
+
+StoreDirectory.STAGING_DIRECTORY = STAGING_DIRECTORY;
+StoreDirectory.PREVIOUS_DIRECTORY = PREVIOUS_DIRECTORY;
+StoreDirectory.SNAPSHOTS_DIRECTORY = SNAPSHOTS_DIRECTORY;
+StoreDirectory.MANIFESTS_DIRECTORY = MANIFESTS_DIRECTORY;
+
+module.exports = StoreDirectory;
@@ -0,0 +1,154 @@
+/**
+ * Store Locale
+ * Maps store language/country settings to standard language tags, and picks
+ * a storefront language for a visitor from the Accept-Language header
+ */
+
+// Store language codes that differ from the ISO 639-1 code
+const LANGUAGE_CODE_MAP = {
+  se: 'sv',
+  no: 'nb'
+};
+
+class StoreLocale {
+  /**
+   * ISO 639-1 language code for a store language setting
+   */
+  static getLanguageCode(language) {
+    if (!language) return null;
+    const code = String(language).toLowerCase();
+    return LANGUAGE_CODE_MAP[code] || code;
+  }
+
+  /**
+   * Language tag such as sv-SE (or sv_SE with a custom separator)
+   */
+  static getLanguageTag(store, separator = '-') {
+    const language = this.getLanguageCode(store.language);
+    if (!language) return null;
+
+    return store.country ? `${language}${separator}${String(store.country).toUpperCase()}` : language;
+  }
+
+  /**
+   * Storefront languages of a store: the store language first, then the
+   * additional languages (stores.languages, a JSON array) served under /<code>/
+   */
+  static getStoreLanguages(store) {
+    let additional = store.languages || [];
+
+    if (typeof additional === 'string') {
+      try {
+        additional = JSON.parse(additional);
+      } catch (error) {
+        additional = additional.split(',');
+      }
+    }
+
+    const languages = [store.language ? String(store.language).toLowerCase() : 'en'];
+
+    for (const language of Array.isArray(additional) ? additional : []) {
+      const code = String(language || '').trim().toLowerCase();
+      if (!/^[a-z]{2,3}$/.test(code)) continue;
+
+      // The same language under another code (se/sv) would publish the pages twice
+      if (languages.some(existing => this.getLanguageCode(existing) === this.getLanguageCode(code))) continue;
+      languages.push(code);
+    }
+
+    return languages;
+  }
+
+  /**
+   * Additional storefront languages, without the store language
+   */
+  static getAdditionalLanguages(store) {
+    return this.getStoreLanguages(store).slice(1);
+  }
+
+  /**
+   * Output directory of a storefront language: '' for the store language, otherwise the ISO code (sv for se)
+   */
+  static getLanguageDirectory(store, language) {
+    if (!language || language === this.getStoreLanguages(store)[0]) return '';
+    return this.getLanguageCode(language);
+  }
+
+  /**
+   * Storefront language served from a directory such as 'sv', or null
+   */
+  static getLanguageForDirectory(store, directory) {
+    if (!directory) return null;
+    const code = String(directory).toLowerCase();
+    return this.getAdditionalLanguages(store).find(language => this.getLanguageCode(language) === code) || null;
+  }
+
+  /**
+   * The store as one of its language versions sees it: the same settings in another
+   * language, with language_path set to the version's URL prefix (e.g. /fr)
+   */
+  static getLanguageStore(store, language) {
+    const directory = this.getLanguageDirectory(store, language);
+    if (!directory) return store;
+
+    return Object.assign(Object.create(store), { language, language_path: `/${directory}` });
+  }
+
+  /**
+   * Accept-Language entries ordered by preference, e.g. [{ tag: 'de-ch', language: 'de', q: 1 }]
+   */
+  static parseAcceptLanguage(header) {
+    if (!header) return [];
+
+    return String(header)
+      .split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+
+        return {
+          tag: tag.trim().toLowerCase(),
+          language: tag.trim().toLowerCase().split('-')[0],
+          q: isNaN(q) ? 0 : q,
+          index
+        };
+      })
+      .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(({ tag, language, q }) => ({ tag, language, q }));
+  }
+
+  /**
+   * Store language a visitor prefers most; the store language when none of the visitor's languages is offered
+   */
+  static negotiateLanguage(store, header) {
+    const languages = this.getStoreLanguages(store);
+
+    for (const entry of this.parseAcceptLanguage(header)) {
+      // Norwegian browsers often send no or nn rather than nb
+      const code = entry.language === 'no' || entry.language === 'nn' ? 'nb' : entry.language;
+      const match = languages.find(language => this.getLanguageCode(language) === code);
+      if (match) return match;
+    }
+
+    return languages[0];
+  }
+
+  /**
+   * Name of a language in that language, e.g. Deutsch for de
+   */
+  static getLanguageName(language) {
+    const code = this.getLanguageCode(language);
+    if (!code) return '';
+
+    try {
+      const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+      return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+    } catch (error) {
+      return code.toUpperCase();
+    }
+  }
+}
+
+module.exports = StoreLocale;
@@ -0,0 +1,159 @@
+/**
+ * Structured Data
+ * Builds schema.org JSON-LD (Product, Organization, BreadcrumbList) for generated pages
+ */
+
+const VariantSelector = require('./VariantSelector');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+const LEGAL_PAGE_TYPES = ['terms', 'privacy', 'refund', 'delivery'];
+
+class StructuredData {
+  /**
+   * JSON-LD for a product detail page
+   */
+  forProductPage(store, product) {
+    return this.toScriptTag([
+      this.buildOrganization(store),
+      this.buildProduct(store, product),
+      this.buildBreadcrumbs(store, [
+        { name: 'Products', path: '/products.html' },
+        { name: product.title, path: `/products/${product.handle}.html` }
+      ])
+    ]);
+  }
+
+  /**
+   * JSON-LD for a regular page; legal pages also get breadcrumbs
+   */
+  forPage(store, page) {
+    const graph = [this.buildOrganization(store)];
+
+    if (LEGAL_PAGE_TYPES.includes(page.page_type)) {
+      graph.push(this.buildBreadcrumbs(store, [
+        { name: page.title, path: `/${page.slug || page.page_type}.html` }
+      ]));
+    }
+
+    return this.toScriptTag(graph);
+  }
+
+  /**
+   * Product with one Offer per variant
+   */
+  buildProduct(store, product) {
+    const baseUrl = `https://${store.domain}`;
+    const productUrl = `${baseUrl}${store.language_path || ''}/products/${product.handle}.html`;
+    const variants = product.variants || [];
+    const primaryVariant = VariantSelector.getInitialVariant(product);
+
+    const data = {
+      '@type': 'Product',
+      '@id': `${productUrl}#product`,
+      name: product.title,
+      url: productUrl,
+      description: this.stripHtml(product.body_html || product.description),
+      image: (product.images || []).map(image => image.src).filter(Boolean),
+      sku: primaryVariant && primaryVariant.sku ? primaryVariant.sku : undefined,
+      brand: {
+        '@type': 'Brand',
+        name: product.vendor || store.name
+      },
+      offers: variants
+        .filter(variant => variant.price !== undefined && variant.price !== null)
+        .map(variant => ({
+          '@type': 'Offer',
+          url: productUrl,
+          price: Number(variant.price).toFixed(2),
+          priceCurrency: store.currency,
+          availability: variant.available ? `${SCHEMA_CONTEXT}/InStock` : `${SCHEMA_CONTEXT}/OutOfStock`,
+          sku: variant.sku || undefined,
+          name: variants.length > 1 ? variant.title : undefined,
+          seller: { '@id': `${baseUrl}/#organization` }
+        }))
+    };
+
+    return this.compact(data);
+  }
+
+  /**
+   * Organization from the store's business details
+   */
+  buildOrganization(store) {
+    const baseUrl = `https://${store.domain}`;
+
+    const data = {
+      '@type': 'Organization',
+      '@id': `${baseUrl}/#organization`,
+      name: store.name,
+      url: `${baseUrl}/`,
+      logo: store.logo_url || undefined,
+      email: store.support_email || undefined,
+      telephone: store.support_phone || undefined,
+      address: store.business_address ? {
+        '@type': 'PostalAddress',
+        streetAddress: store.business_address,
+        addressCountry: store.country || undefined
+      } : undefined,
+      identifier: store.business_orgnr ? {
+        '@type': 'PropertyValue',
+        propertyID: 'Organization number',
+        value: store.business_orgnr
+      } : undefined
+    };
+
+    return this.compact(data);
+  }
+
+  /**
+   * BreadcrumbList starting at the store home page (of the language version for /<code>/ pages)
+   */
+  buildBreadcrumbs(store, items) {
+    const baseUrl = `https://${store.domain}${store.language_path || ''}`;
+    const trail = [{ name: store.name, path: '/' }, ...items];
+
+    return {
+      '@type': 'BreadcrumbList',
+      itemListElement: trail.map((item, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: item.name,
+        item: `${baseUrl}${item.path}`
+      }))
+    };
+  }
+
+  /**
+   * Wrap a graph in a JSON-LD script tag, safe to embed in HTML
+   */
+  toScriptTag(graph) {
+    const json = JSON.stringify({ '@context': SCHEMA_CONTEXT, '@graph': graph })
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026');
+
+    return `<script type="application/ld+json">${json}</script>`;
+  }
+
+  stripHtml(html) {
+    if (!html) return undefined;
+    const text = String(html).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text || undefined;
+  }
+
+  /**
+   * Drop undefined values and empty arrays so the output stays minimal
+   */
+  compact(data) {
+    const compacted = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || (Array.isArray(value) && value.length === 0)) continue;
+      compacted[key] = Array.isArray(value)
+        ? value.map(item => (item && typeof item === 'object' ? this.compact(item) : item))
+        : (value && typeof value === 'object' ? this.compact(value) : value);
+    }
+    return compacted;
+  }
+}
+
+module.exports = StructuredData;
@@ -2,78 +2,390 @@ const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
 const db = require('../database/db');
+const SitemapGenerator = require('./SitemapGenerator');
+const StructuredData = require('./StructuredData');
+const SocialMeta = require('./SocialMeta');
+const HreflangGenerator = require('./HreflangGenerator');
+const BuildManifest = require('./BuildManifest');
+const RenderPool = require('./RenderPool');
+const StoreDirectory = require('./StoreDirectory');
+const VariantSelector = require('./VariantSelector');
+const StoreCart = require('./StoreCart');
+const PriceFormatter = require('./PriceFormatter');
+const Translator = require('./Translator');
+const StoreLocale = require('./StoreLocale');
+const ContentBlocks = require('./ContentBlocks');
+const ThemeTokens = require('./ThemeTokens');
+const ThemeInheritance = require('./ThemeInheritance');
 
 class TemplateRenderer {
   constructor() {
     this.templatesPath = path.join(__dirname, '..', 'templates');
+    this.structuredData = new StructuredData();
+    this.socialMeta = new SocialMeta();
+    this.hreflang = new HreflangGenerator();
+    this.variantSelector = new VariantSelector();
+    this.storeCart = new StoreCart();
+    
+    // Per-build state for the store being generated
+    this.alternates = null;
+    this.manifest = null;
+    this.lastBuildReport = null;
+    this.renderPool = null;
+    this.translator = null;
+    this.languageVersions = null;
+    this.languageDirectory = '';
   }
 
   /**
    * Generate all store files from database content
+   * Outputs whose inputs are unchanged since the last build are skipped; pass { force: true } to rebuild everything
+   * Pages render concurrently on a worker pool; options.concurrency (or RENDER_CONCURRENCY) sets its size, 0 renders inline
+   * Files are written to a staging directory that replaces stores/<domain> once validated
+   * Additional storefront languages (stores.languages) are generated into /<code>/ subdirectories
    */
-  async generateStoreFiles(store, pages) {
+  async generateStoreFiles(store, pages, options = {}) {
+    const storeDirectory = new StoreDirectory(store.domain);
+    
     try {
       console.log(`🎨 Generating store files for ${store.name} (${store.domain})`);
       
-      // Create store directory
-      const storePath = path.join(process.cwd(), 'stores', store.domain);
-      this.ensureDirectoryExists(storePath);
+      this.renderPool = new RenderPool({ concurrency: options.concurrency });
+      
+      // Build into a staging copy of the live store
+      const storePath = storeDirectory.createStaging();
 
       // Get theme configuration
       const themeConfig = await this.getThemeConfiguration(store);
       console.log(`🎨 Using theme configuration:`, { theme_id: store.theme_id, theme_id_new: store.theme_id_new });
 
+      // Storefront strings in the store language, with the store's overrides
+      this.translator = await Translator.forStore(store);
+      this.variantSelector = new VariantSelector(this.translator.getGroup('variant'));
+      this.storeCart = new StoreCart(this.translator.getGroup('cart'));
+
+      // Pages of the additional storefront languages, published under /<code>/
+      const languagePages = await this.getLanguagePages(store);
+      this.languageVersions = this.getLanguageVersions(store, pages, languagePages);
+      this.languageDirectory = '';
+
+      // Link equivalent pages in sister stores (brand_group) and in the language versions
+      this.alternates = await this.hreflang.buildAlternates(store, pages, languagePages);
+
+      // Input hashes of the previous build
+      this.manifest = BuildManifest.load(storePath, storeDirectory.manifestPath, { force: options.force });
+      this.lastBuildReport = { rebuilt: [], skipped: [], removed: [], failed: [] };
+      const sharedInputs = this.getSharedBuildInputs(store, pages, themeConfig);
+
+      // Fetch products once for the products pages, the product detail pages and the product grid blocks
+      const usesProducts = this.languageVersions.some(version => version.pages.some(p => p.page_type === 'products' || this.usesProductGrid(p)));
+      const products = usesProducts ? await store.fetchShopifyProducts(50) : [];
+
       // Generate main pages
       const generatedFiles = [];
+      generatedFiles.push(...await this.generatePages(store, storePath, pages, themeConfig, products, sharedInputs));
+
+      // Generate individual product detail pages
+      const productPages = await this.generateProductPages(store, storePath, pages, themeConfig, generatedFiles, products, sharedInputs);
+
+      // Generate the additional storefront languages; languages whose pages failed to load keep their files
+      for (const language of StoreLocale.getAdditionalLanguages(store).filter(language => !languagePages[language])) {
+        this.manifest.keepPrefix(`${StoreLocale.getLanguageDirectory(store, language)}/`);
+      }
+      for (const [language, versionPages] of Object.entries(languagePages)) {
+        await this.generateLanguageVersion(store, storePath, language, versionPages, themeConfig, generatedFiles, products, sharedInputs);
+      }
+
+      // Generate additional static files
+      await this.generateStaticFiles(store, storePath, themeConfig, sharedInputs);
+
+      // Generate sitemap.xml (advertised by robots.txt)
+      const sitemapFiles = await this.generateSitemap(store, storePath, pages, productPages, languagePages);
+      this.lastBuildReport.rebuilt.push(...sitemapFiles);
+
+      // Remove outputs that are no longer produced (disabled pages, changed slugs, deselected products)
+      this.lastBuildReport.removed = this.manifest.removeStaleOutputs();
+
+      // Swap the validated build in; the replaced build is kept for reverts
+      storeDirectory.validateStaging(pages.some(p => p.page_type === 'home') ? ['index.html'] : []);
+      const livePath = storeDirectory.publishStaging();
+
+      // Only a build that went live may be skipped next time
+      this.manifest.save();
+
+      const report = this.lastBuildReport;
+      console.log(`✅ Generated ${generatedFiles.length} pages for ${store.name}`);
+      console.log(`♻️ Rebuilt ${report.rebuilt.length}, skipped ${report.skipped.length}, removed ${report.removed.length} files${report.failed.length ? `, ${report.failed.length} failed` : ''}`);
+      return livePath;
+
+    } catch (error) {
+      console.error(`❌ Error generating store files for ${store.name}:`, error.message);
+      throw error;
+    } finally {
+      if (this.renderPool) {
+        await this.renderPool.close();
+        this.renderPool = null;
+      }
+      this.languageVersions = null;
+      // Leaves the live store untouched if the build failed
+      storeDirectory.discardStaging();
+    }
+  }
+
+  /**
+   * Generate the content pages of the current language version; returns the written file names
+   */
+  async generatePages(store, storePath, pages, themeConfig, products, sharedInputs) {
+    const pageResults = await this.runConcurrently(pages, async (page) => {
+      const fileName = this.getOutputName(this.getPageFileName(page));
       
-      for (const page of pages) {
-        try {
-          const fileName = this.getPageFileName(page);
-          const filePath = path.join(storePath, fileName);
-          
+      try {
+        const inputs = [
+          sharedInputs,
+          page,
+          this.getTemplateName(page),
+          this.alternates.forPage(page),
+          page.page_type === 'products' || this.usesProductGrid(page) ? products : null
+        ];
+        
+        await this.buildOutput(storePath, fileName, inputs, async () => {
           console.log(`📄 Generating ${fileName} for ${page.page_type} page...`);
           
           // Generate HTML content based on page type
-          let htmlContent;
-          
           if (page.page_type === 'products') {
-            // Fetch products from Shopify and generate product pages
-            htmlContent = await this.generateProductsPage(store, page, themeConfig);
-          } else {
-            // Generate regular page
-            htmlContent = await this.generatePage(store, page, themeConfig);
+            // Generate products page from the fetched Shopify products
+            return await this.generateProductsPage(store, page, themeConfig, products);
           }
           
-          // Write file
-          fs.writeFileSync(filePath, htmlContent, 'utf8');
-          generatedFiles.push(fileName);
-          
-          console.log(`✅ Generated ${fileName} (${this.formatFileSize(htmlContent.length)})`);
-          
-        } catch (pageError) {
-          console.error(`❌ Error generating ${page.page_type} page:`, pageError.message);
-          // Continue with other pages
-        }
+          // Generate regular page
+          return await this.generatePage(store, page, themeConfig, products);
+        });
+        
+        return fileName;
+        
+      } catch (pageError) {
+        console.error(`❌ Error generating ${page.page_type} page:`, pageError.message);
+        this.recordFailedOutput(fileName);
+        // Continue with other pages
+        return null;
       }
+    });
+    
+    return pageResults.filter(Boolean);
+  }
 
-      // Generate individual product detail pages
-      const productsPage = pages.find(p => p.page_type === 'products');
-      if (productsPage) {
-        await this.generateIndividualProductPages(store, storePath, themeConfig, generatedFiles);
+  /**
+   * Generate the product detail pages of the current language version if it has a products page
+   */
+  async generateProductPages(store, storePath, pages, themeConfig, generatedFiles, products, sharedInputs) {
+    if (!pages.some(p => p.page_type === 'products')) {
+      return [];
+    }
+    
+    if (products.length === 0 && store.shopify_domain) {
+      // An empty catalog usually means Shopify could not be reached; keep the existing pages
+      console.warn(`⚠️ No products fetched for ${store.name}, keeping existing product pages`);
+      this.manifest.keepPrefix(this.getOutputName('products/'));
+      return [];
+    }
+    
+    return await this.generateIndividualProductPages(store, storePath, themeConfig, generatedFiles, products, sharedInputs);
+  }
+
+  /**
+   * Generate one additional storefront language into its /<code>/ directory,
+   * with the catalog strings of that language
+   */
+  async generateLanguageVersion(store, storePath, language, pages, themeConfig, generatedFiles, products, sharedInputs) {
+    const storeLanguage = {
+      translator: this.translator,
+      variantSelector: this.variantSelector,
+      storeCart: this.storeCart
+    };
+    
+    try {
+      console.log(`🌐 Generating ${language} pages for ${store.name}...`);
+      
+      this.languageDirectory = StoreLocale.getLanguageDirectory(store, language);
+      this.translator = new Translator(language);
+      this.variantSelector = new VariantSelector(this.translator.getGroup('variant'));
+      this.storeCart = new StoreCart(this.translator.getGroup('cart'));
+      this.ensureDirectoryExists(path.join(storePath, this.languageDirectory));
+      
+      const languageStore = StoreLocale.getLanguageStore(store, language);
+      const languageInputs = { ...sharedInputs, language, navigation: this.getNavigationInputs(pages) };
+      
+      generatedFiles.push(...await this.generatePages(languageStore, storePath, pages, themeConfig, products, languageInputs));
+      await this.generateProductPages(languageStore, storePath, pages, themeConfig, generatedFiles, products, languageInputs);
+      
+    } catch (error) {
+      console.error(`❌ Error generating ${language} pages for ${store.name}:`, error.message);
+      // Keep the previous files of this language
+      this.manifest.keepPrefix(this.getOutputName(''));
+    } finally {
+      this.languageDirectory = '';
+      Object.assign(this, storeLanguage);
+    }
+  }
+
+  /**
+   * Pages of each additional storefront language, keyed by language
+   */
+  async getLanguagePages(store) {
+    if (StoreLocale.getAdditionalLanguages(store).length === 0 || typeof store.getAllLanguagePages !== 'function') {
+      return {};
+    }
+    
+    try {
+      return await store.getAllLanguagePages();
+    } catch (error) {
+      console.error(`❌ Failed to load language pages for ${store.domain}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Every storefront language with its output directory ('' for the store language) and pages
+   */
+  getLanguageVersions(store, pages, languagePages = {}) {
+    return StoreLocale.getStoreLanguages(store)
+      .filter((language, index) => index === 0 || languagePages[language])
+      .map((language, index) => ({
+        language,
+        directory: index === 0 ? '' : StoreLocale.getLanguageDirectory(store, language),
+        pages: index === 0 ? pages : languagePages[language]
+      }));
+  }
+
+  /**
+   * Output file name inside the current language version's directory
+   */
+  getOutputName(fileName) {
+    return this.languageDirectory ? `${this.languageDirectory}/${fileName}` : fileName;
+  }
+
+  /**
+   * URL path prefix of the current language version, e.g. /fr ('' for the store language)
+   */
+  getLanguagePath() {
+    return this.languageDirectory ? `/${this.languageDirectory}` : '';
+  }
+
+  /**
+   * Relative path to a root-level asset from a page depth levels below the language version's root
+   */
+  getAssetPath(fileName, depth = 0) {
+    return '../'.repeat(depth + (this.languageDirectory ? 1 : 0)) + fileName;
+  }
+
+  /**
+   * Run a task for every item with a bounded number in flight; results keep the item order
+   */
+  async runConcurrently(items, task) {
+    // Prepare the next pages on the main thread while the workers render
+    const limit = this.renderPool && !this.renderPool.inline ? this.renderPool.concurrency * 2 : 1;
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await task(items[index], index);
       }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+  }
 
-      // Generate additional static files
-      await this.generateStaticFiles(store, storePath, themeConfig);
+  /**
+   * Render a Handlebars template on the build's worker pool, or inline outside a build
+   */
+  async renderTemplate(template, variables) {
+    if (this.renderPool) {
+      return await this.renderPool.render(template, variables);
+    }
+    
+    const compiledTemplate = handlebars.compile(template);
+    return compiledTemplate(variables);
+  }
 
-      console.log(`✅ Generated ${generatedFiles.length} pages for ${store.name}`);
-      return storePath;
+  /**
+   * Write one output file unless the manifest shows its inputs are unchanged
+   */
+  async buildOutput(storePath, fileName, inputs, render) {
+    const inputHash = this.manifest ? BuildManifest.hashInputs(...inputs) : null;
+    
+    if (this.manifest && this.manifest.isUpToDate(fileName, inputHash)) {
+      this.manifest.keep(fileName);
+      this.lastBuildReport.skipped.push(fileName);
+      return false;
+    }
+    
+    const content = await render();
+    fs.writeFileSync(path.join(storePath, fileName), content, 'utf8');
+    
+    if (this.manifest) {
+      this.manifest.record(fileName, inputHash);
+      this.lastBuildReport.rebuilt.push(fileName);
+    }
+    
+    console.log(`✅ Generated ${fileName} (${this.formatFileSize(content.length)})`);
+    return true;
+  }
 
-    } catch (error) {
-      console.error(`❌ Error generating store files for ${store.name}:`, error.message);
-      throw error;
+  /**
+   * Keep a failed output's previous file and make sure it is rebuilt next time
+   */
+  recordFailedOutput(fileName) {
+    if (this.manifest) {
+      this.manifest.invalidate(fileName);
+      this.lastBuildReport.failed.push(fileName);
     }
   }
 
+  /**
+   * Inputs every output depends on: renderer code, store settings, navigation, theme and strings
+   */
+  getSharedBuildInputs(store, pages, themeConfig) {
+    const storeData = typeof store.toJSON === 'function' ? store.toJSON() : { ...store };
+    
+    // Deployment bookkeeping doesn't affect the generated files
+    ['status', 'deployment_status', 'deployment_url', 'deployed_at', 'updated_at'].forEach(key => {
+      delete storeData[key];
+    });
+    
+    return {
+      sources: BuildManifest.getSourceHash(),
+      store: storeData,
+      navigation: this.getNavigationInputs(pages),
+      // The language switcher links every language version
+      languages: (this.languageVersions || []).map(version => ({
+        language: version.language,
+        navigation: this.getNavigationInputs(version.pages)
+      })),
+      theme: themeConfig,
+      translations: this.translator ? this.translator.overrides : {}
+    };
+  }
+
+  getNavigationInputs(pages) {
+    return pages.map(page => ({
+      page_type: page.page_type,
+      slug: page.slug,
+      title: page.title,
+      is_enabled: page.is_enabled,
+      sort_order: page.sort_order
+    }));
+  }
+
+  /**
+   * Translator of the current build, or one for the store language outside a build
+   */
+  getTranslator(store) {
+    return this.translator || new Translator(store.language);
+  }
+
   /**
    * Get theme configuration from database or fallback to defaults
    */
@@ -86,12 +398,11 @@ class TemplateRenderer {
         if (theme) {
           console.log(`🎨 Using new theme system: ${theme.name} (ID: ${theme.id})`);
           
-          let cssVariables = {};
-          try {
-            cssVariables = JSON.parse(theme.css_variables || '{}');
-          } catch (parseError) {
-            console.warn('⚠️ Failed to parse theme CSS variables, using defaults');
-            cssVariables = {};
+          // Variables the theme doesn't override come from its parent themes
+          const themeChain = await ThemeInheritance.getChain(theme.id);
+          const cssVariables = ThemeInheritance.mergeVariables(themeChain);
+          if (themeChain.length > 1) {
+            console.log(`🧬 Theme ${theme.name} inherits from ${themeChain.slice(1).map(parent => parent.name).join(' → ')}`);
           }
           
           return {
@@ -103,7 +414,8 @@ class TemplateRenderer {
             accent: cssVariables.accent || '#007cba',
             background: cssVariables.background || '#ffffff',
             surface: cssVariables.surface || '#f8f9fa',
-            ...cssVariables
+            ...cssVariables,
+            custom_css: ThemeInheritance.mergeCustomCss(themeChain)
           };
         } else {
           console.log(`⚠️ Theme ID ${store.theme_id_new} not found in database, falling back to legacy`);
@@ -136,12 +448,21 @@ class TemplateRenderer {
     };
   }
 
+  /**
+   * Whether the page content has product grid blocks
+   */
+  usesProductGrid(page) {
+    return ContentBlocks.getProductHandles(page.content).length > 0;
+  }
+
   /**
    * Generate HTML for a single page
+   * products fill the product grid blocks of the content
    */
-  async generatePage(store, page, themeConfig) {
+  async generatePage(store, page, themeConfig, products = []) {
     const templateName = this.getTemplateName(page);
     const template = await this.loadTemplate(templateName);
+    const translator = this.getTranslator(store);
     
     // Prepare template variables
     const variables = {
@@ -159,9 +480,14 @@ class TemplateRenderer {
       // Page content
       page_title: page.title,
       page_subtitle: page.subtitle || '',
-      page_content: this.processPageContent(page.content),
+      page_content: this.processPageContent(page.content, {
+        products,
+        renderProduct: product => this.generateProductCard(product, store, themeConfig)
+      }),
       meta_title: page.meta_title || page.title,
       meta_description: page.meta_description || '',
+      structured_data: this.structuredData.forPage(store, page),
+      hreflang_links: this.alternates ? this.alternates.forPage(page) : '',
       
       // Theme variables
       theme_primary: themeConfig.primary,
@@ -180,26 +506,30 @@ class TemplateRenderer {
       
       // Utility variables
       current_year: new Date().getFullYear(),
+      html_lang: translator.language,
+      t: translator.toJSON(),
       
       // Path variables (root level pages)
-      css_path: 'styles.css',
-      js_path: 'scripts.js'
+      css_path: this.getAssetPath('styles.css'),
+      js_path: this.getAssetPath('scripts.js')
     };
 
-    // Compile and render with Handlebars
-    const compiledTemplate = handlebars.compile(template);
-    const html = compiledTemplate(variables);
+    variables.social_meta = this.socialMeta.forPage(store, page, {
+      title: variables.meta_title,
+      description: variables.meta_description
+    });
 
-    return html;
+    // Compile and render with Handlebars
+    return await this.renderTemplate(template, variables);
   }
 
   /**
    * Generate products page with Shopify integration
    */
-  async generateProductsPage(store, page, themeConfig) {
+  async generateProductsPage(store, page, themeConfig, fetchedProducts = null) {
     try {
-      // Fetch products from store
-      const products = await store.fetchShopifyProducts(50);
+      // Fetch products from store unless the build already did
+      const products = fetchedProducts || await store.fetchShopifyProducts(50);
       
       // Get selected products
       let selectedProductHandles = [];
@@ -223,6 +553,8 @@ class TemplateRenderer {
         console.log(`🛒 Showing all ${displayProducts.length} products (no selection configured)`);
       }
 
+      const translator = this.getTranslator(store);
+
       // Generate product HTML
       const productsHtml = displayProducts.map(product => this.generateProductCard(product, store, themeConfig)).join('\n');
 
@@ -237,10 +569,12 @@ class TemplateRenderer {
         support_email: store.support_email || `support@${store.domain}`,
         
         // Page content
-        page_title: page.title || 'Our Products',
-        page_subtitle: page.subtitle || 'Discover our amazing collection',
-        meta_title: page.meta_title || `Products - ${store.name}`,
-        meta_description: page.meta_description || `Shop our products at ${store.name}`,
+        page_title: page.title || translator.t('products.title'),
+        page_subtitle: page.subtitle || translator.t('products.subtitle'),
+        meta_title: page.meta_title || translator.t('products.metaTitle', { store: store.name }),
+        meta_description: page.meta_description || translator.t('products.metaDescription', { store: store.name }),
+        structured_data: this.structuredData.forPage(store, page),
+        hreflang_links: this.alternates ? this.alternates.forPage(page) : '',
         
         // Products
         products_html: productsHtml,
@@ -258,14 +592,22 @@ class TemplateRenderer {
         footer_content: await this.generateFooterContent(store),
         
         // Utility variables
-        current_year: new Date().getFullYear()
+        current_year: new Date().getFullYear(),
+        html_lang: translator.language,
+        t: translator.toJSON(),
+        
+        // Path variables (root level pages)
+        css_path: this.getAssetPath('styles.css'),
+        js_path: this.getAssetPath('scripts.js')
       };
 
-      // Compile and render with Handlebars
-      const compiledTemplate = handlebars.compile(template);
-      const html = compiledTemplate(variables);
+      variables.social_meta = this.socialMeta.forPage(store, page, {
+        title: variables.meta_title,
+        description: variables.meta_description
+      });
 
-      return html;
+      // Compile and render with Handlebars
+      return await this.renderTemplate(template, variables);
 
     } catch (error) {
       console.error(`❌ Error generating products page:`, error.message);
@@ -273,7 +615,7 @@ class TemplateRenderer {
       // Fallback to basic products page
       return await this.generatePage(store, {
         ...page,
-        title: 'Products',
+        title: this.getTranslator(store).t('common.products'),
         content: '<p>Products are being loaded. Please check back soon!</p>'
       }, themeConfig);
     }
@@ -283,30 +625,33 @@ class TemplateRenderer {
    * Generate HTML for a single product card
    */
   generateProductCard(product, store, themeConfig) {
-    const primaryVariant = product.variants && product.variants.length > 0 ? product.variants[0] : null;
+    // Cards show the first variant in stock, so a product is only sold out when every variant is
+    const primaryVariant = this.variantSelector.getInitialVariant(product);
     const primaryImage = product.images && product.images.length > 0 ? product.images[0] : null;
+    const priceFormatter = new PriceFormatter(store);
+    const translator = this.getTranslator(store);
     
-    const price = primaryVariant ? `${primaryVariant.price.toFixed(2)} ${store.currency}` : 'Price unavailable';
+    const price = primaryVariant ? priceFormatter.format(primaryVariant.price) : translator.t('common.priceUnavailable');
     const compareAtPrice = primaryVariant && primaryVariant.compare_at_price 
-      ? `${primaryVariant.compare_at_price.toFixed(2)} ${store.currency}`
+      ? priceFormatter.format(primaryVariant.compare_at_price)
       : null;
     
     const imageHtml = primaryImage 
       ? `<img src="${primaryImage.src}" alt="${primaryImage.alt}" class="product-image" loading="lazy">`
-      : `<div class="product-image-placeholder">No Image</div>`;
+      : `<div class="product-image-placeholder">${translator.t('common.noImage')}</div>`;
     
     const priceHtml = compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price
       ? `<span class="product-price-sale">${price}</span> <span class="product-price-original">${compareAtPrice}</span>`
       : `<span class="product-price">${price}</span>`;
 
     const availabilityClass = primaryVariant && primaryVariant.available ? 'product-available' : 'product-unavailable';
-    const availabilityText = primaryVariant && primaryVariant.available ? 'In Stock' : 'Out of Stock';
+    const availabilityText = translator.t(primaryVariant && primaryVariant.available ? 'product.inStock' : 'product.outOfStock');
 
     return `
     <div class="product-card ${availabilityClass}">
       <div class="product-image-container">
         ${imageHtml}
-        ${!primaryVariant || !primaryVariant.available ? '<div class="product-overlay">Out of Stock</div>' : ''}
+        ${!primaryVariant || !primaryVariant.available ? `<div class="product-overlay">${translator.t('product.outOfStock')}</div>` : ''}
       </div>
       <div class="product-info">
         <h3 class="product-title">${product.title}</h3>
@@ -317,8 +662,8 @@ class TemplateRenderer {
         <p class="product-availability ${availabilityClass}">${availabilityText}</p>
         <div class="product-actions">
           ${primaryVariant && primaryVariant.available 
-            ? `<button class="btn btn-primary" onclick="viewProduct('${product.handle}')">View Product</button>`
-            : `<button class="btn btn-secondary" disabled>Out of Stock</button>`
+            ? `<button class="btn btn-primary" onclick="viewProduct('${product.handle}'${this.languageDirectory ? `, '${this.getLanguagePath()}'` : ''})">${translator.t('product.viewProduct')}</button>`
+            : `<button class="btn btn-secondary" disabled>${translator.t('product.outOfStock')}</button>`
           }
         </div>
       </div>
@@ -328,12 +673,12 @@ class TemplateRenderer {
   /**
    * Generate individual product detail pages as static HTML files
    */
-  async generateIndividualProductPages(store, storePath, themeConfig, generatedFiles) {
+  async generateIndividualProductPages(store, storePath, themeConfig, generatedFiles, fetchedProducts = null, sharedInputs = null) {
     try {
       console.log(`🛍️ Generating individual product detail pages for ${store.name}...`);
       
-      // Fetch products from store
-      const products = await store.fetchShopifyProducts(50);
+      // Fetch products from store unless the build already did
+      const products = fetchedProducts || await store.fetchShopifyProducts(50);
       
       // Get selected products
       let selectedProductHandles = [];
@@ -358,36 +703,51 @@ class TemplateRenderer {
       }
 
       // Create products subdirectory
-      const productsDir = path.join(storePath, 'products');
+      const productsDir = path.join(storePath, this.getOutputName('products'));
       this.ensureDirectoryExists(productsDir);
 
       // Generate individual product pages
-      for (const product of displayProducts) {
+      const productResults = await this.runConcurrently(displayProducts, async (product) => {
+        const fileName = this.getOutputName(`products/${product.handle}.html`);
+        
         try {
-          const fileName = `${product.handle}.html`;
-          const filePath = path.join(productsDir, fileName);
-          
-          console.log(`📄 Generating ${fileName} for product: ${product.title}...`);
-          
-          const htmlContent = await this.generateProductDetailPage(store, product, themeConfig);
+          const inputs = [
+            sharedInputs,
+            product,
+            this.alternates ? this.alternates.forProduct(product.handle) : ''
+          ];
           
-          // Write file
-          fs.writeFileSync(filePath, htmlContent, 'utf8');
-          generatedFiles.push(`products/${fileName}`);
+          await this.buildOutput(storePath, fileName, inputs, async () => {
+            console.log(`📄 Generating ${fileName} for product: ${product.title}...`);
+            return await this.generateProductDetailPage(store, product, themeConfig);
+          });
           
-          console.log(`✅ Generated products/${fileName} (${this.formatFileSize(htmlContent.length)})`);
+          return { fileName, product };
           
         } catch (productError) {
           console.error(`❌ Error generating page for product ${product.handle}:`, productError.message);
+          this.recordFailedOutput(fileName);
           // Continue with other products
+          return null;
         }
+      });
+      
+      const generatedProducts = [];
+      for (const result of productResults.filter(Boolean)) {
+        generatedFiles.push(result.fileName);
+        generatedProducts.push(result.product);
       }
 
       console.log(`✅ Generated ${displayProducts.length} individual product detail pages`);
+      return generatedProducts;
 
     } catch (error) {
       console.error(`❌ Error generating individual product pages:`, error.message);
+      if (this.manifest) {
+        this.manifest.keepPrefix(this.getOutputName('products/'));
+      }
       // Don't throw - this is optional functionality
+      return [];
     }
   }
 
@@ -396,39 +756,35 @@ class TemplateRenderer {
    */
   async generateProductDetailPage(store, product, themeConfig) {
     try {
-      // Get primary variant and image
-      const primaryVariant = product.variants && product.variants.length > 0 ? product.variants[0] : null;
-      const primaryImage = product.images && product.images.length > 0 ? product.images[0] : null;
+      // The page opens on the first variant in stock; the variant picker switches it in the browser
+      const primaryVariant = this.variantSelector.getInitialVariant(product);
+      const primaryImageSrc = this.variantSelector.getVariantImage(product, primaryVariant);
       
+      const translator = this.getTranslator(store);
+
       // Format price
-      const price = primaryVariant ? `${primaryVariant.price.toFixed(2)} ${store.currency}` : 'Price unavailable';
+      const priceFormatter = new PriceFormatter(store);
+      const price = primaryVariant ? priceFormatter.format(primaryVariant.price) : translator.t('common.priceUnavailable');
       const compareAtPrice = primaryVariant && primaryVariant.compare_at_price 
-        ? `${primaryVariant.compare_at_price.toFixed(2)} ${store.currency}`
+        ? priceFormatter.format(primaryVariant.compare_at_price)
         : null;
 
       // Generate image gallery HTML
-      const imageGalleryHtml = product.images && product.images.length > 0 
-        ? product.images.map((image, index) => `
-          <div class="product-image ${index === 0 ? 'active' : ''}" data-image-index="${index}">
+      const images = product.images || [];
+      const activeIndex = Math.max(0, images.findIndex(image => image.src === primaryImageSrc));
+      const imageGalleryHtml = images.length > 0 
+        ? images.map((image, index) => `
+          <div class="product-image ${index === activeIndex ? 'active' : ''}" data-image-index="${index}" data-image-src="${image.src}">
             <img src="${image.src}" alt="${image.alt}" loading="lazy">
           </div>
-        `).join('')
-        : '<div class="product-image-placeholder">No Images Available</div>';
-
-      // Generate variants HTML if multiple variants exist
-      const variantsHtml = product.variants && product.variants.length > 1 
-        ? `
-          <div class="product-variants">
-            <h4>Available Options:</h4>
-            ${product.variants.map(variant => `
-              <div class="variant-option ${variant.available ? '' : 'unavailable'}">
-                <span class="variant-title">${variant.title}</span>
-                <span class="variant-price">${variant.price.toFixed(2)} ${store.currency}</span>
-                ${!variant.available ? '<span class="variant-status">(Out of Stock)</span>' : ''}
-              </div>
-            `).join('')}
-          </div>
-        ` : '';
+        `).join('') + (images.length > 1 ? `
+          <div class="product-thumbnails">
+            ${images.map(image => `<button type="button" class="product-thumbnail" data-gallery-thumbnail="${image.src}"><img src="${image.src}" alt="${image.alt}" loading="lazy"></button>`).join('')}
+          </div>` : '')
+        : `<div class="product-image-placeholder">${translator.t('common.noImagesAvailable')}</div>`;
+
+      // Option pickers for products with several variants
+      const variantsHtml = this.variantSelector.render(product, store);
 
       // Prepare template variables
       const variables = {
@@ -440,11 +796,14 @@ class TemplateRenderer {
         // Page meta
         page_title: product.title,
         meta_title: `${product.title} - ${store.name}`,
-        meta_description: product.body_html ? product.body_html.substring(0, 160).replace(/<[^>]*>/g, '') : `Buy ${product.title} at ${store.name}`,
+        meta_description: product.body_html ? product.body_html.substring(0, 160).replace(/<[^>]*>/g, '') : translator.t('product.metaDescription', { product: product.title, store: store.name }),
+        structured_data: this.structuredData.forProductPage(store, product),
+        hreflang_links: this.alternates ? this.alternates.forProduct(product.handle) : '',
         
         // Product information
         product_title: product.title,
         product_vendor: product.vendor || '',
+        product_by_vendor: product.vendor ? translator.t('product.byVendor', { vendor: product.vendor }) : '',
         product_type: product.product_type || '',
         product_description: product.body_html || '',
         product_handle: product.handle,
@@ -455,13 +814,17 @@ class TemplateRenderer {
         product_compare_price: compareAtPrice,
         product_on_sale: compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price,
         
+        product_variant_id: primaryVariant ? primaryVariant.id : '',
+        product_sku: primaryVariant ? primaryVariant.sku || '' : '',
+        
         // Availability
         product_available: primaryVariant && primaryVariant.available,
-        product_stock_status: primaryVariant && primaryVariant.available ? 'In Stock' : 'Out of Stock',
+        product_stock_status: translator.t(primaryVariant && primaryVariant.available ? 'product.inStock' : 'product.outOfStock'),
         
         // Images and variants
         product_images: imageGalleryHtml,
         product_variants: variantsHtml,
+        product_cart_data: this.storeCart.renderProductData(product),
         product_image_count: product.images ? product.images.length : 0,
         product_variant_count: product.variants ? product.variants.length : 0,
         
@@ -473,31 +836,38 @@ class TemplateRenderer {
         theme_surface: themeConfig.surface || '#f8f9fa',
         
         // Navigation and footer
-        nav_links: await this.generateNavLinks(store, 'product'),
+        nav_links: await this.generateNavLinks(store, 'product', product.handle),
         footer_content: await this.generateFooterContent(store),
         
         // Utility variables
         current_year: new Date().getFullYear(),
+        html_lang: translator.language,
+        t: translator.toJSON(),
         
         // Path variables for subdirectory
-        css_path: '../styles.css',
-        js_path: '../scripts.js'
+        css_path: this.getAssetPath('styles.css', 1),
+        js_path: this.getAssetPath('scripts.js', 1)
       };
 
+      variables.social_meta = this.socialMeta.forProductPage(store, product, {
+        title: variables.meta_title,
+        description: variables.meta_description
+      });
+
       // Load product detail template or use default
+      // loadTemplate falls back to the generic page template, which has no product markup
       let template;
       try {
-        template = await this.loadTemplate('product-detail');
+        template = fs.existsSync(path.join(this.templatesPath, 'product-detail.html'))
+          ? await this.loadTemplate('product-detail')
+          : this.getDefaultProductDetailTemplate();
       } catch (error) {
         // Fallback to basic product detail template
         template = this.getDefaultProductDetailTemplate();
       }
 
       // Compile and render with Handlebars
-      const compiledTemplate = handlebars.compile(template);
-      const html = compiledTemplate(variables);
-
-      return html;
+      return await this.renderTemplate(template, variables);
 
     } catch (error) {
       console.error(`❌ Error generating product detail page for ${product.handle}:`, error.message);
@@ -514,14 +884,17 @@ class TemplateRenderer {
    */
   getDefaultProductDetailTemplate() {
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="{{html_lang}}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>{{meta_title}}</title>
     <meta name="description" content="{{meta_description}}">
+    {{{social_meta}}}
+    {{{hreflang_links}}}
     <link rel="icon" href="">
     <link rel="stylesheet" href="{{css_path}}">
+    {{{structured_data}}}
 </head>
 <body>
     <header>
@@ -535,12 +908,13 @@ class TemplateRenderer {
         </nav>
     </header>
 
-    <main class="product-detail">
+    <main class="product-detail" data-product>
+        {{{product_cart_data}}}
         <div class="container">
             <div class="product-header">
                 <h1>{{product_title}}</h1>
                 {{#if product_vendor}}
-                <p class="product-vendor">by {{product_vendor}}</p>
+                <p class="product-vendor">{{product_by_vendor}}</p>
                 {{/if}}
             </div>
 
@@ -551,23 +925,17 @@ class TemplateRenderer {
 
                 <div class="product-info">
                     <div class="product-price-container">
-                        {{#if product_on_sale}}
-                        <span class="product-price-sale">{{product_price}}</span>
-                        <span class="product-price-original">{{product_compare_price}}</span>
-                        {{else}}
-                        <span class="product-price">{{product_price}}</span>
-                        {{/if}}
+                        <span class="product-price{{#if product_on_sale}} on-sale{{/if}}" data-variant-price>{{product_price}}</span>
+                        <span class="product-price-original" data-variant-compare-price{{#unless product_on_sale}} hidden{{/unless}}>{{product_compare_price}}</span>
                     </div>
 
                     <div class="product-availability">
-                        <span class="stock-status {{#unless product_available}}out-of-stock{{/unless}}">
-                            {{product_stock_status}}
-                        </span>
+                        <span class="stock-status {{#unless product_available}}out-of-stock{{/unless}}" data-variant-availability>{{product_stock_status}}</span>
                     </div>
 
                     {{#if product_description}}
                     <div class="product-description">
-                        <h3>Description</h3>
+                        <h3>{{t.product.description}}</h3>
                         {{{product_description}}}
                     </div>
                     {{/if}}
@@ -575,12 +943,8 @@ class TemplateRenderer {
                     {{{product_variants}}}
 
                     <div class="product-actions">
-                        {{#if product_available}}
-                        <button class="btn btn-primary btn-large">Add to Cart</button>
-                        {{else}}
-                        <button class="btn btn-secondary btn-large" disabled>Out of Stock</button>
-                        {{/if}}
-                        <a href="../products.html" class="btn btn-outline">← Back to Products</a>
+                        <button class="btn btn-primary btn-large" data-variant-add data-variant-id="{{product_variant_id}}" data-add-text="{{t.product.addToCart}}"{{#unless product_available}} disabled{{/unless}}>{{#if product_available}}{{t.product.addToCart}}{{else}}{{t.product.outOfStock}}{{/if}}</button>
+                        <a href="../products.html" class="btn btn-outline">{{t.product.backToProducts}}</a>
                     </div>
                 </div>
             </div>
@@ -590,7 +954,7 @@ class TemplateRenderer {
     <footer>
         {{{footer_content}}}
         <div class="footer-bottom">
-            <p>&copy; {{current_year}} {{store_name}}. All rights reserved.</p>
+            <p>&copy; {{current_year}} {{store_name}}. {{t.footer.allRightsReserved}}</p>
         </div>
     </footer>
 
@@ -601,23 +965,20 @@ class TemplateRenderer {
 
   /**
    * Process page content (handle JSON blocks or HTML)
+   * context is passed to the blocks, see ContentBlocks.render
    */
-  processPageContent(content) {
+  processPageContent(content, context = {}) {
     if (!content) return '';
 
     // If content looks like JSON (content blocks), process it
-    if (content.trim().startsWith('[') || content.trim().startsWith('{')) {
-      try {
-        const blocks = JSON.parse(content);
-        if (Array.isArray(blocks)) {
-          return blocks.map(block => this.renderContentBlock(block)).join('\n');
-        } else {
-          return this.renderContentBlock(blocks);
-        }
-      } catch (error) {
-        console.warn('⚠️ Failed to parse content as JSON, treating as HTML');
-        return content;
+    try {
+      const blocks = ContentBlocks.parse(content);
+      if (blocks) {
+        const blockContext = { languagePath: this.getLanguagePath(), ...context };
+        return blocks.map(block => this.renderContentBlock(block, blockContext)).join('\n');
       }
+    } catch (error) {
+      console.warn('⚠️ Failed to parse content as JSON, treating as HTML');
     }
 
     // Otherwise treat as HTML
@@ -627,39 +988,17 @@ class TemplateRenderer {
   /**
    * Render a content block to HTML
    */
-  renderContentBlock(block) {
-    switch (block.type) {
-      case 'text':
-        return `<div class="content-block text-block">${block.content}</div>`;
-      
-      case 'hero':
-        return `
-        <div class="content-block hero-block">
-          <h1>${block.title}</h1>
-          ${block.subtitle ? `<p class="hero-subtitle">${block.subtitle}</p>` : ''}
-          ${block.cta ? `<a href="#" class="btn btn-primary">${block.cta}</a>` : ''}
-        </div>`;
-      
-      case 'features':
-        const featuresHtml = block.items ? block.items.map(item => 
-          `<div class="feature-item">
-            <h4>${item.title}</h4>
-            <p>${item.description}</p>
-          </div>`
-        ).join('') : '';
-        return `<div class="content-block features-block">${featuresHtml}</div>`;
-      
-      default:
-        return `<div class="content-block unknown-block">${block.content || ''}</div>`;
-    }
+  renderContentBlock(block, context = {}) {
+    return ContentBlocks.render(block, context);
   }
 
   /**
-   * Generate navigation links
+   * Generate navigation links, with a language switcher for stores in several languages
    */
-  async generateNavLinks(store, currentPageType) {
-    // Get all pages for this store from database
-    const pages = await store.getPages();
+  async generateNavLinks(store, currentPageType, productHandle = null) {
+    // Get all pages for this store (or the language version being generated)
+    const pages = await this.getNavigationPages(store);
+    const languagePath = this.getLanguagePath();
     
     // Define navigation order and which pages to include in main nav (no legal pages)
     const navOrder = ['home', 'products', 'about', 'contact', 'delivery'];
@@ -671,7 +1010,7 @@ class TemplateRenderer {
     
     // Generate navigation links
     const links = navPages.map(page => {
-      const href = page.page_type === 'home' ? '/' : `/${page.slug || page.page_type}.html`;
+      const href = page.page_type === 'home' ? `${languagePath}/` : `${languagePath}/${page.slug || page.page_type}.html`;
       const activeClass = page.page_type === currentPageType ? ' class="active"' : '';
       let text = page.title;
       
@@ -687,15 +1026,62 @@ class TemplateRenderer {
       return `<a href="${href}"${activeClass}>${text}</a>`;
     });
     
+    const languageSwitcher = this.renderLanguageSwitcher(currentPageType, productHandle);
+    if (languageSwitcher) {
+      links.push(languageSwitcher);
+    }
+    
+    links.push(this.storeCart.renderToggle());
+    
     return links.join('\n');
   }
 
+  /**
+   * Pages of the language version being generated; the store's own pages otherwise
+   */
+  async getNavigationPages(store) {
+    const version = this.languageDirectory && this.languageVersions
+      ? this.languageVersions.find(v => v.directory === this.languageDirectory)
+      : null;
+    
+    return version ? version.pages : await store.getPages();
+  }
+
+  /**
+   * Links to the current page in each storefront language, labelled in that language
+   */
+  renderLanguageSwitcher(currentPageType, productHandle = null) {
+    if (!this.languageVersions || this.languageVersions.length < 2) return '';
+    
+    const links = this.languageVersions.map(version => {
+      const basePath = version.directory ? `/${version.directory}` : '';
+      const page = version.pages.find(p => p.page_type === currentPageType);
+      const hasProducts = version.pages.some(p => p.page_type === 'products');
+      
+      // Versions without the equivalent page link to their home page
+      let href = `${basePath}/`;
+      if (productHandle && hasProducts) {
+        href = `${basePath}/products/${productHandle}.html`;
+      } else if (page && page.page_type !== 'home') {
+        href = `${basePath}/${page.slug || page.page_type}.html`;
+      }
+      
+      const code = StoreLocale.getLanguageCode(version.language);
+      const activeClass = version.directory === this.languageDirectory ? ' class="active"' : '';
+      return `<a href="${href}" hreflang="${code}" lang="${code}" data-store-language="${version.language}"${activeClass}>${StoreLocale.getLanguageName(version.language)}</a>`;
+    });
+    
+    return `<div class="language-switcher">${links.join('')}</div>`;
+  }
+
   /**
    * Generate footer content
    */
   async generateFooterContent(store) {
-    // Get all pages for this store from database
-    const pages = await store.getPages();
+    // Get all pages for this store (or the language version being generated)
+    const pages = await this.getNavigationPages(store);
+    const translator = this.getTranslator(store);
+    const languagePath = this.getLanguagePath();
     
     // Define legal pages that should appear in footer
     const legalPageTypes = ['terms', 'privacy', 'refund', 'delivery'];
@@ -707,7 +1093,7 @@ class TemplateRenderer {
     
     // Generate legal links
     const legalLinks = legalPages.map(page => {
-      const href = `/${page.slug || page.page_type}.html`;
+      const href = `${languagePath}/${page.slug || page.page_type}.html`;
       let text = page.title;
       
       // Clean up title text for footer
@@ -716,9 +1102,9 @@ class TemplateRenderer {
       }
       // Map common legal page titles
       const legalTitleMap = {
-        'PP': 'Privacy Policy',
-        'RETURN': 'Return Policy',
-        'Shipping': 'Shipping Policy'
+        'PP': translator.t('footer.privacyPolicy'),
+        'RETURN': translator.t('footer.returnPolicy'),
+        'Shipping': translator.t('footer.shippingPolicy')
       };
       text = legalTitleMap[text] || text;
       
@@ -729,21 +1115,21 @@ class TemplateRenderer {
     <div class="footer-content">
       <div class="footer-section">
         <h4>${store.name}</h4>
-        <p>Quality products and exceptional service.</p>
-        ${store.support_email ? `<p>Email: <a href="mailto:${store.support_email}">${store.support_email}</a></p>` : ''}
-        ${store.support_phone ? `<p>Phone: ${store.support_phone}</p>` : ''}
+        <p>${translator.t('footer.tagline')}</p>
+        ${store.support_email ? `<p>${translator.t('footer.email')} <a href="mailto:${store.support_email}">${store.support_email}</a></p>` : ''}
+        ${store.support_phone ? `<p>${translator.t('footer.phone')} ${store.support_phone}</p>` : ''}
       </div>
       <div class="footer-section">
-        <h4>Quick Links</h4>
+        <h4>${translator.t('footer.quickLinks')}</h4>
         <ul>
-          <li><a href="/">Home</a></li>
-          <li><a href="/products.html">Products</a></li>
-          <li><a href="/about.html">About</a></li>
-          <li><a href="/contact.html">Contact</a></li>
+          <li><a href="${languagePath}/">${translator.t('common.home')}</a></li>
+          <li><a href="${languagePath}/products.html">${translator.t('common.products')}</a></li>
+          <li><a href="${languagePath}/about.html">${translator.t('common.about')}</a></li>
+          <li><a href="${languagePath}/contact.html">${translator.t('common.contact')}</a></li>
         </ul>
       </div>
       ${legalPages.length > 0 ? `<div class="footer-section">
-        <h4>Legal</h4>
+        <h4>${translator.t('footer.legal')}</h4>
         <ul>
           ${legalLinks}
         </ul>
@@ -754,40 +1140,50 @@ class TemplateRenderer {
   /**
    * Generate static files (CSS, JS, etc.)
    */
-  async generateStaticFiles(store, storePath, themeConfig) {
-    try {
-      // Generate main CSS file with theme colors
-      const cssContent = this.generateCSS(themeConfig);
-      fs.writeFileSync(path.join(storePath, 'styles.css'), cssContent, 'utf8');
-
-      // Generate basic JavaScript
-      const jsContent = this.generateJavaScript(store);
-      fs.writeFileSync(path.join(storePath, 'scripts.js'), jsContent, 'utf8');
+  async generateStaticFiles(store, storePath, themeConfig, sharedInputs = null) {
+    const staticFiles = {
+      // Main CSS file with theme colors
+      'styles.css': () => this.generateCSS(themeConfig, store.color_scheme),
+      // Basic JavaScript
+      'scripts.js': () => this.generateJavaScript(store),
+      'robots.txt': () => this.generateRobotsTxt(store)
+    };
 
-      // Generate robots.txt
-      const robotsContent = this.generateRobotsTxt(store);
-      fs.writeFileSync(path.join(storePath, 'robots.txt'), robotsContent, 'utf8');
+    for (const [fileName, render] of Object.entries(staticFiles)) {
+      try {
+        await this.buildOutput(storePath, fileName, [sharedInputs], render);
+      } catch (error) {
+        console.error(`❌ Error generating ${fileName}:`, error.message);
+        this.recordFailedOutput(fileName);
+      }
+    }
 
-      console.log('✅ Generated static files (CSS, JS, robots.txt)');
+    console.log('✅ Generated static files (CSS, JS, robots.txt)');
+  }
 
+  /**
+   * Generate sitemap.xml for enabled pages and product detail pages of every storefront language
+   */
+  async generateSitemap(store, storePath, pages, products = [], languagePages = {}) {
+    try {
+      const sitemapGenerator = new SitemapGenerator();
+      const sitemapFiles = sitemapGenerator.writeSitemaps(store, storePath, pages, products, languagePages);
+      console.log(`🗺️ Generated ${sitemapFiles.join(', ')}`);
+      return sitemapFiles;
     } catch (error) {
-      console.error('❌ Error generating static files:', error.message);
+      console.error('❌ Error generating sitemap:', error.message);
+      return [];
     }
   }
 
   /**
    * Generate CSS with theme colors
+   * colorScheme is the store's auto, light or dark setting
    */
-  generateCSS(themeConfig) {
+  generateCSS(themeConfig, colorScheme = 'auto') {
     return `
 /* Generated CSS for theme: ${themeConfig.name} */
-:root {
-  --theme-primary: ${themeConfig.primary};
-  --theme-secondary: ${themeConfig.secondary};
-  --theme-accent: ${themeConfig.accent};
-  --theme-background: ${themeConfig.background};
-  --theme-surface: ${themeConfig.surface};
-}
+${ThemeTokens.toCss(themeConfig)}
 
 /* Reset and base styles */
 * {
@@ -797,17 +1193,36 @@ class TemplateRenderer {
 }
 
 body {
-  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-  line-height: 1.6;
-  color: #333;
+  font-family: var(--theme-font-body);
+  font-size: var(--theme-font-size-base);
+  line-height: var(--theme-line-height-body);
+  color: var(--theme-text);
   background-color: var(--theme-background);
 }
 
+h1, h2, h3, h4, h5, h6 {
+  font-family: var(--theme-font-heading);
+  font-weight: var(--theme-font-weight-heading);
+  line-height: var(--theme-line-height-heading);
+}
+
+h1 {
+  font-size: var(--theme-font-size-h1);
+}
+
+h2 {
+  font-size: var(--theme-font-size-h2);
+}
+
+h3 {
+  font-size: var(--theme-font-size-h3);
+}
+
 /* Header styles */
 header {
   background: var(--theme-primary);
   color: white;
-  padding: 1rem 0;
+  padding: var(--theme-space-md) 0;
   position: sticky;
   top: 0;
   z-index: 100;
@@ -817,17 +1232,17 @@ nav {
   display: flex;
   justify-content: space-between;
   align-items: center;
-  max-width: 1200px;
+  max-width: var(--theme-container-width);
   margin: 0 auto;
-  padding: 0 1rem;
+  padding: 0 var(--theme-space-md);
 }
 
 nav a {
   color: white;
   text-decoration: none;
-  margin: 0 1rem;
-  padding: 0.5rem 1rem;
-  border-radius: 4px;
+  margin: 0 var(--theme-space-md);
+  padding: var(--theme-space-sm) var(--theme-space-md);
+  border-radius: var(--theme-radius-sm);
   transition: background-color 0.3s;
 }
 
@@ -836,47 +1251,56 @@ nav a.active {
   background-color: rgba(255, 255, 255, 0.1);
 }
 
+.language-switcher {
+  display: inline-flex;
+  gap: var(--theme-space-xs);
+  font-size: var(--theme-font-size-small);
+}
+
+.language-switcher a {
+  padding: var(--theme-space-xs) var(--theme-space-sm);
+}
+
 /* Main content */
 main {
-  max-width: 1200px;
+  max-width: var(--theme-container-width);
   margin: 0 auto;
-  padding: 2rem 1rem;
+  padding: var(--theme-space-lg) var(--theme-space-md);
 }
 
 /* Content blocks */
 .content-block {
-  margin: 2rem 0;
+  margin: var(--theme-space-lg) 0;
 }
 
 .hero-block {
   text-align: center;
-  padding: 4rem 2rem;
+  padding: var(--theme-space-xl) var(--theme-space-lg);
   background: linear-gradient(135deg, var(--theme-primary), var(--theme-secondary));
   color: white;
-  border-radius: 8px;
+  border-radius: var(--theme-radius-lg);
 }
 
 .hero-block h1 {
-  font-size: 3rem;
-  margin-bottom: 1rem;
+  margin-bottom: var(--theme-space-md);
 }
 
 .hero-subtitle {
   font-size: 1.2rem;
-  margin-bottom: 2rem;
+  margin-bottom: var(--theme-space-lg);
 }
 
 .features-block {
   display: grid;
   grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-  gap: 2rem;
-  margin: 3rem 0;
+  gap: var(--theme-space-lg);
+  margin: calc(var(--theme-space-lg) * 1.5) 0;
 }
 
 .feature-item {
-  padding: 2rem;
+  padding: var(--theme-space-lg);
   background: var(--theme-surface);
-  border-radius: 8px;
+  border-radius: var(--theme-radius-md);
   text-align: center;
 }
 
@@ -884,21 +1308,21 @@ main {
 .products-grid {
   display: grid;
   grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
-  gap: 2rem;
-  margin: 2rem 0;
+  gap: var(--theme-space-lg);
+  margin: var(--theme-space-lg) 0;
 }
 
 .product-card {
   background: white;
-  border-radius: 8px;
+  border-radius: var(--theme-radius-md);
   overflow: hidden;
-  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  box-shadow: var(--theme-shadow-md);
   transition: transform 0.3s, box-shadow 0.3s;
 }
 
 .product-card:hover {
   transform: translateY(-4px);
-  box-shadow: 0 8px 25px rgba(0, 0, 0, 0.15);
+  box-shadow: var(--theme-shadow-lg);
 }
 
 .product-image-container {
@@ -938,22 +1362,22 @@ main {
 }
 
 .product-info {
-  padding: 1.5rem;
+  padding: calc(var(--theme-space-md) * 1.5);
 }
 
 .product-title {
-  font-size: 1.1rem;
-  margin-bottom: 0.5rem;
+  font-size: var(--theme-font-size-h3);
+  margin-bottom: var(--theme-space-sm);
 }
 
 .product-vendor {
   color: #666;
-  font-size: 0.9rem;
-  margin-bottom: 1rem;
+  font-size: var(--theme-font-size-small);
+  margin-bottom: var(--theme-space-md);
 }
 
 .product-price-container {
-  margin: 1rem 0;
+  margin: var(--theme-space-md) 0;
 }
 
 .product-price {
@@ -971,12 +1395,12 @@ main {
 .product-price-original {
   text-decoration: line-through;
   color: #666;
-  margin-left: 0.5rem;
+  margin-left: var(--theme-space-sm);
 }
 
 .product-availability {
-  font-size: 0.9rem;
-  margin: 0.5rem 0;
+  font-size: var(--theme-font-size-small);
+  margin: var(--theme-space-sm) 0;
 }
 
 .product-available {
@@ -987,17 +1411,90 @@ main {
   color: #e74c3c;
 }
 
+.product-price.on-sale {
+  color: #e74c3c;
+}
+
+.stock-status.out-of-stock {
+  color: #e74c3c;
+}
+
+/* Product detail gallery and variant picker */
+.product-images .product-image {
+  display: none;
+  height: auto;
+}
+
+.product-images .product-image.active {
+  display: block;
+}
+
+.product-images .product-image img {
+  width: 100%;
+  border-radius: var(--theme-radius-md);
+}
+
+.product-thumbnails {
+  display: flex;
+  gap: var(--theme-space-sm);
+  margin-top: var(--theme-space-sm);
+  flex-wrap: wrap;
+}
+
+.product-thumbnail {
+  width: 64px;
+  height: 64px;
+  padding: 0;
+  border: 2px solid transparent;
+  border-radius: var(--theme-radius-sm);
+  background: none;
+  cursor: pointer;
+}
+
+.product-thumbnail img {
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+}
+
+.variant-selector {
+  margin: var(--theme-space-md) 0;
+}
+
+.variant-option-group {
+  margin-bottom: calc(var(--theme-space-md) * 0.75);
+}
+
+.variant-option-group label {
+  display: block;
+  font-weight: 600;
+  margin-bottom: var(--theme-space-xs);
+}
+
+.variant-option-group select {
+  width: 100%;
+  padding: 0.6rem;
+  border: 1px solid #ddd;
+  border-radius: var(--theme-radius-sm);
+  font-family: inherit;
+  font-size: var(--theme-font-size-base);
+}
+
 /* Buttons */
 .btn {
   display: inline-block;
-  padding: 0.75rem 1.5rem;
+  padding: var(--theme-button-padding);
   border: none;
-  border-radius: 4px;
+  border-radius: var(--theme-button-radius);
+  box-shadow: var(--theme-button-shadow);
   text-decoration: none;
   text-align: center;
   cursor: pointer;
   transition: all 0.3s;
-  font-size: 1rem;
+  font-family: inherit;
+  font-size: var(--theme-font-size-base);
+  font-weight: var(--theme-button-font-weight);
+  text-transform: var(--theme-button-text-transform);
 }
 
 .btn-primary {
@@ -1012,7 +1509,7 @@ main {
 
 .btn-secondary {
   background: var(--theme-secondary);
-  color: #333;
+  color: var(--theme-text);
 }
 
 .btn:disabled {
@@ -1024,21 +1521,21 @@ main {
 footer {
   background: #333;
   color: white;
-  padding: 3rem 0 1rem;
-  margin-top: 4rem;
+  padding: calc(var(--theme-space-lg) * 1.5) 0 var(--theme-space-md);
+  margin-top: var(--theme-space-xl);
 }
 
 .footer-content {
-  max-width: 1200px;
+  max-width: var(--theme-container-width);
   margin: 0 auto;
-  padding: 0 1rem;
+  padding: 0 var(--theme-space-md);
   display: grid;
   grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-  gap: 2rem;
+  gap: var(--theme-space-lg);
 }
 
 .footer-section h4 {
-  margin-bottom: 1rem;
+  margin-bottom: var(--theme-space-md);
   color: var(--theme-primary);
 }
 
@@ -1047,7 +1544,7 @@ footer {
 }
 
 .footer-section ul li {
-  margin: 0.5rem 0;
+  margin: var(--theme-space-sm) 0;
 }
 
 .footer-section a {
@@ -1067,15 +1564,74 @@ footer {
   
   .products-grid {
     grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-    gap: 1rem;
+    gap: var(--theme-space-md);
   }
   
   nav {
     flex-direction: column;
-    gap: 1rem;
+    gap: var(--theme-space-md);
   }
 }
-`;
+${ContentBlocks.getStyles()}
+${StoreCart.getStyles()}
+${this.generateColorSchemeCSS(themeConfig, colorScheme)}
+${themeConfig.custom_css ? `\n/* Theme custom CSS */\n${themeConfig.custom_css}` : ''}`;
+  }
+
+  /**
+   * Dark palette of the theme for a colour scheme: auto applies it under
+   * prefers-color-scheme: dark when the theme defines one, dark always applies it
+   * (with the default dark colours for themes without a palette)
+   */
+  generateColorSchemeCSS(themeConfig, colorScheme = 'auto') {
+    if (colorScheme === 'light') {
+      return ':root {\n  color-scheme: light;\n}';
+    }
+
+    if (colorScheme !== 'dark' && !ThemeTokens.hasDarkPalette(themeConfig)) {
+      return '';
+    }
+
+    const darkCSS = `:root {
+  color-scheme: dark;
+${ThemeTokens.toDarkDeclarations(themeConfig)}
+}
+
+/* Light surfaces and greys that don't use the palette */
+.product-card,
+.cart-drawer {
+  background: var(--theme-surface);
+}
+
+.product-image-placeholder,
+.product-vendor,
+.product-price-original,
+.image-block figcaption,
+.gallery-item figcaption,
+.testimonial-role,
+.cart-item-variant,
+.cart-item-remove,
+.cart-empty {
+  color: #a0a4ab;
+}
+
+.faq-item,
+.cart-drawer-header,
+.cart-drawer-footer,
+.variant-option-group select {
+  border-color: rgba(255, 255, 255, 0.15);
+}
+
+.variant-option-group select {
+  background: var(--theme-surface);
+  color: var(--theme-text);
+}`;
+
+    if (colorScheme === 'dark') {
+      return darkCSS;
+    }
+
+    return `@media (prefers-color-scheme: dark) {\n${darkCSS.split('\n').map(line => line ? `  ${line}` : line).join('\n')}\n}`;
   }
 
   /**
@@ -1086,11 +1642,18 @@ footer {
 // Generated JavaScript for ${store.name}
 
 // Product view function
-function viewProduct(handle) {
-  // Navigate to the product detail page
-  window.location.href = '/products/' + handle;
+function viewProduct(handle, languagePath) {
+  // Navigate to the product detail page (language versions live under /<code>/)
+  window.location.href = (languagePath || '') + '/products/' + handle;
 }
 
+// Remember a language picked in the switcher so the home page stops following the browser language
+document.querySelectorAll('[data-store-language]').forEach(link => {
+  link.addEventListener('click', function() {
+    document.cookie = 'store_language=' + this.getAttribute('data-store-language') + '; path=/; max-age=31536000; SameSite=Lax';
+  });
+});
+
 // Basic smooth scrolling for anchor links
 document.querySelectorAll('a[href^="#"]').forEach(anchor => {
   anchor.addEventListener('click', function (e) {
@@ -1115,6 +1678,8 @@ document.addEventListener('DOMContentLoaded', function() {
   });
 });
 
+${VariantSelector.getScript()}
+${this.storeCart.getScript(store)}
 console.log('🏪 Store: ${store.name} | Domain: ${store.domain} | Generated with Claude Code');
 `;
   }
@@ -1150,14 +1715,17 @@ Sitemap: https://${store.domain}/sitemap.xml
    */
   getDefaultTemplate() {
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="{{html_lang}}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>{{meta_title}}</title>
     <meta name="description" content="{{meta_description}}">
+    {{{social_meta}}}
+    {{{hreflang_links}}}
     ${`{{favicon_url}}` ? `<link rel="icon" href="{{favicon_url}}">` : ''}
     <link rel="stylesheet" href="{{css_path}}">
+    {{{structured_data}}}
 </head>
 <body>
     <header>
@@ -1191,7 +1759,7 @@ Sitemap: https://${store.domain}/sitemap.xml
 
         {{#if products_html}}
         <div class="products-section">
-            <h2>Our Products</h2>
+            <h2>{{t.common.ourProducts}}</h2>
             <div class="products-grid">
                 {{{products_html}}}
             </div>
@@ -1202,11 +1770,11 @@ Sitemap: https://${store.domain}/sitemap.xml
     <footer>
         {{{footer_content}}}
         <div class="footer-bottom">
-            <p>&copy; {{current_year}} {{store_name}}. All rights reserved.</p>
+            <p>&copy; {{current_year}} {{store_name}}. {{t.footer.allRightsReserved}}</p>
         </div>
     </footer>
 
-    <script src="scripts.js"></script>
+    <script src="{{js_path}}"></script>
 </body>
 </html>`;
   }
@@ -0,0 +1,209 @@
+const db = require('../database/db');
+const ColorContrast = require('./ColorContrast');
+
+/**
+ * Theme Inheritance
+ * A theme can name a parent (themes.parent_id) and keep only the css_variables
+ * it overrides; everything else comes from the parent chain. Brand themes stay
+ * in sync with their base theme instead of drifting like duplicated copies.
+ */
+
+const MAX_DEPTH = 10;
+
+class ThemeInheritance {
+  /**
+   * The theme followed by its ancestors, nearest first
+   * Stops at a missing parent, a cycle or MAX_DEPTH levels
+   */
+  static async getChain(themeId) {
+    const chain = [];
+    const seen = new Set();
+    let id = themeId;
+
+    while (id !== null && id !== undefined && !seen.has(String(id)) && chain.length < MAX_DEPTH) {
+      seen.add(String(id));
+
+      const theme = await db.get('SELECT * FROM themes WHERE id = ?', [id]);
+      if (!theme) break;
+
+      chain.push(theme);
+      id = theme.parent_id;
+    }
+
+    return chain;
+  }
+
+  static parseVariables(theme) {
+    try {
+      const variables = JSON.parse(theme.css_variables || '{}');
+      return variables && typeof variables === 'object' && !Array.isArray(variables) ? variables : {};
+    } catch (error) {
+      console.warn(`⚠️ Failed to parse CSS variables for theme ${theme.id}, ignoring them`);
+      return {};
+    }
+  }
+
+  /**
+   * css_variables of a chain, with each theme overriding its ancestors
+   */
+  static mergeVariables(chain) {
+    return chain.reduceRight((variables, theme) => ({ ...variables, ...this.parseVariables(theme) }), {});
+  }
+
+  /**
+   * custom_css of a chain, ancestors first so each theme's rules win
+   */
+  static mergeCustomCss(chain) {
+    return [...chain].reverse()
+      .map(theme => (theme.custom_css || '').trim())
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Where each variable of the first theme in the chain comes from:
+   * { key: { value, themeId, themeName, inherited } }
+   */
+  static describe(chain) {
+    const sources = {};
+
+    [...chain].reverse().forEach(theme => {
+      for (const [key, value] of Object.entries(this.parseVariables(theme))) {
+        sources[key] = {
+          value,
+          themeId: theme.id,
+          themeName: theme.name,
+          inherited: theme !== chain[0]
+        };
+      }
+    });
+
+    return sources;
+  }
+
+  /**
+   * Merged css_variables of a theme and its ancestors
+   */
+  static async resolveVariables(themeId) {
+    return this.mergeVariables(await this.getChain(themeId));
+  }
+
+  /**
+   * Ids of every theme below a theme
+   */
+  static async getDescendantIds(themeId) {
+    const rows = await db.all(`
+      WITH RECURSIVE descendants(id) AS (
+        SELECT id FROM themes WHERE parent_id = ?
+        UNION
+        SELECT themes.id FROM themes JOIN descendants ON themes.parent_id = descendants.id
+      )
+      SELECT id FROM descendants
+    `, [themeId]);
+
+    return rows.map(row => row.id).filter(id => String(id) !== String(themeId));
+  }
+
+  /**
+   * Contrast (ColorContrast.checkValues) of a theme saved with the given parent and
+   * css_variables, and of every theme below it, which inherits the colours it doesn't
+   * override. Failures of child themes are named after them and listed in descendants;
+   * themeId is null for a theme that doesn't exist yet
+   */
+  static async checkContrast(themeId, parentId, cssVariables = {}) {
+    const variables = { ...await this.resolveVariables(parentId), ...cssVariables };
+    const contrast = ColorContrast.checkValues(variables);
+    const descendants = [];
+
+    const descendantIds = themeId === null || themeId === undefined ? [] : await this.getDescendantIds(themeId);
+    for (const descendantId of descendantIds) {
+      // The themes between the descendant and the saved theme, nearest first
+      const chain = await this.getChain(descendantId);
+      const savedIndex = chain.findIndex(theme => String(theme.id) === String(themeId));
+      if (savedIndex === -1) continue;
+
+      const descendantContrast = ColorContrast.checkValues({ ...variables, ...this.mergeVariables(chain.slice(0, savedIndex)) });
+      if (!descendantContrast.passesAA) {
+        descendants.push({ id: chain[0].id, name: chain[0].name, failures: descendantContrast.failures });
+      }
+    }
+
+    return {
+      ...contrast,
+      passesAA: contrast.passesAA && descendants.length === 0,
+      failures: [
+        ...contrast.failures,
+        ...descendants.flatMap(descendant => descendant.failures.map(failure => `${descendant.name}: ${failure}`))
+      ],
+      descendants
+    };
+  }
+
+  /**
+   * Whether a request asks to save a theme whose colours fail contrast: true, 'true' or '1'
+   */
+  static allowsLowContrast(value) {
+    return [true, 'true', '1'].includes(value);
+  }
+
+  /**
+   * checkContrast, with the error of a theme whose colours fail it unless
+   * allowLowContrast (the request's allow_low_contrast) overrides that
+   */
+  static async validateContrast(themeId, parentId, cssVariables, allowLowContrast) {
+    const contrast = await this.checkContrast(themeId, parentId, cssVariables);
+    const error = contrast.passesAA || this.allowsLowContrast(allowLowContrast)
+      ? null
+      : `Theme colours fail WCAG AA contrast: ${contrast.failures.join(', ')}`;
+
+    return { contrast, error };
+  }
+
+  /**
+   * Why a theme can't have the given parent, or null when it can
+   * themeId is null for a theme that doesn't exist yet
+   */
+  static async validateParent(themeId, parentId) {
+    if (parentId === null || parentId === undefined || parentId === '') return null;
+
+    if (themeId !== null && String(parentId) === String(themeId)) {
+      return 'A theme cannot be its own parent';
+    }
+
+    const parent = await db.get('SELECT id FROM themes WHERE id = ?', [parentId]);
+    if (!parent) {
+      return 'Parent theme not found';
+    }
+
+    if (themeId !== null) {
+      const descendantIds = (await this.getDescendantIds(themeId)).map(String);
+      if (descendantIds.includes(String(parentId))) {
+        return 'A theme cannot inherit from one of its own child themes';
+      }
+    }
+
+    const depth = (await this.getChain(parentId)).length;
+    if (depth >= MAX_DEPTH) {
+      return `Themes can be nested at most ${MAX_DEPTH} levels deep`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Stores whose theme is the given theme or one of its descendants
+   * Stores without theme_id_new still use their legacy theme_id (a TEXT column), so ids are compared as text
+   */
+  static async getAffectedStores(themeId) {
+    const themeIds = [themeId, ...await this.getDescendantIds(themeId)].map(String);
+    const placeholders = themeIds.map(() => '?').join(', ');
+
+    return await db.all(
+      `SELECT id, uuid, name, domain, theme_id_new, theme_id FROM stores
+       WHERE CAST(COALESCE(theme_id_new, theme_id) AS TEXT) IN (${placeholders}) ORDER BY name`,
+      themeIds
+    );
+  }
+}
+
+module.exports = ThemeInheritance;
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database/db');
+const ThemeTokens = require('./ThemeTokens');
+const ThemeInheritance = require('./ThemeInheritance');
+const ColorContrast = require('./ColorContrast');
+
+/**
+ * Theme Package
+ * Versioned JSON export of a theme, to move it between platform instances or
+ * share it between teams. A package is self-contained: inherited variables and
+ * custom CSS are merged in and a local preview image is embedded as a data URL.
+ *
+ *   { "format": "multistore-theme", "version": 1, "exported_at": "...",
+ *     "theme": { "name", "description", "css_variables", "inherits_from",
+ *                "layout_config", "header_config", "footer_config",
+ *                "custom_css", "preview_image" } }
+ */
+
+const PACKAGE_FORMAT = 'multistore-theme';
+const PACKAGE_VERSION = 1;
+
+const CONFIG_FIELDS = ['layout_config', 'header_config', 'footer_config'];
+const CONFLICT_MODES = ['rename', 'replace', 'skip'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CUSTOM_CSS_LENGTH = 100000;
+const MAX_PREVIEW_IMAGE_LENGTH = 2 * 1024 * 1024;
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+class ThemePackage {
+  static getConflictModes() {
+    return CONFLICT_MODES;
+  }
+
+  /**
+   * Package of a theme, or null when the theme doesn't exist
+   */
+  static async export(themeId) {
+    const chain = await ThemeInheritance.getChain(themeId);
+    if (chain.length === 0) return null;
+
+    const theme = chain[0];
+    const configs = Object.fromEntries(CONFIG_FIELDS.map(field => [field, this.parseConfig(theme[field])]));
+
+    return {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      exported_at: new Date().toISOString(),
+      theme: {
+        name: theme.name,
+        description: theme.description || '',
+        css_variables: ThemeInheritance.mergeVariables(chain),
+        inherits_from: chain.slice(1).map(parent => parent.name),
+        ...configs,
+        custom_css: ThemeInheritance.mergeCustomCss(chain),
+        preview_image: this.embedPreviewImage(theme.preview_image)
+      }
+    };
+  }
+
+  /**
+   * Download name of a package: theme-<slug>.json
+   */
+  static getFilename(themePackage) {
+    const slug = String(themePackage.theme.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `theme-${slug || 'export'}.json`;
+  }
+
+  static parseConfig(value) {
+    if (!value) return null;
+
+    try {
+      const config = JSON.parse(value);
+      return config && typeof config === 'object' && !Array.isArray(config) ? config : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Preview images served from public/ become data URLs; other values are kept
+   */
+  static embedPreviewImage(image) {
+    if (!image || !image.startsWith('/') || image.startsWith('//')) return image || null;
+
+    const filePath = path.join(PUBLIC_DIR, image);
+    const type = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+    if (!type || !filePath.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(filePath)) return image;
+
+    try {
+      return `data:${type};base64,${fs.readFileSync(filePath).toString('base64')}`;
+    } catch (error) {
+      console.warn(`⚠️ Failed to embed preview image ${image}: ${error.message}`);
+      return image;
+    }
+  }
+
+  static isValidPreviewImage(image) {
+    if (image.length > MAX_PREVIEW_IMAGE_LENGTH) return false;
+
+    return /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i.test(image)
+      || /^https?:\/\/[^\s"'<>]+$/i.test(image)
+      || /^\/(?!\/)[^\s"'<>]*$/.test(image);
+  }
+
+  /**
+   * Error messages for a package that can't be imported
+   */
+  static validate(themePackage) {
+    if (!themePackage || typeof themePackage !== 'object' || Array.isArray(themePackage)) {
+      return ['Package must be a JSON object'];
+    }
+
+    if (themePackage.format !== PACKAGE_FORMAT) {
+      return [`Package format must be "${PACKAGE_FORMAT}"`];
+    }
+
+    if (!Number.isInteger(themePackage.version) || themePackage.version < 1) {
+      return ['Package version must be a positive integer'];
+    }
+
+    if (themePackage.version > PACKAGE_VERSION) {
+      return [`Package version ${themePackage.version} is newer than this platform supports (${PACKAGE_VERSION})`];
+    }
+
+    const theme = themePackage.theme;
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+      return ['Package has no theme'];
+    }
+
+    const errors = [];
+
+    if (typeof theme.name !== 'string' || theme.name.trim() === '') {
+      errors.push('Theme name is required');
+    } else if (theme.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`Theme name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (theme.description !== undefined && theme.description !== null && typeof theme.description !== 'string') {
+      errors.push('Theme description must be text');
+    }
+
+    errors.push(...ThemeTokens.validate(theme.css_variables));
+
+    for (const field of CONFIG_FIELDS) {
+      const config = theme[field];
+      if (config !== undefined && config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        errors.push(`${field} must be a JSON object`);
+      }
+    }
+
+    if (theme.custom_css !== undefined && theme.custom_css !== null) {
+      if (typeof theme.custom_css !== 'string') {
+        errors.push('custom_css must be text');
+      } else if (theme.custom_css.length > MAX_CUSTOM_CSS_LENGTH) {
+        errors.push(`custom_css must be at most ${MAX_CUSTOM_CSS_LENGTH} characters`);
+      }
+    }
+
+    if (theme.preview_image !== undefined && theme.preview_image !== null
+      && (typeof theme.preview_image !== 'string' || !this.isValidPreviewImage(theme.preview_image))) {
+      errors.push('preview_image must be an http(s) URL, a path or a PNG, JPEG, GIF or WebP data URL');
+    }
+
+    return errors;
+  }
+
+  /**
+   * First free name of the form "Name (2)", "Name (3)", ...
+   */
+  static async getAvailableName(name) {
+    for (let copy = 2; ; copy++) {
+      const candidate = `${name} (${copy})`;
+      const existing = await db.get('SELECT id FROM themes WHERE lower(name) = lower(?)', [candidate]);
+      if (!existing) return candidate;
+    }
+  }
+
+  /**
+   * What importing a package would do, without changing anything
+   * onConflict decides what happens when a theme with the same name exists:
+   * rename imports it as "Name (2)", replace overwrites that theme, skip imports nothing
+   */
+  static async plan(themePackage, onConflict = 'rename') {
+    const errors = this.validate(themePackage);
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      errors.push(`on_conflict must be one of ${CONFLICT_MODES.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, warnings: [], action: null, name: null, conflict: null };
+    }
+
+    const theme = themePackage.theme;
+    const name = theme.name.trim();
+    const warnings = [];
+
+    const tokens = ThemeTokens.getDefaults();
+    const unknownVariables = Object.keys(theme.css_variables).filter(key => !(key in tokens));
+    if (unknownVariables.length > 0) {
+      warnings.push(`Variables without a design token are kept but not used by the stylesheet: ${unknownVariables.join(', ')}`);
+    }
+
+    const contrast = ColorContrast.checkValues(theme.css_variables);
+    if (!contrast.passesAA) {
+      warnings.push(`Colours fail WCAG AA contrast: ${contrast.failures.join(', ')}`);
+    }
+
+    if (Array.isArray(theme.inherits_from) && theme.inherits_from.length > 0) {
+      warnings.push(`Values inherited from ${theme.inherits_from.join(' → ')} are included; the theme is imported without a parent`);
+    }
+
+    const conflict = await db.get('SELECT id, name FROM themes WHERE lower(name) = lower(?)', [name]) || null;
+    let action = 'create';
+    let finalName = name;
+
+    if (conflict) {
+      if (onConflict === 'rename') {
+        finalName = await this.getAvailableName(name);
+        warnings.push(`A theme named "${conflict.name}" exists; the package is imported as "${finalName}"`);
+      } else if (onConflict === 'replace') {
+        action = 'replace';
+        warnings.push(`Theme "${conflict.name}" will be overwritten`);
+      } else {
+        action = 'skip';
+        warnings.push(`A theme named "${conflict.name}" exists; nothing is imported`);
+      }
+    }
+
+    return { valid: true, errors: [], warnings, action, name: finalName, conflict };
+  }
+
+  /**
+   * Import a package; dryRun only returns the plan
+   * Returns the plan with the created or replaced theme and, for a replaced
+   * theme, the stores that need a redeploy
+   */
+  static async import(themePackage, { onConflict = 'rename', dryRun = false } = {}) {
+    const plan = await this.plan(themePackage, onConflict);
+    if (!plan.valid || dryRun || plan.action === 'skip') {
+      return { ...plan, theme: null, affectedStores: [] };
+    }
+
+    const theme = themePackage.theme;
+    const values = [
+      plan.name,
+      theme.description || '',
+      JSON.stringify(theme.css_variables),
+      ...CONFIG_FIELDS.map(field => theme[field] ? JSON.stringify(theme[field]) : null),
+      theme.custom_css || null,
+      theme.preview_image || null
+    ];
+
+    let themeId;
+    if (plan.action === 'replace') {
+      themeId = plan.conflict.id;
+      await db.run(`
+        UPDATE themes
+        SET name = ?, description = ?, css_variables = ?, layout_config = ?, header_config = ?, footer_config = ?,
+            custom_css = ?, preview_image = ?, parent_id = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...values, themeId]);
+    } else {
+      const result = await db.run(`
+        INSERT INTO themes (name, description, css_variables, layout_config, header_config, footer_config, custom_css, preview_image, is_default, is_active, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 1, CURRENT_TIMESTAMP)
+      `, values);
+      themeId = result.id;
+    }
+
+    console.log(`📦 Imported theme package as ${plan.name} (ID: ${themeId}, ${plan.action})`);
+
+    return {
+      ...plan,
+      theme: await db.get('SELECT * FROM themes WHERE id = ?', [themeId]),
+      affectedStores: plan.action === 'replace' ? await ThemeInheritance.getAffectedStores(themeId) : []
+    };
+  }
+}
+
+module.exports = ThemePackage;
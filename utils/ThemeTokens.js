@@ -0,0 +1,236 @@
+/**
+ * Theme Tokens
+ * Design tokens of a theme: colours, typography, spacing, radius, buttons and
+ * shadows. Themes keep them in themes.css_variables (JSON, snake_case keys);
+ * the generated stylesheet declares each one as --theme-<key> in :root and
+ * uses the custom properties instead of fixed values.
+ *
+ *   { "primary": "#667eea", "font_body": "Georgia, serif", "radius_md": "12px" }
+ *   => --theme-primary, --theme-font-body, --theme-radius-md
+ *
+ * Tokens a theme doesn't set keep their default.
+ *
+ * A theme can also define a dark palette with dark_<colour> keys
+ * ("dark_background": "#121212"). It is emitted for stores whose colour scheme
+ * is auto (under prefers-color-scheme: dark) or dark-only.
+ */
+
+const SYSTEM_FONTS = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+const TOKEN_GROUPS = [
+  {
+    id: 'colors',
+    label: 'Colors',
+    tokens: {
+      primary: { label: 'Primary', default: '#007cba' },
+      secondary: { label: 'Secondary', default: '#f8f9fa' },
+      accent: { label: 'Accent', default: '#007cba' },
+      background: { label: 'Background', default: '#ffffff' },
+      surface: { label: 'Surface', default: '#f8f9fa' },
+      text: { label: 'Text', default: '#333333' }
+    }
+  },
+  {
+    id: 'typography',
+    label: 'Typography',
+    tokens: {
+      font_body: {
+        label: 'Body Font',
+        default: SYSTEM_FONTS,
+        options: [SYSTEM_FONTS, 'Inter, system-ui, sans-serif', 'Arial, sans-serif', 'Helvetica, sans-serif', 'Roboto, sans-serif', 'Poppins, sans-serif', 'Georgia, serif', "'Times New Roman', serif"]
+      },
+      font_heading: {
+        label: 'Heading Font',
+        default: SYSTEM_FONTS,
+        options: [SYSTEM_FONTS, 'Inter, system-ui, sans-serif', 'Poppins, sans-serif', 'Georgia, serif', "'Playfair Display', serif", "'Times New Roman', serif"]
+      },
+      font_size_base: { label: 'Base Size', default: '1rem', options: ['0.9375rem', '1rem', '1.0625rem', '1.125rem'] },
+      font_size_small: { label: 'Small Size', default: '0.875rem', options: ['0.75rem', '0.8125rem', '0.875rem'] },
+      font_size_h1: { label: 'Heading 1 Size', default: '3rem', options: ['2.5rem', '3rem', '3.5rem', '4rem'] },
+      font_size_h2: { label: 'Heading 2 Size', default: '1.75rem', options: ['1.5rem', '1.75rem', '2rem', '2.25rem'] },
+      font_size_h3: { label: 'Heading 3 Size', default: '1.1rem', options: ['1rem', '1.1rem', '1.25rem', '1.5rem'] },
+      font_weight_heading: { label: 'Heading Weight', default: '700', options: ['400', '500', '600', '700', '800'] },
+      line_height_body: { label: 'Body Line Height', default: '1.6', options: ['1.4', '1.5', '1.6', '1.75'] },
+      line_height_heading: { label: 'Heading Line Height', default: '1.2', options: ['1.1', '1.2', '1.3', '1.4'] }
+    }
+  },
+  {
+    id: 'spacing',
+    label: 'Spacing',
+    tokens: {
+      space_xs: { label: 'Extra Small', default: '0.25rem' },
+      space_sm: { label: 'Small', default: '0.5rem' },
+      space_md: { label: 'Medium', default: '1rem' },
+      space_lg: { label: 'Large', default: '2rem' },
+      space_xl: { label: 'Extra Large', default: '4rem' },
+      container_width: { label: 'Max Width', default: '1200px', options: ['960px', '1140px', '1200px', '1440px', '100%'] }
+    }
+  },
+  {
+    id: 'radius',
+    label: 'Border Radius',
+    tokens: {
+      radius_sm: { label: 'Small', default: '4px', options: ['0', '2px', '4px', '6px'] },
+      radius_md: { label: 'Medium', default: '8px', options: ['0', '4px', '8px', '12px', '16px'] },
+      radius_lg: { label: 'Large', default: '12px', options: ['0', '8px', '12px', '16px', '24px'] }
+    }
+  },
+  {
+    id: 'buttons',
+    label: 'Buttons',
+    tokens: {
+      button_padding: { label: 'Padding', default: '0.75rem 1.5rem', options: ['0.5rem 1rem', '0.75rem 1.5rem', '1rem 2rem'] },
+      button_radius: { label: 'Radius', default: '4px', options: ['0', '4px', '8px', '999px'] },
+      button_font_weight: { label: 'Font Weight', default: '400', options: ['400', '500', '600', '700'] },
+      button_text_transform: { label: 'Text Transform', default: 'none', options: ['none', 'uppercase', 'capitalize'] },
+      button_shadow: { label: 'Shadow', default: 'none', options: ['none', '0 1px 3px rgba(0, 0, 0, 0.12)', '0 4px 12px rgba(0, 0, 0, 0.15)'] }
+    }
+  },
+  {
+    id: 'shadows',
+    label: 'Shadows',
+    tokens: {
+      shadow_sm: { label: 'Small', default: '0 1px 3px rgba(0, 0, 0, 0.1)', options: ['none', '0 1px 3px rgba(0, 0, 0, 0.1)', '0 1px 2px rgba(0, 0, 0, 0.05)'] },
+      shadow_md: { label: 'Medium', default: '0 4px 6px rgba(0, 0, 0, 0.1)', options: ['none', '0 4px 6px rgba(0, 0, 0, 0.1)', '0 2px 8px rgba(0, 0, 0, 0.08)'] },
+      shadow_lg: { label: 'Large', default: '0 8px 25px rgba(0, 0, 0, 0.15)', options: ['none', '0 8px 25px rgba(0, 0, 0, 0.15)', '0 12px 32px rgba(0, 0, 0, 0.2)'] }
+    }
+  }
+];
+
+const TOKENS = Object.assign({}, ...TOKEN_GROUPS.map(group => group.tokens));
+
+const MAX_VALUE_LENGTH = 200;
+
+const COLOR_KEYS = Object.keys(TOKEN_GROUPS.find(group => group.id === 'colors').tokens);
+const DARK_PREFIX = 'dark_';
+
+// Dark colours a palette leaves out; primary and accent keep their light value
+const DARK_DEFAULTS = {
+  secondary: '#2a2d31',
+  background: '#121212',
+  surface: '#1e1e1e',
+  text: '#e6e6e6'
+};
+
+const COLOR_SCHEMES = ['auto', 'light', 'dark'];
+
+class ThemeTokens {
+  /**
+   * Token groups with labels, defaults and suggested values, in theme builder order
+   */
+  static getGroups() {
+    return TOKEN_GROUPS;
+  }
+
+  /**
+   * Default value of every token
+   */
+  static getDefaults() {
+    return Object.fromEntries(Object.entries(TOKENS).map(([key, token]) => [key, token.default]));
+  }
+
+  /**
+   * Custom property of a token: font_body => --theme-font-body
+   */
+  static getPropertyName(key) {
+    return `--theme-${key.replace(/_/g, '-')}`;
+  }
+
+  /**
+   * Whether a value can be written into a declaration without breaking out of it
+   */
+  static isValidValue(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+
+    const text = String(value).trim();
+    return text !== '' && text.length <= MAX_VALUE_LENGTH && !/[;{}<>\\]|\/\*|url\s*\(|expression\s*\(/i.test(text);
+  }
+
+  /**
+   * Error messages for invalid token values in a theme's css_variables; keys that aren't tokens are kept as they are
+   */
+  static validate(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return ['CSS variables must be a JSON object'];
+    }
+
+    return Object.entries(values)
+      .filter(([key, value]) => (TOKENS[key] || this.isDarkKey(key)) && value !== '' && value !== null && value !== undefined && !this.isValidValue(value))
+      .map(([key]) => `${key} must be a CSS value without ; { } < > \\, comments or url()`);
+  }
+
+  /**
+   * Every token of a theme, with the defaults for missing or invalid values
+   */
+  static resolve(values = {}) {
+    const tokens = this.getDefaults();
+
+    for (const key of Object.keys(tokens)) {
+      if (this.isValidValue(values[key])) {
+        tokens[key] = String(values[key]).trim();
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * :root declarations of a theme's tokens
+   */
+  static toCss(values = {}) {
+    const declarations = Object.entries(this.resolve(values))
+      .map(([key, value]) => `  ${this.getPropertyName(key)}: ${value};`)
+      .join('\n');
+
+    return `:root {\n${declarations}\n}`;
+  }
+
+  /**
+   * Store colour schemes: auto follows the visitor's system setting
+   */
+  static getColorSchemes() {
+    return COLOR_SCHEMES;
+  }
+
+  static getColorKeys() {
+    return COLOR_KEYS;
+  }
+
+  static isDarkKey(key) {
+    return key.startsWith(DARK_PREFIX) && COLOR_KEYS.includes(key.slice(DARK_PREFIX.length));
+  }
+
+  /**
+   * The valid dark_<colour> values a theme sets
+   */
+  static getDarkValues(values = {}) {
+    return Object.fromEntries(Object.entries(values)
+      .filter(([key, value]) => this.isDarkKey(key) && this.isValidValue(value))
+      .map(([key, value]) => [key, String(value).trim()]));
+  }
+
+  static hasDarkPalette(values = {}) {
+    return Object.keys(this.getDarkValues(values)).length > 0;
+  }
+
+  /**
+   * Every colour of the dark palette, keyed like the light colours
+   */
+  static resolveDark(values = {}) {
+    const light = this.resolve(values);
+    const dark = this.getDarkValues(values);
+
+    return Object.fromEntries(COLOR_KEYS.map(key => [key, dark[DARK_PREFIX + key] || DARK_DEFAULTS[key] || light[key]]));
+  }
+
+  /**
+   * Declarations overriding the colour custom properties with the dark palette
+   */
+  static toDarkDeclarations(values = {}) {
+    return Object.entries(this.resolveDark(values))
+      .map(([key, value]) => `  ${this.getPropertyName(key)}: ${value};`)
+      .join('\n');
+  }
+}
+
+module.exports = ThemeTokens;
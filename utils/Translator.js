@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const StoreLocale = require('./StoreLocale');
+
+/**
+ * Translator
+ * Storefront strings from the catalogs in locales/<language>.json, keyed by
+ * dotted paths such as product.addToCart. Lookups go through the store's
+ * overrides, then the store language, then English; {name} placeholders are
+ * filled from the params object
+ */
+
+const LOCALES_PATH = path.join(__dirname, '..', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+const catalogCache = new Map();
+
+class Translator {
+  constructor(language, overrides = {}) {
+    this.language = StoreLocale.getLanguageCode(language) || DEFAULT_LANGUAGE;
+    this.overrides = overrides || {};
+    this.strings = Translator.flatten(Translator.getCatalog(this.language));
+    this.fallback = Translator.flatten(Translator.getCatalog(DEFAULT_LANGUAGE));
+  }
+
+  /**
+   * Translator for a store, including its per-store overrides
+   */
+  static async forStore(store) {
+    let overrides = {};
+
+    if (typeof store.getTranslationOverrides === 'function') {
+      try {
+        overrides = await store.getTranslationOverrides();
+      } catch (error) {
+        console.error(`❌ Failed to load translation overrides for ${store.domain}:`, error.message);
+      }
+    }
+
+    return new Translator(store.language, overrides);
+  }
+
+  /**
+   * Parsed catalog for a language code; languages without a catalog get {}
+   */
+  static getCatalog(language) {
+    if (catalogCache.has(language)) return catalogCache.get(language);
+
+    let catalog = {};
+    const catalogPath = path.join(LOCALES_PATH, `${language}.json`);
+
+    if (/^[a-z]{2,3}$/.test(language) && fs.existsSync(catalogPath)) {
+      try {
+        catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Invalid translation catalog ${language}.json:`, error.message);
+      }
+    }
+
+    catalogCache.set(language, catalog);
+    return catalog;
+  }
+
+  /**
+   * Language codes that have a catalog file
+   */
+  static getAvailableLanguages() {
+    if (!fs.existsSync(LOCALES_PATH)) return [];
+
+    return fs.readdirSync(LOCALES_PATH)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  }
+
+  /**
+   * Every translatable key, taken from the English catalog
+   */
+  static getKeys() {
+    return Object.keys(Translator.flatten(Translator.getCatalog(DEFAULT_LANGUAGE)));
+  }
+
+  /**
+   * Flatten a nested catalog into { 'group.key': value }
+   */
+  static flatten(catalog, prefix = '') {
+    const flat = {};
+
+    for (const [key, value] of Object.entries(catalog || {})) {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object') {
+        Object.assign(flat, Translator.flatten(value, fullKey));
+      } else {
+        flat[fullKey] = String(value);
+      }
+    }
+
+    return flat;
+  }
+
+  /**
+   * Missing keys per language for each catalog and each store language.
+   * stores is an optional list of { domain, language } to include
+   */
+  static getMissingTranslationsReport(stores = []) {
+    const report = {};
+    const languages = new Set(Translator.getAvailableLanguages());
+
+    for (const store of stores) {
+      const code = StoreLocale.getLanguageCode(store.language);
+      if (code) languages.add(code);
+    }
+    languages.delete(DEFAULT_LANGUAGE);
+
+    const total = Translator.getKeys().length;
+
+    for (const language of Array.from(languages).sort()) {
+      const missing = new Translator(language).getMissingKeys();
+      report[language] = {
+        hasCatalog: Translator.getAvailableLanguages().includes(language),
+        total,
+        translated: total - missing.length,
+        missing,
+        stores: stores
+          .filter(store => StoreLocale.getLanguageCode(store.language) === language)
+          .map(store => store.domain)
+      };
+    }
+
+    return report;
+  }
+
+  /**
+   * Translate a dotted key; unknown keys come back unchanged
+   */
+  t(key, params = {}) {
+    let value = this.overrides[key];
+    if (value === undefined || value === null || value === '') value = this.strings[key];
+    if (value === undefined) value = this.fallback[key];
+    if (value === undefined) return key;
+
+    return String(value).replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+  }
+
+  has(key) {
+    return key in this.strings || key in this.fallback || Boolean(this.overrides[key]);
+  }
+
+  /**
+   * Translated strings of one group, e.g. getGroup('cart') for StoreCart labels
+   */
+  getGroup(group) {
+    const prefix = `${group}.`;
+    const strings = {};
+
+    for (const key of Object.keys(this.fallback)) {
+      if (key.startsWith(prefix) && !key.slice(prefix.length).includes('.')) {
+        strings[key.slice(prefix.length)] = this.t(key);
+      }
+    }
+
+    return strings;
+  }
+
+  /**
+   * Keys the store language catalog does not translate (overrides not counted)
+   */
+  getMissingKeys() {
+    return Object.keys(this.fallback).filter(key => !(key in this.strings));
+  }
+
+  /**
+   * Keys neither the store language catalog nor the store's overrides translate
+   */
+  getUntranslatedKeys() {
+    return this.getMissingKeys().filter(key => !this.overrides[key]);
+  }
+
+  /**
+   * Nested catalog with every key resolved, for templates ({{t.product.addToCart}})
+   */
+  toJSON() {
+    const nested = {};
+
+    for (const key of Object.keys(this.fallback)) {
+      const parts = key.split('.');
+      let node = nested;
+      for (const part of parts.slice(0, -1)) {
+        node = node[part] = node[part] || {};
+      }
+      node[parts[parts.length - 1]] = this.t(key);
+    }
+
+    return nested;
+  }
+}
+
+module.exports = Translator;
@@ -0,0 +1,306 @@
+/**
+ * Variant Selector
+ * Option pickers (size, colour, ...) for product pages. The selected variant's
+ * price, compare-at price, availability and image are switched in the browser
+ * through data attributes, so the same script drives static and dynamic pages:
+ *
+ *   [data-variant-price]           selected price (data-currency-symbol overrides the currency sign)
+ *   [data-variant-compare-price]   compare-at price, hidden when not on sale
+ *   [data-variant-savings]         savings amount, hidden when not on sale
+ *   [data-variant-availability]    in stock / out of stock text
+ *   [data-variant-sku]             SKU
+ *   [data-variant-add]             add-to-cart buttons; disabled when sold out, data-variant-id set
+ *   [data-variant-add-label]       button label, toggles between data-add-text and out of stock
+ *   [data-variant-available-only]  hidden when the variant is sold out
+ *   [data-variant-image]           main image, switched to the variant image
+ *   [data-image-src]               gallery items, the variant image gets the active class
+ */
+
+const PriceFormatter = require('./PriceFormatter');
+
+const DEFAULT_LABELS = {
+  inStock: 'In Stock',
+  outOfStock: 'Out of Stock',
+  soldOut: 'Sold out',
+  unavailable: 'Unavailable'
+};
+
+class VariantSelector {
+  constructor(labels = {}) {
+    this.labels = { ...DEFAULT_LABELS, ...labels };
+  }
+
+  /**
+   * Product options with their values; empty for products without a choice to make
+   */
+  getOptions(product) {
+    const variants = product.variants || [];
+
+    let options = (product.options || [])
+      .filter(option => option && option.name && Array.isArray(option.values) && option.values.length > 0)
+      .map(option => ({ name: option.name, values: option.values.map(String) }));
+
+    // Products fetched without options: one option built from the variant titles
+    if (options.length === 0 && variants.length > 1) {
+      options = [{ name: 'Variant', values: [...new Set(variants.map(variant => String(variant.title)))] }];
+    }
+
+    // Shopify gives single-variant products a "Title: Default Title" option
+    if (variants.length <= 1 && options.every(option => option.values.length <= 1)) {
+      return [];
+    }
+
+    return options;
+  }
+
+  /**
+   * Option values of a variant, in product option order
+   */
+  getVariantOptions(variant, options) {
+    if (Array.isArray(variant.options) && variant.options.length === options.length) {
+      return variant.options.map(String);
+    }
+
+    const parts = String(variant.title || '').split(' / ');
+    return parts.length === options.length ? parts : [String(variant.title)];
+  }
+
+  /**
+   * Variant shown when the page loads: the first one in stock
+   * Static too, for the meta tags and structured data that describe the same variant
+   */
+  static getInitialVariant(product) {
+    const variants = product.variants || [];
+    return variants.find(variant => variant.available) || variants[0] || null;
+  }
+
+  getInitialVariant(product) {
+    return VariantSelector.getInitialVariant(product);
+  }
+
+  /**
+   * Image of a variant, falling back to the product's first image
+   */
+  getVariantImage(product, variant) {
+    if (variant && variant.image) return variant.image;
+    return product.images && product.images.length > 0 ? product.images[0].src : null;
+  }
+
+  isOnSale(variant) {
+    return Boolean(variant && variant.compare_at_price && variant.compare_at_price > variant.price);
+  }
+
+  /**
+   * Data the browser script needs to switch variants
+   */
+  getVariantData(product, store) {
+    const options = this.getOptions(product);
+
+    return {
+      options: options.map(option => option.name),
+      labels: this.labels,
+      money: new PriceFormatter(store).getClientConfig(),
+      variants: (product.variants || []).map(variant => ({
+        id: variant.id,
+        options: this.getVariantOptions(variant, options),
+        price: variant.price,
+        compare_at_price: this.isOnSale(variant) ? variant.compare_at_price : null,
+        available: Boolean(variant.available),
+        sku: variant.sku || '',
+        image: variant.image || null
+      }))
+    };
+  }
+
+  /**
+   * Option pickers with the variant data; empty for single-variant products
+   */
+  render(product, store) {
+    const options = this.getOptions(product);
+    if (options.length === 0) return '';
+
+    const initialVariant = this.getInitialVariant(product);
+    const selected = this.getVariantOptions(initialVariant, options);
+    const idPrefix = `variant-${String(product.handle || product.id).replace(/[^A-Za-z0-9_-]/g, '')}`;
+
+    const groupsHtml = options.map((option, index) => `
+              <div class="variant-option-group">
+                <label for="${idPrefix}-${index}">${this.escapeHtml(option.name)}</label>
+                <select id="${idPrefix}-${index}" data-option-index="${index}">
+                  ${option.values.map(value => `<option value="${this.escapeHtml(value)}"${value === selected[index] ? ' selected' : ''}>${this.escapeHtml(value)}</option>`).join('')}
+                </select>
+              </div>`).join('');
+
+    return `
+            <div class="variant-selector" data-variant-selector>${groupsHtml}
+              <input type="hidden" name="id" value="${this.escapeHtml(initialVariant.id)}" data-variant-id-input>
+              <script type="application/json" data-variant-json>${this.toJson(this.getVariantData(product, store))}</script>
+            </div>`;
+  }
+
+  /**
+   * JSON that can't close the surrounding script tag
+   */
+  toJson(data) {
+    return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026');
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Browser script for variant pickers and gallery thumbnails
+   */
+  static getScript() {
+    return `
+// Variant selection
+(function () {
+  function each(root, selector, callback) {
+    Array.prototype.forEach.call(root.querySelectorAll(selector), callback);
+  }
+
+  function findVariant(variants, selected) {
+    return variants.find(function (variant) {
+      return variant.options.every(function (value, index) { return value === selected[index]; });
+    });
+  }
+
+${PriceFormatter.getScript()}
+  function formatAmount(element, amount, money) {
+    return formatPrice(amount, money, element.dataset.currencySymbol);
+  }
+
+  function showImage(root, src) {
+    if (!src) return;
+    each(root, '[data-variant-image]', function (image) { image.src = src; });
+    each(root, '[data-image-src]', function (item) {
+      item.classList.toggle('active', item.dataset.imageSrc === src);
+    });
+  }
+
+  function initVariantSelector(selector) {
+    var dataElement = selector.querySelector('[data-variant-json]');
+    if (!dataElement) return;
+
+    var data = JSON.parse(dataElement.textContent);
+    var root = selector.closest('[data-product]') || document;
+    var selects = Array.prototype.slice.call(selector.querySelectorAll('select[data-option-index]'));
+
+    function selectedValues() {
+      return selects.map(function (select) { return select.value; });
+    }
+
+    // Mark values that are sold out or don't exist with the other current choices
+    function labelOptions() {
+      var selected = selectedValues();
+      selects.forEach(function (select, index) {
+        Array.prototype.forEach.call(select.options, function (option) {
+          var candidate = selected.slice();
+          candidate[index] = option.value;
+          var variant = findVariant(data.variants, candidate);
+          var suffix = !variant ? data.labels.unavailable : (!variant.available ? data.labels.soldOut : '');
+          option.textContent = option.value + (suffix ? ' - ' + suffix : '');
+        });
+      });
+    }
+
+    function update(variant, updateUrl) {
+      var onSale = variant.compare_at_price !== null;
+
+      each(root, '[data-variant-price]', function (element) {
+        element.textContent = formatAmount(element, variant.price, data.money);
+        element.classList.toggle('on-sale', onSale);
+      });
+      each(root, '[data-variant-compare-price]', function (element) {
+        element.textContent = onSale ? formatAmount(element, variant.compare_at_price, data.money) : '';
+        element.hidden = !onSale;
+      });
+      each(root, '[data-variant-savings]', function (element) {
+        element.textContent = onSale ? (element.dataset.label || '') + ' ' + formatAmount(element, variant.compare_at_price - variant.price, data.money) : '';
+        element.hidden = !onSale;
+      });
+      each(root, '[data-variant-availability]', function (element) {
+        element.textContent = variant.available ? data.labels.inStock : data.labels.outOfStock;
+        element.classList.toggle('out-of-stock', !variant.available);
+      });
+      each(root, '[data-variant-sku]', function (element) { element.textContent = variant.sku; });
+      each(root, '[data-variant-add]', function (button) {
+        button.disabled = !variant.available;
+        button.dataset.variantId = variant.id;
+        var label = button.querySelector('[data-variant-add-label]') || button;
+        label.textContent = variant.available ? (label.dataset.addText || label.textContent) : data.labels.outOfStock;
+      });
+      each(root, '[data-variant-available-only]', function (element) { element.hidden = !variant.available; });
+      each(selector, '[data-variant-id-input]', function (input) { input.value = variant.id; });
+
+      showImage(root, variant.image);
+      labelOptions();
+
+      if (updateUrl && window.history && window.history.replaceState) {
+        var url = new URL(window.location.href);
+        url.searchParams.set('variant', variant.id);
+        window.history.replaceState(null, '', url.toString());
+      }
+
+      selector.dispatchEvent(new CustomEvent('variant:change', { bubbles: true, detail: { variant: variant } }));
+    }
+
+    selects.forEach(function (select, index) {
+      select.addEventListener('change', function () {
+        var variant = findVariant(data.variants, selectedValues());
+
+        if (!variant) {
+          // Keep the value just chosen and switch the other options to a matching variant
+          var matches = data.variants.filter(function (candidate) { return candidate.options[index] === select.value; });
+          variant = matches.find(function (candidate) { return candidate.available; }) || matches[0];
+          if (!variant) return;
+          selects.forEach(function (other, otherIndex) { other.value = variant.options[otherIndex]; });
+        }
+
+        update(variant, true);
+      });
+    });
+
+    // Preselect the variant linked with ?variant=<id>
+    var variantId = new URLSearchParams(window.location.search).get('variant');
+    var linkedVariant = variantId && data.variants.find(function (variant) { return String(variant.id) === variantId; });
+    if (linkedVariant) {
+      selects.forEach(function (select, index) { select.value = linkedVariant.options[index]; });
+      update(linkedVariant, false);
+    } else {
+      labelOptions();
+    }
+  }
+
+  function initGallery(root) {
+    each(root, '[data-gallery-thumbnail]', function (thumbnail) {
+      thumbnail.addEventListener('click', function () {
+        showImage(thumbnail.closest('[data-product]') || document, thumbnail.dataset.galleryThumbnail);
+      });
+    });
+  }
+
+  function init() {
+    each(document, '[data-variant-selector]', initVariantSelector);
+    initGallery(document);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
+`;
+  }
+}
+
+module.exports = VariantSelector;
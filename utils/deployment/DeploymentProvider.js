@@ -0,0 +1,66 @@
+const path = require('path');
+
+/**
+ * Deployment Provider
+ * Base class of the targets a store can be deployed to. DeploymentAutomation
+ * runs the steps of one deployment in order on a fresh provider instance:
+ *
+ *   prepare(store, deployment)  - check configuration and set up the target
+ *   upload(store, deployment)   - copy the generated files of stores/<domain>
+ *   activate(store, deployment) - make the uploaded files the live site; returns the deployment result
+ *   verify(store, deployment)   - true when the live site serves the deployment
+ *   teardown(store)             - remove the store from the target (store deletion)
+ *
+ * deployment is { id, options, result, runStep } and result is set to what activate returned.
+ * Log through this.logger (options.logger, console by default) so the lines end up in the deployment's log.
+ */
+class DeploymentProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.logger = options.logger || console;
+    this.storesPath = options.storesPath || path.join(process.cwd(), 'stores');
+  }
+
+  /**
+   * Whether the provider has the settings it needs (shown when choosing a provider)
+   */
+  static isConfigured() {
+    return true;
+  }
+
+  /**
+   * Directory with the generated files of a store
+   */
+  getSourcePath(store) {
+    return path.join(this.storesPath, store.domain);
+  }
+
+  /**
+   * Report part of a step as its own progress step (e.g. the git commit of an upload)
+   */
+  async runStep(deployment, step, run) {
+    return deployment && deployment.runStep ? deployment.runStep(step, run) : run();
+  }
+
+  async prepare(store, deployment) {
+    throw new Error(`${this.constructor.name} does not implement prepare`);
+  }
+
+  async upload(store, deployment) {
+    throw new Error(`${this.constructor.name} does not implement upload`);
+  }
+
+  async activate(store, deployment) {
+    throw new Error(`${this.constructor.name} does not implement activate`);
+  }
+
+  async verify(store, deployment) {
+    throw new Error(`${this.constructor.name} does not implement verify`);
+  }
+
+  async teardown(store) {
+    throw new Error(`${this.constructor.name} does not implement teardown`);
+  }
+}
+
+module.exports = DeploymentProvider;
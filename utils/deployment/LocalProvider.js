@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const DeploymentProvider = require('./DeploymentProvider');
+const StoreDirectory = require('../StoreDirectory');
+
+/**
+ * Local Provider
+ * Publishes stores to a directory on this machine, e.g. the document root of a
+ * web server: <LOCAL_DEPLOY_PATH>/<domain>. Files are staged and swapped in
+ * with StoreDirectory, so the previous release is kept next to the live one.
+ */
+class LocalProvider extends DeploymentProvider {
+  constructor(options = {}) {
+    super(options);
+    this.rootPath = options.rootPath || process.env.LOCAL_DEPLOY_PATH || path.join(process.cwd(), 'deployments');
+    this.publicUrl = options.publicUrl || process.env.LOCAL_DEPLOY_URL || null;
+    this.directory = null;
+  }
+
+  async prepare(store) {
+    const sourcePath = this.getSourcePath(store);
+    if (!fs.existsSync(path.join(sourcePath, 'index.html'))) {
+      throw new Error(`No generated files to deploy for ${store.domain}`);
+    }
+
+    fs.mkdirSync(this.rootPath, { recursive: true });
+    this.directory = new StoreDirectory(store.domain, this.rootPath);
+    this.logger.log(`📁 Deploying ${store.domain} to ${this.directory.livePath}`);
+  }
+
+  async upload(store) {
+    const stagingPath = this.directory.createStaging();
+
+    try {
+      // Exact copy of the generated files, without what the live release had
+      fs.rmSync(stagingPath, { recursive: true, force: true });
+      fs.cpSync(this.getSourcePath(store), stagingPath, { recursive: true });
+      this.directory.validateStaging();
+    } catch (error) {
+      this.directory.discardStaging();
+      throw error;
+    }
+  }
+
+  async activate(store) {
+    const livePath = this.directory.publishStaging();
+    this.logger.log(`✅ ${store.domain} published to ${livePath}`);
+
+    return {
+      method: 'local',
+      success: true,
+      path: livePath,
+      url: this.publicUrl ? `${this.publicUrl.replace(/\/$/, '')}/${store.domain}/` : null,
+      domain: store.domain
+    };
+  }
+
+  async verify(store) {
+    return fs.existsSync(path.join(this.rootPath, store.domain, 'index.html'));
+  }
+
+  async teardown(store) {
+    new StoreDirectory(store.domain, this.rootPath).removeAll();
+    this.logger.log(`✅ Removed ${store.domain} from ${this.rootPath}`);
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DeploymentProvider = require('./DeploymentProvider');
+
+/**
+ * S3 Provider
+ * Publishes stores to an S3-compatible bucket (AWS S3, MinIO, R2, ...) under
+ * <S3_PREFIX><domain>/, e.g. for static website hosting behind a CDN.
+ * Requests are signed with AWS Signature Version 4.
+ *
+ * Settings (environment, or options.s3 with the same names in camelCase):
+ *   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY - required
+ *   S3_REGION            - defaults to us-east-1
+ *   S3_ENDPOINT          - e.g. http://localhost:9000 for a local MinIO; defaults to AWS
+ *   S3_FORCE_PATH_STYLE  - "true" for <endpoint>/<bucket>/<key> URLs; defaults to true with S3_ENDPOINT
+ *   S3_PREFIX            - key prefix for all stores
+ *   S3_PUBLIC_URL        - public URL of the bucket, used to verify deployments
+ *
+ * Assets are uploaded first and HTML pages on activate, so a page never links
+ * to an asset that isn't there yet; files removed from the store are deleted last.
+ */
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+class S3Provider extends DeploymentProvider {
+  constructor(options = {}) {
+    super(options);
+    this.config = S3Provider.getConfig(options.s3);
+    this.fetch = options.fetch || null;
+    this.files = [];
+    this.existingKeys = [];
+  }
+
+  static getConfig(overrides = {}) {
+    const env = process.env;
+    const setting = (name, envName) => overrides[name] !== undefined ? overrides[name] : env[envName];
+
+    const region = setting('region', 'S3_REGION') || 'us-east-1';
+    const endpoint = setting('endpoint', 'S3_ENDPOINT');
+    const forcePathStyle = setting('forcePathStyle', 'S3_FORCE_PATH_STYLE');
+    const prefix = String(setting('prefix', 'S3_PREFIX') || '').replace(/^\/+|\/+$/g, '');
+    const publicUrl = setting('publicUrl', 'S3_PUBLIC_URL');
+
+    return {
+      bucket: setting('bucket', 'S3_BUCKET') || null,
+      accessKeyId: setting('accessKeyId', 'S3_ACCESS_KEY_ID') || null,
+      secretAccessKey: setting('secretAccessKey', 'S3_SECRET_ACCESS_KEY') || null,
+      region,
+      endpoint: (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+      forcePathStyle: forcePathStyle === undefined || forcePathStyle === '' ? Boolean(endpoint) : String(forcePathStyle) === 'true',
+      prefix: prefix ? `${prefix}/` : '',
+      publicUrl: publicUrl ? publicUrl.replace(/\/+$/, '') : null
+    };
+  }
+
+  static isConfigured(overrides) {
+    const config = this.getConfig(overrides);
+    return Boolean(config.bucket && config.accessKeyId && config.secretAccessKey);
+  }
+
+  /**
+   * Percent-encoding of SigV4 canonical requests (RFC 3986 unreserved characters are kept)
+   */
+  static encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+  }
+
+  static hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  static hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+  }
+
+  getKeyPrefix(store) {
+    return `${this.config.prefix}${store.domain}/`;
+  }
+
+  /**
+   * URL and signed headers of a request for an object key ('' for the bucket itself)
+   */
+  sign(method, key, { query = {}, headers = {}, body = '', date = new Date() } = {}) {
+    const { bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle } = this.config;
+    const endpointUrl = new URL(endpoint);
+
+    const host = forcePathStyle ? endpointUrl.host : `${bucket}.${endpointUrl.host}`;
+    const encodedKey = key.split('/').map(segment => S3Provider.encode(segment)).join('/');
+    const canonicalUri = forcePathStyle ? `/${bucket}${key ? '/' + encodedKey : ''}` : `/${encodedKey}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${S3Provider.encode(name)}=${S3Provider.encode(String(query[name]))}`)
+      .join('&');
+
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = body ? S3Provider.hash(body) : EMPTY_PAYLOAD_HASH;
+
+    const signedHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(signedHeaders).sort();
+
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, S3Provider.hash(canonicalRequest)].join('\n');
+
+    let signingKey = `AWS4${secretAccessKey}`;
+    for (const part of [dateStamp, region, 's3', 'aws4_request']) {
+      signingKey = S3Provider.hmac(signingKey, part);
+    }
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      url: `${endpointUrl.protocol}//${host}${canonicalUri}${canonicalQuery ? '?' + canonicalQuery : ''}`,
+      headers: {
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+      }
+    };
+  }
+
+  async getFetch() {
+    if (!this.fetch) {
+      this.fetch = await import('node-fetch').then(mod => mod.default);
+    }
+    return this.fetch;
+  }
+
+  async send(method, key, options = {}) {
+    const fetch = await this.getFetch();
+    const { url, headers } = this.sign(method, key, options);
+
+    // host is set by fetch from the URL
+    const { host, ...requestHeaders } = headers;
+    return fetch(url, { method, headers: requestHeaders, body: options.body || undefined });
+  }
+
+  async assertOk(response, action) {
+    if (response.ok) return;
+
+    const body = await response.text().catch(() => '');
+    const code = /<Code>([^<]+)<\/Code>/.exec(body);
+    throw new Error(`S3 ${action} failed: ${response.status}${code ? ` ${code[1]}` : ''}`);
+  }
+
+  /**
+   * Create the bucket when it doesn't exist yet (e.g. a fresh MinIO)
+   */
+  async ensureBucket() {
+    const response = await this.send('HEAD', '');
+    if (response.ok) return;
+
+    if (response.status !== 404) {
+      await this.assertOk(response, `access to bucket ${this.config.bucket}`);
+    }
+
+    const body = this.config.region === 'us-east-1' ? '' :
+      `<CreateBucketConfiguration xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><LocationConstraint>${this.config.region}</LocationConstraint></CreateBucketConfiguration>`;
+    await this.assertOk(await this.send('PUT', '', { body }), `creating bucket ${this.config.bucket}`);
+    this.logger.log(`🪣 Created bucket ${this.config.bucket}`);
+  }
+
+  /**
+   * Every object key under a prefix (ListObjectsV2, following continuation tokens)
+   */
+  async listKeys(prefix) {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': 2, prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await this.send('GET', '', { query });
+      await this.assertOk(response, `listing ${prefix}`);
+      const xml = await response.text();
+
+      for (const match of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]));
+      }
+
+      const token = /<IsTruncated>true<\/IsTruncated>/.test(xml) && /<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(xml);
+      continuationToken = token ? decodeXml(token[1]) : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  listFiles(directory, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(path.join(directory, entry.name), relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  async uploadFile(store, relativePath) {
+    const key = this.getKeyPrefix(store) + relativePath;
+    const body = fs.readFileSync(path.join(this.getSourcePath(store), relativePath));
+    const contentType = CONTENT_TYPES[path.extname(relativePath).toLowerCase()] || 'application/octet-stream';
+
+    const response = await this.send('PUT', key, { body, headers: { 'content-type': contentType } });
+    await this.assertOk(response, `upload of ${key}`);
+  }
+
+  async deleteKeys(keys) {
+    for (const key of keys) {
+      const response = await this.send('DELETE', key);
+      if (response.status !== 404) {
+        await this.assertOk(response, `delete of ${key}`);
+      }
+    }
+  }
+
+  async prepare(store) {
+    if (!S3Provider.isConfigured(this.options.s3)) {
+      throw new Error('S3 provider is not configured: set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const sourcePath = this.getSourcePath(store);
+    if (!fs.existsSync(path.join(sourcePath, 'index.html'))) {
+      throw new Error(`No generated files to deploy for ${store.domain}`);
+    }
+
+    await this.ensureBucket();
+    this.files = this.listFiles(sourcePath);
+    this.existingKeys = await this.listKeys(this.getKeyPrefix(store));
+    this.logger.log(`🪣 Deploying ${this.files.length} files of ${store.domain} to s3://${this.config.bucket}/${this.getKeyPrefix(store)}`);
+  }
+
+  async upload(store) {
+    for (const file of this.files.filter(file => !file.endsWith('.html'))) {
+      await this.uploadFile(store, file);
+    }
+  }
+
+  async activate(store) {
+    const pages = this.files.filter(file => file.endsWith('.html'));
+    for (const file of pages) {
+      await this.uploadFile(store, file);
+    }
+
+    const keyPrefix = this.getKeyPrefix(store);
+    const uploadedKeys = new Set(this.files.map(file => keyPrefix + file));
+    const staleKeys = this.existingKeys.filter(key => !uploadedKeys.has(key));
+    await this.deleteKeys(staleKeys);
+
+    this.logger.log(`✅ ${store.domain} published to s3://${this.config.bucket}/${keyPrefix} (${this.files.length} files, ${staleKeys.length} removed)`);
+
+    return {
+      method: 's3',
+      success: true,
+      bucket: this.config.bucket,
+      prefix: keyPrefix,
+      url: this.config.publicUrl ? `${this.config.publicUrl}/${keyPrefix}` : null,
+      uploaded: this.files.length,
+      removed: staleKeys.length,
+      domain: store.domain
+    };
+  }
+
+  /**
+   * The index page is served: publicly when S3_PUBLIC_URL is set, otherwise by the bucket API
+   */
+  async verify(store) {
+    const key = `${this.getKeyPrefix(store)}index.html`;
+
+    try {
+      const response = this.config.publicUrl
+        ? await (await this.getFetch())(`${this.config.publicUrl}/${key}`, { method: 'HEAD' })
+        : await this.send('HEAD', key);
+      return response.ok;
+    } catch (error) {
+      this.logger.log(`⚠️ Could not verify ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async teardown(store) {
+    const keys = await this.listKeys(this.getKeyPrefix(store));
+    await this.deleteKeys(keys);
+    this.logger.log(`✅ Removed ${keys.length} objects of ${store.domain} from s3://${this.config.bucket}`);
+  }
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = S3Provider;
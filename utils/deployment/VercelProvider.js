@@ -0,0 +1,65 @@
+const DeploymentProvider = require('./DeploymentProvider');
+
+/**
+ * Vercel Provider
+ * The original deployment flow: store files are committed and pushed with git,
+ * deployed with the Vercel CLI and the store's domain is aliased to the deployment.
+ * The steps themselves live on DeploymentAutomation.
+ */
+class VercelProvider extends DeploymentProvider {
+  constructor(options = {}) {
+    super(options);
+
+    // Required here: DeploymentAutomation loads the providers
+    const DeploymentAutomation = require('../DeploymentAutomation');
+    this.automation = options.automation || new DeploymentAutomation({ logger: this.logger });
+  }
+
+  async prepare(store) {
+    // Domain MUST be added to Vercel before any deployment
+    this.logger.log(`🔗 Adding domain ${store.domain} to Vercel FIRST`);
+    await this.automation.connectDomainToProject(store.domain);
+
+    await this.automation.validateDeploymentPrerequisites();
+    await this.automation.configureGitRepository();
+  }
+
+  async upload(store, deployment) {
+    await this.runStep(deployment, 'commit', () => this.automation.commitAndPushFiles(store));
+    await this.automation.configureVercelDeployment();
+  }
+
+  async activate(store, deployment) {
+    const deploymentResult = await this.automation.triggerDeployment(store);
+
+    // Explicit domain alias (matches manual behavior)
+    if (deploymentResult.success && deploymentResult.url) {
+      this.logger.log(`🔧 Connecting: ${store.domain} → ${deploymentResult.url}`);
+      try {
+        await this.runStep(deployment, 'alias', () => this.automation.createDomainAlias(store.domain, deploymentResult.url));
+      } catch (aliasError) {
+        // Deployment is successful even if alias fails
+        this.logger.error(`⚠️ Alias creation failed but continuing: ${aliasError.message}`);
+      }
+    } else {
+      this.logger.log('⚠️ Skipping alias creation - no deployment URL available');
+    }
+
+    await this.automation.monitorDeployment(deploymentResult, store);
+    return deploymentResult;
+  }
+
+  async verify(store) {
+    return this.automation.verifyDomainLive(store.domain);
+  }
+
+  /**
+   * Remove the store files from git and the domain from Vercel
+   */
+  async teardown(store) {
+    await store.cleanupGitRepository();
+    await store.cleanupVercelProject();
+  }
+}
+
+module.exports = VercelProvider;
@@ -0,0 +1,39 @@
+/**
+ * Add to Cart Button
+ * Variant picker and add-to-cart button for the selected variant
+ */
+module.exports = {
+  type: 'ATCButton',
+  name: 'Add to Cart Button',
+  icon: 'shopping-cart',
+  description: 'Add to cart button',
+  area: 'content',
+  order: 100,
+  settings: [
+    { name: 'button_text', label: 'Button Text', type: 'text', placeholder: 'Add to Cart' },
+    { name: 'show_quantity', label: 'Show Quantity Selector', type: 'checkbox' },
+    { name: 'enable_wishlist', label: 'Enable Wishlist', type: 'checkbox' },
+    { name: 'show_variant_picker', label: 'Show Variant Picker', type: 'checkbox' }
+  ],
+  defaults: {
+    button_text: 'Add to Cart',
+    show_variant_picker: true
+  },
+
+  render({ settings, translator, primaryVariant, price, variantPicker }) {
+    const quantityHtml = settings.show_quantity
+      ? `<input type="number" class="quantity-input" min="1" value="1" aria-label="${translator.t('common.quantity')}">`
+      : '';
+    const wishlistHtml = settings.enable_wishlist
+      ? '<button class="btn btn-secondary wishlist-button" type="button">♡</button>'
+      : '';
+
+    const available = Boolean(primaryVariant && primaryVariant.available);
+
+    return `
+          <div class="atc-button-section">
+            ${settings.show_variant_picker ? variantPicker || '' : ''}
+            ${quantityHtml}<button class="btn btn-primary btn-large atc-button" data-variant-add data-variant-id="${primaryVariant ? primaryVariant.id : ''}"${available ? '' : ' disabled'}><span data-variant-add-label data-add-text="${settings.button_text}">${available ? settings.button_text : translator.t('product.outOfStock')}</span><span data-variant-available-only${available ? '' : ' hidden'}> - <span data-variant-price>${price}</span></span></button>${wishlistHtml}
+          </div>`;
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Product Bundles
+ * Quantity tiers for the primary variant with a bundle discount
+ */
+module.exports = {
+  type: 'Bundles',
+  name: 'Product Bundles',
+  icon: 'package',
+  description: 'Bundle offers and deals',
+  area: 'footer',
+  order: 170,
+  settings: [
+    { name: 'bundle_title', label: 'Bundle Title', type: 'text', placeholder: 'Frequently bought together' },
+    { name: 'discount_percentage', label: 'Bundle Discount %', type: 'number', placeholder: '10' }
+  ],
+  defaults: {
+    bundle_title: 'Frequently bought together',
+    discount_percentage: 10
+  },
+
+  render({ settings, translator, product, priceFormatter, primaryVariant }) {
+    if (!primaryVariant) return '';
+
+    const bundleDiscount = Math.min(Math.max(settings.discount_percentage || 0, 0), 90);
+    const bundleOptionsHtml = [1, 2, 3].map(quantity => {
+      const discount = quantity > 1 ? bundleDiscount : 0;
+      const bundleTotal = primaryVariant.price * quantity * (1 - discount / 100);
+      return `
+              <div class="bundle-option${quantity === 2 ? ' bundle-option-popular' : ''}" data-quantity="${quantity}">
+                <span class="bundle-quantity">${quantity}x ${product.title}</span>
+                <span class="bundle-price">${priceFormatter.format(bundleTotal)}</span>
+                ${discount > 0 ? `<span class="bundle-savings">${translator.t('sections.savePercent', { percent: discount })}</span>` : ''}
+              </div>`;
+    }).join('');
+
+    return `
+          <div class="bundles-section">
+            <h3>${settings.bundle_title}</h3>
+            <div class="bundle-options">${bundleOptionsHtml}</div>
+          </div>`;
+  }
+};
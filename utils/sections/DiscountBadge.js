@@ -0,0 +1,29 @@
+/**
+ * Discount Badge
+ * Sale badge; the text defaults to the compare-at savings
+ */
+module.exports = {
+  type: 'DiscountBadge',
+  name: 'Discount Badge',
+  icon: 'percent',
+  description: 'Discount promotion badge',
+  area: 'header',
+  order: 190,
+  settings: [
+    { name: 'discount_text', label: 'Discount Text', type: 'text', placeholder: 'SAVE 25%' },
+    { name: 'badge_color', label: 'Badge Color', type: 'color', placeholder: '#ff0000' }
+  ],
+  defaults: {
+    badge_color: ''
+  },
+
+  render({ settings, translator, primaryVariant, compareAtPrice }) {
+    const savingsPercent = compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price
+      ? Math.round((1 - primaryVariant.price / primaryVariant.compare_at_price) * 100)
+      : null;
+    const discountText = settings.discount_text || translator.t(savingsPercent ? 'sections.savePercentBadge' : 'sections.saleBadge', { percent: savingsPercent });
+    const badgeStyle = /^#[0-9a-fA-F]{3,8}$/.test(settings.badge_color) ? ` style="background: ${settings.badge_color};"` : '';
+
+    return `<div class="discount-badge-section"><span class="discount-badge"${badgeStyle}>${discountText}</span></div>`;
+  }
+};
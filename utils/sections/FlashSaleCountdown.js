@@ -0,0 +1,26 @@
+/**
+ * Flash Sale Countdown
+ * Sale banner; scripts.js can count down to data-end-date
+ */
+module.exports = {
+  type: 'FlashSaleCountdown',
+  name: 'Flash Sale Timer',
+  icon: 'clock',
+  description: 'Countdown timer for sales',
+  area: 'header',
+  order: 30,
+  settings: [
+    { name: 'end_date', label: 'Sale End Date', type: 'datetime-local' },
+    { name: 'title', label: 'Sale Title', type: 'text', placeholder: 'Limited Time Offer!' }
+  ],
+  defaults: {
+    title: 'Flash Sale Ends Soon!'
+  },
+
+  render({ settings }) {
+    const endDate = settings.end_date && !isNaN(Date.parse(settings.end_date))
+      ? ` data-end-date="${settings.end_date}"`
+      : '';
+    return `<div class="flash-sale-countdown"${endDate}>${settings.title}</div>`;
+  }
+};
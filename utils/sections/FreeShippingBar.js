@@ -0,0 +1,22 @@
+/**
+ * Free Shipping Bar
+ * Announcement strip above the product page
+ */
+module.exports = {
+  type: 'FreeShippingBar',
+  name: 'Free Shipping Bar',
+  icon: 'truck',
+  description: 'Free shipping announcement',
+  area: 'header',
+  order: 10,
+  settings: [
+    { name: 'message', label: 'Shipping Message', type: 'text', placeholder: 'Free shipping on orders over $50!' }
+  ],
+  defaults: {
+    message: 'Free shipping on all orders!'
+  },
+
+  render({ settings }) {
+    return `<div class="free-shipping-bar">${settings.message}</div>`;
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Free Shipping Teaser
+ * Shipping promotion banner with an optional order threshold
+ */
+module.exports = {
+  type: 'FreeShippingTeaser',
+  name: 'Free Shipping Teaser',
+  icon: 'gift',
+  description: 'Shipping promotion banner',
+  area: 'header',
+  order: 20,
+  settings: [
+    { name: 'threshold', label: 'Free Shipping Threshold', type: 'number', placeholder: '50' },
+    { name: 'message', label: 'Teaser Message', type: 'text', placeholder: 'Free shipping on orders over $50!' }
+  ],
+  defaults: {
+    message: 'Free shipping worldwide!'
+  },
+
+  render({ settings }) {
+    const threshold = settings.threshold > 0 ? ` data-threshold="${settings.threshold}"` : '';
+    return `<div class="free-shipping-teaser"${threshold}>${settings.message}</div>`;
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Free Text
+ * Custom text content; renders nothing when empty
+ */
+module.exports = {
+  type: 'FreeTextField',
+  name: 'Free Text',
+  icon: 'edit-3',
+  description: 'Custom text content',
+  area: 'content',
+  order: 110,
+  settings: [
+    { name: 'content', label: 'Text Content', type: 'textarea', placeholder: 'Enter your custom text here...' }
+  ],
+  defaults: {},
+
+  render({ settings }) {
+    return settings.content ? `<div class="free-text-section">${settings.content}</div>` : '';
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Guarantee Badge
+ * Money back guarantee with optional details
+ */
+module.exports = {
+  type: 'GuaranteeBadge',
+  name: 'Guarantee Badge',
+  icon: 'shield-check',
+  description: 'Money back guarantee',
+  area: 'footer',
+  order: 140,
+  settings: [
+    { name: 'guarantee_text', label: 'Guarantee Text', type: 'text', placeholder: '30-Day Money Back Guarantee' },
+    { name: 'guarantee_details', label: 'Guarantee Details', type: 'textarea', placeholder: 'Full refund if not satisfied...' }
+  ],
+  defaults: {
+    guarantee_text: '30-Day Money Back Guarantee'
+  },
+
+  render({ settings }) {
+    const detailsHtml = settings.guarantee_details
+      ? `<p class="guarantee-details">${settings.guarantee_details}</p>`
+      : '';
+    return `<div class="guarantee-badge">${settings.guarantee_text}${detailsHtml}</div>`;
+  }
+};
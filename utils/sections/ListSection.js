@@ -0,0 +1,31 @@
+/**
+ * Features List
+ * Bullet list from newline-separated items; renders nothing when empty
+ */
+module.exports = {
+  type: 'ListSection',
+  name: 'Features List',
+  icon: 'list',
+  description: 'Bullet point features',
+  area: 'content',
+  order: 120,
+  settings: [
+    { name: 'title', label: 'List Title', type: 'text', placeholder: 'Key Features' },
+    { name: 'items', label: 'List Items (one per line)', type: 'textarea', placeholder: 'Feature 1\nFeature 2\nFeature 3' }
+  ],
+  defaults: {
+    title: 'Features',
+    items: ''
+  },
+
+  render({ settings }) {
+    const items = String(settings.items).split('\n').filter(item => item.trim());
+    const itemsHtml = items.map(item => `<li>${item.trim()}</li>`).join('');
+
+    return items.length > 0 ? `
+          <div class="list-section">
+            <h3>${settings.title}</h3>
+            <ul>${itemsHtml}</ul>
+          </div>` : '';
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Navigation Bar
+ * Store heading bar at the top of the product page
+ */
+module.exports = {
+  type: 'NavigationBar',
+  name: 'Navigation Bar',
+  icon: 'menu',
+  description: 'Site navigation menu',
+  area: 'header',
+  order: 40,
+  settings: [
+    { name: 'title', label: 'Title', type: 'text', placeholder: 'Defaults to the store name' },
+    { name: 'show_breadcrumbs', label: 'Show Breadcrumbs', type: 'checkbox' },
+    { name: 'sticky', label: 'Sticky Navigation', type: 'checkbox' }
+  ],
+  defaults: {},
+
+  render({ settings, translator, store, product }) {
+    const breadcrumbs = settings.show_breadcrumbs
+      ? `<p class="navigation-breadcrumbs"><a href="/">${translator.t('common.home')}</a> / <a href="/products.html">${translator.t('common.products')}</a> / ${product.title}</p>`
+      : '';
+    return `<nav class="navigation-bar${settings.sticky ? ' navigation-bar-sticky' : ''}"><h2>${settings.title || store.name}</h2>${breadcrumbs}</nav>`;
+  }
+};
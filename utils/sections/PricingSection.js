@@ -0,0 +1,40 @@
+/**
+ * Pricing Section
+ * Current price, compare-at price and optional savings
+ */
+module.exports = {
+  type: 'PricingSection',
+  name: 'Pricing Section',
+  icon: 'dollar-sign',
+  description: 'Price and discount display',
+  area: 'content',
+  order: 80,
+  settings: [
+    { name: 'show_savings', label: 'Show Savings Amount', type: 'checkbox' },
+    { name: 'currency_symbol', label: 'Currency Symbol Override', type: 'text', placeholder: 'Store default' }
+  ],
+  defaults: {
+    show_savings: false
+  },
+
+  render({ settings, translator, priceFormatter, primaryVariant, compareAtPrice }) {
+    // Prices follow the store locale; the setting only replaces the currency sign
+    const currencySymbol = settings.currency_symbol || '';
+    const format = amount => priceFormatter.format(amount, { currencySymbol });
+    const symbolAttribute = currencySymbol ? ` data-currency-symbol="${currencySymbol}"` : '';
+    const onSale = Boolean(compareAtPrice && primaryVariant.compare_at_price > primaryVariant.price);
+    const hidden = onSale ? '' : ' hidden';
+    const saveLabel = translator.t('sections.save');
+
+    // Prices switch with the selected variant (see VariantSelector)
+    const savingsHtml = settings.show_savings
+      ? `<span class="savings" data-variant-savings data-label="${saveLabel}"${symbolAttribute}${hidden}>${onSale ? `${saveLabel} ${format(primaryVariant.compare_at_price - primaryVariant.price)}` : ''}</span>`
+      : '';
+
+    return `
+          <div class="pricing-section">
+            <span class="price${onSale ? ' on-sale' : ''}" data-variant-price${symbolAttribute}>${format(primaryVariant ? primaryVariant.price : 0)}</span> <span class="price-original" data-variant-compare-price${symbolAttribute}${hidden}>${onSale ? format(primaryVariant.compare_at_price) : ''}</span>
+            ${savingsHtml}
+          </div>`;
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Product Image Gallery
+ * Main product image with optional thumbnails
+ */
+module.exports = {
+  type: 'ProductImageGallery',
+  name: 'Product Image Gallery',
+  icon: 'image',
+  description: 'Product photo gallery',
+  area: 'image',
+  order: 50,
+  settings: [
+    { name: 'show_thumbnails', label: 'Show Thumbnails', type: 'checkbox' },
+    { name: 'enable_zoom', label: 'Enable Zoom', type: 'checkbox' },
+    { name: 'gallery_layout', label: 'Gallery Layout', type: 'select', options: ['grid', 'carousel', 'stack'] }
+  ],
+  defaults: {
+    gallery_layout: 'grid'
+  },
+
+  render({ settings, translator, product, primaryImage }) {
+    // The main image switches to the selected variant's image (see VariantSelector)
+    const imageHtml = primaryImage
+      ? `<img src="${primaryImage.src}" alt="${primaryImage.alt}" class="product-main-image" data-variant-image>`
+      : `<div class="product-image-placeholder">${translator.t('common.noImageAvailable')}</div>`;
+
+    const images = product.images || [];
+    const thumbnailsHtml = settings.show_thumbnails && images.length > 1
+      ? `<div class="product-thumbnails">${images.map(image => `<img src="${image.src}" alt="${image.alt || ''}" class="product-thumbnail" data-gallery-thumbnail="${image.src}">`).join('')}</div>`
+      : '';
+
+    const layout = ['grid', 'carousel', 'stack'].includes(settings.gallery_layout) ? settings.gallery_layout : 'grid';
+    return `<div class="product-image-gallery gallery-${layout}${settings.enable_zoom ? ' gallery-zoom' : ''}">${imageHtml}${thumbnailsHtml}</div>`;
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Product Title
+ * Main product heading with optional subtitle and vendor
+ */
+module.exports = {
+  type: 'ProductTitle',
+  name: 'Product Title',
+  icon: 'type',
+  description: 'Main product heading',
+  area: 'content',
+  order: 60,
+  settings: [
+    { name: 'subtitle', label: 'Subtitle', type: 'text', placeholder: 'Optional subtitle' },
+    { name: 'show_vendor', label: 'Show Brand/Vendor', type: 'checkbox' }
+  ],
+  defaults: {},
+
+  render({ settings, product }) {
+    return `
+          <div class="product-title-section">
+            ${settings.show_vendor && product.vendor ? `<p class="product-vendor">${product.vendor}</p>` : ''}
+            <h1>${product.title}</h1>
+            ${settings.subtitle ? `<p class="product-subtitle">${settings.subtitle}</p>` : ''}
+          </div>`;
+  }
+};
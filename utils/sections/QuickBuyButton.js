@@ -0,0 +1,33 @@
+/**
+ * Quick Buy Button
+ * Direct purchase button: checks out the selected variant without going through the cart
+ */
+module.exports = {
+  type: 'QuickBuyButton',
+  name: 'Quick Buy Button',
+  icon: 'zap',
+  description: 'Quick purchase button',
+  area: 'content',
+  order: 90,
+  settings: [
+    { name: 'button_text', label: 'Button Text', type: 'text', placeholder: 'Quick Buy' },
+    { name: 'show_quantity', label: 'Show Quantity Selector', type: 'checkbox' }
+  ],
+  defaults: {
+    button_text: 'Buy Now'
+  },
+
+  render({ settings, translator, primaryVariant, price }) {
+    const quantityHtml = settings.show_quantity
+      ? `<input type="number" class="quantity-input" min="1" value="1" aria-label="${translator.t('common.quantity')}">`
+      : '';
+
+    const available = Boolean(primaryVariant && primaryVariant.available);
+
+    // Follows the variant chosen in the picker (see VariantSelector); checkout through StoreCart
+    return `
+          <div class="quick-buy-section">
+            ${quantityHtml}<button class="btn btn-accent btn-large quick-buy-button" data-variant-add data-cart-buy-now data-variant-id="${primaryVariant ? primaryVariant.id : ''}"${available ? '' : ' disabled'}><span data-variant-add-label data-add-text="${settings.button_text}">${available ? settings.button_text : translator.t('product.outOfStock')}</span><span data-variant-available-only${available ? '' : ' hidden'}> - <span data-variant-price>${price}</span></span></button>
+          </div>`;
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Sales Counter
+ * Recent sales count; scripts.js can animate data-count
+ */
+module.exports = {
+  type: 'SalesCounter',
+  name: 'Sales Counter',
+  icon: 'trending-up',
+  description: 'Sales volume display',
+  area: 'footer',
+  order: 200,
+  settings: [
+    { name: 'sales_text', label: 'Sales Text', type: 'text', placeholder: 'people bought this today' },
+    { name: 'counter_start', label: 'Counter Start Number', type: 'number', placeholder: '15' }
+  ],
+  defaults: {
+    sales_text: 'people bought this today',
+    counter_start: 15
+  },
+
+  render({ settings, priceFormatter }) {
+    const counterStart = Math.round(settings.counter_start) || 15;
+    return `<div class="sales-counter">🔥 <strong class="sales-count" data-count="${counterStart}">${priceFormatter.formatNumber(counterStart)}</strong> ${settings.sales_text}</div>`;
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Scarcity Notice
+ * Limited stock message
+ */
+module.exports = {
+  type: 'ScarcityNotice',
+  name: 'Scarcity Notice',
+  icon: 'alert-triangle',
+  description: 'Limited quantity alerts',
+  area: 'footer',
+  order: 180,
+  settings: [
+    { name: 'message', label: 'Scarcity Message', type: 'text', placeholder: 'Only 3 left in stock!' },
+    { name: 'show_countdown', label: 'Show Countdown Timer', type: 'checkbox' }
+  ],
+  defaults: {
+    message: 'Limited stock available!'
+  },
+
+  render({ settings }) {
+    return `<div class="scarcity-notice"${settings.show_countdown ? ' data-countdown="true"' : ''}>${settings.message}</div>`;
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Secure Checkout
+ * Checkout security badge with optional SSL line
+ */
+module.exports = {
+  type: 'SecureCheckout',
+  name: 'Secure Checkout',
+  icon: 'lock',
+  description: 'Security assurance',
+  area: 'footer',
+  order: 160,
+  settings: [
+    { name: 'badge_text', label: 'Badge Text', type: 'text', placeholder: 'Secure Checkout' },
+    { name: 'show_ssl', label: 'Show SSL Certificate', type: 'checkbox' }
+  ],
+  defaults: {
+    badge_text: 'Secure Checkout',
+    show_ssl: true
+  },
+
+  render({ settings, translator }) {
+    return `
+          <div class="secure-checkout">
+            <div class="secure-checkout-badge">🔒 ${settings.badge_text}</div>
+            ${settings.show_ssl ? `<p class="secure-checkout-ssl">${translator.t('sections.sslEncrypted')}</p>` : ''}
+          </div>`;
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Social Proof
+ * Customer testimonial quote
+ */
+module.exports = {
+  type: 'SocialProof',
+  name: 'Social Proof',
+  icon: 'users',
+  description: 'Customer testimonials',
+  area: 'footer',
+  order: 130,
+  settings: [
+    { name: 'testimonial', label: 'Customer Testimonial', type: 'textarea', placeholder: 'Great product, love it!' },
+    { name: 'customer_name', label: 'Customer Name', type: 'text', placeholder: 'John D.' }
+  ],
+  defaults: {
+    testimonial: 'Great product, love it!',
+    customer_name: 'Verified customer'
+  },
+
+  render({ settings }) {
+    return `
+          <div class="social-proof">
+            <blockquote class="social-proof-quote">“${settings.testimonial}”</blockquote>
+            <p class="social-proof-author">— ${settings.customer_name}</p>
+          </div>`;
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Star Rating
+ * Static rating display with review count
+ */
+module.exports = {
+  type: 'StarRating',
+  name: 'Star Rating',
+  icon: 'star',
+  description: 'Product rating display',
+  area: 'content',
+  order: 70,
+  settings: [
+    { name: 'rating', label: 'Rating (1-5)', type: 'number', placeholder: '5' },
+    { name: 'review_count', label: 'Review Count', type: 'number', placeholder: '127' },
+    { name: 'show_count', label: 'Show Review Count', type: 'checkbox' },
+    { name: 'allow_reviews', label: 'Allow New Reviews', type: 'checkbox' }
+  ],
+  defaults: {
+    rating: 5,
+    review_count: 127,
+    show_count: true
+  },
+
+  render({ settings, translator }) {
+    const rating = Math.min(Math.max(Math.round(settings.rating), 0), 5);
+    const stars = '★'.repeat(rating) + '☆'.repeat(5 - rating);
+    return `<div class="star-rating">${stars}${settings.show_count ? ` ${translator.t('sections.reviews', { count: settings.review_count })}` : ''}</div>`;
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Trust Indicators
+ * Security, shipping and returns badges
+ */
+module.exports = {
+  type: 'TrustIndicators',
+  name: 'Trust Indicators',
+  icon: 'award',
+  description: 'Security and trust badges',
+  area: 'footer',
+  order: 150,
+  settings: [
+    { name: 'security_badges', label: 'Show Security Badges', type: 'checkbox' },
+    { name: 'payment_icons', label: 'Show Payment Icons', type: 'checkbox' }
+  ],
+  defaults: {
+    security_badges: true,
+    payment_icons: false
+  },
+
+  render({ settings, translator }) {
+    return `
+          <div class="trust-indicators">
+            ${settings.security_badges ? `<div class="trust-item">🔒 ${translator.t('sections.secureCheckout')}</div>` : ''}
+            <div class="trust-item">🚚 ${translator.t('sections.fastShipping')}</div>
+            <div class="trust-item">↩️ ${translator.t('sections.easyReturns')}</div>
+            ${settings.payment_icons ? '<div class="trust-item">💳 Visa · Mastercard · PayPal</div>' : ''}
+          </div>`;
+  }
+};
@@ -0,0 +1,24 @@
+const { parentPort } = require('worker_threads');
+const handlebars = require('handlebars');
+
+/**
+ * Render Worker
+ * Compiles and renders Handlebars templates for RenderPool
+ */
+
+// Every page of a store uses one of a handful of templates
+const compiledTemplates = new Map();
+
+parentPort.on('message', ({ id, template, variables }) => {
+  try {
+    let compiledTemplate = compiledTemplates.get(template);
+    if (!compiledTemplate) {
+      compiledTemplate = handlebars.compile(template);
+      compiledTemplates.set(template, compiledTemplate);
+    }
+
+    parentPort.postMessage({ id, html: compiledTemplate(variables) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});